@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Checks the portal providers (mattori-portals.js) against known listing links:
+// recognition, address parsing, sale status and Floorplanner project IDs.
+//
+//   node check-portals.js        prints the failures, exit code 1 when there are any
+//
+// Not shipped: the configurator page only loads mattori-portals.js.
+
+const portals = require('./mattori-portals.js');
+
+// [{ provider, url, address, sale?, projectId? }] — address as parsePortalAddress returns it;
+// provider null: the input must not be recognised
+const EXAMPLES = [
+  { provider: 'funda', url: 'https://www.funda.nl/detail/koop/amsterdam/appartement-hoofdweg-275-1/89691599/',
+    address: { street: 'Hoofdweg 275-1', city: 'Amsterdam, Nederland' }, sale: 'forSale' },
+  { provider: 'funda', url: 'https://www.funda.nl/detail/koop/verkocht/deventer/huis-veenweg-79/43255889/',
+    address: { street: 'Veenweg 79', city: 'Deventer, Nederland' }, sale: 'sold' },
+  { provider: 'floorplanner', url: 'https://floorplanner.com/projects/123456789-woning/editor', address: null, projectId: '123456789' },
+  { provider: 'floorplanner', url: 'project 182537902', address: null, projectId: '182537902' },
+  { provider: 'floorplanner', url: 'Project-ID: 182537902', address: null, projectId: '182537902' },
+  { provider: null, url: '89691599', address: null },
+  { provider: 'floorplanner', url: 'https://floorplanner.com/shared/a1b2c3d4', address: null, projectId: null },
+  { provider: 'pararius', url: 'https://www.pararius.nl/huis-te-koop/utrecht/5a7d21c0/oudegracht',
+    address: { street: 'Oudegracht', city: 'Utrecht, Nederland' }, sale: 'forSale' },
+  { provider: 'pararius', url: 'https://www.pararius.nl/appartement-te-huur/amsterdam/3f1c2a9e/prinsengracht',
+    address: { street: 'Prinsengracht', city: 'Amsterdam, Nederland' }, sale: 'forRent' },
+  { provider: 'jaap', url: 'https://www.jaap.nl/koophuizen/noord+holland/groot-amsterdam/amsterdam/1016gv/keizersgracht+123/12345678',
+    address: { street: 'Keizersgracht 123', city: 'Amsterdam, Nederland' }, sale: 'forSale' },
+  // Decoded slugs are plain text, markup included: callers escape before innerHTML
+  { provider: 'jaap', url: 'https://www.jaap.nl/koop/amsterdam/1012ab/%3Cimg%20src%3Dx%20onerror%3Dalert(1)%3E/123',
+    address: { street: '<img src=x onerror=alert(1)>', city: 'Amsterdam, Nederland' }, sale: 'forSale' },
+  { provider: 'jaap', url: 'https://www.jaap.nl/koop/amsterdam/1012ab/%E0/123',
+    address: { street: '%E0', city: 'Amsterdam, Nederland' }, sale: 'forSale' },
+  { provider: 'immoweb', url: 'https://www.immoweb.be/nl/zoekertje/huis/te-koop/gent/9000/11223344',
+    address: { street: '', city: 'Gent, België' }, sale: 'forSale' },
+  { provider: 'immoweb', url: 'https://www.immoweb.be/fr/annonce/maison/a-vendre/liege/4000/11223345',
+    address: { street: '', city: 'Liege, België' }, sale: 'forSale' }
+];
+
+function checkExample(ex) {
+  const found = portals.findPortalProvider(ex.url);
+  if ((found ? found.id : null) !== ex.provider) return 'herkend als ' + (found ? found.id : 'niets');
+  if (!found) return null;
+  const addr = portals.parsePortalAddress(ex.url);
+  if (JSON.stringify(addr) !== JSON.stringify(ex.address)) return 'adres ' + JSON.stringify(addr) + ' ≠ ' + JSON.stringify(ex.address);
+  if (ex.sale !== undefined && portals.getPortalSaleStatus(ex.url) !== ex.sale) {
+    return 'status ' + portals.getPortalSaleStatus(ex.url) + ' ≠ ' + ex.sale;
+  }
+  if (ex.projectId !== undefined && found.parseProjectId(ex.url) !== ex.projectId) {
+    return 'project ' + found.parseProjectId(ex.url) + ' ≠ ' + ex.projectId;
+  }
+  return null;
+}
+
+let failed = 0;
+for (const ex of EXAMPLES) {
+  const problem = checkExample(ex);
+  if (!problem) continue;
+  console.error(`✗ ${ex.provider} ${ex.url}: ${problem}`);
+  failed++;
+}
+console.log(failed ? `${failed} of ${EXAMPLES.length} examples failed` : `✓ ${EXAMPLES.length} examples`);
+process.exitCode = failed ? 1 : 0;
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+// Headless FML → OBJ: regenerates print models without a browser.
+//
+//   node fml-to-obj.js                       all fml-cache/test-*.json → out/
+//   node fml-to-obj.js woning.json --out x/  specific files → x/
+//   node fml-to-obj.js --format stl          binary STL (or 3mf) instead of OBJ
+//   node fml-to-obj.js --validate            mesh check only → out/validation.json
+//   node fml-to-obj.js --labels engrave      room names engraved into the floor (or emboss)
+//
+// Needs polygon-clipping resolvable by require() (e.g. via NODE_PATH);
+// three is picked up when present, otherwise ear-clipping is used.
+// 3MF additionally needs jszip.
+
+const fs = require('fs');
+const path = require('path');
+const geometry = require('./mattori-geometry.js');
+
+function parseArgs(argv) {
+  const opts = { files: [], outDir: 'out', format: 'obj', validate: false, labels: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') opts.outDir = argv[++i];
+    else if (argv[i] === '--format') opts.format = String(argv[++i]).toLowerCase();
+    else if (argv[i] === '--validate') opts.validate = true;
+    else if (argv[i] === '--labels') opts.labels = String(argv[++i]).toLowerCase();
+    else opts.files.push(argv[i]);
+  }
+  if (!opts.files.length) {
+    const cacheDir = path.join(__dirname, 'fml-cache');
+    opts.files = fs.readdirSync(cacheDir)
+      .filter(f => /^test-\d+\.json$/.test(f))
+      .sort((a, b) => parseInt(a.slice(5), 10) - parseInt(b.slice(5), 10))
+      .map(f => path.join(cacheDir, f));
+  }
+  if (['obj', 'stl', '3mf'].indexOf(opts.format) === -1) {
+    throw new Error(`unknown format "${opts.format}" (obj, stl or 3mf)`);
+  }
+  if (opts.labels && ['engrave', 'emboss'].indexOf(opts.labels) === -1) {
+    throw new Error(`unknown label relief "${opts.labels}" (engrave or emboss)`);
+  }
+  return opts;
+}
+
+// Default clay colours, as in colorOptions in mattori-configurator.js
+const DEFAULT_COLORS = { wall: 0xAA9A82, floor: 0xB0A594 };
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  geometry.setRoomLabelRelief(opts.labels);
+  let failed = 0;
+  const validation = {};
+
+  for (const file of opts.files) {
+    const base = path.basename(file).replace(/\.(json|fml)$/, '');
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      console.error(`✗ ${base}: cannot read FML (${e.message})`);
+      failed++;
+      continue;
+    }
+    // fml-cache holds error stubs for listings that could not be fetched
+    if (!data.floors || !data.floors.length) {
+      console.warn(`- ${base}: no floors, skipped`);
+      continue;
+    }
+    // Customer corrections saved with the FML (step 3 plan editor), then the
+    // same repairs as the configurator applies before building
+    const checked = geometry.validateFml(geometry.applyFmlPatch(data, data.mattori_patch));
+    if (checked.fatal) {
+      console.warn(`- ${base}: ${checked.fatal} skipped`);
+      continue;
+    }
+    data = checked.data;
+
+    if (opts.validate) {
+      try {
+        for (const f of checked.floors) {
+          for (const d of f.diagnostics) console.log(`  ${base} / ${f.name}: FML ${d.severity} ${d.count}× ${d.message}`);
+        }
+        const reports = geometry.validateFloorModels(data);
+        validation[base] = reports;
+        for (const r of reports) console.log(`${r.ok ? '✓' : '✗'} ${base} / ${r.name}: ${summarizeReport(r)}`);
+      } catch (e) {
+        console.error(`✗ ${base}: ${e.message}`);
+        failed++;
+      }
+      continue;
+    }
+
+    try {
+      const models = await geometry.generateFloorModels(data, opts.format, DEFAULT_COLORS);
+      const dir = path.join(opts.outDir, base);
+      fs.mkdirSync(dir, { recursive: true });
+      for (const m of models) {
+        fs.writeFileSync(path.join(dir, m.fileName + '.' + m.ext), toBuffer(m.data));
+      }
+      console.log(`✓ ${base}: ${models.length} floor(s) → ${dir}`);
+    } catch (e) {
+      console.error(`✗ ${base}: ${e.message}`);
+      failed++;
+    }
+  }
+
+  if (opts.validate) {
+    fs.mkdirSync(opts.outDir, { recursive: true });
+    fs.writeFileSync(path.join(opts.outDir, 'validation.json'), JSON.stringify(validation, null, 2));
+  }
+  process.exitCode = failed ? 1 : 0;
+}
+
+function summarizeReport(r) {
+  if (r.ok) return `${r.triangles} triangles, clean`;
+  return [
+    r.openEdges && `${r.openEdges} open edges`,
+    r.nonManifoldEdges && `${r.nonManifoldEdges} non-manifold edges`,
+    r.inconsistentWinding && `${r.inconsistentWinding} winding flips`,
+    r.zeroAreaFaces && `${r.zeroAreaFaces} zero-area faces`,
+    r.selfIntersections && `${r.selfIntersections} self-intersections`
+  ].filter(Boolean).join(', ');
+}
+
+function toBuffer(data) {
+  if (typeof data === 'string') return data;
+  return Buffer.from(data instanceof ArrayBuffer ? new Uint8Array(data) : data);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exitCode = 1;
+});
@@ -251,6 +251,7 @@
     var viewedFloors = new Set();
     var floorReviewStatus = {};   // { floorIndex: 'confirmed' | 'issue' | 'major' }
     var floorIssues = {};         // { floorIndex: 'text describing issue' }
+    var fmlPatch = [];            // step 3 plan corrections over originalFmlData (see applyFmlPatch)
     let noFloorsMode = false;
 
     // Active viewers for cleanup
@@ -412,6 +413,615 @@
       return fetch(url, fetchOpts).finally(function() { clearTimeout(timer); });
     }
 
+    // ============================================================
+    // I18N — UI message catalog
+    // ============================================================
+    // Everything the customer reads goes through t(key, vars); static HTML is
+    // tagged with data-i18n (text), data-i18n-html, data-i18n-placeholder and
+    // data-i18n-title and filled by applyI18n(). {name} placeholders are
+    // replaced from vars. Missing keys fall back to Dutch, then to the key.
+    //
+    // Cart properties are NOT translated: production reads their keys and
+    // values ('Plattegrond …', 'Onderschrift', 'Schaal', '✓ Klopt', …), so they
+    // stay Dutch in every language. The admin panel's own labels and reports are
+    // Dutch-only as well; its errors and toasts (setError/showToast) are not.
+    //
+    // Locale (first supported match wins):
+    //   window.MATTORI_LOCALE = 'en'
+    //   Shopify storefront locale (window.Shopify.locale, e.g. 'en' or 'en-GB')
+    //   <html lang="…">
+    //   Dutch
+    var UI_MESSAGES = {
+      nl: {
+        'wizard.title.1': 'Voer de link van je woning in',
+        'wizard.title.2': 'Controleer het adres',
+        'wizard.title.3': 'Controleer de plattegronden',
+        'wizard.title.4': 'Ontwerp je indeling',
+        'wizard.title.5': 'Kies je kleur',
+        'wizard.title.6': 'Pas de labels aan',
+        'wizard.stepOf': 'Stap {step} van {total}',
+        'wizard.next': 'Volgende →',
+        'wizard.start': 'Start met ontwerpen →',
+        'wizard.orderOnTrust': 'Bestellen op goed vertrouwen →',
+        'wizard.order': 'Afronden & bestellen ✦',
+        'wizard.help': 'Hulp nodig? Neem contact op',
+        'wizard.overlap': 'Plattegronden overlappen elkaar. Verschuif ze zodat ze niet overlappen.',
+        'wizard.notice': 'De preview is een indicatie - het eindresultaat kan in detail afwijken. Ons team bekijkt elke bestelling persoonlijk en zorgt ervoor dat jouw Frame³ er prachtig uitziet.',
+
+        'mail.notFilled': '(niet ingevuld)',
+        'mail.helpSubject': 'Frame³ — hulp nodig bij stap {step}',
+        'mail.helpBody': 'Hoi,\n\nIk zit in stap {step} van de configurator en heb hulp nodig.\n\n{portal} link: {url}\n\nMijn vraag/probleem:\n\n',
+        'mail.orderSubject': 'Frame³ bestelling — hulp nodig',
+        'mail.orderBody': 'Hoi,\n\nIk wil graag een Frame³ bestellen maar het lukt niet via de website.\n\n{portal} link: {url}\n\nKunnen jullie me helpen?\n\nAlvast bedankt!',
+        'mail.floorSubject': 'Frame³ — plattegrond klopt niet',
+        'mail.floorBody': 'Hoi,\n\nDe plattegrond "{floor}" klopt niet.\n\n{portal} link: {url}\n\nKunnen jullie me helpen?\n\nAlvast bedankt!',
+        'mail.contact': 'Neem contact op',
+        'mail.listing': 'Woning',
+
+        'common.or': 'of',
+        'step1.description': 'Plak de link van de woning op {portals}. <span style="font-size:12px;color:#888;font-weight:400;">Werkt alleen met woningen die nog te koop staan.</span>',
+        'step1.load': 'Laden',
+        'step1.noLink': 'Geen link bij de hand?',
+        'step1.demo': 'Probeer een demo woning →',
+        'funda.enterUrl': 'Voer een link naar de woning in.',
+        'funda.notRecognised': '<strong>Geen woninglink herkend</strong><span>We herkennen links van {portals}. Controleer de link of neem contact op.</span>',
+        'funda.phase.page': '{portal} pagina ophalen...',
+        'funda.phase.floors': 'Plattegronden zoeken...',
+        'funda.phase.process': 'Gegevens verwerken...',
+        'funda.addressNotFound': 'Adres niet gevonden',
+        'funda.noAddress': 'Geen adres gevonden',
+        'funda.sold': 'Verkocht',
+        'funda.rental': '<strong>Huurwoning</strong><span>Deze link is van een huurwoning. De configurator werkt alleen met woningen die te koop staan.</span>',
+        'funda.forSale': 'Te koop',
+        'funda.noSaleStatus': 'Geen verkoopstatus gevonden',
+        'funda.linkOk': '✓ {portal} link correct',
+        'funda.linkWrong': '✕ {portal} link niet correct',
+        'funda.noInteractive': '✕ geen interactieve plattegronden gevonden',
+        'funda.noInteractiveText': 'Voor deze woning zijn geen interactieve plattegronden beschikbaar. De configurator kan hierdoor momenteel niet gebruikt worden. We werken aan een oplossing hiervoor.',
+        'funda.tryFloorplanner': 'Staat de plattegrond in Floorplanner? Plak dan de projectlink, of "project" met het projectnummer (bijv. project 182537902), hierboven.',
+        'funda.orderWithout': 'Je kunt ’m ook <a href="{url}" style="color:#1a73e8;text-decoration:underline;">zonder de configurator bestellen</a> — wij bouwen de plattegrond dan handmatig voor je op.',
+        'funda.removed': 'Deze woning is waarschijnlijk van {portal} verwijderd. Hierdoor kunnen we de plattegronden niet ophalen.',
+        'funda.floorsFoundOne': '✓ 1 interactieve plattegrond gevonden',
+        'funda.floorsFound': '✓ {count} interactieve plattegronden gevonden',
+        'funda.timeout': '<strong>Timeout</strong><span>Het laden duurde te lang. Probeer het opnieuw.</span>',
+        'funda.connection': '<strong>Verbinding mislukt</strong><span>Probeer het zo weer opnieuw.</span>',
+        'funda.error': '<strong>Fout</strong><span>Probeer het zo weer opnieuw.</span>',
+        'demo.loading': 'Demo woning laden...',
+        'offline.noListing': 'Geen plattegrond (FML) gevonden voor deze woning (offline: alleen testlinks)',
+        'offline.noProject': 'Geen plattegrond (FML) gevonden voor project {id} (offline: alleen testprojecten)',
+        'demo.failed': 'Demo laden mislukt: {error}',
+
+        'file.invalid': 'Upload een geldig FML bestand.',
+        'file.loaded': '✓ {file} geladen',
+        'file.failed': 'Er ging iets mis bij het laden.',
+        'file.noFml': 'Geen FML data beschikbaar om te downloaden.',
+        'file.fmlDownloaded': '✓ FML gedownload',
+        'export.noFloors': 'Geen plattegronden beschikbaar om te exporteren.',
+        'export.noZip': 'JSZip library niet geladen. Controleer je internetverbinding.',
+        'export.failed': 'Er ging iets mis bij het maken van de {format} bestanden.',
+        'export.zipFailed': 'Er ging iets mis bij het maken van het ZIP bestand.',
+        'export.floorFailed': 'Er ging iets mis bij het exporteren van {floor}.',
+        'export.noLayout': 'Bereken eerst de indeling in stap 4.',
+        'export.frameFailed': 'Er ging iets mis bij het exporteren van de lijst.',
+        'export.done': '✓ {file} geëxporteerd',
+        'export.doneMany': '✓ {count} {format} bestanden geëxporteerd',
+        'mesh.noFloors': 'Geen plattegronden beschikbaar om te controleren.',
+        'mesh.failed': 'Mesh-controle mislukt.',
+
+        'step2.houseIcon': 'Kies een huisje.',
+        'step2.address': 'Vul het adres in dat op de lijst komt te staan.',
+        'step2.street': 'Straat en huisnummer',
+        'step2.city': 'Plaats en land',
+
+        'floors.loading': 'Plattegronden laden...',
+        'floors.processing': 'Plattegronden verwerken ({done}/{total})...',
+        'floors.fallbackName': 'Verdieping {n}',
+
+        'step3.description': 'Bekijk elke plattegrond en geef aan of deze klopt. De preview is een indicatie — ons team controleert elke bestelling persoonlijk.',
+        'step3.counter': 'Plattegrond {n} van {total}',
+        'step3.hint': 'Sleep om te draaien · scroll om te zoomen',
+        'step3.stacked': 'Toon alle verdiepingen gestapeld',
+        'step3.explode': 'Uit elkaar',
+        'step3.furniture': 'Toon inrichting',
+        'step3.roomLabels': 'Toon ruimtes en m²',
+        'step3.roomRelief': 'Ruimtenamen in de vloer',
+        'step3.reliefNone': 'Geen',
+        'step3.reliefEngrave': 'Gegraveerd',
+        'step3.reliefEmboss': 'In reliëf',
+        'step3.wrong': 'Klopt niet',
+        'step3.good': 'Klopt',
+        'step3.exclude': 'Niet meenemen in ontwerp',
+        'step3.issuePlaceholder': 'Beschrijf kort wat er anders is...',
+        'step3.saveNext': 'Opslaan & door',
+        'step3.major': 'Klopt helemaal niet',
+        'step3.majorText': 'Geen zorgen - neem contact met ons op, of bestel op goed vertrouwen. We bekijken de plattegrond dan handmatig.',
+        'step3.contact': 'Contact',
+        'step3.continue': 'Doorgaan',
+        'step3.back': '← Terug',
+        'step3.view3d': '3D-model',
+        'step3.view2d': 'Plattegrond zoals op de woningsite',
+        'step3.planDiff': 'Toon verschillen met het model',
+        'step3.planKeySkipped': 'geen vloer',
+        'step3.planKeyVoid': 'vide / trapgat',
+        'step3.planKeyBalustrade': 'balustrade',
+        'plan.outdoor': 'Buitenruimte — geen vloer in het model',
+        'plan.outside': 'Buiten de muren — geen vloer in het model',
+        'plan.unnamed': 'Vlak zonder naam — geen vloer in het model',
+        'plan.renamed': 'Hernoemd vlak — geen vloer in het model',
+        'plan.void': 'Vide of trapgat — open in het model',
+        'plan.balustrade': 'Balustrade in het model',
+        'step3.pinHint': 'Tip: klik op de plattegrond om aan te wijzen waar het niet klopt.',
+        'step3.pinPlaceholder': 'Wat klopt hier niet?',
+        'step3.pinRemove': 'Punt verwijderen',
+        'step3.editOpen': 'Zelf corrigeren',
+        'step3.editIntro': 'Klik op een muur, vloer, vide of balustrade om die te selecteren, of sleep een muurhoek naar de juiste plek.',
+        'step3.editBalustradeTool': 'Balustrade tekenen',
+        'step3.editBalustradeHint': 'Klik het begin- en eindpunt van de balustrade. Hij klikt vast aan muren en aan de rand van een vide.',
+        'step3.editBalustradeSelected': 'Balustrade geselecteerd — verwijder hem, of pas de hoogte aan in de lijst.',
+        'step3.editBalustradeOff': 'Deze balustrade staat uit — zet hem in de lijst weer aan.',
+        'step3.editBalustrades': 'Balustrades',
+        'step3.editBalustradeRow': 'Balustrade {n} · {length}',
+        'step3.editBalustradeNew': 'Nieuwe balustrade · {length}',
+        'step3.editBalustradeOn': 'Balustrade aan of uit',
+        'step3.editBalustradeHeight': 'Hoogte in cm',
+        'step3.editVoidSelected': 'Vide geselecteerd — sleep een hoek om de vorm aan te passen, of verwijder hem om de vloer te sluiten.',
+        'step3.editVoidHint': 'Sleep een rechthoek over het trapgat of de vide.',
+        'step3.editVoidHintAlign': 'Sleep een rechthoek over het trapgat, of klik in een gestippelde vide van de verdieping erboven of eronder om die over te nemen.',
+        'step3.editVoidGhost': 'Vide op {floor}',
+        'step3.editVoid': 'Vide tekenen',
+        'step3.editWallSelected': 'Muur geselecteerd — verwijder hem, of sleep een uiteinde.',
+        'step3.editShapeSelected': 'Vloervlak geselecteerd — verwijder het als het er niet hoort.',
+        'step3.editDrawHint': 'Klik het begin- en eindpunt van de nieuwe muur. Hij klikt vast aan bestaande muren.',
+        'step3.editDraw': 'Muur tekenen',
+        'step3.editDelete': 'Verwijderen',
+        'step3.editUndo': 'Ongedaan maken',
+        'step3.editReset': 'Origineel herstellen',
+        'step3.editCancel': 'Annuleren',
+        'step3.editDone': 'Klaar',
+        'step3.editSaved': '✓ Plattegrond bijgewerkt',
+        'step3.editFailed': 'Correctie niet gelukt: {error}',
+        'step3.diagnostics': 'Let op: {list}. De preview kan hier afwijken — ons team controleert dit bij je bestelling.',
+        'fml.wideOpening': '{count}× een deur of raam breder dan de muur',
+        'fml.selfIntersecting': '{count}× een ruimte met elkaar kruisende randen',
+        'fml.emptyDesign': 'deze plattegrond is leeg',
+
+        'step4.description': 'Kies welke verdiepingen je wilt meenemen.',
+        'step4.calculate': 'Bereken indeling →',
+        'step4.calculating': 'Berekenen...',
+        'step4.edit': 'Handmatig aanpassen',
+        'step4.reset': 'Reset naar berekende posities',
+        'step4.undo': 'Ongedaan maken (Ctrl+Z)',
+        'step4.redo': 'Opnieuw (Ctrl+Shift+Z)',
+        'step4.info': '<b>Schaal</b>: vergroot of verklein alle plattegronden.<br><br>Per plattegrond: uitlijning (links/midden/rechts, boven/midden/onder) en 90° rotatie.<br><br>Sleep individuele plattegronden naar de gewenste positie op het grid.',
+        'step4.scale': 'Schaal',
+        'step4.scaleSmall': 'Klein',
+        'step4.scaleNormal': 'Normaal',
+        'step4.scaleLarge': 'Groot',
+        'step4.rotate': '90° draaien',
+        'step4.showGrid': 'Toon grid',
+        'step4.view3d': '3D-weergave',
+        'step4.notePlaceholder': 'Opmerking (optioneel): bijv. \'Voorgevels graag uitgelijnd\'',
+
+        'step5.description': 'Kies de kleur van je plattegronden.',
+        'step5.new': '✨ Nieuw',
+
+        'step6.description': 'Pas de verdiepingsnamen aan die onderin de lijst staan.',
+        'step6.single': '1 onderschrift',
+        'step6.perFloor': 'Per plattegrond',
+        'step6.caption': 'Onderschrift',
+        'step6.comments': 'Opmerkingen',
+
+        'order.adding': 'Toevoegen...',
+        'order.productNotFound': 'Product niet gevonden.',
+        'order.cartFailed': 'Kon niet toevoegen aan winkelwagen.',
+
+        'frameCode.invalid': 'Ongeldige Frame Code',
+        'frameCode.loading': 'Frame Code geladen — plattegronden worden opgehaald...',
+        'frameCode.applied': 'Frame Code toegepast!',
+
+        'feedback.placeholder': 'Feedback of bug melden...',
+        'feedback.send': 'Verstuur',
+        'feedback.sending': 'Verzenden...',
+        'feedback.thanks': 'Bedankt voor je feedback!',
+
+        'product.title': 'Maak je eigen Mattori Frame³',
+        'product.tax': 'incl. BTW',
+        'product.save': 'Bespaar €30',
+        'product.description': 'Na ontvangst van je bestelling starten wij direct met het zorgvuldig omzetten van jouw 2D Funda-plattegrond naar een 3D model. Elk model wordt door het team van Mattori handmatig opgebouwd met focus op een realistische weergave.',
+        'product.new': '✨ Nieuw',
+        'product.start': 'Maak je eigen Frame³',
+        'product.shipping': 'Gratis verzending met PostNL',
+        'product.delivery': 'Vandaag besteld, binnen 5 werkdagen in huis',
+        'product.handmade': 'Handgemaakt in Nederland',
+        'product.specs': 'Specificaties',
+        'product.spec.hanging': 'Ophanging',
+        'product.spec.hangingValue': 'Geïntegreerd ophangsysteem',
+        'product.spec.frame': 'Materiaal lijst',
+        'product.spec.plan': 'Materiaal 3D plattegrond',
+        'product.spec.plastic': 'Duurzaam kunststof',
+        'product.spec.glass': 'Materiaal glas',
+        'product.spec.glassValue': 'Echt en verhard',
+        'product.spec.paper': 'Materiaal papier',
+        'product.spec.paperValue': 'Premium textuur',
+        'product.spec.size': 'Afmeting',
+        'product.spec.weight': 'Gewicht'
+      },
+      en: {
+        'wizard.title.1': 'Enter the link to your home',
+        'wizard.title.2': 'Check the address',
+        'wizard.title.3': 'Check the floor plans',
+        'wizard.title.4': 'Design your layout',
+        'wizard.title.5': 'Choose your colour',
+        'wizard.title.6': 'Adjust the labels',
+        'wizard.stepOf': 'Step {step} of {total}',
+        'wizard.next': 'Next →',
+        'wizard.start': 'Start designing →',
+        'wizard.orderOnTrust': 'Order in good faith →',
+        'wizard.order': 'Complete & order ✦',
+        'wizard.help': 'Need help? Contact us',
+        'wizard.overlap': 'Floor plans overlap. Move them so they no longer overlap.',
+        'wizard.notice': 'The preview is an indication - the final result may differ in detail. Our team reviews every order personally and makes sure your Frame³ looks beautiful.',
+
+        'mail.notFilled': '(not provided)',
+        'mail.helpSubject': 'Frame³ — help needed with step {step}',
+        'mail.helpBody': 'Hi,\n\nI am at step {step} of the configurator and need help.\n\n{portal} link: {url}\n\nMy question/problem:\n\n',
+        'mail.orderSubject': 'Frame³ order — help needed',
+        'mail.orderBody': 'Hi,\n\nI would like to order a Frame³ but it does not work on the website.\n\n{portal} link: {url}\n\nCould you help me?\n\nThanks in advance!',
+        'mail.floorSubject': 'Frame³ — floor plan is incorrect',
+        'mail.floorBody': 'Hi,\n\nThe floor plan "{floor}" is incorrect.\n\n{portal} link: {url}\n\nCould you help me?\n\nThanks in advance!',
+        'mail.contact': 'Contact us',
+        'mail.listing': 'Listing',
+
+        'common.or': 'or',
+        'step1.description': 'Paste the link to the house on {portals}. <span style="font-size:12px;color:#888;font-weight:400;">Only works for houses that are still for sale.</span>',
+        'step1.load': 'Load',
+        'step1.noLink': 'No link at hand?',
+        'step1.demo': 'Try a demo house →',
+        'funda.enterUrl': 'Enter a link to the listing.',
+        'funda.notRecognised': '<strong>No listing link recognised</strong><span>We recognise links from {portals}. Check the link or contact us.</span>',
+        'funda.phase.page': 'Fetching {portal} page...',
+        'funda.phase.floors': 'Looking for floor plans...',
+        'funda.phase.process': 'Processing data...',
+        'funda.addressNotFound': 'Address not found',
+        'funda.noAddress': 'No address found',
+        'funda.sold': 'Sold',
+        'funda.rental': '<strong>Rental listing</strong><span>This link is for a house to rent. The configurator only works for houses that are for sale.</span>',
+        'funda.forSale': 'For sale',
+        'funda.noSaleStatus': 'No sale status found',
+        'funda.linkOk': '✓ {portal} link correct',
+        'funda.linkWrong': '✕ {portal} link incorrect',
+        'funda.noInteractive': '✕ no interactive floor plans found',
+        'funda.noInteractiveText': 'There are no interactive floor plans for this house, so the configurator cannot be used for it at the moment. We are working on a solution.',
+        'funda.tryFloorplanner': 'Is the floor plan in Floorplanner? Then paste the project link, or "project" followed by the project number (e.g. project 182537902), above.',
+        'funda.orderWithout': 'You can also <a href="{url}" style="color:#1a73e8;text-decoration:underline;">order without the configurator</a> — we will then build the floor plan by hand for you.',
+        'funda.removed': 'This house has probably been removed from {portal}, so we cannot fetch its floor plans.',
+        'funda.floorsFoundOne': '✓ 1 interactive floor plan found',
+        'funda.floorsFound': '✓ {count} interactive floor plans found',
+        'funda.timeout': '<strong>Timeout</strong><span>Loading took too long. Please try again.</span>',
+        'funda.connection': '<strong>Connection failed</strong><span>Please try again in a moment.</span>',
+        'funda.error': '<strong>Error</strong><span>Please try again in a moment.</span>',
+        'demo.loading': 'Loading demo house...',
+        'offline.noListing': 'No floor plan (FML) found for this house (offline: test links only)',
+        'offline.noProject': 'No floor plan (FML) found for project {id} (offline: test projects only)',
+        'demo.failed': 'Could not load the demo: {error}',
+
+        'file.invalid': 'Please upload a valid FML file.',
+        'file.loaded': '✓ {file} loaded',
+        'file.failed': 'Something went wrong while loading.',
+        'file.noFml': 'No FML data available to download.',
+        'file.fmlDownloaded': '✓ FML downloaded',
+        'export.noFloors': 'No floor plans available to export.',
+        'export.noZip': 'JSZip library not loaded. Check your internet connection.',
+        'export.failed': 'Something went wrong while creating the {format} files.',
+        'export.zipFailed': 'Something went wrong while creating the ZIP file.',
+        'export.floorFailed': 'Something went wrong while exporting {floor}.',
+        'export.noLayout': 'Calculate the layout in step 4 first.',
+        'export.frameFailed': 'Something went wrong while exporting the frame.',
+        'export.done': '✓ {file} exported',
+        'export.doneMany': '✓ {count} {format} files exported',
+        'mesh.noFloors': 'No floor plans available to check.',
+        'mesh.failed': 'Mesh check failed.',
+
+        'step2.houseIcon': 'Choose a house icon.',
+        'step2.address': 'Enter the address to be shown on the frame.',
+        'step2.street': 'Street and number',
+        'step2.city': 'City and country',
+
+        'floors.loading': 'Loading floor plans...',
+        'floors.processing': 'Processing floor plans ({done}/{total})...',
+        'floors.fallbackName': 'Floor {n}',
+
+        'step3.description': 'Review each floor plan and tell us whether it is correct. The preview is an indication — our team checks every order personally.',
+        'step3.counter': 'Floor plan {n} of {total}',
+        'step3.hint': 'Drag to rotate · scroll to zoom',
+        'step3.stacked': 'Show all floors stacked',
+        'step3.explode': 'Spread out',
+        'step3.furniture': 'Show furniture',
+        'step3.roomLabels': 'Show rooms and m²',
+        'step3.roomRelief': 'Room names in the floor',
+        'step3.reliefNone': 'None',
+        'step3.reliefEngrave': 'Engraved',
+        'step3.reliefEmboss': 'Embossed',
+        'step3.wrong': 'Not correct',
+        'step3.good': 'Correct',
+        'step3.exclude': 'Leave out of the design',
+        'step3.issuePlaceholder': 'Briefly describe what is different...',
+        'step3.saveNext': 'Save & continue',
+        'step3.major': 'Completely wrong',
+        'step3.majorText': 'No worries - contact us, or order in good faith. We will then check the floor plan by hand.',
+        'step3.contact': 'Contact',
+        'step3.continue': 'Continue',
+        'step3.back': '← Back',
+        'step3.view3d': '3D model',
+        'step3.view2d': 'Floor plan as on the listing',
+        'step3.planDiff': 'Show differences with the model',
+        'step3.planKeySkipped': 'no floor',
+        'step3.planKeyVoid': 'void / stairwell',
+        'step3.planKeyBalustrade': 'balustrade',
+        'plan.outdoor': 'Outdoor area — no floor in the model',
+        'plan.outside': 'Outside the walls — no floor in the model',
+        'plan.unnamed': 'Unnamed area — no floor in the model',
+        'plan.renamed': 'Renamed area — no floor in the model',
+        'plan.void': 'Void or stairwell — open in the model',
+        'plan.balustrade': 'Balustrade in the model',
+        'step3.pinHint': 'Tip: click the floor plan to point out where it is wrong.',
+        'step3.pinPlaceholder': 'What is wrong here?',
+        'step3.pinRemove': 'Remove point',
+        'step3.editOpen': 'Fix it yourself',
+        'step3.editIntro': 'Click a wall, floor, void or balustrade to select it, or drag a wall corner to the right spot.',
+        'step3.editBalustradeTool': 'Draw balustrade',
+        'step3.editBalustradeHint': 'Click the start and end of the balustrade. It snaps to walls and to the edge of a void.',
+        'step3.editBalustradeSelected': 'Balustrade selected — delete it, or change its height in the list.',
+        'step3.editBalustradeOff': 'This balustrade is switched off — switch it back on in the list.',
+        'step3.editBalustrades': 'Balustrades',
+        'step3.editBalustradeRow': 'Balustrade {n} · {length}',
+        'step3.editBalustradeNew': 'New balustrade · {length}',
+        'step3.editBalustradeOn': 'Balustrade on or off',
+        'step3.editBalustradeHeight': 'Height in cm',
+        'step3.editVoidSelected': 'Void selected — drag a corner to reshape it, or delete it to close the floor.',
+        'step3.editVoidHint': 'Drag a rectangle over the stairwell or void.',
+        'step3.editVoidHintAlign': 'Drag a rectangle over the stairwell, or click inside a dotted void of the floor above or below to copy it.',
+        'step3.editVoidGhost': 'Void on {floor}',
+        'step3.editVoid': 'Draw void',
+        'step3.editWallSelected': 'Wall selected — delete it, or drag one of its ends.',
+        'step3.editShapeSelected': 'Floor area selected — delete it if it doesn\'t belong.',
+        'step3.editDrawHint': 'Click the start and end of the new wall. It snaps to existing walls.',
+        'step3.editDraw': 'Draw wall',
+        'step3.editDelete': 'Delete',
+        'step3.editUndo': 'Undo',
+        'step3.editReset': 'Restore original',
+        'step3.editCancel': 'Cancel',
+        'step3.editDone': 'Done',
+        'step3.editSaved': '✓ Floor plan updated',
+        'step3.editFailed': 'Could not apply the correction: {error}',
+        'step3.diagnostics': 'Note: {list}. The preview may differ here — our team checks this with your order.',
+        'fml.wideOpening': '{count}× a door or window wider than its wall',
+        'fml.selfIntersecting': '{count}× a room whose edges cross',
+        'fml.emptyDesign': 'this floor plan is empty',
+
+        'step4.description': 'Choose which floors you want to include.',
+        'step4.calculate': 'Calculate layout →',
+        'step4.calculating': 'Calculating...',
+        'step4.edit': 'Adjust manually',
+        'step4.reset': 'Reset to calculated positions',
+        'step4.undo': 'Undo (Ctrl+Z)',
+        'step4.redo': 'Redo (Ctrl+Shift+Z)',
+        'step4.info': '<b>Scale</b>: enlarge or shrink all floor plans.<br><br>Per floor plan: alignment (left/centre/right, top/middle/bottom) and 90° rotation.<br><br>Drag individual floor plans to the desired position on the grid.',
+        'step4.scale': 'Scale',
+        'step4.scaleSmall': 'Small',
+        'step4.scaleNormal': 'Normal',
+        'step4.scaleLarge': 'Large',
+        'step4.rotate': 'Rotate 90°',
+        'step4.showGrid': 'Show grid',
+        'step4.view3d': '3D view',
+        'step4.notePlaceholder': 'Note (optional): e.g. \'Please align the front facades\'',
+
+        'step5.description': 'Choose the colour of your floor plans.',
+        'step5.new': '✨ New',
+
+        'step6.description': 'Adjust the floor names shown at the bottom of the frame.',
+        'step6.single': 'One caption',
+        'step6.perFloor': 'Per floor plan',
+        'step6.caption': 'Caption',
+        'step6.comments': 'Comments',
+
+        'order.adding': 'Adding...',
+        'order.productNotFound': 'Product not found.',
+        'order.cartFailed': 'Could not add to cart.',
+
+        'frameCode.invalid': 'Invalid Frame Code',
+        'frameCode.loading': 'Frame Code loaded — fetching floor plans...',
+        'frameCode.applied': 'Frame Code applied!',
+
+        'feedback.placeholder': 'Feedback or report a bug...',
+        'feedback.send': 'Send',
+        'feedback.sending': 'Sending...',
+        'feedback.thanks': 'Thanks for your feedback!',
+
+        'product.title': 'Create your own Mattori Frame³',
+        'product.tax': 'incl. VAT',
+        'product.save': 'Save €30',
+        'product.description': 'As soon as we receive your order, we start carefully turning your 2D Funda floor plan into a 3D model. Every model is built by hand by the Mattori team, with a focus on a realistic result.',
+        'product.new': '✨ New',
+        'product.start': 'Create your own Frame³',
+        'product.shipping': 'Free shipping with PostNL',
+        'product.delivery': 'Ordered today, delivered within 5 working days',
+        'product.handmade': 'Handmade in the Netherlands',
+        'product.specs': 'Specifications',
+        'product.spec.hanging': 'Hanging',
+        'product.spec.hangingValue': 'Integrated hanging system',
+        'product.spec.frame': 'Frame material',
+        'product.spec.plan': '3D floor plan material',
+        'product.spec.plastic': 'Durable plastic',
+        'product.spec.glass': 'Glass',
+        'product.spec.glassValue': 'Real, tempered',
+        'product.spec.paper': 'Paper',
+        'product.spec.paperValue': 'Premium texture',
+        'product.spec.size': 'Dimensions',
+        'product.spec.weight': 'Weight'
+      }
+    };
+
+    // First of the page's locales that `supported` (a catalog keyed by language) has
+    function detectLocale(supported) {
+      var candidates = [
+        window.MATTORI_LOCALE,
+        window.Shopify && window.Shopify.locale,
+        document.documentElement.lang
+      ];
+      for (var i = 0; i < candidates.length; i++) {
+        var code = String(candidates[i] || '').toLowerCase().split(/[-_]/)[0];
+        if (supported[code]) return code;
+      }
+      return 'nl';
+    }
+
+    var uiLocale = detectLocale(UI_MESSAGES);
+
+    function t(key, vars) {
+      var msg = UI_MESSAGES[uiLocale][key];
+      if (msg == null) msg = UI_MESSAGES.nl[key];
+      if (msg == null) return key;
+      return !vars ? msg : msg.replace(/\{(\w+)\}/g, function(m, name) {
+        return vars[name] != null ? vars[name] : m;
+      });
+    }
+
+    // Fill tagged static markup (the HTML ships in Dutch)
+    function applyI18n(root) {
+      root = root || document;
+      root.querySelectorAll('[data-i18n]').forEach(function(el) { el.textContent = t(el.dataset.i18n); });
+      var vars = { portals: formatPortalList(getAvailablePortals()) };
+      root.querySelectorAll('[data-i18n-html]').forEach(function(el) { el.innerHTML = t(el.dataset.i18nHtml, vars); });
+      root.querySelectorAll('[data-i18n-placeholder]').forEach(function(el) { el.placeholder = t(el.dataset.i18nPlaceholder); });
+      root.querySelectorAll('[data-i18n-title]').forEach(function(el) { el.title = t(el.dataset.i18nTitle); });
+    }
+
+    // ============================================================
+    // BACKEND — FML source + uploads, swappable per environment
+    // ============================================================
+    // An adapter implements:
+    //   fetchFml(fundaUrl)       → FML object, or { error } like the Funda proxy
+    //                              (noPlan: true when the listing has no plan, so
+    //                              error may be in any language)
+    //   fetchPortalFml(portal, url) → same, for the other PORTAL_PROVIDERS (optional,
+    //                                 with portals: [ids] it serves)
+    //   fetchProjectFml(projectId)  → same, for a Floorplanner project ID (optional;
+    //                                 only the offline backend has it)
+    // A portal is only offered when its provider is available() on this backend;
+    // the production backend only has /funda-fml.
+    //   uploadPreview(dataUrl)   → public URL of the preview image, or null
+    //   uploadFml(fml)           → public URL of the stored FML, or null
+    //   sendFeedback(payload)    → resolves when sent
+    //
+    // Selection (first match wins):
+    //   ?backend=offline | ?backend=http://localhost:8000   — local testing only
+    //   window.MATTORI_BACKEND = 'https://staging…' | 'offline' | adapter object
+    //   production (Railway)
+    var PRODUCTION_BACKEND_URL = 'https://web-production-89353.up.railway.app';
+
+    // Base URL the configurator script was loaded from (CDN tag) — fml-cache/ lives next to it
+    function getAssetBase() {
+      var scriptEl = document.querySelector('script[src*="mattori-configurator.js"]');
+      return scriptEl ? scriptEl.src.replace(/mattori-configurator\.js.*$/, '') : '';
+    }
+
+    // Cached FML by key (fml-cache/test-<key>.json). Error stubs come back as { error }.
+    async function fetchCachedFml(key) {
+      var resp = await fetchWithTimeout(getAssetBase() + 'fml-cache/test-' + key + '.json', null, 10000);
+      if (!resp.ok) throw new Error('HTTP ' + resp.status);
+      return resp.json();
+    }
+
+    function createHttpBackend(baseUrl) {
+      baseUrl = String(baseUrl).replace(/\/+$/, '');
+      function postJson(path, body, timeoutMs) {
+        return fetchWithTimeout(baseUrl + path, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        }, timeoutMs);
+      }
+      // The proxy answers { error } for listings without a plan; any other failed
+      // response (404, 500, an HTML error page) is a failed request
+      async function readFmlResponse(resp) {
+        if (resp.ok) return resp.json();
+        var body = await resp.json().catch(function() { return null; });
+        if (body && body.error) return body;
+        throw new Error('FML status ' + resp.status);
+      }
+      return {
+        name: baseUrl,
+        fetchFml: async function(url) {
+          var resp = await postJson('/funda-fml', { url: url }, 20000);
+          return readFmlResponse(resp);
+        },
+        uploadPreview: async function(dataUrl) {
+          var resp = await postJson('/upload-preview', { image: dataUrl }, 15000);
+          if (!resp.ok) throw new Error('Upload status ' + resp.status);
+          var result = await resp.json();
+          return result.url || null;
+        },
+        uploadFml: async function(fml) {
+          var resp = await postJson('/upload-fml', { fml: fml }, 15000);
+          if (!resp.ok) return null;
+          var result = await resp.json();
+          return result.url || null;
+        },
+        sendFeedback: async function(payload) {
+          var resp = await postJson('/api/feedback', payload, 15000);
+          return resp.json();
+        }
+      };
+    }
+
+    // Serves the test listings (TEST_LINKS) from fml-cache/ and skips all uploads,
+    // so the whole flow up to the cart works without touching production.
+    function createOfflineBackend() {
+      function normalizeUrl(u) { return String(u || '').split(/[?#]/)[0].replace(/\/+$/, ''); }
+      async function fetchFml(url) {
+        var wanted = normalizeUrl(url);
+        for (var n in TEST_LINKS) {
+          if (normalizeUrl(TEST_LINKS[n]) === wanted) return fetchCachedFml(n);
+        }
+        return { error: t('offline.noListing'), noPlan: true };
+      }
+      return {
+        name: 'offline',
+        fetchFml: fetchFml,
+        // The cached listings are Floorplanner projects too: find the one with this id
+        fetchProjectFml: async function(projectId) {
+          for (var n in TEST_LINKS) {
+            var data = await fetchCachedFml(n).catch(function() { return null; });
+            if (data && String(data.id) === String(projectId)) return data;
+          }
+          return { error: t('offline.noProject', { id: projectId }), noPlan: true };
+        },
+        uploadPreview: async function() { return null; },
+        uploadFml: async function() { return null; },
+        sendFeedback: async function() { return { ok: true }; }
+      };
+    }
+
+    function createBackend(choice) {
+      if (choice && typeof choice === 'object') return choice; // custom adapter (e.g. a mock)
+      if (choice === 'offline') return createOfflineBackend();
+      return createHttpBackend(choice || PRODUCTION_BACKEND_URL);
+    }
+
+    function resolveBackend() {
+      var param = null;
+      try { param = new URLSearchParams(window.location.search).get('backend'); } catch (e) { /* old browser */ }
+      // The query parameter is for local testing — never let a shared link redirect uploads elsewhere
+      if (param && param !== 'offline' && !/^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(param)) {
+        console.warn('[Mattori] ?backend= genegeerd (alleen offline of localhost):', param);
+        param = null;
+      }
+      return createBackend(param || window.MATTORI_BACKEND);
+    }
+
+    var backend = resolveBackend();
+
     function clearError() { errorMsg.textContent = ''; }
     function setError(msg) { errorMsg.textContent = msg; }
     function showLoading() { loadingOverlay.classList.add('active'); }
@@ -425,13 +1035,6 @@
       toastTimer = setTimeout(() => toast.classList.remove('show'), 2200);
     }
 
-    function median(arr) {
-      if (!arr.length) return 0;
-      const sorted = [...arr].sort((a, b) => a - b);
-      const mid = Math.floor(sorted.length / 2);
-      return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-    }
-
     // ============================================================
     // TEXT INPUT SANITIZER — strips emoji and special characters
     // ============================================================
@@ -451,53 +1054,6 @@
     // ============================================================
     // ADDRESS PARSING
     // ============================================================
-    function parseFundaAddress(url) {
-      try {
-        const u = new URL(url);
-        const segments = u.pathname.split('/').filter(Boolean);
-        if (segments.length < 4) return null;
-
-        const city = segments[2];
-        const slug = segments[3];
-
-        const prefixes = [
-          '2-onder-1-kap', 'appartement', 'benedenwoning', 'bovenwoning', 'bungalow',
-          'geschakeld', 'grachtenpand', 'herenhuis', 'hoekwoning', 'huis', 'landhuis',
-          'maisonnette', 'penthouse', 'stacaravan', 'tussenwoning', 'villa',
-          'vrijstaand', 'woonboot', 'woonhuis'
-        ];
-
-        let streetSlug = slug;
-        for (const prefix of prefixes) {
-          if (streetSlug.startsWith(prefix + '-')) {
-            streetSlug = streetSlug.slice(prefix.length + 1);
-            break;
-          }
-        }
-
-        // Rejoin house number + suffix with hyphen (e.g. "275-1" stays "275-1")
-        const parts = streetSlug.split('-');
-        const merged = [];
-        for (let i = 0; i < parts.length; i++) {
-          if (i > 0 && /^\d+$/.test(parts[i - 1]) && /^(\d+[a-z]?|[a-z]{1,2})$/i.test(parts[i]) && parts[i].length <= 3) {
-            merged[merged.length - 1] += '-' + parts[i];
-          } else {
-            merged.push(parts[i]);
-          }
-        }
-        const titleCased = merged.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join(' ')
-          .replace(/-([a-z])/g, (_, c) => '-' + c.toUpperCase());
-        const cityTitle = city.charAt(0).toUpperCase() + city.slice(1);
-
-        return {
-          street: titleCased,
-          city: cityTitle + ', Nederland'
-        };
-      } catch (e) {
-        return null;
-      }
-    }
-
     function parseAddressFromFML(data) {
       for (const floor of data.floors ?? []) {
         for (const design of floor.designs ?? []) {
@@ -519,25 +1075,40 @@
       return null;
     }
 
-    function getFloorLabel(dutchName) {
-      const name = (dutchName || '').toUpperCase().trim();
-      const map = {
-        'BEGANE GROND': '1e verdieping',
-        'EERSTE VERDIEPING': '2e verdieping',
-        'TWEEDE VERDIEPING': '3e verdieping',
-        'DERDE VERDIEPING': '4e verdieping',
-        'VIERDE VERDIEPING': '5e verdieping',
-        'KELDER': 'kelder',
-        'BERGING': 'berging',
-        'SCHUUR': 'berging',
-        'ZOLDER': 'zolder',
-        'GARAGE': 'garage'
-      };
-      if (map[name]) return map[name];
-      for (const [key, val] of Object.entries(map)) {
-        if (name.includes(key)) return val;
-      }
-      return dutchName || 'verdieping';
+    // ============================================================
+    // PORTAL PROVIDERS — see mattori-portals.js
+    // ============================================================
+    // Only the portals this backend can fetch are offered to the customer
+    function getAvailablePortals() {
+      return PORTAL_PROVIDERS.filter(function(p) { return p.available(backend); });
+    }
+
+    function isPortalAvailable(id) {
+      return getAvailablePortals().some(function(p) { return p.id === id; });
+    }
+
+    // "Funda, Pararius of Floorplanner"
+    function formatPortalList(providers) {
+      var labels = providers.map(function(p) { return p.label; });
+      if (labels.length < 2) return labels.join('');
+      return labels.slice(0, -1).join(', ') + ' ' + t('common.or') + ' ' + labels[labels.length - 1];
+    }
+
+    // Name of the site the pasted link is from, for the mails ("Funda link: …")
+    function portalLabelFor(url) {
+      var p = url ? findPortalProvider(url) : null;
+      return p ? p.label : t('mail.listing');
+    }
+
+    // URL address when it has a street, else the one drawn in the plan, else the URL's city
+    function resolveListingAddress(url, data) {
+      var fromUrl = parsePortalAddress(url);
+      if (fromUrl && fromUrl.street) return fromUrl;
+      return (data && parseAddressFromFML(data)) || fromUrl;
+    }
+
+    function formatAddressLine(addr) {
+      return [addr.street, addr.city].filter(Boolean).join(', ');
     }
 
     let currentAddress = { street: '', city: '' };
@@ -565,703 +1136,232 @@
     }
 
     // ============================================================
-    // BOUNDING BOX
-    // ============================================================
-    function computeWallBBox(design) {
-      const pts = [];
-      for (const wall of design.walls ?? []) {
-        pts.push(wall.a, wall.b);
-        if (wall.c && wall.c.x != null && wall.c.y != null) {
-          for (let t = 0.25; t <= 0.75; t += 0.25) {
-            pts.push({
-              x: (1-t)*(1-t)*wall.a.x + 2*(1-t)*t*wall.c.x + t*t*wall.b.x,
-              y: (1-t)*(1-t)*wall.a.y + 2*(1-t)*t*wall.c.y + t*t*wall.b.y
-            });
-          }
-        }
-      }
-      if (!pts.length) return null;
-      return arrayBounds(pts);
-    }
-
-    function arrayBounds(pts) {
-      var mnX = Infinity, mnY = Infinity, mxX = -Infinity, mxY = -Infinity;
-      for (var i = 0; i < pts.length; i++) {
-        var px = pts[i].x, py = pts[i].y;
-        if (px < mnX) mnX = px;
-        if (py < mnY) mnY = py;
-        if (px > mxX) mxX = px;
-        if (py > mxY) mxY = py;
-      }
-      return { minX: mnX, minY: mnY, maxX: mxX, maxY: mxY };
-    }
-
-    function isSurfaceOutsideWalls(surface, wallBBox) {
-      if (!wallBBox) return false;
-      const poly = surface.poly ?? [];
-      if (poly.length < 3) return false;
-      // Check 1: centroid outside wall bounds (small margin)
-      let cx = 0, cy = 0;
-      for (const pt of poly) { cx += (pt.x ?? 0); cy += (pt.y ?? 0); }
-      cx /= poly.length; cy /= poly.length;
-      const MARGIN = 25;
-      if (cx < wallBBox.minX - MARGIN || cx > wallBBox.maxX + MARGIN ||
-          cy < wallBBox.minY - MARGIN || cy > wallBBox.maxY + MARGIN) return true;
-      // Check 2: any vertex extends far beyond walls (catches garden/site boundaries
-      // whose centroid is near the building but whose polygon reaches very far out)
-      var wallW = wallBBox.maxX - wallBBox.minX;
-      var wallH = wallBBox.maxY - wallBBox.minY;
-      var FAR = Math.max(wallW, wallH) * 0.5;
-      for (const pt of poly) {
-        if ((pt.x ?? 0) < wallBBox.minX - FAR || (pt.x ?? 0) > wallBBox.maxX + FAR ||
-            (pt.y ?? 0) < wallBBox.minY - FAR || (pt.y ?? 0) > wallBBox.maxY + FAR) return true;
-      }
-      return false;
-    }
-
-    function computeBoundingBox(design) {
-      const points = [];
-      const wallBBox = computeWallBBox(design);
-      // Include wall thickness: expand each wall endpoint perpendicular by halfThickness.
-      // This matches the 3D geometry (createWallBox) so grid allocation equals visual extent.
-      for (const wall of design.walls ?? []) {
-        var dx = wall.b.x - wall.a.x;
-        var dy = wall.b.y - wall.a.y;
-        var len = Math.sqrt(dx * dx + dy * dy) || 1;
-        var nx = -dy / len;   // perpendicular normal
-        var ny =  dx / len;
-        var ht = (wall.thickness ?? 20) / 2;
-        points.push(
-          { x: wall.a.x + nx * ht, y: wall.a.y + ny * ht },
-          { x: wall.a.x - nx * ht, y: wall.a.y - ny * ht },
-          { x: wall.b.x + nx * ht, y: wall.b.y + ny * ht },
-          { x: wall.b.x - nx * ht, y: wall.b.y - ny * ht }
-        );
-        if (wall.c && wall.c.x != null && wall.c.y != null) {
-          for (let t = 0.25; t <= 0.75; t += 0.25) {
-            var px = (1-t)*(1-t)*wall.a.x + 2*(1-t)*t*wall.c.x + t*t*wall.b.x;
-            var py = (1-t)*(1-t)*wall.a.y + 2*(1-t)*t*wall.c.y + t*t*wall.b.y;
-            // Tangent at t for accurate normal on curves
-            var tx = 2*(1-t)*(wall.c.x - wall.a.x) + 2*t*(wall.b.x - wall.c.x);
-            var ty = 2*(1-t)*(wall.c.y - wall.a.y) + 2*t*(wall.b.y - wall.c.y);
-            var tlen = Math.sqrt(tx*tx + ty*ty) || 1;
-            var cnx = -ty / tlen;
-            var cny =  tx / tlen;
-            points.push(
-              { x: px + cnx * ht, y: py + cny * ht },
-              { x: px - cnx * ht, y: py - cny * ht }
-            );
-          }
-        }
-      }
-      for (const area of design.areas ?? []) {
-        if (isSurfaceOutsideWalls(area, wallBBox)) continue;
-        for (const pt of area.poly ?? []) points.push(pt);
-      }
-      for (const surface of design.surfaces ?? []) {
-        const _sn = ((surface.name ?? '') + ' ' + (surface.customName ?? '')).toLowerCase();
-        const _isOutdoor = ['balkon','terras','loggia','patio','veranda'].some(k => _sn.includes(k));
-        if (!_isOutdoor && isSurfaceOutsideWalls(surface, wallBBox)) continue;
-        const tessellated = tessellateSurfacePoly(surface.poly ?? []);
-        for (const pt of tessellated) points.push(pt);
-      }
-      for (const bal of design.balustrades ?? []) {
-        points.push({ x: bal.a.x, y: bal.a.y }, { x: bal.b.x, y: bal.b.y });
-        if (bal.c && bal.c.x != null && bal.c.y != null) {
-          for (let t = 0.25; t <= 0.75; t += 0.25) {
-            var bpx = (1-t)*(1-t)*bal.a.x + 2*(1-t)*t*bal.c.x + t*t*bal.b.x;
-            var bpy = (1-t)*(1-t)*bal.a.y + 2*(1-t)*t*bal.c.y + t*t*bal.b.y;
-            points.push({ x: bpx, y: bpy });
-          }
-        }
-      }
-      if (!points.length) return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
-      // No extra padding needed: wall halfThickness (≥5) already exceeds
-      // FLOOR_EXPAND (4), so the wall-thickness-expanded points define the
-      // true visual extent. Avoiding extra padding prevents alignment gaps.
-      return arrayBounds(points);
-    }
-
-    // ============================================================
-    // BALUSTRADE AUTO-DETECTION
+    // GEOMETRY WORKER — floor entries and meshes off the UI thread
     // ============================================================
-    function detectBalustrades(design) {
-      const balustrades = [];
-      for (const item of design.items ?? []) {
-        const w = item.width ?? 0;
-        const h = item.height ?? 0;
-        const zHeight = item.z_height ?? 0;
-        const isElongated = Math.max(w, h) / Math.max(1, Math.min(w, h)) > 2.5 && Math.min(w, h) < 20;
-        const isRailingHeight = zHeight > 50 && zHeight < 130;
-        if (isElongated && isRailingHeight) {
-          const cx = item.x ?? 0;
-          const cy = item.y ?? 0;
-          const baseAngle = (item.rotation ?? 0) * Math.PI / 180;
-          const angle = h > w ? baseAngle + Math.PI / 2 : baseAngle;
-          const halfLen = Math.max(w, h) / 2;
-          const dx = Math.cos(angle) * halfLen;
-          const dy = Math.sin(angle) * halfLen;
-          balustrades.push({
-            a: { x: cx - dx, y: cy - dy },
-            b: { x: cx + dx, y: cy + dy },
-            thickness: Math.min(w, h),
-            height: zHeight
-          });
-        }
-      }
-      return balustrades;
-    }
-
-    // ============================================================
-    // WALL POLYGON UNION (Funda-style rendering)
-    // ============================================================
-    // Each wall → 2D rectangle. Boolean-union all rectangles into
-    // one merged outline using polygon-clipping library. Extrude to 3D.
-
-    function wallToRect(w, extA, extB) {
-      const ax = w.a.x, ay = w.a.y, bx = w.b.x, by = w.b.y;
-      const dx = bx - ax, dy = by - ay;
-      const len = Math.hypot(dx, dy);
-      if (len < 0.1) return null;
-      const ux = dx / len, uy = dy / len;
-      const nx = -uy, ny = ux;
-      const ht = (w.thickness ?? 20) / 2;
-      const eax = ax - ux * extA, eay = ay - uy * extA;
-      const ebx = bx + ux * extB, eby = by + uy * extB;
-      return [
-        [eax + nx * ht, eay + ny * ht],
-        [ebx + nx * ht, eby + ny * ht],
-        [ebx - nx * ht, eby - ny * ht],
-        [eax - nx * ht, eay - ny * ht],
-        [eax + nx * ht, eay + ny * ht]
-      ];
-    }
-
-    function computeWallUnion(walls, allWalls) {
-      const TOLERANCE = 3;
-
-      function isDiagWall(w) {
-        const dx = w.b.x - w.a.x, dy = w.b.y - w.a.y;
-        const len = Math.hypot(dx, dy);
-        if (len < 0.1) return false;
-        return Math.min(Math.abs(dx / len), Math.abs(dy / len)) > 0.15;
-      }
-
-      // Step 1: Build junction map from ALL walls
-      const junctions = new Map();
-      for (const w of allWalls) {
-        if (Math.hypot(w.b.x - w.a.x, w.b.y - w.a.y) < 0.1) continue;
-        for (const ep of ['a', 'b']) {
-          const px = w[ep].x, py = w[ep].y;
-          let found = false;
-          for (const [key, members] of junctions) {
-            const [kx, ky] = key.split(',').map(Number);
-            if (Math.hypot(px - kx, py - ky) < TOLERANCE) {
-              members.push({ wall: w, endpoint: ep });
-              found = true;
-              break;
-            }
-          }
-          if (!found) {
-            junctions.set(`${px},${py}`, [{ wall: w, endpoint: ep }]);
-          }
-        }
-      }
-
-      // Step 2: For each wall, compute extension per endpoint.
-      // Straight walls at L-junctions with other STRAIGHT walls → extend.
-      // Skip extension if the other wall is diagonal.
-      const rects = [];
-      for (let i = 0; i < walls.length; i++) {
-        const w = walls[i];
-        const wdx = w.b.x - w.a.x, wdy = w.b.y - w.a.y;
-        const wlen = Math.hypot(wdx, wdy);
-        if (wlen < 0.1) continue;
-        const wIsDiag = isDiagWall(w);
-
-        let extA = 0, extB = 0;
-
-        if (!wIsDiag) {
-          for (const other of allWalls) {
-            if (other === w) continue;
-            if (isDiagWall(other)) continue; // skip diagonal others
-
-            const otherHt = (other.thickness ?? 20) / 2;
-            const aShares =
-              Math.hypot(w.a.x - other.a.x, w.a.y - other.a.y) < TOLERANCE ||
-              Math.hypot(w.a.x - other.b.x, w.a.y - other.b.y) < TOLERANCE;
-            if (aShares) extA = Math.max(extA, otherHt);
-
-            const bShares =
-              Math.hypot(w.b.x - other.a.x, w.b.y - other.a.y) < TOLERANCE ||
-              Math.hypot(w.b.x - other.b.x, w.b.y - other.b.y) < TOLERANCE;
-            if (bShares) extB = Math.max(extB, otherHt);
-          }
-        }
-
-        const r = wallToRect(w, extA, extB);
-        if (r) rects.push([r]);
-      }
-
-      // Step 3: Add fill polygons ONLY at junctions involving a diagonal wall.
-      // These fill the gap between straight and diagonal wall rectangles.
-      for (const [key, members] of junctions) {
-        if (members.length < 2) continue;
-        const hasDiagonal = members.some(m => isDiagWall(m.wall));
-        if (!hasDiagonal) continue; // straight-only junctions handled by extension
-
-        const edgePoints = [];
-        for (const m of members) {
-          const w = m.wall;
-          const dx = w.b.x - w.a.x, dy = w.b.y - w.a.y;
-          const len = Math.hypot(dx, dy);
-          if (len < 0.1) continue;
-          const nx = -dy / len, ny = dx / len;
-          const ht = (w.thickness ?? 20) / 2;
-          const px = w[m.endpoint].x, py = w[m.endpoint].y;
-          edgePoints.push({ x: px + nx * ht, y: py + ny * ht });
-          edgePoints.push({ x: px - nx * ht, y: py - ny * ht });
-        }
-        if (edgePoints.length < 3) continue;
-
-        const jx = Number(key.split(',')[0]), jy = Number(key.split(',')[1]);
-        edgePoints.sort((a, b) =>
-          Math.atan2(a.y - jy, a.x - jx) - Math.atan2(b.y - jy, b.x - jx)
-        );
-
-        const fillRing = edgePoints.map(p => [p.x, p.y]);
-        fillRing.push([edgePoints[0].x, edgePoints[0].y]);
-        rects.push([fillRing]);
-      }
-
-      if (rects.length === 0) return [];
+    // The worker is mattori-geometry-worker.js, next to this file on the CDN
+    // (window.MATTORI_GEOMETRY_WORKER overrides the URL). Workers must be
+    // same-origin, so a Blob bootstrap imports it. One job at a time: starting a
+    // job terminates the running one, so superseded loads stop using the CPU.
+    // Without Worker support everything runs synchronously, as before.
+    var GEOMETRY_WORKER_URL = window.MATTORI_GEOMETRY_WORKER ||
+      (document.currentScript && document.currentScript.src ? new URL('mattori-geometry-worker.js', document.currentScript.src).href : null);
+    var geometryWorker = null;
+    var geometryWorkerBlobUrl = null;
+    var geometryWorkerFailed = false;
+    var geometryJob = null; // { id, type, resolve, reject, onProgress, runSync }
+    var _geometryJobId = 0;
+
+    function getGeometryWorker() {
+      if (geometryWorker) return geometryWorker;
+      if (geometryWorkerFailed || !GEOMETRY_WORKER_URL || typeof Worker === 'undefined' || typeof Blob === 'undefined') return null;
       try {
-        return polygonClipping.union(...rects);
-      } catch (e) {
-        console.warn('Wall union failed, falling back to individual rects', e);
-        return rects;
-      }
-    }
-
-    // ============================================================
-    // BALUSTRADE ENDPOINT EXTENSION
-    // ============================================================
-    function extendBalustrades(balustrades) {
-      const TOL = 15;
-      return balustrades.map((bal, idx) => {
-        const ax = bal.a.x, ay = bal.a.y;
-        const bx = bal.b.x, by = bal.b.y;
-        const dx = bx - ax, dy = by - ay;
-        const len = Math.hypot(dx, dy);
-        if (len < 0.1) return { ...bal };
-        const ux = dx / len, uy = dy / len;
-        // Only extend at endpoints connected to another balustrade, by half the OTHER's thickness
-        let extA = 0, extB = 0;
-        for (let i = 0; i < balustrades.length; i++) {
-          if (i === idx) continue;
-          const o = balustrades[i];
-          const oHt = (o.thickness ?? 10) / 2;
-          if (Math.hypot(ax - o.a.x, ay - o.a.y) < TOL || Math.hypot(ax - o.b.x, ay - o.b.y) < TOL) extA = Math.max(extA, oHt);
-          if (Math.hypot(bx - o.a.x, by - o.a.y) < TOL || Math.hypot(bx - o.b.x, by - o.b.y) < TOL) extB = Math.max(extB, oHt);
-        }
-        return {
-          a: { x: ax - ux * extA, y: ay - uy * extA },
-          b: { x: bx + ux * extB, y: by + uy * extB },
-          thickness: bal.thickness ?? 10,
-          height: bal.height ?? 100
+        if (!geometryWorkerBlobUrl) {
+          var url = JSON.stringify(GEOMETRY_WORKER_URL);
+          var source = 'self.MATTORI_WORKER_URL = ' + url + ';\nimportScripts(' + url + ');';
+          geometryWorkerBlobUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        }
+        var worker = new Worker(geometryWorkerBlobUrl);
+        worker.onmessage = onGeometryWorkerMessage;
+        // Script import failed (offline CDN, file://): finish the job on the main thread
+        worker.onerror = function(e) {
+          e.preventDefault();
+          console.warn('[Mattori] Geometry worker failed, using main thread:', e.message);
+          geometryWorkerFailed = true;
+          worker.terminate();
+          if (geometryWorker === worker) geometryWorker = null;
+          var job = geometryJob;
+          geometryJob = null;
+          if (job) {
+            try { job.resolve(job.runSync()); } catch (err) { job.reject(err); }
+          }
         };
-      });
-    }
-
-    // ============================================================
-    // BALUSTRADE CHAIN BUILDING
-    // ============================================================
-    function buildBalustradeChains(balustrades) {
-      if (balustrades.length === 0) return [];
-      const TOLERANCE = 15;
-      const used = new Array(balustrades.length).fill(false);
-      const chains = [];
-
-      function findNeighbor(px, py, excludeIdx) {
-        for (let i = 0; i < balustrades.length; i++) {
-          if (i === excludeIdx || used[i]) continue;
-          const b = balustrades[i];
-          if (Math.hypot(b.a.x - px, b.a.y - py) < TOLERANCE) return { idx: i, end: 'a' };
-          if (Math.hypot(b.b.x - px, b.b.y - py) < TOLERANCE) return { idx: i, end: 'b' };
-        }
+        geometryWorker = worker;
+      } catch (e) {
+        console.warn('[Mattori] Geometry worker unavailable:', e.message);
+        geometryWorkerFailed = true;
         return null;
       }
+      return geometryWorker;
+    }
 
-      for (let start = 0; start < balustrades.length; start++) {
-        if (used[start]) continue;
-        used[start] = true;
-        const chain = [{ bal: balustrades[start], flipped: false }];
-
-        let tip = balustrades[start].b;
-        let lastIdx = start;
-        while (true) {
-          const nb = findNeighbor(tip.x, tip.y, lastIdx);
-          if (!nb) break;
-          used[nb.idx] = true;
-          const bal = balustrades[nb.idx];
-          const flipped = nb.end === 'b';
-          chain.push({ bal, flipped });
-          tip = flipped ? bal.a : bal.b;
-          lastIdx = nb.idx;
-        }
-
-        tip = balustrades[start].a;
-        lastIdx = start;
-        while (true) {
-          const nb = findNeighbor(tip.x, tip.y, lastIdx);
-          if (!nb) break;
-          used[nb.idx] = true;
-          const bal = balustrades[nb.idx];
-          const flipped = nb.end === 'a';
-          chain.unshift({ bal, flipped });
-          tip = flipped ? bal.b : bal.a;
-          lastIdx = nb.idx;
-        }
-
-        chains.push(chain);
+    // Resolves to the worker result ({ built, meshes }), runSync()'s result when
+    // there is no worker, or null when a newer job (or cancelGeometryJob) superseded it.
+    function runGeometryJob(msg, onProgress, runSync) {
+      cancelGeometryJob();
+      var worker = getGeometryWorker();
+      if (!worker) {
+        try { return Promise.resolve(runSync()); } catch (err) { return Promise.reject(err); }
       }
-
-      return chains;
+      msg.id = ++_geometryJobId;
+      msg.options = { uniformWallHeight: geometryOptions.uniformWallHeight, roomLabelRelief: geometryOptions.roomLabelRelief };
+      return new Promise(function(resolve, reject) {
+        geometryJob = { id: msg.id, type: msg.type, resolve: resolve, reject: reject, onProgress: onProgress, runSync: runSync };
+        worker.postMessage(msg);
+      });
     }
 
-    function getChainEdges(chain) {
-      const leftEdge = [];
-      const rightEdge = [];
-
-      for (let i = 0; i < chain.length; i++) {
-        const entry = chain[i];
-        const b = entry.bal;
-        const a_pt = entry.flipped ? b.b : b.a;
-        const b_pt = entry.flipped ? b.a : b.b;
-        const dx = b_pt.x - a_pt.x, dy = b_pt.y - a_pt.y;
-        const len = Math.hypot(dx, dy);
-        if (len < 0.1) continue;
-        const nx = -dy / len, ny = dx / len;
-        const ht = (b.thickness ?? 10) / 2;
-
-        if (i === 0) {
-          leftEdge.push({ x: a_pt.x + nx * ht, y: a_pt.y + ny * ht });
-          rightEdge.push({ x: a_pt.x - nx * ht, y: a_pt.y - ny * ht });
-        }
-        leftEdge.push({ x: b_pt.x + nx * ht, y: b_pt.y + ny * ht });
-        rightEdge.push({ x: b_pt.x - nx * ht, y: b_pt.y - ny * ht });
-      }
-
-      return { leftEdge, rightEdge };
-    }
-
-    function mergeBalustradeStrips(balustrades) {
-      const chains = buildBalustradeChains(balustrades);
-      const strips = [];
-
-      for (const chain of chains) {
-        if (chain.length < 2) {
-          const b = chain[0].bal;
-          const dx = b.b.x - b.a.x, dy = b.b.y - b.a.y;
-          const len = Math.hypot(dx, dy);
-          if (len < 0.1) continue;
-          const nx = -dy / len, ny = dx / len;
-          const ht = (b.thickness ?? 10) / 2;
-          strips.push([
-            { x: b.a.x + nx * ht, y: b.a.y + ny * ht },
-            { x: b.b.x + nx * ht, y: b.b.y + ny * ht },
-            { x: b.b.x - nx * ht, y: b.b.y - ny * ht },
-            { x: b.a.x - nx * ht, y: b.a.y - ny * ht }
-          ]);
-          continue;
-        }
-
-        const { leftEdge, rightEdge } = getChainEdges(chain);
-        const poly = [...leftEdge, ...rightEdge.reverse()];
-        if (poly.length >= 3) strips.push(poly);
+    // Stops the running job; its promise resolves to null
+    function cancelGeometryJob() {
+      if (!geometryJob) return;
+      var job = geometryJob;
+      geometryJob = null;
+      if (geometryWorker) {
+        geometryWorker.terminate();
+        geometryWorker = null;
       }
-
-      return strips;
+      job.resolve(null);
     }
 
-    function buildBalustradeFillPolygons(balustrades) {
-      const chains = buildBalustradeChains(balustrades);
-      const fills = [];
-
-      for (const chain of chains) {
-        if (chain.length < 3) continue;
-
-        const { leftEdge, rightEdge } = getChainEdges(chain);
-
-        function bboxArea(pts) {
-          let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
-          for (const p of pts) {
-            minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
-            minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
-          }
-          return (maxX - minX) * (maxY - minY);
-        }
-
-        const outerEdge = bboxArea(leftEdge) >= bboxArea(rightEdge) ? leftEdge : rightEdge;
-        const innerEdge = outerEdge === leftEdge ? rightEdge : leftEdge;
-
-        if (outerEdge.length >= 3) {
-          fills.push([...outerEdge]);
-        }
-
-        if (innerEdge.length >= 3) {
-          fills.push([...innerEdge]);
-        }
+    function onGeometryWorkerMessage(e) {
+      var msg = e.data;
+      var job = geometryJob;
+      if (!job || msg.id !== job.id) return;
+      if (msg.type === 'progress') {
+        if (job.onProgress) job.onProgress(msg.done, msg.total);
+        return;
       }
-
-      return fills;
+      geometryJob = null;
+      if (msg.type === 'done') job.resolve(msg);
+      else job.reject(new Error(msg.message));
     }
 
     // ============================================================
-    // ARC WALL TESSELLATION
+    // GEOMETRY CACHE — processed geometry per floor
     // ============================================================
-    function tessellateArcWall(wall, numSeg) {
-      const ax = wall.a.x, ay = wall.a.y;
-      const bx = wall.b.x, by = wall.b.y;
-      const cx = wall.c.x, cy = wall.c.y;
-      const hA = wall.az?.h ?? wall.bz?.h ?? 265;
-      const hB = wall.bz?.h ?? wall.az?.h ?? 265;
-      const segments = [];
-      for (let i = 0; i < numSeg; i++) {
-        const t0 = i / numSeg;
-        const t1 = (i + 1) / numSeg;
-        const x0 = (1 - t0) * (1 - t0) * ax + 2 * (1 - t0) * t0 * cx + t0 * t0 * bx;
-        const y0 = (1 - t0) * (1 - t0) * ay + 2 * (1 - t0) * t0 * cy + t0 * t0 * by;
-        const x1 = (1 - t1) * (1 - t1) * ax + 2 * (1 - t1) * t1 * cx + t1 * t1 * bx;
-        const y1 = (1 - t1) * (1 - t1) * ay + 2 * (1 - t1) * t1 * cy + t1 * t1 * by;
-        segments.push({
-          a: { x: x0, y: y0 },
-          b: { x: x1, y: y1 },
-          thickness: wall.thickness ?? 20,
-          openings: [],
-          _arcSeg: true,
-          _heightA: hA + (hB - hA) * t0,
-          _heightB: hA + (hB - hA) * t1
-        });
-      }
-      return segments;
+    // One entry per floor index: the mesh plus the settings key it was built for,
+    // its centred positions for the viewers, and the 2D outline (overlap checks).
+    // Only settings that change the model itself are in the key; colours,
+    // alignment, rotation, gap and scale are applied on top and never rebuild it.
+    // Floor entries carry no geometry of their own: worker results come in through
+    // setFloorMesh too. Cleared when a new set of floors is loaded.
+    var floorGeometryCache = new Map(); // floorIndex → { meshKey, mesh, centered, outline }
+
+    function floorMeshKey(floor) {
+      return [geometryOptions.uniformWallHeight, geometryOptions.roomLabelRelief, !!floor.furniture].join('|');
     }
 
-    function flattenWalls(walls) {
-      const ARC_SEGMENTS = 16;
-      const result = [];
-      for (const wall of walls) {
-        if (wall.c && wall.c.x != null && wall.c.y != null) {
-          result.push(...tessellateArcWall(wall, ARC_SEGMENTS));
-        } else {
-          result.push({
-            ...wall,
-            _heightA: wall.az?.h ?? wall.bz?.h ?? 265,
-            _heightB: wall.bz?.h ?? wall.az?.h ?? 265
-          });
-        }
+    function getFloorGeometry(floorIndex) {
+      var entry = floorGeometryCache.get(floorIndex);
+      if (!entry) {
+        entry = { meshKey: null, mesh: null, centered: null, outline: null };
+        floorGeometryCache.set(floorIndex, entry);
       }
-      return result;
+      return entry;
     }
 
-    function tessellateArcBalustrade(bal, numSeg) {
-      const ax = bal.a.x, ay = bal.a.y;
-      const bx = bal.b.x, by = bal.b.y;
-      const cx = bal.c.x, cy = bal.c.y;
-      const segments = [];
-      for (let i = 0; i < numSeg; i++) {
-        const t0 = i / numSeg;
-        const t1 = (i + 1) / numSeg;
-        const x0 = (1 - t0) * (1 - t0) * ax + 2 * (1 - t0) * t0 * cx + t0 * t0 * bx;
-        const y0 = (1 - t0) * (1 - t0) * ay + 2 * (1 - t0) * t0 * cy + t0 * t0 * by;
-        const x1 = (1 - t1) * (1 - t1) * ax + 2 * (1 - t1) * t1 * cx + t1 * t1 * bx;
-        const y1 = (1 - t1) * (1 - t1) * ay + 2 * (1 - t1) * t1 * cy + t1 * t1 * by;
-        segments.push({
-          a: { x: x0, y: y0 },
-          b: { x: x1, y: y1 },
-          thickness: bal.thickness ?? 10,
-          height: bal.height ?? 100
-        });
-      }
-      return segments;
+    function setFloorMesh(floorIndex, mesh, key) {
+      var entry = getFloorGeometry(floorIndex);
+      entry.mesh = mesh;
+      entry.meshKey = key;
+      entry.centered = null;
     }
 
-    function flattenBalustrades(balustrades) {
-      const ARC_SEGMENTS = 16;
-      const result = [];
-      for (const bal of balustrades) {
-        if (bal.c && bal.c.x != null && bal.c.y != null) {
-          result.push(...tessellateArcBalustrade(bal, ARC_SEGMENTS));
-        } else {
-          result.push(bal);
-        }
-      }
-      return result;
+    function isFloorMeshCurrent(floorIndex) {
+      return getFloorGeometry(floorIndex).meshKey === floorMeshKey(floors[floorIndex]);
     }
 
-    // ============================================================
-    // SURFACE POLYGON CURVE TESSELLATION
-    // ============================================================
-    function tessellateSurfacePoly(poly) {
-      if (!poly || poly.length < 3) return poly;
-      const ARC_SEGMENTS = 24;
-      const result = [];
-      for (let i = 0; i < poly.length; i++) {
-        const curr = poly[i];
-        const prev = poly[(i - 1 + poly.length) % poly.length];
-        if (curr.cx != null && curr.cy != null) {
-          const ax = prev.x, ay = prev.y;
-          const bx = curr.x, by = curr.y;
-          const cx = curr.cx, cy = curr.cy;
-          for (let s = 1; s <= ARC_SEGMENTS; s++) {
-            const t = s / ARC_SEGMENTS;
-            const px = (1-t)*(1-t)*ax + 2*(1-t)*t*cx + t*t*bx;
-            const py = (1-t)*(1-t)*ay + 2*(1-t)*t*cy + t*t*by;
-            result.push({ x: px, y: py, z: curr.z ?? 0 });
-          }
-        } else {
-          result.push({ x: curr.x, y: curr.y, z: curr.z ?? 0 });
-        }
+    // Mesh for the current settings (built on the main thread on a cache miss)
+    function getFloorMesh(floorIndex) {
+      if (!isFloorMeshCurrent(floorIndex)) {
+        setFloorMesh(floorIndex, generateFloorMesh(floors[floorIndex]), floorMeshKey(floors[floorIndex]));
       }
-      return result;
+      return getFloorGeometry(floorIndex).mesh;
     }
 
-    // ============================================================
-    // STAIR VOID DETECTION
-    // ============================================================
-    function enhanceVoidWithCurvedWalls(voidPoly, curvedWalls) {
-      if (curvedWalls.length === 0) return voidPoly;
-      var MATCH_TOL = 30;
-      var ARC_SEGMENTS = 24;
-      var result = [];
-      for (var i = 0; i < voidPoly.length; i++) {
-        var j = (i + 1) % voidPoly.length;
-        var edgeA = voidPoly[i];
-        var edgeB = voidPoly[j];
-        result.push({ x: edgeA.x, y: edgeA.y });
-        var edgeLen = Math.hypot(edgeB.x - edgeA.x, edgeB.y - edgeA.y);
-        if (edgeLen < 50) continue;
-        for (var wi = 0; wi < curvedWalls.length; wi++) {
-          var wall = curvedWalls[wi];
-          var wa = wall.a, wb = wall.b, wc = wall.c;
-          var dAa = Math.hypot(edgeA.x - wa.x, edgeA.y - wa.y);
-          var dAb = Math.hypot(edgeA.x - wb.x, edgeA.y - wb.y);
-          var dBa = Math.hypot(edgeB.x - wa.x, edgeB.y - wa.y);
-          var dBb = Math.hypot(edgeB.x - wb.x, edgeB.y - wb.y);
-          if ((dAa < MATCH_TOL && dBb < MATCH_TOL) || (dAb < MATCH_TOL && dBa < MATCH_TOL)) {
-            for (var s = 1; s < ARC_SEGMENTS; s++) {
-              var t = s / ARC_SEGMENTS;
-              var px = (1-t)*(1-t)*edgeA.x + 2*(1-t)*t*wc.x + t*t*edgeB.x;
-              var py = (1-t)*(1-t)*edgeA.y + 2*(1-t)*t*wc.y + t*t*edgeB.y;
-              result.push({ x: px, y: py });
-            }
-            break;
-          }
-        }
+    // Regenerates stale meshes (relief, uniform height, furniture changed) in the
+    // worker. Resolves to false when superseded by a newer job. A running floor
+    // load is left alone; anything it misses is regenerated on first render.
+    function refreshFloorMeshes() {
+      if (geometryJob && geometryJob.type === 'build') return Promise.resolve(true);
+      var stale = [];
+      for (var i = 0; i < floors.length; i++) {
+        if (!isFloorMeshCurrent(i)) stale.push(i);
       }
-      return result;
+      if (!stale.length) return Promise.resolve(true);
+      var keys = stale.map(function(i) { return floorMeshKey(floors[i]); });
+      var list = stale.map(function(i) {
+        var f = floors[i];
+        return { design: f.design, bbox: f.bbox, voids: f.voids, name: f.name, furniture: !!f.furniture };
+      });
+      var forFloors = floors;
+      return runGeometryJob({ type: 'meshes', floors: list }, null, function() {
+        return { meshes: null }; // no worker: getFloorMesh() regenerates during render
+      }).then(function(result) {
+        if (!result) return false;
+        if (result.meshes && forFloors === floors) {
+          stale.forEach(function(fi, i) { setFloorMesh(fi, result.meshes[i], keys[i]); });
+        }
+        return true;
+      });
     }
 
-    function detectStairVoids(allFloorDesigns) {
-      const voidsByFloor = allFloorDesigns.map(() => []);
-
-      for (let fi = 0; fi < allFloorDesigns.length; fi++) {
-        const design = allFloorDesigns[fi];
-        const curvedWalls = (design.walls ?? []).filter(w => w.c && w.c.x != null && w.c.y != null);
-
-        // Only use explicit isCutout surfaces and role=14 (stair void markers)
-        for (const surface of design.surfaces ?? []) {
-          if ((surface.role ?? -1) !== 14 && !surface.isCutout) continue;
-          const poly = tessellateSurfacePoly(surface.poly ?? []);
-          if (poly.length >= 3) {
-            // Skip voids that are too small to be real stair openings / trap doors
-            const vxs = poly.map(p => p.x), vys = poly.map(p => p.y);
-            const vw = Math.max(...vxs) - Math.min(...vxs);
-            const vh = Math.max(...vys) - Math.min(...vys);
-            if (Math.min(vw, vh) < 40) continue;
-            var voidPoly = poly.map(p => ({ x: p.x, y: p.y }));
-            voidPoly = enhanceVoidWithCurvedWalls(voidPoly, curvedWalls);
-            voidsByFloor[fi].push(voidPoly);
-          }
+    // Mesh positions shifted so the bbox centre is the origin, with size and the
+    // applied offset. Shared (read-only) by every scene built for this floor.
+    function getCenteredFloorMesh(floorIndex) {
+      var mesh = getFloorMesh(floorIndex);
+      var entry = getFloorGeometry(floorIndex);
+      if (!entry.centered) {
+        var box = new THREE.Box3().setFromArray(mesh.positions);
+        var center = new THREE.Vector3();
+        box.getCenter(center);
+        var positions = new Float32Array(mesh.positions.length);
+        for (var i = 0; i < positions.length; i += 3) {
+          positions[i] = mesh.positions[i] - center.x;
+          positions[i + 1] = mesh.positions[i + 1] - center.y;
+          positions[i + 2] = mesh.positions[i + 2] - center.z;
         }
+        entry.centered = { positions: positions, size: box.getSize(new THREE.Vector3()), offset: center.negate() };
       }
-      return voidsByFloor;
+      return entry.centered;
     }
 
-    function pointInPolygon(px, py, poly) {
-      let inside = false;
-      for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
-        const xi = poly[i].x, yi = poly[i].y;
-        const xj = poly[j].x, yj = poly[j].y;
-        if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
-          inside = !inside;
-        }
-      }
-      return inside;
+    function clearFloorGeometryCache() {
+      floorGeometryCache = new Map();
     }
 
-    function polygonOverlapsVoid(poly, voids) {
-      if (!voids || voids.length === 0) return false;
-      let cx = 0, cy = 0;
-      for (const p of poly) { cx += p.x; cy += p.y; }
-      cx /= poly.length; cy /= poly.length;
-      for (const v of voids) {
-        if (pointInPolygon(cx, cy, v)) return true;
-      }
-      return false;
+    function setFloorsProgress(done, total) {
+      var text = floorsLoading && floorsLoading.querySelector('.floors-loading-text');
+      if (!text) return;
+      text.textContent = total ? t('floors.processing', { done: Math.min(done + 1, total), total: total }) : t('floors.loading');
     }
 
     // ============================================================
     // FLOOR PROCESSING
     // ============================================================
-    function processFloors(data) {
-      floors = [];
-      canvases = [];
-      maxWorldW = 1;
-      maxWorldH = 1;
-
-      const validFloors = (data.floors ?? []).filter(f => f?.designs?.[0]);
-
-      const allDesigns = validFloors.map(f => f.designs[0]);
-      const voidsByFloor = detectStairVoids(allDesigns);
-
-      const widths = [], heights = [];
-
-      for (const floor of validFloors) {
-        const bbox = computeBoundingBox(floor.designs[0]);
-        widths.push(Math.max(1, bbox.maxX - bbox.minX));
-        heights.push(Math.max(1, bbox.maxY - bbox.minY));
+    // Diagnostics of the last loaded FML (see validateFml), one entry per FML floor
+    var fmlDiagnostics = [];
+
+    // Async: floors are built in the geometry worker. Resolves to false when a
+    // newer job superseded this one (floors are then left untouched).
+    // The plan corrections (fmlPatch) are applied and the result is validated
+    // there too (buildPatchedFloorEntries). Throws when unusable.
+    async function buildFloors(data, onProgress) {
+      var patch = fmlPatch;
+      var meshKey = floorMeshKey({ furniture: false });
+      const result = await runGeometryJob({ type: 'build', data: data, patch: patch }, onProgress, function() {
+        return { built: buildPatchedFloorEntries(data, patch), meshes: null };
+      });
+      if (!result) return false;
+      const built = result.built;
+      floors = built.floors;
+      clearFloorGeometryCache();
+      if (result.meshes) {
+        result.meshes.forEach(function(mesh, i) { setFloorMesh(i, mesh, meshKey); });
       }
+      canvases = [];
+      maxWorldW = built.maxWorldW;
+      maxWorldH = built.maxWorldH;
+      fmlDiagnostics = built.diagnostics;
+      return true;
+    }
 
-      const medW = median(widths);
-      const medH = median(heights);
-
-      for (let i = 0; i < validFloors.length; i++) {
-        const floor = validFloors[i];
-        const design = floor.designs[0];
-
-        if (!design.balustrades) {
-          design.balustrades = detectBalustrades(design);
-        }
-        design.balustrades = flattenBalustrades(design.balustrades);
-
-        const bbox = computeBoundingBox(design);
-        const worldW = Math.max(1, bbox.maxX - bbox.minX);
-        const worldH = Math.max(1, bbox.maxY - bbox.minY);
-        const name = (floor.name || "").toLowerCase();
-
-        if (!name.includes("situatie") && !name.includes("site")
-            && worldW <= medW * 2.2 && worldH <= medH * 2.2) {
-          maxWorldW = Math.max(maxWorldW, worldW);
-          maxWorldH = Math.max(maxWorldH, worldH);
-        }
-
-        floors.push({
-          design, bbox, worldW, worldH,
-          name: floor.name || `Verdieping ${i + 1}`,
-          voids: voidsByFloor[i] || []
-        });
-      }
+    // A newly loaded house: build its floors and reset everything per floor.
+    // Resolves to false when a newer load superseded this one.
+    async function processFloors(data) {
+      const current = await buildFloors(data, setFloorsProgress);
+      setFloorsProgress(0, 0);
+      if (!current) return false;
+      clearLayoutHistory(); // undo steps belong to the previous house
 
       // Auto-detect excluded floors
       excludedFloors = new Set();
@@ -1278,20 +1378,9 @@
       if (adminFrameToggle) adminFrameToggle.style.display = '';
       // Layout controls moved to step 4 per-floor cards
 
-      // Admin: floor dimensions overview
-      var dimsEl = document.getElementById('adminFloorDims');
-      if (dimsEl) {
-        var html = '<div class="dims-title">Afmetingen (L × B × H in m)</div>';
-        for (var fi = 0; fi < floors.length; fi++) {
-          var f = floors[fi];
-          var l = (f.worldW / 100).toFixed(1);
-          var b = (f.worldH / 100).toFixed(1);
-          var excl = excludedFloors.has(fi) ? ' excluded' : '';
-          html += '<div class="dims-row' + excl + '"><span>' + f.name + '</span><span>' + l + ' × ' + b + ' × 2.8</span></div>';
-        }
-        dimsEl.innerHTML = html;
-        dimsEl.style.display = '';
-      }
+      // Admin: floor dimensions overview + what validateFml repaired or found
+      renderAdminFloorDims();
+      renderFmlReport();
 
       // Don't switch to unified preview yet — stays on hero image until step 2
 
@@ -1302,7 +1391,7 @@
       if (pendingFrameConfig) {
         if (floorsLoading) floorsLoading.classList.add('hidden');
         applyPendingConfig();
-        return;
+        return true;
       }
 
       // Normal flow: render thumbnails with brief loading state
@@ -1316,50 +1405,120 @@
           updateWizardUI();
         }, 100);
       });
+      return true;
+    }
+
+    // Admin: L × B × H per floor (H = tallest wall, or the uniform print height)
+    function renderAdminFloorDims() {
+      var dimsEl = document.getElementById('adminFloorDims');
+      if (!dimsEl) return;
+      var html = '<div class="dims-title">Afmetingen (L × B × H in m)</div>';
+      for (var fi = 0; fi < floors.length; fi++) {
+        var f = floors[fi];
+        var l = (f.worldW / 100).toFixed(1);
+        var b = (f.worldH / 100).toFixed(1);
+        var h = (getFloorWallHeight(f) / 100).toFixed(2);
+        var excl = excludedFloors.has(fi) ? ' excluded' : '';
+        html += '<div class="dims-row' + excl + '"><span>' + xmlEscape(f.name) + '</span><span>' + l + ' × ' + b + ' × ' + h + '</span></div>';
+      }
+      dimsEl.innerHTML = html;
+      dimsEl.style.display = '';
+    }
+
+    // Diagnostics for floors[index] (not repaired ones when onlyOpen)
+    function getFloorDiagnostics(index, onlyOpen) {
+      var report = fmlDiagnostics.find(function(r) { return r.entryIndex === index; });
+      var list = report ? report.diagnostics : [];
+      return onlyOpen ? list.filter(function(d) { return d.severity !== 'repaired'; }) : list;
+    }
+
+    // Admin: FML check per floor — repairs (✓) and what is left (!)
+    function renderFmlReport() {
+      var el = document.getElementById('adminFmlReport');
+      if (!el) return;
+      var html = '<div class="dims-title">FML-controle</div>';
+      fmlDiagnostics.forEach(function(r) {
+        var open = r.diagnostics.some(function(d) { return d.severity !== 'repaired'; });
+        var text = r.diagnostics.length ? r.diagnostics.map(function(d) {
+          return (d.severity === 'repaired' ? '\u2713 ' : '! ') + d.count + '\u00D7 ' + xmlEscape(d.message);
+        }).join('<br>') : 'OK';
+        var excl = r.entryIndex !== null && excludedFloors.has(r.entryIndex) ? ' excluded' : '';
+        html += '<div class="dims-row fml-row' + (open ? ' mesh-bad' : ' mesh-ok') + excl + '"><span>' + xmlEscape(r.name) + '</span><span>' + text + '</span></div>';
+      });
+      // Stair voids as built: detected in the FML plus the step 3 corrections
+      html += '<div class="dims-title">Vides</div>';
+      floors.forEach(function(floor, i) {
+        var fi = getFmlFloorIndex(i);
+        var manual = fmlPatch.filter(function(op) { return op.f === fi && (op.o === 'av' || op.o === 'sv' || op.o === 'nv'); }).length;
+        var text = floor.voids.length ? floor.voids.map(function(v) { return formatRoomArea(polygonArea2D(v) / 10000); }).join(', ') : 'geen';
+        if (manual) text += ' (' + manual + ' handmatig)';
+        var excl = excludedFloors.has(i) ? ' excluded' : '';
+        html += '<div class="dims-row fml-row' + excl + '"><span>' + xmlEscape(floor.name) + '</span><span>' + text + '</span></div>';
+      });
+      // Balustrades as built: total length (arcs are split into segments), with manual edits
+      html += '<div class="dims-title">Balustrades</div>';
+      floors.forEach(function(floor, i) {
+        var fi = getFmlFloorIndex(i);
+        var manual = fmlPatch.filter(function(op) { return op.f === fi && (op.o === 'db' || op.o === 'hb' || op.o === 'ab'); }).length;
+        var total = (floor.design.balustrades || []).reduce(function(sum, bal) { return sum + Math.hypot(bal.b.x - bal.a.x, bal.b.y - bal.a.y); }, 0);
+        var text = total ? formatPlanLength(total) : 'geen';
+        if (manual) text += ' (' + manual + ' handmatig)';
+        var excl = excludedFloors.has(i) ? ' excluded' : '';
+        html += '<div class="dims-row fml-row' + excl + '"><span>' + xmlEscape(floor.name) + '</span><span>' + text + '</span></div>';
+      });
+      el.innerHTML = html;
+      el.style.display = '';
+    }
+
+    // Step 3: what could not be repaired on this floor, in plain words
+    function renderFloorReviewDiagnostics() {
+      var el = document.getElementById('floorReviewDiagnostics');
+      if (!el) return;
+      var open = getFloorDiagnostics(currentFloorReviewIndex, true);
+      if (!open.length) {
+        el.style.display = 'none';
+        el.textContent = '';
+        return;
+      }
+      var items = open.map(function(d) {
+        var key = 'fml.' + d.code;
+        var text = t(key, { count: d.count });
+        return text === key ? d.message : text;
+      });
+      el.textContent = t('step3.diagnostics', { list: items.join('; ') });
+      el.style.display = '';
     }
 
     // ============================================================
     // 3D VIEWER — shared scene builder
     // ============================================================
-    function parseOBJToGroups(objString) {
-      const allVertices = [];
-      const groups = {};
-      let currentGroup = 'default';
-      groups[currentGroup] = [];
-
-      for (const line of objString.split('\n')) {
-        const parts = line.trim().split(/\s+/);
-        if (parts[0] === 'v' && parts.length >= 4) {
-          allVertices.push(parseFloat(parts[1]), parseFloat(parts[2]), parseFloat(parts[3]));
-        } else if (parts[0] === 'g' && parts.length >= 2) {
-          currentGroup = parts[1];
-          if (!groups[currentGroup]) groups[currentGroup] = [];
-        } else if (parts[0] === 'f' && parts.length >= 4) {
-          const idxs = parts.slice(1).map(p => parseInt(p.split('/')[0]) - 1);
-          for (let i = 1; i < idxs.length - 1; i++) {
-            groups[currentGroup].push(idxs[0], idxs[i], idxs[i + 1]);
-          }
+    // Floor mesh (see generateFloorMesh) → BufferGeometries per material, sharing one
+    // position buffer (`positions`: the mesh positions, already centred on the origin).
+    function floorMeshToGeometries(mesh, positions) {
+      const positionAttr = new THREE.BufferAttribute(positions, 3);
+
+      function makeGeometry(names) {
+        const ranges = mesh.groups.filter(g => names.indexOf(g.name) !== -1);
+        let total = 0;
+        for (const g of ranges) total += g.count;
+        if (total === 0) return null;
+        const index = new Uint32Array(total);
+        let at = 0;
+        for (const g of ranges) {
+          index.set(mesh.indices.subarray(g.start, g.start + g.count), at);
+          at += g.count;
         }
-      }
-
-      function makeGeometry(faceIndices) {
-        if (faceIndices.length === 0) return null;
         const geometry = new THREE.BufferGeometry();
-        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(allVertices), 3));
-        geometry.setIndex(faceIndices);
+        geometry.setAttribute('position', positionAttr);
+        geometry.setIndex(new THREE.BufferAttribute(index, 1));
         geometry.computeVertexNormals();
         return geometry;
       }
 
-      const wallFaces = (groups['walls'] || [])
-        .concat(groups['walls_balustrades'] || [])
-        .concat(groups['default'] || []);
-      const allFaces = Object.values(groups).reduce((acc, g) => acc.concat(g), []);
-
       return {
-        walls: makeGeometry(wallFaces),
-        floor: makeGeometry(groups['floor'] || []),
-        all: makeGeometry(allFaces)
+        walls: makeGeometry(['walls', 'walls_balustrades', 'room_labels']),
+        floor: makeGeometry(['floor']),
+        furniture: makeGeometry(['furniture'])
       };
     }
 
@@ -1399,27 +1558,33 @@
       const floor = floors[floorIndex];
       if (!floor) return null;
 
-      const objString = generateFloorOBJ(floor);
-      const groups = parseOBJToGroups(objString);
-
-      const allGeo = groups.all;
-      allGeo.computeBoundingBox();
-      const box = allGeo.boundingBox;
+      const mesh = getFloorMesh(floorIndex);
+      const centered = getCenteredFloorMesh(floorIndex);
+      const size = centered.size.clone();
       const center = new THREE.Vector3();
-      box.getCenter(center);
-      const size = new THREE.Vector3();
-      box.getSize(size);
 
-      const offsetX = -center.x;
-      const offsetY = -center.y;
-      const offsetZ = -center.z;
-      if (groups.walls) groups.walls.translate(offsetX, offsetY, offsetZ);
-      if (groups.floor) groups.floor.translate(offsetX, offsetY, offsetZ);
-      center.set(0, 0, 0);
+      const offsetX = centered.offset.x;
+      const offsetY = centered.offset.y;
+      const offsetZ = centered.offset.z;
+      const groups = floorMeshToGeometries(mesh, centered.positions);
 
       const scene = new THREE.Scene();
       scene.background = null;
 
+      // Room label anchors in scene space (same transform as the OBJ: centred bbox, cm → m)
+      var bboxCX = (floor.bbox.minX + floor.bbox.maxX) / 2;
+      var bboxCY = (floor.bbox.minY + floor.bbox.maxY) / 2;
+      scene.userData.roomLabels = getRoomLabels(floor.design).map(function(l) {
+        return {
+          name: l.name,
+          areaM2: l.areaM2,
+          pos: new THREE.Vector3((l.x - bboxCX) * 0.01 + offsetX, 0.02 + offsetY, (l.y - bboxCY) * 0.01 + offsetZ),
+          halfW: l.w * 0.005
+        };
+      });
+      // Inverse of that transform, to map a raycast hit back to the plan (issue pins)
+      scene.userData.planOrigin = { cx: bboxCX, cy: bboxCY, offset: new THREE.Vector3(offsetX, offsetY, offsetZ) };
+
       // Generate planar UVs for floor geometry (top-down XZ projection for stripe texture)
       if (groups.floor) {
         var floorPos = groups.floor.getAttribute('position');
@@ -1457,6 +1622,18 @@
       if (wallMesh) scene.add(wallMesh);
       if (floorMesh) scene.add(floorMesh);
 
+      // Furniture ("inrichting") — lighter tint of the wall colour so it reads as secondary
+      if (groups.furniture) {
+        var furnitureColor = new THREE.Color(wallColor).lerp(new THREE.Color(0xFFFFFF), 0.35);
+        scene.add(new THREE.Mesh(groups.furniture, new THREE.MeshPhongMaterial({
+          color: furnitureColor,
+          flatShading: true,
+          side: THREE.DoubleSide,
+          shininess: 18,
+          specular: 0x444444
+        })));
+      }
+
       scene.add(new THREE.AmbientLight(0xFFF8F0, 1.0));
       const dirLight = new THREE.DirectionalLight(0xFFF5E8, 0.7);
       dirLight.position.set(2, 8, 5);
@@ -1469,7 +1646,130 @@
       const SCALE = 0.01;
       const globalSize = new THREE.Vector3(maxWorldW * SCALE, size.y, maxWorldH * SCALE);
 
-      return { scene, size, center, globalSize };
+      // offset: translation applied to the OBJ coordinates (to undo it when stacking floors)
+      return { scene, size, center, globalSize, offset: new THREE.Vector3(offsetX, offsetY, offsetZ) };
+    }
+
+    // ============================================================
+    // RENDERER POOL — one shared WebGL context for every view
+    // ============================================================
+    // Browsers cap the number of live WebGL contexts (mobile Safari drops the
+    // oldest silently), and every thumbnail used to create its own renderer.
+    // Views now draw into a plain 2D canvas: createPooledRenderer() renders with
+    // the one shared WebGLRenderer and copies the pixels over. When the shared
+    // context is lost the 2D canvases keep their last image; once it is restored
+    // (or replaced, if the browser doesn't restore it) every live view is redrawn.
+    var CONTEXT_RESTORE_TIMEOUT = 2000; // ms to wait for webglcontextrestored
+    var sharedRenderer = null;
+    var sharedContextLost = false;
+    var pooledViews = new Set();        // views with a scene to redraw after a context loss
+
+    function getSharedRenderer() {
+      if (sharedRenderer) return sharedRenderer;
+      var renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+      renderer.setPixelRatio(1); // views size the drawing buffer in device pixels themselves
+      renderer.setScissorTest(true);
+      var restoreTimer = null;
+      renderer.domElement.addEventListener('webglcontextlost', function(e) {
+        e.preventDefault(); // lets the browser restore the context
+        sharedContextLost = true;
+        console.warn('[Mattori] WebGL context lost');
+        restoreTimer = setTimeout(function() {
+          if (sharedRenderer !== renderer) return;
+          renderer.dispose();
+          sharedRenderer = null;
+          sharedContextLost = false;
+          redrawPooledViews();
+        }, CONTEXT_RESTORE_TIMEOUT);
+      });
+      renderer.domElement.addEventListener('webglcontextrestored', function() {
+        clearTimeout(restoreTimer);
+        if (sharedRenderer !== renderer) return;
+        sharedContextLost = false;
+        redrawPooledViews();
+      });
+      sharedRenderer = renderer;
+      return renderer;
+    }
+
+    function redrawPooledViews() {
+      pooledViews.forEach(function(view) {
+        if (view.scene) view.render(view.scene, view.camera);
+      });
+    }
+
+    // Stands in for `new THREE.WebGLRenderer()` in the viewers: same calls
+    // (setSize, setPixelRatio, setClearColor, render, dispose, domElement).
+    function createPooledRenderer() {
+      var canvas = document.createElement('canvas');
+      var ctx = canvas.getContext('2d');
+      var view = {
+        domElement: canvas,
+        scene: null,
+        camera: null,
+        disposed: false,
+        width: 0,
+        height: 0,
+        pixelRatio: 1,
+        clearColor: 0x000000,
+        clearAlpha: 1,
+        setClearColor: function(color, alpha) {
+          view.clearColor = color;
+          view.clearAlpha = (alpha !== undefined) ? alpha : 1;
+        },
+        setSize: function(width, height) {
+          view.width = width;
+          view.height = height;
+          canvas.style.width = width + 'px';
+          canvas.style.height = height + 'px';
+          resizeBuffer();
+        },
+        setPixelRatio: function(dpr) {
+          view.pixelRatio = dpr;
+          resizeBuffer();
+        },
+        render: function(scene, camera) {
+          if (view.disposed) return;
+          view.scene = scene;
+          view.camera = camera;
+          if (!pooledViews.has(view)) addPooledView(view);
+          if (sharedContextLost || !canvas.width || !canvas.height) return;
+          var renderer = getSharedRenderer();
+          var src = renderer.domElement;
+          var w = canvas.width, h = canvas.height;
+          // The shared buffer only grows; each view renders into its bottom-left corner
+          if (src.width < w || src.height < h) renderer.setSize(Math.max(src.width, w), Math.max(src.height, h), false);
+          renderer.setViewport(0, 0, w, h);
+          renderer.setScissor(0, 0, w, h);
+          renderer.setClearColor(view.clearColor, view.clearAlpha);
+          renderer.render(scene, camera);
+          ctx.clearRect(0, 0, w, h);
+          ctx.drawImage(src, 0, src.height - h, w, h, 0, 0, w, h);
+        },
+        dispose: function() {
+          view.disposed = true;
+          view.scene = null;
+          view.camera = null;
+          pooledViews.delete(view);
+        }
+      };
+      function resizeBuffer() {
+        canvas.width = Math.round(view.width * view.pixelRatio);
+        canvas.height = Math.round(view.height * view.pixelRatio);
+      }
+      return view;
+    }
+
+    // Views whose canvas left the page without dispose() (e.g. a re-rendered
+    // thumbstrip) are released here, scene included.
+    function addPooledView(view) {
+      pooledViews.forEach(function(other) {
+        if (!other.domElement.isConnected) {
+          disposeScene(other.scene);
+          other.dispose();
+        }
+      });
+      pooledViews.add(view);
     }
 
     // ============================================================
@@ -1582,17 +1882,18 @@
       }
 
       const dpr = Math.min(window.devicePixelRatio || 1, 2);
-      const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
+      const renderer = createPooledRenderer();
       renderer.setClearColor(0x000000, 0);
       renderer.setSize(width, height);
       renderer.setPixelRatio(dpr);
 
       // Single frame render — no animation loop
-      renderer.render(scene, camera);
       container.appendChild(renderer.domElement);
+      renderer.render(scene, camera);
+      if (opts.roomLabels) createRoomLabelLayer(container, scene, camera, width, height)();
 
       if (!opts.noTrack) previewViewers.push({ renderer, scene });
-      return { renderer };
+      return { renderer, scene };
     }
 
     // Dispose all geometries, materials & textures inside a Three.js scene
@@ -1885,11 +2186,13 @@
     function attachDragHandlers(wrap, posIndex) {
       var isDragging = false;
       var startX, startY, origLeft, origTop;
+      var layoutBefore = null;
 
       function onStart(e) {
         if (!gridEditMode) return;
         e.preventDefault();
         isDragging = true;
+        layoutBefore = snapshotLayout();
         wrap.classList.add('dragging');
 
         var point = e.touches ? e.touches[0] : e;
@@ -1971,6 +2274,7 @@
             cpo.anchorCellX = pos.anchorCellX;
             cpo.anchorCellY = pos.anchorCellY;
           }
+          commitLayoutChange(layoutBefore);
           // Check for overlaps after every drag
           checkFloorOverlaps();
           // Show reset icon
@@ -2006,11 +2310,12 @@
     // - L-shapes: the notch is truly empty → no false overlap
     // - Real overlaps: room areas genuinely intersect → detected
     // - Near-touches: natural wall-thickness gap prevents false positives
-    // Returns polygon-clipping multi-polygon format, cached on floor object.
+    // Returns polygon-clipping multi-polygon format, kept in the geometry cache.
     function computeFloorOutline(floorIndex) {
       var floor = floors[floorIndex];
       if (!floor) return null;
-      if (floor._outline) return floor._outline;
+      var cached = getFloorGeometry(floorIndex);
+      if (cached.outline) return cached.outline;
 
       var design = floor.design;
       var wallBBox = computeWallBBox(design);
@@ -2078,7 +2383,7 @@
         }
       }
 
-      floor._outline = outline;
+      cached.outline = outline;
       return outline;
     }
 
@@ -2534,6 +2839,8 @@
       }
       if (floorOrder && floorOrder.length === includedIndices.length) {
         includedIndices = floorOrder.slice();
+      } else {
+        includedIndices = sortFloorsByStorey(includedIndices);
       }
 
       // Get exact grid-native zone dimensions (maxGridH = no partial rows)
@@ -2630,7 +2937,7 @@
         floorsGrid.appendChild(wrap);
 
         var colorOpt = getSelectedColorOpts();
-        var renderOpts = { ortho: useOrtho, floorColor: useOrtho ? colorOpt.floorFlat : colorOpt.floor, wallColor: useOrtho ? colorOpt.wallFlat : undefined };
+        var renderOpts = { ortho: useOrtho, floorColor: useOrtho ? colorOpt.floorFlat : colorOpt.floor, wallColor: useOrtho ? colorOpt.wallFlat : undefined, roomLabels: useOrtho && showRoomLabels };
         renderStaticThumbnailSized(pos.index, wrap, pos.w, pos.h, renderOpts);
       }
 
@@ -2687,9 +2994,7 @@
       camera.lookAt(center);
 
       const dpr = Math.min(window.devicePixelRatio || 1, 2);
-      const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true, preserveDrawingBuffer: true });
-      renderer.shadowMap.enabled = true;
-      renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+      const renderer = createPooledRenderer();
       renderer.setClearColor(0x000000, 0);
       renderer.setSize(width, height);
       renderer.setPixelRatio(dpr);
@@ -2711,15 +3016,294 @@
       renderer.domElement.addEventListener('click', e => e.stopPropagation());
       renderer.domElement.addEventListener('touchstart', e => e.stopPropagation());
 
-      let animId;
+      var updateRoomLabels = showRoomLabels ? createRoomLabelLayer(container, scene, camera, width, height) : null;
+
+      // animId is read back by the callers to stop the loop — keep it on the object.
+      // onFrame: optional per-frame hook for overlays (issue pins)
+      var viewer = { renderer: renderer, controls: controls, animId: 0, scene: scene, camera: camera, onFrame: null };
+      function animate() {
+        viewer.animId = requestAnimationFrame(animate);
+        controls.update();
+        renderer.render(scene, camera);
+        if (updateRoomLabels) updateRoomLabels();
+        if (viewer.onFrame) viewer.onFrame();
+      }
+      animate();
+      return viewer;
+    }
+
+    // ============================================================
+    // STACKED VIEWER — all included floors as one "dollhouse" (step 3)
+    // ============================================================
+    var stackedViewMode = false; // step 3: show all floors stacked instead of one
+    var stackedExplode = 0;      // 0 = floors on top of each other, 1 = fully pulled apart
+
+    // Included floors of the house bottom to top (see STOREYS); no outbuildings or site plan
+    function getStackedFloorIndices() {
+      var info = getFloorStoreys();
+      var indices = [];
+      for (var i = 0; i < floors.length; i++) {
+        if (!excludedFloors.has(i) && isHouseStorey(info[i])) indices.push(i);
+      }
+      return sortFloorsByStorey(indices);
+    }
+
+    function renderStackedViewer(container) {
+      var indices = getStackedFloorIndices();
+      if (!indices.length) return null;
+      const SCALE = 0.01;
+
+      // FML coordinates are shared between floors — centre the stack on their combined bbox
+      var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+      indices.forEach(function(i) {
+        var b = floors[i].bbox;
+        minX = Math.min(minX, b.minX); minY = Math.min(minY, b.minY);
+        maxX = Math.max(maxX, b.maxX); maxY = Math.max(maxY, b.maxY);
+      });
+      var stackCX = (minX + maxX) / 2, stackCY = (minY + maxY) / 2;
+
+      const scene = new THREE.Scene();
+      scene.background = null;
+      var layers = [];
+      var elevation = 0;
+      var maxStoreyH = 0;
+      indices.forEach(function(i) {
+        var result = buildFloorScene(i);
+        if (!result) return;
+        var group = new THREE.Group();
+        result.scene.children.slice().forEach(function(child) {
+          if (child.isMesh) group.add(child);
+        });
+        var b = floors[i].bbox;
+        var baseX = ((b.minX + b.maxX) / 2 - stackCX) * SCALE - result.offset.x;
+        var baseZ = ((b.minY + b.maxY) / 2 - stackCY) * SCALE - result.offset.z;
+        var baseY = elevation * SCALE - result.offset.y;
+        group.position.set(baseX, baseY, baseZ);
+        scene.add(group);
+        layers.push({ group: group, baseY: baseY });
+        var storeyH = floors[i].height || getFloorWallHeight(floors[i]);
+        elevation += storeyH;
+        maxStoreyH = Math.max(maxStoreyH, storeyH);
+      });
+
+      scene.add(new THREE.AmbientLight(0xFFF8F0, 1.0));
+      const dirLight = new THREE.DirectionalLight(0xFFF5E8, 0.7);
+      dirLight.position.set(2, 8, 5);
+      scene.add(dirLight);
+      const fillLight = new THREE.DirectionalLight(0xF0EBE0, 0.4);
+      fillLight.position.set(-4, 6, -1);
+      scene.add(fillLight);
+
+      // Pull floors apart by up to 1.5 storeys each
+      function applyExplode() {
+        var gap = stackedExplode * maxStoreyH * 1.5 * SCALE;
+        layers.forEach(function(layer, li) { layer.group.position.y = layer.baseY + li * gap; });
+      }
+      applyExplode();
+
+      const rect = container.getBoundingClientRect();
+      const width = Math.round(rect.width) || 400;
+      const height = Math.round(rect.height) || 500;
+      var fullH = (elevation + (layers.length - 1) * maxStoreyH * 1.5) * SCALE;
+      var center = new THREE.Vector3(0, fullH / 2, 0);
+      var radius = Math.max((maxX - minX) * SCALE, (maxY - minY) * SCALE, fullH) * 0.75;
+
+      const FOV = 30;
+      const camera = new THREE.PerspectiveCamera(FOV, width / height, 0.01, radius * 100);
+      const camDist = radius / Math.tan((FOV / 2) * Math.PI / 180);
+      camera.position.set(camDist * 0.55, center.y + camDist * 0.45, camDist * 0.7);
+      camera.lookAt(center);
+
+      const dpr = Math.min(window.devicePixelRatio || 1, 2);
+      const renderer = createPooledRenderer();
+      renderer.setClearColor(0x000000, 0);
+      renderer.setSize(width, height);
+      renderer.setPixelRatio(dpr);
+      container.appendChild(renderer.domElement);
+
+      const controls = new THREE.OrbitControls(camera, renderer.domElement);
+      controls.target.copy(center);
+      controls.enableDamping = true;
+      controls.dampingFactor = 0.12;
+      controls.rotateSpeed = 0.8;
+      controls.minDistance = radius * 0.5;
+      controls.maxDistance = radius * 10;
+      controls.update();
+
+      renderer.domElement.addEventListener('mousedown', e => e.stopPropagation());
+      renderer.domElement.addEventListener('click', e => e.stopPropagation());
+      renderer.domElement.addEventListener('touchstart', e => e.stopPropagation());
+
+      // Exploded-view slider
+      if (layers.length > 1) {
+        var sliderWrap = document.createElement('label');
+        sliderWrap.className = 'stacked-explode';
+        sliderWrap.innerHTML = '<span>' + t('step3.explode') + '</span><input type="range" min="0" max="1" step="0.01">';
+        var slider = sliderWrap.querySelector('input');
+        slider.value = stackedExplode;
+        slider.addEventListener('input', function() {
+          stackedExplode = parseFloat(slider.value) || 0;
+          applyExplode();
+        });
+        container.appendChild(sliderWrap);
+      }
+
+      var viewer = { renderer: renderer, controls: controls, animId: 0 };
       function animate() {
-        animId = requestAnimationFrame(animate);
+        viewer.animId = requestAnimationFrame(animate);
         controls.update();
         renderer.render(scene, camera);
       }
       animate();
+      return viewer;
+    }
+
+    function toggleStackedView(on) {
+      stackedViewMode = !!on;
+      renderFloorReview();
+    }
 
-      return { renderer, controls, animId };
+    // ============================================================
+    // 2D PLAN VIEW — step 3, toggled with the 3D viewer
+    // ============================================================
+    // The floor drawn as on the portal (renderPlanSVG), so customers can compare
+    // it with the plan they know. With "verschillen" on, the plan also marks what
+    // the model does differently: surfaces without floor, voids, balustrades.
+    var reviewPlanView = false;     // step 3: 2D plan instead of the 3D model
+    var planShowProcessing = true;  // 2D plan: mark where the model differs
+
+    function formatPlanLength(cm) {
+      return (cm / 100).toFixed(2).replace('.', ',') + ' m';
+    }
+
+    function renderPlanView(floorIndex, container) {
+      var wrap = document.createElement('div');
+      wrap.className = 'plan-view';
+      wrap.innerHTML = renderPlanSVG(floors[floorIndex], {
+        processing: planShowProcessing,
+        formatLength: formatPlanLength,
+        formatArea: formatRoomArea,
+        reasons: {
+          outdoor: t('plan.outdoor'),
+          outside: t('plan.outside'),
+          unnamed: t('plan.unnamed'),
+          renamed: t('plan.renamed'),
+          void: t('plan.void'),
+          balustrade: t('plan.balustrade')
+        }
+      });
+      container.appendChild(wrap);
+
+      var legend = document.createElement('div');
+      legend.className = 'plan-legend';
+      legend.innerHTML = '<label><input type="checkbox"> <span></span></label>' + (planShowProcessing
+        ? '<span class="plan-key plan-key-skipped"></span><span class="plan-key plan-key-void"></span><span class="plan-key plan-key-balustrade"></span>'
+        : '');
+      var chk = legend.querySelector('input');
+      chk.checked = planShowProcessing;
+      chk.addEventListener('change', function() {
+        planShowProcessing = chk.checked;
+        renderFloorReview();
+      });
+      legend.querySelector('label span').textContent = t('step3.planDiff');
+      if (planShowProcessing) {
+        legend.querySelector('.plan-key-skipped').textContent = t('step3.planKeySkipped');
+        legend.querySelector('.plan-key-void').textContent = t('step3.planKeyVoid');
+        legend.querySelector('.plan-key-balustrade').textContent = t('step3.planKeyBalustrade');
+      }
+      container.appendChild(legend);
+    }
+
+    // 3D / 2D switch in the corner of the review viewer
+    function addReviewViewToggle(container) {
+      var toggle = document.createElement('div');
+      toggle.className = 'review-view-toggle';
+      [{ plan: false, label: '3D', title: 'step3.view3d' }, { plan: true, label: '2D', title: 'step3.view2d' }].forEach(function(opt) {
+        var btn = document.createElement('button');
+        btn.type = 'button';
+        btn.textContent = opt.label;
+        btn.title = t(opt.title);
+        btn.classList.toggle('active', reviewPlanView === opt.plan);
+        btn.addEventListener('click', function() {
+          if (reviewPlanView === opt.plan) return;
+          reviewPlanView = opt.plan;
+          renderFloorReview();
+        });
+        toggle.appendChild(btn);
+      });
+      container.appendChild(toggle);
+    }
+
+    // ============================================================
+    // ROOM LABELS (step 3 viewer + flat preview)
+    // ============================================================
+    var showRoomLabels = false;  // user toggle: room names + m² over the model
+    var roomLabelRelief = null;  // null, 'engrave' or 'emboss' — names in the printed floor slab
+
+    function formatRoomArea(m2) {
+      return m2.toFixed(1).replace('.', ',') + ' m\u00B2';
+    }
+
+    // HTML overlay with one label per room, positioned by projecting the scene
+    // anchors. Returns an update function (call after each render when the camera moves).
+    function createRoomLabelLayer(container, scene, camera, width, height) {
+      var labels = scene.userData.roomLabels || [];
+      var layer = document.createElement('div');
+      layer.className = 'room-label-layer';
+      var els = labels.map(function(l) {
+        var el = document.createElement('div');
+        el.className = 'room-label';
+        el.innerHTML = '<span class="room-label-name"></span><span class="room-label-area"></span>';
+        el.firstChild.textContent = l.name;
+        el.lastChild.textContent = formatRoomArea(l.areaM2);
+        layer.appendChild(el);
+        return el;
+      });
+      container.appendChild(layer);
+      var labelWidths = els.map(function(el) { return el.offsetWidth; });
+
+      var v = new THREE.Vector3();
+      var edge = new THREE.Vector3();
+      function toScreen(vec) {
+        vec.applyMatrix4(scene.matrixWorld).project(camera);
+        return { x: (vec.x + 1) / 2 * width, y: (1 - vec.y) / 2 * height, visible: vec.z < 1 };
+      }
+
+      return function update() {
+        scene.updateMatrixWorld();
+        for (var i = 0; i < labels.length; i++) {
+          var p = toScreen(v.copy(labels[i].pos));
+          var e = toScreen(edge.copy(labels[i].pos).setX(labels[i].pos.x + labels[i].halfW));
+          var roomPx = 2 * Math.hypot(e.x - p.x, e.y - p.y);
+          var el = els[i];
+          el.style.transform = 'translate(' + p.x.toFixed(1) + 'px,' + p.y.toFixed(1) + 'px) translate(-50%, -50%)';
+          // Hide labels that would spill over their room (small rooms, zoomed out)
+          el.style.visibility = (p.visible && labelWidths[i] <= roomPx) ? '' : 'hidden';
+        }
+      };
+    }
+
+    function toggleRoomLabels(on) {
+      showRoomLabels = !!on;
+      renderFloorReview();
+      renderPreviewThumbnails();
+    }
+
+    function changeRoomLabelRelief(mode) {
+      roomLabelRelief = (mode === 'engrave' || mode === 'emboss') ? mode : null;
+      setRoomLabelRelief(roomLabelRelief);
+      refreshFloorMeshes().then(function(current) {
+        if (!current) return;
+        renderFloorReview();
+        renderPreviewThumbnails();
+      });
+    }
+
+    function syncRoomLabelControls() {
+      var chk = document.getElementById('chkRoomLabels');
+      if (chk) chk.checked = showRoomLabels;
+      var sel = document.getElementById('roomLabelRelief');
+      if (sel) sel.value = roomLabelRelief || '';
     }
 
     // ============================================================
@@ -2741,31 +3325,259 @@
     var singleLabelText = 'plattegrond';
     var labelComments = '';    // Free-text comments from step 5
 
-    function translateFloorName(name, singleFloor) {
-      const lower = name.toLowerCase().trim();
-      if (/^kelder/.test(lower)) return 'kelder';
-      if (/^zolder/.test(lower)) return 'zolder';
-      if (/^berging/.test(lower)) return 'berging';
-      if (/^garage/.test(lower)) return 'garage';
-      if (/^dak/.test(lower)) return 'dak';
-      if (/^tuin/.test(lower)) return 'tuin';
-      if (singleFloor) return 'plattegrond';
-      if (/^begane\s*grond/.test(lower)) return '1e verdieping';
-      const ordMap = [
-        [/^eerste\b/, '2e'], [/^tweede\b/, '3e'], [/^derde\b/, '4e'],
-        [/^vierde\b/, '5e'], [/^vijfde\b/, '6e'], [/^zesde\b/, '7e'],
-        [/^zevende\b/, '8e'], [/^achtste\b/, '9e'], [/^negende\b/, '10e'],
-        [/^tiende\b/, '11e'],
-      ];
-      for (const [regex, ord] of ordMap) {
-        if (regex.test(lower)) return ord + ' verdieping';
+    // ============================================================
+    // STOREYS — floor order and ordinal labels from the FML level
+    // ============================================================
+    // Storeys are ordered by FML `level` (not always contiguous, e.g. 1, 2, 5).
+    // Names only decide what kind of floor it is: the site plan, outbuildings,
+    // basements (always below the house, whatever their level says) and attics
+    // (always on top). Two storeys at the same level, or named as the same storey
+    // ("Begane grond" / "Begane grond tuin"), are split levels and share a
+    // number. When a floor has no level, the whole house is ordered by the storey
+    // the names imply instead (see getStoreyKeys). Outbuildings and the site plan
+    // stand beside the house: they get no storey and are never stacked on it.
+    var FLOOR_KIND_PATTERNS = [
+      ['site', /situatie|perceel|kavel\b|kadast|omgeving/],
+      ['annex', /berging|schuur|garage|carport|bijgebouw|tuinhuis|^kas\b|^tuin\b/],
+      ['basement', /kelder|souterrain/],
+      ['attic', /zolder|vliering|^dak/]
+    ];
+    var STOREY_WORDS = ['eerste', 'tweede', 'derde', 'vierde', 'vijfde', 'zesde', 'zevende', 'achtste', 'negende', 'tiende'];
+
+    function getFloorKind(floor) {
+      var lower = (floor.name || '').toLowerCase().trim();
+      for (var i = 0; i < FLOOR_KIND_PATTERNS.length; i++) {
+        if (FLOOR_KIND_PATTERNS[i][1].test(lower)) return FLOOR_KIND_PATTERNS[i][0];
+      }
+      return 'storey';
+    }
+
+    // Storey implied by the name: 0 = begane grond, 1 = eerste verdieping, -1 = kelder
+    function storeyFromName(name) {
+      var lower = (name || '').toLowerCase().trim();
+      if (/begane\s*grond|parterre/.test(lower)) return 0;
+      if (/kelder|souterrain/.test(lower)) return -1;
+      var num = lower.match(/^(\d+)\s*e?\s+(verdieping|etage)/);
+      if (num) return parseInt(num[1], 10);
+      for (var i = 0; i < STOREY_WORDS.length; i++) {
+        if (new RegExp('^' + STOREY_WORDS[i] + '\\b').test(lower)) return i + 1;
       }
-      const numMatch = lower.match(/^(\d+)e?\s+verdieping/);
-      if (numMatch) {
-        const n = parseInt(numMatch[1]) + 1;
-        return n + 'e verdieping';
+      return null;
+    }
+
+    // One sort key per floor, so every pair compares the same way: the FML level
+    // when all floors have one, else the storey the name implies. A floor whose
+    // name says nothing stays just above the floor before it in the FML.
+    function getStoreyKeys() {
+      var useLevel = floors.every(function(f) { return f.hasLevel; });
+      var last = -Infinity;
+      return floors.map(function(f) {
+        var key = useLevel ? f.level : storeyFromName(f.name);
+        if (key == null) return last;
+        last = key;
+        return key;
+      });
+    }
+
+    function byStoreyKey(keys) {
+      return function(a, b) {
+        if (keys[a] !== keys[b]) return keys[a] < keys[b] ? -1 : 1;
+        return a - b;
+      };
+    }
+
+    function isHouseStorey(s) {
+      return s.kind !== 'site' && s.kind !== 'annex';
+    }
+
+    // index → { kind, storey (0 = ground floor, negative = below ground, null for
+    // site/annex), split (a split level of another floor's storey) }
+    function getFloorStoreys() {
+      var info = floors.map(function(f) { return { kind: getFloorKind(f), storey: null, split: false }; });
+      var compareKeys = byStoreyKey(getStoreyKeys());
+      function ofKind(kind) {
+        var list = [];
+        for (var i = 0; i < floors.length; i++) if (info[i].kind === kind) list.push(i);
+        return list.sort(compareKeys);
+      }
+
+      // Main storeys bottom to top; split levels join the storey they belong to
+      var main = ofKind('storey');
+      var groups = [];
+      main.forEach(function(idx) {
+        var nameStorey = storeyFromName(floors[idx].name);
+        var last = groups[groups.length - 1];
+        var group = null;
+        if (nameStorey !== null) group = groups.find(function(g) { return g.nameStorey === nameStorey; }) || null;
+        var level = floors[idx].hasLevel ? floors[idx].level : null;
+        if (!group && last && level !== null && level === last.level) group = last;
+        if (!group) {
+          group = { members: [], level: level, nameStorey: nameStorey };
+          groups.push(group);
+        }
+        if (group.nameStorey === null) group.nameStorey = nameStorey;
+        group.members.push(idx);
+      });
+      // Number from the first storey whose name says which one it is (else: lowest = ground)
+      var anchor = 0;
+      for (var g = 0; g < groups.length; g++) {
+        if (groups[g].nameStorey !== null) { anchor = g - groups[g].nameStorey; break; }
+      }
+      groups.forEach(function(group, g) {
+        // The shortest name is the storey itself, the others are its split levels
+        var plain = group.members.reduce(function(a, b) { return floors[b].name.length < floors[a].name.length ? b : a; });
+        group.members.forEach(function(idx) {
+          info[idx].storey = g - anchor;
+          info[idx].split = idx !== plain;
+        });
+      });
+      main.sort(function(a, b) { return info[a].storey - info[b].storey || compareKeys(a, b); });
+
+      var lowest = main.length ? Math.min(0, info[main[0]].storey) : 0;
+      var basements = ofKind('basement');
+      basements.forEach(function(idx, k) { info[idx].storey = lowest - basements.length + k; });
+
+      var top = main.length ? info[main[main.length - 1]].storey : -1;
+      ofKind('attic').forEach(function(idx, k) { info[idx].storey = top + 1 + k; });
+      return info;
+    }
+
+    // Default order of the given floor indices: basements, storeys bottom to top,
+    // attics, then outbuildings and the site plan (each in FML order)
+    function sortFloorsByStorey(indices) {
+      var info = getFloorStoreys();
+      var compareKeys = byStoreyKey(getStoreyKeys());
+      var KIND_ORDER = { basement: 0, storey: 0, attic: 0, annex: 1, site: 2 };
+      return indices.slice().sort(function(a, b) {
+        var ka = KIND_ORDER[info[a].kind], kb = KIND_ORDER[info[b].kind];
+        if (ka !== kb) return ka - kb;
+        // Within the house every floor has a storey; outbuildings keep their key order
+        if (info[a].storey !== info[b].storey && ka === 0) return info[a].storey - info[b].storey;
+        return compareKeys(a, b);
+      });
+    }
+
+    // ============================================================
+    // FLOOR NAMING — localisable labels for floors
+    // ============================================================
+    // One place that turns a floor (kind + storey from getFloorStoreys) into
+    // the text under it on the frame. Per locale: an ordinal function, whether
+    // the ground floor counts as the first storey, and templates. The site can
+    // override any of it before this script loads:
+    //   window.MATTORI_FLOOR_NAMING = { locale: 'en', groundIsFirst: true,
+    //                                   templates: { storey: 'level {n}' } };
+    // Templates take {ord} (localised ordinal), {n} (number), {label}, {extra}.
+    var FLOOR_NAME_LOCALES = {
+      nl: {
+        groundIsFirst: true, // Mattori frames: begane grond = "1e verdieping"
+        ordinal: function(n) { return n + 'e'; },
+        templates: {
+          storey: '{ord} verdieping', ground: 'begane grond',
+          split: '{label} {extra}', splitPlain: '{label} (split-level)',
+          basement: 'kelder', souterrain: 'souterrain', attic: 'zolder', vliering: 'vliering',
+          berging: 'berging', garage: 'garage', schuur: 'schuur', tuin: 'tuin', site: 'situatie',
+          single: 'plattegrond'
+        }
+      },
+      en: {
+        groundIsFirst: false,
+        ordinal: function(n) {
+          var rem = n % 100;
+          var suffix = (rem >= 11 && rem <= 13) ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+          return n + suffix;
+        },
+        templates: {
+          storey: '{ord} floor', ground: 'ground floor',
+          split: '{label} {extra}', splitPlain: '{label} (split level)',
+          basement: 'basement', souterrain: 'lower ground floor', attic: 'attic', vliering: 'loft',
+          berging: 'storage', garage: 'garage', schuur: 'shed', tuin: 'garden', site: 'site plan',
+          single: 'floor plan'
+        }
+      },
+      de: {
+        groundIsFirst: false,
+        ordinal: function(n) { return n + '.'; },
+        templates: {
+          storey: '{ord} Obergeschoss', ground: 'Erdgeschoss',
+          split: '{label} {extra}', splitPlain: '{label} (Zwischengeschoss)',
+          basement: 'Keller', souterrain: 'Souterrain', attic: 'Dachboden', vliering: 'Spitzboden',
+          berging: 'Abstellraum', garage: 'Garage', schuur: 'Schuppen', tuin: 'Garten', site: 'Lageplan',
+          single: 'Grundriss'
+        }
+      },
+      fr: {
+        groundIsFirst: false,
+        ordinal: function(n) { return n === 1 ? '1er' : n + 'e'; },
+        templates: {
+          storey: '{ord} étage', ground: 'rez-de-chaussée',
+          split: '{label} {extra}', splitPlain: '{label} (demi-niveau)',
+          basement: 'sous-sol', souterrain: 'souterrain', attic: 'grenier', vliering: 'combles',
+          berging: 'débarras', garage: 'garage', schuur: 'abri', tuin: 'jardin', site: 'plan de situation',
+          single: 'plan'
+        }
       }
-      return name.charAt(0).toLowerCase() + name.slice(1).toLowerCase();
+    };
+
+    // Dutch FML names of outbuildings → template key (unknown names are used as-is)
+    var ANNEX_NAME_KEYS = [
+      [/^berging/, 'berging'], [/^garage/, 'garage'], [/^schuur/, 'schuur'], [/^tuin\b/, 'tuin']
+    ];
+
+    // Labels follow the same page locale as the UI (MATTORI_LOCALE, Shopify, <html lang>),
+    // including languages only floor naming has, unless MATTORI_FLOOR_NAMING says otherwise
+    var floorNaming = { locale: detectLocale(FLOOR_NAME_LOCALES), groundIsFirst: null, templates: {} };
+
+    // opts: { locale, groundIsFirst (null = locale default), templates (partial overrides) }
+    function setFloorNaming(opts) {
+      opts = opts || {};
+      if (opts.locale && FLOOR_NAME_LOCALES[opts.locale]) floorNaming.locale = opts.locale;
+      if (opts.groundIsFirst !== undefined) floorNaming.groundIsFirst = opts.groundIsFirst;
+      if (opts.templates) floorNaming.templates = Object.assign({}, floorNaming.templates, opts.templates);
+    }
+    if (window.MATTORI_FLOOR_NAMING) setFloorNaming(window.MATTORI_FLOOR_NAMING);
+    singleLabelText = floorNameTemplate('single');
+
+    function floorNameTemplate(key, values, locale) {
+      var loc = FLOOR_NAME_LOCALES[locale || floorNaming.locale] || FLOOR_NAME_LOCALES.nl;
+      var custom = locale && locale !== floorNaming.locale ? {} : floorNaming.templates;
+      var tpl = custom[key] != null ? custom[key] : loc.templates[key];
+      return String(tpl).replace(/\{(\w+)\}/g, function(m, name) {
+        return values && values[name] != null ? values[name] : '';
+      }).replace(/\s+/g, ' ').trim();
+    }
+
+    // Label of floor `index`; info = getFloorStoreys(). locale defaults to the configured one.
+    function formatFloorName(index, info, locale) {
+      var loc = FLOOR_NAME_LOCALES[locale || floorNaming.locale] || FLOOR_NAME_LOCALES.nl;
+      var floor = floors[index];
+      var s = info[index];
+      var lower = floor.name.toLowerCase().trim();
+
+      if (s.kind === 'site') return floorNameTemplate('site', null, locale);
+      if (s.kind === 'annex') {
+        for (var i = 0; i < ANNEX_NAME_KEYS.length; i++) {
+          if (ANNEX_NAME_KEYS[i][0].test(lower)) return floorNameTemplate(ANNEX_NAME_KEYS[i][1], null, locale);
+        }
+        return lower;
+      }
+      if (s.kind === 'attic') return floorNameTemplate(/vliering/.test(lower) ? 'vliering' : 'attic', null, locale);
+      if (s.storey < 0) return floorNameTemplate(/souterrain/.test(lower) ? 'souterrain' : 'basement', null, locale);
+
+      var groundIsFirst = (floorNaming.groundIsFirst != null && !(locale && locale !== floorNaming.locale))
+        ? floorNaming.groundIsFirst : loc.groundIsFirst;
+      var n = groundIsFirst ? s.storey + 1 : s.storey;
+      var label = n === 0
+        ? floorNameTemplate('ground', null, locale)
+        : floorNameTemplate('storey', { ord: loc.ordinal(n), n: n }, locale);
+      if (!s.split) return label;
+      // Split level: keep what sets it apart in the FML name ("Begane grond tuin" → "tuin")
+      var extra = lower
+        .replace(/begane\s*grond|\d+\s*e?\s+(verdieping|etage)|verdieping|[()]/g, ' ')
+        .replace(new RegExp('\\b(' + STOREY_WORDS.join('|') + ')\\b', 'g'), ' ')
+        .replace(/\s+/g, ' ').trim();
+      return extra
+        ? floorNameTemplate('split', { label: label, extra: extra }, locale)
+        : floorNameTemplate('splitPlain', { label: label }, locale);
     }
 
     function getIncludedFloorLabels() {
@@ -2778,30 +3590,16 @@
       // Respect custom floor order from layout step
       if (floorOrder && floorOrder.length === includedIndices.length) {
         includedIndices = floorOrder.slice();
+      } else {
+        includedIndices = sortFloorsByStorey(includedIndices);
       }
 
-      // Sort by visual X position (left-to-right) for ordinal numbering
-      var sortedByX = includedIndices.slice();
-      if (currentLayout && currentLayout.positions) {
-        sortedByX.sort(function(a, b) {
-          var posA = currentLayout.positions.find(function(p) { return p.index === a; });
-          var posB = currentLayout.positions.find(function(p) { return p.index === b; });
-          var xA = posA ? posA.x + posA.w / 2 : 0;
-          var xB = posB ? posB.x + posB.w / 2 : 0;
-          return xA - xB;
-        });
-      }
-
-      // Assign ordinal labels: 1e verdieping, 2e verdieping, ... (left-to-right)
-      var ordinalMap = {};
-      for (var oi = 0; oi < sortedByX.length; oi++) {
-        ordinalMap[sortedByX[oi]] = (oi + 1) + 'e verdieping';
-      }
-
+      // Ordinal labels follow the storey (FML level), wherever the floor is placed
+      var storeys = getFloorStoreys();
       for (const i of includedIndices) {
         labels.push({
           index: i,
-          label: ordinalMap[i] || 'plattegrond'
+          label: formatFloorName(i, storeys) || floorNameTemplate('single')
         });
       }
       return labels;
@@ -2919,23 +3717,14 @@
       updateWizardUI();
     }
 
-    var WIZARD_STEP_TITLES = {
-      1: 'Voer je Funda-link in',
-      2: 'Controleer het adres',
-      3: 'Controleer de plattegronden',
-      4: 'Ontwerp je indeling',
-      5: 'Kies je kleur',
-      6: 'Pas de labels aan'
-    };
-
     function showWizardStep(n) {
       if (n < 1 || n > TOTAL_WIZARD_STEPS) return;
       currentWizardStep = n;
 
       // Update dynamic wizard title
       var wizTitle = document.querySelector('.mattori-configurator .wizard-title');
-      if (wizTitle && WIZARD_STEP_TITLES[n]) {
-        wizTitle.textContent = WIZARD_STEP_TITLES[n];
+      if (wizTitle) {
+        wizTitle.textContent = t('wizard.title.' + n);
       }
 
       // Hide all steps
@@ -3047,7 +3836,8 @@
           el.classList.remove('view-entering', 'view-leaving');
         }
 
-        // Stop floor review animation loop when leaving step 3
+        // Stop floor review animation loop when leaving step 3 (and drop unfinished corrections)
+        if (n !== 3 && planEditor) endPlanEditor(false);
         if (n !== 3 && floorReviewViewer && floorReviewViewer.animId) {
           cancelAnimationFrame(floorReviewViewer.animId);
           floorReviewViewer.animId = null;
@@ -3091,12 +3881,8 @@
         if (helpLink) {
           helpLink.style.display = (n >= 2) ? '' : 'none';
           var _fundaVal = fundaUrlInput ? fundaUrlInput.value.trim() : '';
-          var _helpSubj = encodeURIComponent('Frame\u00B3 \u2014 hulp nodig bij stap ' + n);
-          var _helpBody = encodeURIComponent(
-            'Hoi,\n\nIk zit in stap ' + n + ' van de configurator en heb hulp nodig.\n\n' +
-            'Funda link: ' + (_fundaVal || '(niet ingevuld)') + '\n\n' +
-            'Mijn vraag/probleem:\n\n'
-          );
+          var _helpSubj = encodeURIComponent(t('mail.helpSubject', { step: n }));
+          var _helpBody = encodeURIComponent(t('mail.helpBody', { step: n, portal: portalLabelFor(_fundaVal), url: _fundaVal || t('mail.notFilled') }));
           helpLink.href = 'mailto:vince@mattori.nl?subject=' + _helpSubj + '&body=' + _helpBody;
         }
 
@@ -3181,7 +3967,7 @@
                 // Show loading state
                 this.disabled = true;
                 this.dataset.origText = this.textContent;
-                this.innerHTML = '<span class="btn-spinner"></span>Berekenen...';
+                this.innerHTML = '<span class="btn-spinner"></span>' + t('step4.calculating');
 
                 setTimeout(function() {
                   layoutCalculated = true;
@@ -3256,7 +4042,7 @@
 
     function updateWizardUI() {
       // Update indicator text
-      wizardStepIndicator.textContent = `Stap ${currentWizardStep} van ${TOTAL_WIZARD_STEPS}`;
+      wizardStepIndicator.textContent = t('wizard.stepOf', { step: currentWizardStep, total: TOTAL_WIZARD_STEPS });
 
       // Update dots
       const dots = wizardDots.querySelectorAll('.wizard-dot');
@@ -3274,7 +4060,7 @@
       btnWizardPrev.style.display = currentWizardStep > 1 ? '' : 'none';
 
       // Always reset button text (guards against leftover "Laden..." state)
-      btnWizardNext.textContent = 'Volgende \u2192';
+      btnWizardNext.textContent = t('wizard.next');
       btnWizardNext.disabled = false;
 
       if (currentWizardStep === TOTAL_WIZARD_STEPS) {
@@ -3292,10 +4078,10 @@
         }
         // Step 1: show next if data is loaded, or noFloorsMode button
         if (noFloorsMode) {
-          btnWizardNext.textContent = 'Bestellen op goed vertrouwen \u2192';
+          btnWizardNext.textContent = t('wizard.orderOnTrust');
           btnWizardNext.style.display = '';
         } else {
-          btnWizardNext.textContent = 'Start met ontwerpen \u2192';
+          btnWizardNext.textContent = t('wizard.start');
           btnWizardNext.style.display = floors.length > 0 ? '' : 'none';
         }
       } else if (currentWizardStep === 2) {
@@ -3413,14 +4199,18 @@
       });
     }
 
+    function disposeFloorReviewViewer() {
+      if (!floorReviewViewer) return;
+      if (floorReviewViewer.animId) cancelAnimationFrame(floorReviewViewer.animId);
+      if (floorReviewViewer.controls) floorReviewViewer.controls.dispose();
+      if (floorReviewViewer.renderer) floorReviewViewer.renderer.dispose();
+      floorReviewViewer = null;
+    }
+
     function renderFloorReview() {
-      // Cleanup previous viewer
-      if (floorReviewViewer) {
-        if (floorReviewViewer.animId) cancelAnimationFrame(floorReviewViewer.animId);
-        if (floorReviewViewer.controls) floorReviewViewer.controls.dispose();
-        if (floorReviewViewer.renderer) floorReviewViewer.renderer.dispose();
-        floorReviewViewer = null;
-      }
+      // Cleanup previous viewer (or an open plan editor)
+      if (planEditor) endPlanEditor(false);
+      disposeFloorReviewViewer();
       floorReviewViewerEl.innerHTML = '';
 
       if (floors.length === 0) return;
@@ -3433,10 +4223,31 @@
       var counterEl = document.getElementById('floorReviewCounter');
       var nameEl = document.getElementById('floorReviewName');
       if (counterEl) {
-        counterEl.textContent = floors.length > 1 ? 'Plattegrond ' + (currentFloorReviewIndex + 1) + ' van ' + floors.length : '';
+        counterEl.textContent = floors.length > 1 ? t('step3.counter', { n: currentFloorReviewIndex + 1, total: floors.length }) : '';
       }
       if (nameEl) {
-        nameEl.textContent = floors[currentFloorReviewIndex].name || 'Verdieping ' + (currentFloorReviewIndex + 1);
+        nameEl.textContent = floors[currentFloorReviewIndex].name || t('floors.fallbackName', { n: currentFloorReviewIndex + 1 });
+      }
+      renderFloorReviewDiagnostics();
+
+      // Furniture toggle — only for floors whose FML has furniture items
+      var furnitureToggle = document.getElementById('floorFurnitureToggle');
+      if (furnitureToggle) {
+        var reviewFloor = floors[currentFloorReviewIndex];
+        furnitureToggle.style.display = hasFurniture(reviewFloor.design) ? '' : 'none';
+        var chkFurniture = document.getElementById('chkFloorFurniture');
+        if (chkFurniture) chkFurniture.checked = !!reviewFloor.furniture;
+      }
+      syncRoomLabelControls();
+
+      // Stacked view — only meaningful with two or more included floors
+      var canStack = getStackedFloorIndices().length > 1;
+      var showStacked = stackedViewMode && canStack;
+      var stackedToggle = document.getElementById('floorStackedToggle');
+      if (stackedToggle) {
+        stackedToggle.style.display = canStack ? '' : 'none';
+        var chkStacked = document.getElementById('chkFloorStacked');
+        if (chkStacked) chkStacked.checked = showStacked;
       }
 
       // Show appropriate panel based on existing review status
@@ -3461,14 +4272,23 @@
         var spinner = floorReviewViewerEl.querySelector('.floor-review-loading-overlay');
         if (spinner) spinner.remove();
 
-        // Render interactive viewer
-        floorReviewViewer = renderInteractiveViewer(currentFloorReviewIndex, floorReviewViewerEl);
-
-        // Add subtle interaction hint
-        var hint = document.createElement('div');
-        hint.className = 'floor-review-hint';
-        hint.textContent = 'Sleep om te draaien \u00B7 scroll om te zoomen';
-        floorReviewViewerEl.appendChild(hint);
+        // Render interactive viewer (single floor, or all floors stacked) or the 2D plan
+        var showPlan = reviewPlanView && !showStacked;
+        if (showPlan) {
+          renderPlanView(currentFloorReviewIndex, floorReviewViewerEl);
+        } else {
+          floorReviewViewer = showStacked
+            ? renderStackedViewer(floorReviewViewerEl)
+            : renderInteractiveViewer(currentFloorReviewIndex, floorReviewViewerEl);
+          if (floorReviewViewer && !showStacked) attachIssuePins(floorReviewViewer, floorReviewViewerEl, currentFloorReviewIndex);
+
+          // Add subtle interaction hint
+          var hint = document.createElement('div');
+          hint.className = 'floor-review-hint';
+          hint.textContent = t('step3.hint');
+          floorReviewViewerEl.appendChild(hint);
+        }
+        if (!showStacked) addReviewViewToggle(floorReviewViewerEl);
       }, 60);
 
       // Track viewed floors and update wizard UI
@@ -3481,6 +4301,18 @@
 
     // ── Step 3: New review handlers ──
 
+    // Furniture ("inrichting") on/off for the floor under review — part of the printed model
+    function toggleFloorFurniture(on) {
+      var floor = floors[currentFloorReviewIndex];
+      if (!floor) return;
+      floor.furniture = !!on;
+      refreshFloorMeshes().then(function(current) {
+        if (!current) return;
+        renderFloorReview();
+        renderPreviewThumbnails();
+      });
+    }
+
     // Helper: advance to next unreviewed floor, or step 4 if all reviewed
     function advanceFloorReview() {
       renderPreviewThumbnails();
@@ -3535,23 +4367,22 @@
       document.getElementById('floorReviewDefault').style.display = 'none';
       document.getElementById('floorReviewIssue').style.display = '';
       document.getElementById('floorReviewMajor').style.display = 'none';
+      document.getElementById('floorReviewEdit').style.display = 'none';
       // Restore previous note if one was saved for this floor
       var textarea = document.getElementById('floorIssueText');
       if (textarea) textarea.value = floorIssues[currentFloorReviewIndex] || '';
+      renderIssuePinList();
     }
 
     // "Opslaan & door →"
     function saveFloorIssue() {
       var textarea = document.getElementById('floorIssueText');
       var text = textarea ? textarea.value.trim() : '';
-      if (text) {
-        floorIssues[currentFloorReviewIndex] = text;
-        floorReviewStatus[currentFloorReviewIndex] = 'issue';
-      } else {
-        // Empty note = treat as confirmed
-        delete floorIssues[currentFloorReviewIndex];
-        floorReviewStatus[currentFloorReviewIndex] = 'confirmed';
-      }
+      var pins = floorIssuePins[currentFloorReviewIndex];
+      if (text) floorIssues[currentFloorReviewIndex] = text;
+      else delete floorIssues[currentFloorReviewIndex];
+      // Empty note and no pins = treat as confirmed
+      floorReviewStatus[currentFloorReviewIndex] = (text || (pins && pins.length)) ? 'issue' : 'confirmed';
       viewedFloors.add(currentFloorReviewIndex);
       advanceFloorReview();
     }
@@ -3561,13 +4392,14 @@
       document.getElementById('floorReviewDefault').style.display = 'none';
       document.getElementById('floorReviewIssue').style.display = 'none';
       document.getElementById('floorReviewMajor').style.display = '';
+      document.getElementById('floorReviewEdit').style.display = 'none';
       // Set up contact email link
       var contactBtn = document.getElementById('btnFloorContact');
       if (contactBtn) {
         var fundaUrl = fundaUrlInput ? fundaUrlInput.value.trim() : '';
         var floorName = floors[currentFloorReviewIndex] ? floors[currentFloorReviewIndex].name : 'Onbekend';
-        var subject = encodeURIComponent('Frame³ — plattegrond klopt niet');
-        var body = encodeURIComponent('Hoi,\n\nDe plattegrond "' + floorName + '" klopt niet.\n\nFunda link: ' + (fundaUrl || '(niet ingevuld)') + '\n\nKunnen jullie me helpen?\n\nAlvast bedankt!');
+        var subject = encodeURIComponent(t('mail.floorSubject'));
+        var body = encodeURIComponent(t('mail.floorBody', { floor: floorName, portal: portalLabelFor(fundaUrl), url: fundaUrl || t('mail.notFilled') }));
         contactBtn.href = 'mailto:vince@mattori.nl?subject=' + subject + '&body=' + body;
       }
     }
@@ -3584,1753 +4416,1966 @@
       document.getElementById('floorReviewDefault').style.display = '';
       document.getElementById('floorReviewIssue').style.display = 'none';
       document.getElementById('floorReviewMajor').style.display = 'none';
+      document.getElementById('floorReviewEdit').style.display = 'none';
     }
 
     // ============================================================
-    // ADMIN: Toggle frame image (One.png ↔ Two.png)
+    // ISSUE PINS — numbered points on the step 3 review viewer
     // ============================================================
-    var FRAME_IMG_ONE = 'https://cdn.shopify.com/s/files/1/0958/8614/7958/files/Two_2ea7e364-8d19-4ebf-a33b-86df839bb390.png?v=1772385215';
-    var FRAME_IMG_TWO = 'https://cdn.shopify.com/s/files/1/0958/8614/7958/files/One_6d739714-6517-40e3-99c6-a238000f2dad.png?v=1772393844';
-
-    function toggleAdminFrame() {
-      ensureDomRefs();
-      var cb = document.getElementById('adminUseAltFrame');
-      var img = document.getElementById('unifiedFrameImage');
-      if (!cb || !img) return;
-      img.src = cb.checked ? FRAME_IMG_TWO : FRAME_IMG_ONE;
-    }
-
-    function toggleAdminGrid() {
-      ensureDomRefs();
-      var cb = document.getElementById('adminShowGrid');
-      adminGridOverlay = cb ? cb.checked : false;
-      renderGridOverlay();
+    // With the issue panel open, a click on the model drops a numbered pin. The hit
+    // is raycast back to FML plan coordinates (cm), so production can find the exact
+    // wall or room; each pin has its own comment. Sent with the order per floor.
+    var floorIssuePins = {};   // { floorIndex: [{ x, y, h, note }] } — x/y in FML cm, h = height of the hit
+    var PIN_CLICK_PX = 5;      // pointer moved further = orbit drag, not a click
+
+    // Statuses, comments and pins are keyed by floor index: every newly loaded FML starts over
+    function resetFloorReview() {
+      viewedFloors = new Set();
+      floorReviewStatus = {};
+      floorIssues = {};
+      floorIssuePins = {};
+      currentFloorReviewIndex = 0;
+    }
+
+    function sceneToPlan(scene, point) {
+      var o = scene.userData.planOrigin;
+      return {
+        x: Math.round((point.x - o.offset.x) / 0.01 + o.cx),
+        y: Math.round((point.z - o.offset.z) / 0.01 + o.cy),
+        h: Math.max(0, Math.round((point.y - o.offset.y) / 0.01))
+      };
     }
 
-    function toggleLayoutAlign() {
-      ensureDomRefs();
-      var cb = document.getElementById('adminAlignBottom');
-      layoutAlignY = (cb && cb.checked) ? 'bottom' : 'center';
-      // Re-render preview with new alignment
-      renderPreviewThumbnails();
-      updateFloorLabels();
-    }
+    function planToScene(scene, pin) {
+      var o = scene.userData.planOrigin;
+      return new THREE.Vector3((pin.x - o.cx) * 0.01 + o.offset.x, pin.h * 0.01 + o.offset.y, (pin.y - o.cy) * 0.01 + o.offset.z);
+    }
+
+    // Click-to-pin and the numbered markers for the single-floor review viewer
+    function attachIssuePins(viewer, container, floorIndex) {
+      var canvas = viewer.renderer.domElement;
+      var layer = document.createElement('div');
+      layer.className = 'issue-pin-layer';
+      container.appendChild(layer);
+      var raycaster = new THREE.Raycaster();
+      var down = null;
+
+      canvas.addEventListener('pointerdown', function(e) { down = { x: e.clientX, y: e.clientY }; });
+      canvas.addEventListener('pointerup', function(e) {
+        var start = down;
+        down = null;
+        if (!start || Math.hypot(e.clientX - start.x, e.clientY - start.y) > PIN_CLICK_PX) return;
+        if (document.getElementById('floorReviewIssue').style.display === 'none') return;
+        var rect = canvas.getBoundingClientRect();
+        var ndc = new THREE.Vector2((e.clientX - rect.left) / rect.width * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+        raycaster.setFromCamera(ndc, viewer.camera);
+        var hit = raycaster.intersectObjects(viewer.scene.children, true).find(function(h) { return h.object.isMesh; });
+        if (!hit) return;
+        var pin = sceneToPlan(viewer.scene, hit.point);
+        pin.note = '';
+        if (!floorIssuePins[floorIndex]) floorIssuePins[floorIndex] = [];
+        floorIssuePins[floorIndex].push(pin);
+        renderIssuePinList(true);
+      });
 
-    // Clear control panel, show spinner, do work, rebuild
-    function showLayoutLoading() {
-      var section = document.getElementById('layoutResultSection');
-      if (!section) return;
-      var existing = section.querySelector('.layout-loading-overlay');
-      if (existing) return;
-      var overlay = document.createElement('div');
-      overlay.className = 'layout-loading-overlay';
-      overlay.innerHTML = '<div class="step-spinner"></div>';
-      section.appendChild(overlay);
+      var v = new THREE.Vector3();
+      viewer.onFrame = function() {
+        var pins = floorIssuePins[floorIndex] || [];
+        while (layer.children.length < pins.length) {
+          var el = document.createElement('div');
+          el.className = 'issue-pin';
+          layer.appendChild(el);
+        }
+        while (layer.children.length > pins.length) layer.lastChild.remove();
+        var w = canvas.clientWidth, h = canvas.clientHeight;
+        viewer.scene.updateMatrixWorld();
+        pins.forEach(function(pin, i) {
+          var el = layer.children[i];
+          v.copy(planToScene(viewer.scene, pin)).applyMatrix4(viewer.scene.matrixWorld).project(viewer.camera);
+          el.textContent = i + 1;
+          el.style.transform = 'translate(' + ((v.x + 1) / 2 * w).toFixed(1) + 'px,' + ((1 - v.y) / 2 * h).toFixed(1) + 'px) translate(-50%, -100%)';
+          el.style.visibility = v.z < 1 ? '' : 'hidden';
+        });
+      };
     }
 
-    function hideLayoutLoading() {
-      var section = document.getElementById('layoutResultSection');
-      if (!section) return;
-      var overlay = section.querySelector('.layout-loading-overlay');
-      if (overlay) overlay.remove();
+    // Issue panel: one comment field per pin of the floor under review
+    function renderIssuePinList(focusLast) {
+      var list = document.getElementById('floorIssuePins');
+      if (!list) return;
+      var pins = floorIssuePins[currentFloorReviewIndex] || [];
+      list.innerHTML = '';
+      pins.forEach(function(pin, i) {
+        var li = document.createElement('li');
+        li.className = 'floor-issue-pin';
+        li.innerHTML = '<span class="issue-pin-number"></span><input type="text" class="wizard-input"><button type="button" class="issue-pin-remove" aria-label="">&times;</button>';
+        li.children[0].textContent = i + 1;
+        var input = li.children[1];
+        input.value = pin.note;
+        input.placeholder = t('step3.pinPlaceholder');
+        input.addEventListener('input', function() { pin.note = input.value; });
+        var remove = li.children[2];
+        remove.setAttribute('aria-label', t('step3.pinRemove'));
+        remove.addEventListener('click', function() {
+          pins.splice(i, 1);
+          if (!pins.length) delete floorIssuePins[currentFloorReviewIndex];
+          renderIssuePinList();
+        });
+        list.appendChild(li);
+      });
+      var hint = document.getElementById('floorIssuePinHint');
+      if (hint) hint.style.display = (isStackedReview() || reviewPlanView) ? 'none' : '';
+      if (focusLast && list.lastChild) list.lastChild.querySelector('input').focus();
     }
 
-    function updatePreviewWithLoading(fn) {
-      showLayoutLoading();
-      setTimeout(function() {
-        fn();
-        renderLayoutView();
-        hideLayoutLoading();
-      }, 60);
+    // Pins are placed on the single-floor 3D viewer only
+    function isStackedReview() {
+      return stackedViewMode && getStackedFloorIndices().length > 1;
     }
 
-    function setLayoutGap(value) {
-      layoutGapFactor = parseFloat(value);
-      if (gridEditMode) { customPositions = null; }
-      updatePreviewWithLoading(function() {
-        renderPreviewThumbnails();
-        updateFloorLabels();
-        if (gridEditMode) enableGridDrag();
+    // Room and wall under a pin (from the floor as built), for production
+    function describeIssuePin(floor, pin) {
+      var room = null, wall = null, wallDist = Infinity;
+      (floor.design.areas || []).forEach(function(area) {
+        var name = (area.customName || '').trim() || (area.name || '').trim();
+        if (!room && name && pointInPolygon(pin.x, pin.y, tessellateSurfacePoly(area.poly || []))) room = name;
       });
+      (floor.design.walls || []).forEach(function(w) {
+        var d = distanceToSegment(pin, w.a, w.b);
+        if (d <= (w.thickness ?? 20) / 2 + 10 && d < wallDist) { wall = w; wallDist = d; }
+      });
+      return {
+        room: room,
+        wall: wall ? [[Math.round(wall.a.x), Math.round(wall.a.y)], [Math.round(wall.b.x), Math.round(wall.b.y)]] : null
+      };
     }
 
-    function showResetButton() {
-      var btn = document.getElementById('btnResetLayout');
-      if (btn) btn.style.display = 'inline-flex';
-    }
-
-    function rotateFloor90(floorIndex) {
-      if (!floorSettings[floorIndex]) floorSettings[floorIndex] = {};
-      var current = getFloorRotate(floorIndex);
-      floorSettings[floorIndex].rotate = (current + 90) % 360;
-      resetSingleFloorPosition(floorIndex);
-      showLayoutLoading();
-      setTimeout(function() {
-        showResetButton();
-        renderPreviewThumbnails();
-        renderGridOverlayIfStep4();
-        updateFloorLabels();
-        if (gridEditMode) enableGridDrag();
-        checkFloorOverlaps();
-        renderLayoutView();
-        hideLayoutLoading();
-      }, 60);
+    // Cart text for the pins on floors[index]: '1) Keuken, muur (x 120, y 340): "…"'
+    function formatIssuePins(index) {
+      var floor = floors[index];
+      return (floorIssuePins[index] || []).map(function(pin, i) {
+        var where = describeIssuePin(floor, pin);
+        var place = [where.room, where.wall ? 'muur' : null].filter(Boolean).join(', ');
+        return (i + 1) + ') ' + (place ? place + ' ' : '') + '(x ' + pin.x + ', y ' + pin.y + ')' +
+          (pin.note.trim() ? ': \u201C' + pin.note.trim() + '\u201D' : '');
+      }).join('; ');
+    }
+
+    // Machine-readable pins of all floors (hidden cart property)
+    function getIssuePinsData() {
+      var out = [];
+      Object.keys(floorIssuePins).forEach(function(key) {
+        var index = Number(key);
+        var floor = floors[index];
+        if (!floor || excludedFloors.has(index) || floorReviewStatus[index] !== 'issue') return;
+        floorIssuePins[index].forEach(function(pin, i) {
+          var where = describeIssuePin(floor, pin);
+          out.push({ floor: floor.name, fml: getFmlFloorIndex(index), n: i + 1, x: pin.x, y: pin.y, h: pin.h, room: where.room, wall: where.wall, note: pin.note.trim() });
+        });
+      });
+      return out;
     }
 
     // ============================================================
-    // STEP 4: Layout View (grid-native)
+    // PLAN CORRECTIONS — step 3 editor on top of the review viewer
     // ============================================================
-    var floorOrder = null; // null = default order
-
-    function renderLayoutView() {
-      // Cleanup old layout viewers (dispose scene + renderer)
-      for (const v of layoutViewers) {
-        disposeScene(v.scene);
-        if (v.renderer) v.renderer.dispose();
-      }
-      layoutViewers = [];
-      floorLayoutViewer.innerHTML = '';
-
-      // ── Include/exclude checkboxes bar ──
-      var includeBar = document.getElementById('floorIncludeBar');
-      if (includeBar) {
-        includeBar.innerHTML = '';
-        for (var fi = 0; fi < floors.length; fi++) {
-          (function(floorIdx) {
-            var isExcluded = excludedFloors.has(floorIdx);
-            var chip = document.createElement('label');
-            chip.className = 'floor-include-chip' + (isExcluded ? ' excluded' : '');
-            var cb = document.createElement('input');
-            cb.type = 'checkbox';
-            cb.checked = !isExcluded;
-            cb.addEventListener('change', function() {
-              // Reset calculation state BEFORE toggling (prevents premature render)
-              var wasCalculated = layoutCalculated;
-              if (layoutCalculated) {
-                layoutCalculated = false;
-                gridEditMode = false;
-              }
-              customPositions = null;
-
-              toggleFloorExclusion(floorIdx);
-
-              // Hide result + note sections after reset
-              if (wasCalculated) {
-                var resultSection2 = document.getElementById('layoutResultSection');
-                if (resultSection2) resultSection2.style.display = 'none';
-                var noteSection2 = document.querySelector('.layout-note-section');
-                if (noteSection2) noteSection2.style.display = 'none';
-                var controlsBar2 = document.getElementById('layoutControlsBar');
-                if (controlsBar2) controlsBar2.style.display = 'none';
-                // Clear preview (guard in renderPreviewThumbnails handles this now)
-                if (floorsGrid) floorsGrid.innerHTML = '';
-                updateWizardUI();
-              }
-              // Update checkbox UI + show "Bereken" button
-              var chip2 = this.parentElement;
-              if (chip2) chip2.className = 'floor-include-chip' + (excludedFloors.has(floorIdx) ? ' excluded' : '');
-              var btnCalc2 = document.getElementById('btnCalcLayout');
-              if (btnCalc2) {
-                btnCalc2.style.display = '';
-                btnCalc2.onclick = function() {
-                  layoutCalculated = true;
-                  this.style.display = 'none';
-                  var rs = document.getElementById('layoutResultSection');
-                  if (rs) rs.style.display = '';
-                  var ns = document.querySelector('.layout-note-section');
-                  if (ns) ns.style.display = '';
-                  // Always show tools box
-                  var cb2 = document.getElementById('layoutControlsBar');
-                  if (cb2) cb2.style.display = '';
-                  // Ensure edit mode starts unchecked
-                  var chkEM2 = document.getElementById('chkEditMode');
-                  var ctrlIn2 = document.getElementById('layoutControlsInner');
-                  if (chkEM2) chkEM2.checked = false;
-                  if (ctrlIn2) ctrlIn2.classList.add('disabled');
-                  gridEditMode = false;
-                  customPositions = null;
-                  renderPreviewThumbnails();
-                  updateFloorLabels();
-                  renderLayoutView(); // populate per-floor controls
-                  updateWizardUI();
-                  setTimeout(function() { renderGridOverlay(); }, 50);
-                };
-                var anyIncluded = false;
-                for (var ci = 0; ci < floors.length; ci++) {
-                  if (!excludedFloors.has(ci)) { anyIncluded = true; break; }
-                }
-                btnCalc2.disabled = !anyIncluded;
-              }
-            });
-            var label = document.createElement('span');
-            label.textContent = floors[floorIdx].name || ('Verdieping ' + (floorIdx + 1));
-            chip.appendChild(cb);
-            chip.appendChild(label);
-            includeBar.appendChild(chip);
-          })(fi);
-        }
-      }
-
-      // (Global X/Y alignment buttons removed — per-floor alignment handles this)
-
-      // ── Scale buttons ──
-      var scaleGroup = document.getElementById('scaleGroup');
-      if (scaleGroup) {
-        scaleGroup.innerHTML = '';
-        var scaleOptions = [
-          { val: 0.82, label: 'S', title: 'Klein' },
-          { val: 1.0, label: 'M', title: 'Normaal' },
-          { val: 1.1, label: 'L', title: 'Groot' }
-        ];
-        for (var si = 0; si < scaleOptions.length; si++) {
-          (function(opt) {
-            var btn = document.createElement('button');
-            btn.type = 'button';
-            btn.className = 'floor-align-btn' + (opt.val === layoutScaleFactor ? ' active' : '');
-            btn.textContent = opt.label;
-            btn.title = opt.title;
-            btn.style.cssText = 'font-size:11px;font-weight:700;min-width:28px;';
-            btn.addEventListener('click', function() {
-              layoutScaleFactor = opt.val;
-              customPositions = null;
-              showResetButton();
-              var siblings = scaleGroup.querySelectorAll('.floor-align-btn');
-              for (var s = 0; s < siblings.length; s++) siblings[s].classList.remove('active');
-              this.classList.add('active');
-              updatePreviewWithLoading(function() {
-                renderPreviewThumbnails();
-                renderGridOverlayIfStep4();
-                updateFloorLabels();
-                if (gridEditMode) enableGridDrag();
-              });
-            });
-            scaleGroup.appendChild(btn);
-          })(scaleOptions[si]);
-        }
-      }
-
-      // ── Per-floor alignment + rotation section ──
-      var perFloorSection = document.getElementById('perFloorAlignSection');
-      if (perFloorSection) {
-        perFloorSection.innerHTML = '';
-        var includedForAlign = [];
-        for (var pfi = 0; pfi < floors.length; pfi++) {
-          if (!excludedFloors.has(pfi)) includedForAlign.push(pfi);
-        }
-        // Show per-floor controls for ALL included floors (even with 1 floor for rotation)
-        if (includedForAlign.length >= 1) {
-          // SVG line icons for alignment (small 14×14)
-          // Minimal alignment icons: just the alignment line inside the button square
-          var xIcons = {
-            left:   '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="2" y1="0" x2="2" y2="14" stroke="currentColor" stroke-width="2"/></svg>',
-            center: '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="7" y1="0" x2="7" y2="14" stroke="currentColor" stroke-width="2"/></svg>',
-            right:  '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="12" y1="0" x2="12" y2="14" stroke="currentColor" stroke-width="2"/></svg>'
-          };
-          var yIcons = {
-            top:    '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="0" y1="2" x2="14" y2="2" stroke="currentColor" stroke-width="2"/></svg>',
-            center: '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="0" y1="7" x2="14" y2="7" stroke="currentColor" stroke-width="2"/></svg>',
-            bottom: '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="0" y1="12" x2="14" y2="12" stroke="currentColor" stroke-width="2"/></svg>'
-          };
-          var rotateIcon = '<svg width="13" height="13" viewBox="0 0 16 16" fill="none"><path d="M13 3v4h-4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/><path d="M13 7c-.8-2.2-2.8-3.8-5.2-3.8-3.2 0-5.8 2.6-5.8 5.8s2.6 5.8 5.8 5.8c2.2 0 4-1.3 4.9-3.2" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>';
-
-          for (var afi = 0; afi < includedForAlign.length; afi++) {
-            (function(floorIdx) {
-              var row = document.createElement('div');
-              row.className = 'per-floor-row';
-
-              var name = document.createElement('span');
-              name.className = 'per-floor-name';
-              name.textContent = floors[floorIdx].name || ('Verdieping ' + (floorIdx + 1));
-              row.appendChild(name);
-
-              // X alignment buttons (line icons)
-              var xBtns = document.createElement('span');
-              xBtns.className = 'per-floor-btns';
-              var xVals = ['left', 'center', 'right'];
-              var currentX = (floorSettings[floorIdx] && floorSettings[floorIdx].alignX) || layoutAlignX;
-              for (var bx = 0; bx < xVals.length; bx++) {
-                (function(val) {
-                  var btn = document.createElement('button');
-                  btn.type = 'button';
-                  btn.className = 'per-floor-btn' + (val === currentX ? ' active' : '');
-                  btn.innerHTML = xIcons[val];
-                  btn.addEventListener('click', function() {
-                    if (!floorSettings[floorIdx]) floorSettings[floorIdx] = {};
-                    floorSettings[floorIdx].alignX = val;
-                    showLayoutLoading();
-                    setTimeout(function() {
-                      showResetButton();
-                      renderPreviewThumbnails();
-                      renderGridOverlayIfStep4();
-                      updateFloorLabels();
-                      if (gridEditMode) enableGridDrag();
-                      checkFloorOverlaps();
-                      renderLayoutView();
-                      hideLayoutLoading();
-                    }, 60);
-                  });
-                  xBtns.appendChild(btn);
-                })(xVals[bx]);
-              }
-              row.appendChild(xBtns);
-
-              // Y alignment buttons (line icons)
-              var yBtns = document.createElement('span');
-              yBtns.className = 'per-floor-btns per-floor-btns-y';
-              var yVals = ['top', 'center', 'bottom'];
-              var currentY = (floorSettings[floorIdx] && floorSettings[floorIdx].alignY) || layoutAlignY;
-              for (var by = 0; by < yVals.length; by++) {
-                (function(val) {
-                  var btn = document.createElement('button');
-                  btn.type = 'button';
-                  btn.className = 'per-floor-btn' + (val === currentY ? ' active' : '');
-                  btn.innerHTML = yIcons[val];
-                  btn.addEventListener('click', function() {
-                    if (!floorSettings[floorIdx]) floorSettings[floorIdx] = {};
-                    floorSettings[floorIdx].alignY = val;
-                    showLayoutLoading();
-                    setTimeout(function() {
-                      showResetButton();
-                      renderPreviewThumbnails();
-                      renderGridOverlayIfStep4();
-                      updateFloorLabels();
-                      if (gridEditMode) enableGridDrag();
-                      checkFloorOverlaps();
-                      renderLayoutView();
-                      hideLayoutLoading();
-                    }, 60);
-                  });
-                  yBtns.appendChild(btn);
-                })(yVals[by]);
-              }
-              row.appendChild(yBtns);
-
-              // Rotate 90° button
-              var rotBtn = document.createElement('button');
-              rotBtn.type = 'button';
-              rotBtn.className = 'per-floor-rotate';
-              rotBtn.innerHTML = rotateIcon;
-              rotBtn.title = '90° draaien';
-              rotBtn.addEventListener('click', function() {
-                rotateFloor90(floorIdx);
-              });
-              row.appendChild(rotBtn);
-
-              perFloorSection.appendChild(row);
-            })(includedForAlign[afi]);
-          }
-        }
-      }
-
-      // ── Reset button (icon inside label — stop event so checkbox doesn't toggle) ──
-      var btnReset = document.getElementById('btnResetLayout');
-      if (btnReset) {
-        btnReset.onclick = function(e) {
-          e.preventDefault();
-          e.stopPropagation();
-          customPositions = null;
-          layoutScaleFactor = 1.0;
-          floorSettings = {};
-          layoutHasOverlap = false;
-          renderPreviewThumbnails();
-          renderGridOverlay();
-          updateWizardUI();
-          if (gridEditMode) {
-            var wraps = floorsGrid ? floorsGrid.querySelectorAll('.floor-canvas-wrap') : [];
-            _dragCleanups.forEach(function(fn) { fn(); });
-            _dragCleanups = [];
-            for (var _rw = 0; _rw < wraps.length; _rw++) attachDragHandlers(wraps[_rw], _rw);
-      
-          }
-          renderLayoutView();
-          btnReset.style.display = 'none';
-        };
-      }
-
-      // ── Edit mode + tools box ──
-      var includedCount = 0;
-      for (var gi = 0; gi < floors.length; gi++) {
-        if (!excludedFloors.has(gi)) includedCount++;
-      }
-      // Show/hide the tools box based on layout state
-      var ctrlBar = document.getElementById('layoutControlsBar');
-      if (ctrlBar) ctrlBar.style.display = (layoutCalculated && includedCount >= 2) ? '' : 'none';
-
-      // "Handmatig aanpassen" checkbox toggles edit mode
-      var chkEditMode = document.getElementById('chkEditMode');
-      var ctrlInner = document.getElementById('layoutControlsInner');
-      if (chkEditMode) {
-        chkEditMode.checked = gridEditMode;
-        // Apply disabled state to controls
-        if (ctrlInner) ctrlInner.classList.toggle('disabled', !gridEditMode);
-        chkEditMode.onchange = function() {
-          gridEditMode = this.checked;
-          if (ctrlInner) ctrlInner.classList.toggle('disabled', !gridEditMode);
-          if (gridEditMode) {
-            enableGridDrag();
-          } else {
-            disableGridDrag();
-            customPositions = null;
-            layoutHasOverlap = false;
-            renderPreviewThumbnails();
-            renderGridOverlay();
-            updateWizardUI();
-          }
-        };
+    // Customers fix small FML mistakes themselves: delete a stray wall, drag a wall
+    // end, draw a missing wall, delete a floor surface, add, reshape or remove
+    // stair voids (aligned with the voids of the floors above and below), and switch
+    // balustrades off, draw new ones or change their height. Every edit is an op in
+    // fmlPatch (format: see applyFmlPatch) over originalFmlData, which itself is
+    // never changed. The patch is applied in buildFloors, travels in the Frame
+    // Code (p) and in the uploaded / downloaded FML (mattori_patch).
+    // Drawn items point at their add op itself (op), never at its position in
+    // fmlPatch: removing another op must not make a selection point elsewhere.
+    // Balustrades are listed and switched per strip, the way the model joins them
+    // (groupBalustradeStrips); a strip's parts are its FML balustrades and drawn ones.
+    // planEditor: { floorIndex, fi, tool, selected, drawFrom, drag, hover, history, opened, view,
+    //               typical, typicalBal, ghosts, pxPerCm, svg }
+    var planEditor = null;
+    var PLAN_SNAP_PX = 10;   // snap to wall ends within this many screen pixels
+    var PLAN_AXIS_DEG = 4;   // new walls within this angle of horizontal/vertical are straightened
+    var PLAN_VOID_MIN = 10;  // cm — smaller drawn voids are taken as a click
+
+    // FML floor (data.floors index) behind floors[entryIndex]
+    function getFmlFloorIndex(entryIndex) {
+      return fmlDiagnostics.findIndex(function(r) { return r.entryIndex === entryIndex; });
+    }
+
+    // Takes the corrections out of an FML saved by getFmlForExport (malformed ops dropped)
+    function extractFmlPatch(data) {
+      var patch = cleanFmlPatch(data.mattori_patch);
+      delete data.mattori_patch;
+      return patch;
+    }
+
+    // Original FML plus the customer's corrections, for upload and download
+    function getFmlForExport() {
+      if (!originalFmlData || !fmlPatch.length) return originalFmlData;
+      return Object.assign({}, originalFmlData, { mattori_patch: fmlPatch });
+    }
+
+    // Cart / admin summary of the corrections on floors[entryIndex] ('' when none)
+    function describePlanCorrections(entryIndex) {
+      var fi = getFmlFloorIndex(entryIndex);
+      var counts = { dw: 0, mw: 0, aw: 0, da: 0, ds: 0, av: 0, sv: 0, nv: 0, db: 0, hb: 0, ab: 0 };
+      var moved = new Set();
+      fmlPatch.forEach(function(op) {
+        if (op.f !== fi || counts[op.o] == null) return;
+        if (op.o === 'mw') moved.add(op.i);
+        else counts[op.o]++;
+      });
+      counts.mw = moved.size;
+      // Balustrades per strip, as the customer switched them in the editor
+      if (counts.db + counts.hb + counts.ab) {
+        counts.db = counts.hb = counts.ab = 0;
+        getPlanEditorModel(fi).balustrades.forEach(function(strip) {
+          if (strip.off) { counts.db++; return; }
+          if (strip.parts.some(function(bal) { return bal.op != null; })) counts.ab++;
+          if (strip.parts.some(function(bal) { return bal.op == null && bal.height !== bal.originalHeight; })) counts.hb++;
+        });
       }
+      function bals(n) { return n + (n === 1 ? ' balustrade' : ' balustrades'); }
+      var parts = [];
+      if (counts.dw) parts.push(counts.dw + (counts.dw === 1 ? ' muur' : ' muren') + ' verwijderd');
+      if (counts.mw) parts.push(counts.mw + (counts.mw === 1 ? ' muur' : ' muren') + ' verplaatst');
+      if (counts.aw) parts.push(counts.aw + (counts.aw === 1 ? ' muur' : ' muren') + ' toegevoegd');
+      if (counts.da + counts.ds) parts.push((counts.da + counts.ds) + (counts.da + counts.ds === 1 ? ' vloervlak' : ' vloervlakken') + ' verwijderd');
+      if (counts.av) parts.push(counts.av + (counts.av === 1 ? ' vide' : ' vides') + ' toegevoegd');
+      if (counts.sv) parts.push(counts.sv + (counts.sv === 1 ? ' vide' : ' vides') + ' aangepast');
+      if (counts.nv) parts.push(counts.nv + (counts.nv === 1 ? ' vide' : ' vides') + ' dichtgemaakt');
+      if (counts.db) parts.push(bals(counts.db) + ' uitgezet');
+      if (counts.ab) parts.push(bals(counts.ab) + ' toegevoegd');
+      if (counts.hb) parts.push(bals(counts.hb) + ' andere hoogte');
+      return parts.join(', ');
+    }
+
+    // What the editor draws: the original walls, shapes, stair voids and balustrade strips of FML
+    // floor fi with the patch applied, each still pointing at its original index (ref) or add-op (op)
+    function getPlanEditorModel(fi) {
+      var design = originalFmlData.floors[fi].designs[0];
+      var deleted = { dw: new Set(), da: new Set(), ds: new Set() };
+      var moves = {};
+      var voidOps = {}; // surface index → its 'sv' / 'nv' op
+      var balOff = new Set();
+      var balHeights = {};
+      var walls = [];
+      var shapes = [];
+      var voids = [];
+      var balParts = [];
+      fmlPatch.forEach(function(op) {
+        if (op.f !== fi) return;
+        if (deleted[op.o]) deleted[op.o].add(op.i);
+        else if (op.o === 'mw') moves[op.i + op.e] = op;
+        else if (op.o === 'sv' || op.o === 'nv') voidOps[op.i] = op;
+        else if (op.o === 'db') balOff.add(op.i);
+        else if (op.o === 'hb') balHeights[op.i] = op.h;
+      });
+      (design.walls || []).forEach(function(w, i) {
+        if (deleted.dw.has(i) || !w || !isFmlPoint(w.a) || !isFmlPoint(w.b)) return;
+        var a = moves[i + 'a'] || w.a;
+        var b = moves[i + 'b'] || w.b;
+        var moved = moves[i + 'a'] || moves[i + 'b'];
+        walls.push({ ref: i, a: { x: a.x, y: a.y }, b: { x: b.x, y: b.y }, c: !moved && isFmlPoint(w.c) ? w.c : null, thickness: w.thickness ?? 20 });
+      });
+      fmlPatch.forEach(function(op) {
+        if (op.f !== fi || op.o !== 'aw') return;
+        walls.push({ op: op, a: { x: op.a[0], y: op.a[1] }, b: { x: op.b[0], y: op.b[1] }, c: null, thickness: op.th });
+      });
+      (design.surfaces || []).forEach(function(s, i) {
+        if (deleted.ds.has(i) || !s) return;
+        var vop = voidOps[i];
+        var surface = !vop ? s
+          : vop.o === 'nv' ? { poly: s.poly }
+          : { role: 14, isCutout: true, mattori_void: true, poly: vop.poly ? vop.poly.map(planPointFromPair) : s.poly };
+        var poly = tessellateSurfacePoly((surface.poly || []).filter(isFmlPoint));
+        if (isStairVoidSurface(surface, poly)) voids.push({ ref: i, poly: poly });
+      });
+      fmlPatch.forEach(function(op) {
+        if (op.f === fi && op.o === 'av') voids.push({ op: op, poly: op.poly.map(planPointFromPair) });
+      });
+      [['da', 'areas'], ['ds', 'surfaces']].forEach(function(kind) {
+        (design[kind[1]] || []).forEach(function(s, i) {
+          if (deleted[kind[0]].has(i) || !s) return;
+          if (kind[0] === 'ds' && voids.some(function(v) { return v.ref === i; })) return;
+          var poly = tessellateSurfacePoly((s.poly || []).filter(isFmlPoint));
+          if (poly.length >= 3) shapes.push({ o: kind[0], i: i, poly: poly, area: polygonArea2D(poly) });
+        });
+      });
+      // Switched-off balustrades stay in the model (off), so they can be switched on again
+      listFmlBalustrades(design).forEach(function(bal, i) {
+        if (!bal || !isFmlPoint(bal.a) || !isFmlPoint(bal.b)) return;
+        balParts.push({
+          ref: i, a: bal.a, b: bal.b, c: isFmlPoint(bal.c) ? bal.c : null, thickness: bal.thickness ?? 10,
+          height: balHeights[i] ?? bal.height ?? 100, originalHeight: bal.height ?? 100, off: balOff.has(i)
+        });
+      });
+      fmlPatch.forEach(function(op) {
+        if (op.f !== fi || op.o !== 'ab') return;
+        balParts.push({ op: op, a: planPointFromPair(op.a), b: planPointFromPair(op.b), c: null, thickness: op.th, height: op.h, off: false });
+      });
+      return { walls: walls, shapes: shapes, voids: voids, balustrades: getPlanBalustradeStrips(balParts) };
+    }
+
+    // Balustrades whose ends meet form one strip in the model; the parts that are on
+    // and the parts that are off are joined separately, as the model only sees the first
+    function getPlanBalustradeStrips(parts) {
+      var strips = [];
+      [false, true].forEach(function(off) {
+        var list = parts.filter(function(bal) { return bal.off === off; });
+        groupBalustradeStrips(list).forEach(function(idx) {
+          var members = idx.map(function(k) { return list[k]; });
+          strips.push({
+            parts: members,
+            off: off,
+            height: members[0].height,
+            added: members.every(function(bal) { return bal.op != null; }),
+            length: flattenBalustrades(members).reduce(function(sum, seg) { return sum + Math.hypot(seg.b.x - seg.a.x, seg.b.y - seg.a.y); }, 0)
+          });
+        });
+      });
+      return strips.sort(function(s1, s2) { return parts.indexOf(s1.parts[0]) - parts.indexOf(s2.parts[0]); });
+    }
 
-      // ── Grid visibility checkbox ──
-      var chkShowGrid = document.getElementById('chkShowGrid');
-      if (chkShowGrid) {
-        chkShowGrid.onchange = function() {
-          showGridOverlay = this.checked;
-          // zone-editing outline on floorsGrid (matches maxGridH)
-          if (floorsGrid) floorsGrid.classList.toggle('zone-editing', showGridOverlay);
-          if (showGridOverlay) {
-            renderGridOverlay();
-      
-          } else {
-            // Remove grid overlay + alignment overlay
-            var gridEl = floorsGrid ? floorsGrid.querySelector('.grid-overlay') : null;
-            if (gridEl) gridEl.remove();
-            var alignEl = floorsGrid ? floorsGrid.querySelector('.align-overlay') : null;
-            if (alignEl) alignEl.remove();
-          }
-        };
-      }
+    function planPointFromPair(p) {
+      return { x: p[0], y: p[1] };
+    }
 
-      // Show grid overlay in step 4 (always visible, subtle)
-      renderGridOverlayIfStep4();
+    // Voids of the floors directly above and below floors[entryIndex] (FML coordinates
+    // are shared between floors), drawn as guides to align this floor's voids with
+    function getNeighbourVoids(entryIndex) {
+      var info = getFloorStoreys();
+      if (!isHouseStorey(info[entryIndex])) return [];
+      var order = sortFloorsByStorey(floors.map(function(_, i) { return i; }).filter(function(i) {
+        return (i === entryIndex || !excludedFloors.has(i)) && isHouseStorey(info[i]);
+      }));
+      var pos = order.indexOf(entryIndex);
+      var ghosts = [];
+      [order[pos - 1], order[pos + 1]].forEach(function(i) {
+        var fi = i == null ? -1 : getFmlFloorIndex(i);
+        if (fi < 0) return;
+        getPlanEditorModel(fi).voids.forEach(function(v) {
+          ghosts.push({ poly: v.poly, floorName: floors[i].name });
+        });
+      });
+      return ghosts;
+    }
 
-      // ── 3D mode checkbox — handled via global toggle3dMode() ──
+    function openPlanEditor() {
+      ensureDomRefs();
+      var fi = getFmlFloorIndex(currentFloorReviewIndex);
+      if (!originalFmlData || fi < 0) return;
+      disposeFloorReviewViewer();
+      floorReviewViewerEl.innerHTML = '';
+
+      // Fixed view: the original plan's extent, so the drawing doesn't jump while editing
+      var design = originalFmlData.floors[fi].designs[0];
+      var bbox = computeBoundingBox(design);
+      var pad = Math.max(bbox.maxX - bbox.minX, bbox.maxY - bbox.minY, 100) * 0.06;
+      planEditor = {
+        floorIndex: currentFloorReviewIndex,
+        fi: fi,
+        tool: 'select',
+        selected: null,   // { wall }, { shape } or { void } from the model
+        drawFrom: null,   // first point of a wall or void being drawn
+        drag: null,       // { ends: [{ wall, e }], from, to } or { void, vertex, from, to }
+        hover: null,      // pointer position while drawing
+        history: [],
+        opened: JSON.stringify(fmlPatch),
+        view: { x: bbox.minX - pad, y: bbox.minY - pad, w: bbox.maxX - bbox.minX + 2 * pad, h: bbox.maxY - bbox.minY + 2 * pad },
+        typical: getTypicalWall(design),
+        typicalBal: getTypicalBalustrade(design),
+        ghosts: getNeighbourVoids(currentFloorReviewIndex),
+        pxPerCm: 1,
+        svg: null
+      };
+
+      var svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+      svg.setAttribute('class', 'plan-editor');
+      svg.setAttribute('viewBox', [planEditor.view.x, planEditor.view.y, planEditor.view.w, planEditor.view.h].join(' '));
+      svg.addEventListener('pointerdown', onPlanPointerDown);
+      svg.addEventListener('pointermove', onPlanPointerMove);
+      svg.addEventListener('pointerup', onPlanPointerUp);
+      svg.addEventListener('pointerleave', function() {
+        if (planEditor && planEditor.hover) { planEditor.hover = null; renderPlanEditor(); }
+      });
+      floorReviewViewerEl.appendChild(svg);
+      planEditor.svg = svg;
+
+      var controls = document.querySelector('.mattori-configurator .floor-review-controls');
+      if (controls) controls.classList.add('plan-editing');
+      // Wizard back/next re-render step 3, which would drop this session's edits: Klaar or Annuleren first
+      document.getElementById('wizardNav').style.display = 'none';
+      document.getElementById('floorReviewDefault').style.display = 'none';
+      document.getElementById('floorReviewIssue').style.display = 'none';
+      document.getElementById('floorReviewMajor').style.display = 'none';
+      document.getElementById('floorReviewEdit').style.display = '';
+      renderPlanEditor();
+    }
+    window.openPlanEditor = openPlanEditor;
+
+    // Thickness and height for drawn walls: what most walls on this floor have
+    function getTypicalWall(design) {
+      var thick = [], high = [];
+      (design.walls || []).forEach(function(w) {
+        if (w && w.thickness > 0) thick.push(w.thickness);
+        var h = w && (w.az?.h ?? w.bz?.h);
+        if (h > 0) high.push(h);
+      });
+      return {
+        th: thick.length ? Math.round(median(thick)) : 20,
+        h: high.length ? Math.round(Math.max.apply(null, high)) : null
+      };
     }
 
-    // Helper: show grid overlay when in step 4
-    function renderGridOverlayIfStep4() {
-      if (currentWizardStep === 4) {
-        renderGridOverlay();
+    // Thickness and height for drawn balustrades: as the floor's own, else a standard railing
+    function getTypicalBalustrade(design) {
+      var bals = listFmlBalustrades(design).filter(function(bal) { return bal && bal.thickness > 0 && bal.height > 0; });
+      return {
+        th: bals.length ? Math.round(median(bals.map(function(bal) { return bal.thickness; }))) : 10,
+        h: bals.length ? Math.round(median(bals.map(function(bal) { return bal.height; }))) : 100
+      };
+    }
+
+    // Leaves the editor; without keep this session's edits are dropped
+    function endPlanEditor(keep) {
+      var ed = planEditor;
+      planEditor = null;
+      var controls = document.querySelector('.mattori-configurator .floor-review-controls');
+      if (controls) controls.classList.remove('plan-editing');
+      document.getElementById('wizardNav').style.display = '';
+      document.getElementById('floorReviewEdit').style.display = 'none';
+      if (!keep) fmlPatch = JSON.parse(ed.opened);
+      return ed;
+    }
+
+    // "Klaar" (apply) rebuilds the floors with the corrections, "Annuleren" drops them
+    async function closePlanEditor(apply) {
+      if (!planEditor) return;
+      var ed = endPlanEditor(apply);
+      if (!apply || JSON.stringify(fmlPatch) === ed.opened) {
+        renderFloorReview();
+        return;
+      }
+
+      showLoading();
+      try {
+        if (!(await rebuildCorrectedFloors())) return;
+        renderPreviewThumbnails();
+        buildThumbstrip();
+        showToast(t('step3.editSaved'));
+      } catch (err) {
+        // The corrected plan can't be built: back to what it was before this session
+        console.warn('[Mattori] Plattegrondcorrectie mislukt:', err);
+        fmlPatch = JSON.parse(ed.opened);
+        showToast(t('step3.editFailed', { error: err.message }));
+      } finally {
+        hideLoading();
       }
+      renderFloorReview();
     }
+    window.closePlanEditor = closePlanEditor;
 
-    // ============================================================
-    // STEP 5: Labels editing
-    // ============================================================
-    function setLabelMode(mode) {
-      labelMode = mode;
-      renderLabelsFieldsContent();
-      updateFloorLabels();
+    // Floors rebuilt from the corrected FML; review, exclusions, per-floor settings
+    // and the step 4 layout stay (floor indices don't change: a patch never removes
+    // a floor). The caller re-renders the layout with the new floor sizes.
+    async function rebuildCorrectedFloors() {
+      var previous = floors;
+      if (!(await buildFloors(originalFmlData))) return false;
+      floors.forEach(function(floor, i) {
+        if (previous[i]) floor.furniture = previous[i].furniture;
+      });
+      renderAdminFloorDims();
+      renderFmlReport();
+      return true;
+    }
+
+    function setPlanEditorTool(tool) {
+      if (!planEditor) return;
+      planEditor.tool = planEditor.tool === tool ? 'select' : tool;
+      planEditor.drawFrom = null;
+      planEditor.selected = null;
+      renderPlanEditor();
+    }
+    window.setPlanEditorTool = setPlanEditorTool;
+
+    function pushPlanHistory() {
+      planEditor.history.push(JSON.stringify(fmlPatch));
+    }
+
+    function undoPlanEdit() {
+      if (!planEditor || !planEditor.history.length) return;
+      fmlPatch = JSON.parse(planEditor.history.pop());
+      planEditor.selected = null;
+      renderPlanEditor();
+    }
+    window.undoPlanEdit = undoPlanEdit;
+
+    // Drops every correction on this floor (also those from earlier sessions)
+    function resetPlanEdits() {
+      if (!planEditor) return;
+      var fi = planEditor.fi;
+      if (!fmlPatch.some(function(op) { return op.f === fi; })) return;
+      pushPlanHistory();
+      fmlPatch = fmlPatch.filter(function(op) { return op.f !== fi; });
+      planEditor.selected = null;
+      renderPlanEditor();
+    }
+    window.resetPlanEdits = resetPlanEdits;
+
+    function deletePlanSelection() {
+      var ed = planEditor;
+      if (!ed || !ed.selected) return;
+      pushPlanHistory();
+      var sel = ed.selected;
+      if (sel.wall && sel.wall.op != null) {
+        removePlanOp(sel.wall.op);
+      } else if (sel.wall) {
+        fmlPatch = fmlPatch.filter(function(op) { return !(op.f === ed.fi && op.o === 'mw' && op.i === sel.wall.ref); });
+        fmlPatch.push({ f: ed.fi, o: 'dw', i: sel.wall.ref });
+      } else if (sel.shape) {
+        fmlPatch.push({ f: ed.fi, o: sel.shape.o, i: sel.shape.i });
+      } else if (sel.bal) {
+        setPlanBalustradeOn(sel.bal, false);
+      } else if (sel.void && sel.void.op != null) {
+        removePlanOp(sel.void.op);
+      } else if (sel.void) {
+        // Closes the void; a surface that was only a void through this patch just loses its op
+        var surface = originalFmlData.floors[ed.fi].designs[0].surfaces[sel.void.ref];
+        fmlPatch = fmlPatch.filter(function(op) { return !(op.f === ed.fi && op.o === 'sv' && op.i === sel.void.ref); });
+        if (isStairVoidSurface(surface, tessellateSurfacePoly((surface.poly || []).filter(isFmlPoint)))) {
+          fmlPatch.push({ f: ed.fi, o: 'nv', i: sel.void.ref });
+        }
+      }
+      ed.selected = null;
+      renderPlanEditor();
+    }
+    window.deletePlanSelection = deletePlanSelection;
+
+    function removePlanOp(op) {
+      fmlPatch = fmlPatch.filter(function(o) { return o !== op; });
+    }
+
+    // Switches a balustrade strip on or off; switching off drawn parts removes them
+    function setPlanBalustradeOn(strip, on) {
+      var fi = planEditor.fi;
+      strip.parts.forEach(function(bal) {
+        if (bal.op != null) {
+          if (!on) removePlanOp(bal.op);
+          return;
+        }
+        fmlPatch = fmlPatch.filter(function(op) { return !(op.f === fi && op.o === 'db' && op.i === bal.ref); });
+        if (!on) fmlPatch.push({ f: fi, o: 'db', i: bal.ref });
+      });
     }
 
-    function renderLabelsFields() {
-      floorLabels = getIncludedFloorLabels();
+    // Height in cm for every part of the strip; back at the FML's own height the op is dropped
+    function setPlanBalustradeHeight(strip, h) {
+      var fi = planEditor.fi;
+      strip.parts.forEach(function(bal) {
+        if (bal.op != null) {
+          bal.op.h = h;
+          return;
+        }
+        fmlPatch = fmlPatch.filter(function(op) { return !(op.f === fi && op.o === 'hb' && op.i === bal.ref); });
+        if (h !== bal.originalHeight) fmlPatch.push({ f: fi, o: 'hb', i: bal.ref, h: h });
+      });
+    }
 
-      var step6 = document.getElementById('wizardStep6');
-      if (!step6) return;
+    // New outline for a void (points in FML cm, rounded to mm)
+    function setPlanVoidPoly(v, poly) {
+      var fi = planEditor.fi;
+      var pairs = poly.map(function(p) { return [Math.round(p.x * 10) / 10, Math.round(p.y * 10) / 10]; });
+      if (v.op != null) {
+        v.op.poly = pairs;
+        return;
+      }
+      fmlPatch = fmlPatch.filter(function(op) { return !(op.f === fi && op.o === 'sv' && op.i === v.ref); });
+      fmlPatch.push({ f: fi, o: 'sv', i: v.ref, poly: pairs });
+    }
 
-      // Find or create container after step-description
-      var container = step6.querySelector('.labels-step-container');
-      if (!container) {
-        container = document.createElement('div');
-        container.className = 'labels-step-container';
-        step6.appendChild(container);
+    // Moves one wall end; a move back onto the original point removes the op
+    function setPlanWallEnd(wall, e, p) {
+      var fi = planEditor.fi;
+      if (wall.op != null) {
+        wall.op[e] = [p.x, p.y];
+        return;
       }
-      container.innerHTML = '';
+      var orig = originalFmlData.floors[fi].designs[0].walls[wall.ref][e];
+      var existing = fmlPatch.findIndex(function(op) { return op.f === fi && op.o === 'mw' && op.i === wall.ref && op.e === e; });
+      if (existing >= 0) fmlPatch.splice(existing, 1);
+      if (Math.hypot(orig.x - p.x, orig.y - p.y) > 0.05) fmlPatch.push({ f: fi, o: 'mw', i: wall.ref, e: e, x: p.x, y: p.y });
+    }
 
-      // Only show toggle when 2-3 floors; force single for 1 or >3
-      var includedCount = floorLabels.length;
-      var showToggle = includedCount >= 2 && includedCount <= 3;
-      if (!showToggle) {
-        labelMode = 'single';
+    // Same wall or void: both point at the same original index (ref) or add-op (op);
+    // same balustrade strip: they share a part
+    function isSamePlanItem(w1, w2) {
+      if (w1.parts) {
+        return w1.parts.some(function(p1) { return w2.parts.some(function(p2) { return isSamePlanItem(p1, p2); }); });
       }
+      return w1.op != null ? w1.op === w2.op : w2.op == null && w1.ref === w2.ref;
+    }
 
-      if (showToggle) {
-        // Toggle switch
-        var toggle = document.createElement('div');
-        toggle.className = 'label-mode-toggle';
+    // Pointer → FML cm (the viewBox is in FML coordinates)
+    function planPointFromEvent(e) {
+      var ctm = planEditor.svg.getScreenCTM();
+      if (!ctm) return { x: 0, y: 0 };
+      var pt = new DOMPoint(e.clientX, e.clientY).matrixTransform(ctm.inverse());
+      planEditor.pxPerCm = ctm.a || 1;
+      return { x: pt.x, y: pt.y };
+    }
 
-        var labelSingle = document.createElement('span');
-        labelSingle.className = 'label-mode-label' + (labelMode === 'single' ? ' active' : '');
-        labelSingle.textContent = '1 onderschrift';
+    // Wall ends near p (all ends on that corner), nearest first
+    function findPlanEnds(model, p, maxDist) {
+      var best = null, bestDist = maxDist;
+      model.walls.forEach(function(w) {
+        ['a', 'b'].forEach(function(e) {
+          var d = Math.hypot(w[e].x - p.x, w[e].y - p.y);
+          if (d <= bestDist) { best = w[e]; bestDist = d; }
+        });
+      });
+      if (!best) return null;
+      var corner = { x: best.x, y: best.y };
+      var ends = [];
+      model.walls.forEach(function(w) {
+        ['a', 'b'].forEach(function(e) {
+          if (Math.hypot(w[e].x - corner.x, w[e].y - corner.y) < 0.5) ends.push({ wall: w, e: e });
+        });
+      });
+      return { point: corner, ends: ends };
+    }
 
-        var switchWrap = document.createElement('label');
-        switchWrap.className = 'label-mode-switch';
-        var switchInput = document.createElement('input');
-        switchInput.type = 'checkbox';
-        switchInput.checked = labelMode === 'per-floor';
-        var slider = document.createElement('span');
-        slider.className = 'switch-slider';
-        switchWrap.appendChild(switchInput);
-        switchWrap.appendChild(slider);
+    function distanceToSegment(p, a, b) {
+      var dx = b.x - a.x, dy = b.y - a.y;
+      var len2 = dx * dx + dy * dy;
+      var t = len2 ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2)) : 0;
+      return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+    }
 
-        var labelMulti = document.createElement('span');
-        labelMulti.className = 'label-mode-label' + (labelMode === 'per-floor' ? ' active' : '');
-        labelMulti.textContent = 'Per plattegrond';
+    // Snap to a nearby wall end, else to whole cm (and straighten drawn walls)
+    function snapPlanPoint(model, p, from, skipEnds) {
+      var tol = PLAN_SNAP_PX / planEditor.pxPerCm;
+      var nearest = null, nearestDist = tol;
+      model.walls.forEach(function(w) {
+        ['a', 'b'].forEach(function(e) {
+          if (skipEnds && skipEnds.some(function(s) { return isSamePlanItem(s.wall, w) && s.e === e; })) return;
+          var d = Math.hypot(w[e].x - p.x, w[e].y - p.y);
+          if (d <= nearestDist) { nearest = w[e]; nearestDist = d; }
+        });
+      });
+      if (nearest) return { x: nearest.x, y: nearest.y };
+      var q = { x: Math.round(p.x), y: Math.round(p.y) };
+      if (from) {
+        var angle = Math.abs(Math.atan2(q.y - from.y, q.x - from.x) * 180 / Math.PI) % 90;
+        if (angle < PLAN_AXIS_DEG || angle > 90 - PLAN_AXIS_DEG) {
+          if (Math.abs(q.x - from.x) > Math.abs(q.y - from.y)) q.y = from.y;
+          else q.x = from.x;
+        }
+      }
+      return q;
+    }
+
+    // Void corners snap to wall ends and to the corners of the other voids on this
+    // floor and the floors above and below, else to whole cm
+    function snapVoidPoint(model, p, skip) {
+      var tol = PLAN_SNAP_PX / planEditor.pxPerCm;
+      var nearest = null, nearestDist = tol;
+      function consider(q) {
+        var d = Math.hypot(q.x - p.x, q.y - p.y);
+        if (d <= nearestDist) { nearest = q; nearestDist = d; }
+      }
+      model.walls.forEach(function(w) { consider(w.a); consider(w.b); });
+      model.voids.forEach(function(v) {
+        v.poly.forEach(function(q, k) {
+          if (!skip || !isSamePlanItem(skip.void, v) || skip.vertex !== k) consider(q);
+        });
+      });
+      planEditor.ghosts.forEach(function(g) { g.poly.forEach(consider); });
+      return nearest ? { x: nearest.x, y: nearest.y } : { x: Math.round(p.x), y: Math.round(p.y) };
+    }
+
+    // Balustrade ends snap to wall ends, void corners and other balustrade ends, then
+    // onto a void edge, else to whole cm (straightened like walls)
+    function snapBalustradePoint(model, p, from) {
+      var tol = PLAN_SNAP_PX / planEditor.pxPerCm;
+      var nearest = null, nearestDist = tol;
+      function consider(q) {
+        var d = Math.hypot(q.x - p.x, q.y - p.y);
+        if (d <= nearestDist) { nearest = q; nearestDist = d; }
+      }
+      model.walls.forEach(function(w) { consider(w.a); consider(w.b); });
+      model.voids.forEach(function(v) { v.poly.forEach(consider); });
+      model.balustrades.forEach(function(strip) {
+        if (!strip.off) strip.parts.forEach(function(bal) { consider(bal.a); consider(bal.b); });
+      });
+      if (nearest) return { x: nearest.x, y: nearest.y };
+      model.voids.forEach(function(v) {
+        v.poly.forEach(function(a, k) {
+          var b = v.poly[(k + 1) % v.poly.length];
+          var dx = b.x - a.x, dy = b.y - a.y;
+          var len2 = dx * dx + dy * dy;
+          if (!len2) return;
+          var t = Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / len2));
+          consider({ x: Math.round((a.x + t * dx) * 10) / 10, y: Math.round((a.y + t * dy) * 10) / 10 });
+        });
+      });
+      return nearest ? { x: nearest.x, y: nearest.y } : snapPlanPoint(model, p, from);
+    }
 
-        switchInput.addEventListener('change', function() {
-          setLabelMode(this.checked ? 'per-floor' : 'single');
+    function onPlanPointerDown(e) {
+      var ed = planEditor;
+      if (!ed) return;
+      e.preventDefault();
+      var p = planPointFromEvent(e);
+      var model = getPlanEditorModel(ed.fi);
+      var tol = PLAN_SNAP_PX / ed.pxPerCm;
+
+      if (ed.tool === 'wall' || ed.tool === 'balustrade') {
+        var isBal = ed.tool === 'balustrade';
+        var q = isBal ? snapBalustradePoint(model, p, ed.drawFrom) : snapPlanPoint(model, p, ed.drawFrom);
+        if (!ed.drawFrom) {
+          ed.drawFrom = q;
+        } else if (Math.hypot(q.x - ed.drawFrom.x, q.y - ed.drawFrom.y) >= 1) {
+          pushPlanHistory();
+          var op = { f: ed.fi, o: isBal ? 'ab' : 'aw', a: [ed.drawFrom.x, ed.drawFrom.y], b: [q.x, q.y], th: isBal ? ed.typicalBal.th : ed.typical.th };
+          if (isBal) op.h = ed.typicalBal.h;
+          else if (ed.typical.h != null) op.h = ed.typical.h;
+          fmlPatch.push(op);
+          ed.drawFrom = null;
+        }
+        renderPlanEditor();
+        return;
+      }
+
+      if (ed.tool === 'void') {
+        // Dragged out as a rectangle (see onPlanPointerUp)
+        ed.drawFrom = snapVoidPoint(model, p);
+        ed.hover = ed.drawFrom;
+        ed.svg.setPointerCapture(e.pointerId);
+        renderPlanEditor();
+        return;
+      }
+
+      // Select tool: a corner of the selected void or a wall end starts a drag,
+      // otherwise select a balustrade, wall, void or floor shape
+      var selVoid = ed.selected && ed.selected.void && model.voids.find(function(v) { return isSamePlanItem(v, ed.selected.void); });
+      var vertex = selVoid ? selVoid.poly.findIndex(function(q) { return Math.hypot(q.x - p.x, q.y - p.y) <= tol; }) : -1;
+      if (vertex >= 0) {
+        ed.drag = { void: selVoid, vertex: vertex, from: selVoid.poly[vertex], to: selVoid.poly[vertex] };
+        ed.svg.setPointerCapture(e.pointerId);
+        return;
+      }
+      var corner = findPlanEnds(model, p, tol);
+      if (corner) {
+        ed.drag = { ends: corner.ends, from: corner.point, to: corner.point };
+        ed.svg.setPointerCapture(e.pointerId);
+        return;
+      }
+      // Balustrades first: they are thin and often run along a wall
+      var bal = null, balDist = Infinity;
+      model.balustrades.forEach(function(strip) {
+        flattenBalustrades(strip.parts).forEach(function(seg) {
+          var d = distanceToSegment(p, seg.a, seg.b);
+          if (d <= Math.max(seg.thickness / 2, tol) && d < balDist) { bal = strip; balDist = d; }
         });
-        labelSingle.addEventListener('click', function() {
-          switchInput.checked = false;
-          setLabelMode('single');
+      });
+      var wall = null, wallDist = Infinity;
+      if (!bal) {
+        model.walls.forEach(function(w) {
+          var d = distanceToSegment(p, w.a, w.b);
+          if (d <= Math.max(w.thickness / 2, tol) && d < wallDist) { wall = w; wallDist = d; }
         });
-        labelMulti.addEventListener('click', function() {
-          switchInput.checked = true;
-          setLabelMode('per-floor');
+      }
+      var voidHit = null;
+      if (!bal && !wall) {
+        voidHit = model.voids.find(function(v) { return pointInPolygon(p.x, p.y, v.poly); }) || null;
+      }
+      var shape = null;
+      if (!bal && !wall && !voidHit) {
+        // Rooms lie on top of floor surfaces: the smallest shape under the pointer wins
+        model.shapes.forEach(function(s) {
+          if (pointInPolygon(p.x, p.y, s.poly) && (!shape || s.area < shape.area)) shape = s;
         });
+      }
+      ed.selected = bal ? { bal: bal } : wall ? { wall: wall } : voidHit ? { void: voidHit } : shape ? { shape: shape } : null;
+      renderPlanEditor();
+    }
 
-        toggle.appendChild(labelSingle);
-        toggle.appendChild(switchWrap);
-        toggle.appendChild(labelMulti);
-        container.appendChild(toggle);
+    function onPlanPointerMove(e) {
+      var ed = planEditor;
+      if (!ed || (!ed.drag && !ed.drawFrom)) return;
+      var p = planPointFromEvent(e);
+      var model = getPlanEditorModel(ed.fi);
+      if (ed.drag && ed.drag.void) ed.drag.to = snapVoidPoint(model, p, ed.drag);
+      else if (ed.drag) ed.drag.to = snapPlanPoint(model, p, null, ed.drag.ends);
+      else if (ed.tool === 'void') ed.hover = snapVoidPoint(model, p);
+      else if (ed.tool === 'balustrade') ed.hover = snapBalustradePoint(model, p, ed.drawFrom);
+      else ed.hover = snapPlanPoint(model, p, ed.drawFrom);
+      renderPlanEditor();
+    }
+
+    function onPlanPointerUp(e) {
+      var ed = planEditor;
+      if (ed && ed.tool === 'void' && ed.drawFrom) {
+        finishPlanVoid(planPointFromEvent(e));
+        return;
+      }
+      if (!ed || !ed.drag) return;
+      var drag = ed.drag;
+      ed.drag = null;
+      var moved = Math.hypot(drag.to.x - drag.from.x, drag.to.y - drag.from.y) >= 0.5;
+      if (moved && drag.void) {
+        pushPlanHistory();
+        setPlanVoidPoly(drag.void, drag.void.poly.map(function(q, k) { return k === drag.vertex ? drag.to : q; }));
+        // The void keeps its identity (same ref or add-op), so it stays selected
+      } else if (moved) {
+        pushPlanHistory();
+        drag.ends.forEach(function(end) { setPlanWallEnd(end.wall, end.e, drag.to); });
+        ed.selected = null;
+      }
+      renderPlanEditor();
+    }
+
+    // Void tool: a dragged rectangle becomes a new void; a click inside a void of
+    // the floor above or below copies that void onto this floor
+    function finishPlanVoid(p) {
+      var ed = planEditor;
+      var from = ed.drawFrom, to = ed.hover || from;
+      ed.drawFrom = null;
+      ed.hover = null;
+      var poly = null;
+      if (Math.abs(to.x - from.x) >= PLAN_VOID_MIN && Math.abs(to.y - from.y) >= PLAN_VOID_MIN) {
+        poly = [{ x: from.x, y: from.y }, { x: to.x, y: from.y }, { x: to.x, y: to.y }, { x: from.x, y: to.y }];
+      } else {
+        var ghost = ed.ghosts.find(function(g) { return pointInPolygon(p.x, p.y, g.poly); });
+        if (ghost) poly = ghost.poly;
+      }
+      if (poly) {
+        pushPlanHistory();
+        var op = { f: ed.fi, o: 'av', poly: [] };
+        fmlPatch.push(op);
+        setPlanVoidPoly({ op: op }, poly);
+        ed.tool = 'select';
+        ed.selected = { void: { op: op } };
+      }
+      renderPlanEditor();
+    }
+
+    function renderPlanEditor() {
+      var ed = planEditor;
+      if (!ed || !ed.svg) return;
+      var model = getPlanEditorModel(ed.fi);
+      var rect = ed.svg.getBoundingClientRect();
+      if (rect.width) ed.pxPerCm = Math.min(rect.width / ed.view.w, rect.height / ed.view.h) || 1;
+      var px = 1 / ed.pxPerCm; // one screen pixel in cm
+      if (ed.selected && ed.selected.bal) {
+        // Switched on/off or a new height since it was selected
+        ed.selected.bal = model.balustrades.find(function(bal) { return isSamePlanItem(bal, ed.selected.bal); });
+        if (!ed.selected.bal) ed.selected = null;
+      }
+      var sel = ed.selected;
+      var dragged = ed.drag && ed.drag.ends ? ed.drag.ends : [];
+      function pos(w, e) {
+        return dragged.some(function(d) { return isSamePlanItem(d.wall, w) && d.e === e; }) ? ed.drag.to : w[e];
+      }
+
+      var html = '';
+      model.shapes.forEach(function(s) {
+        var isSel = sel && sel.shape && sel.shape.o === s.o && sel.shape.i === s.i;
+        html += '<polygon class="plan-shape' + (isSel ? ' selected' : '') + '" points="' +
+          s.poly.map(function(pt) { return pt.x.toFixed(1) + ',' + pt.y.toFixed(1); }).join(' ') + '"/>';
+      });
+      function points(poly) {
+        return poly.map(function(pt) { return pt.x.toFixed(1) + ',' + pt.y.toFixed(1); }).join(' ');
+      }
+      ed.ghosts.forEach(function(g) {
+        html += '<polygon class="plan-void-ghost" points="' + points(g.poly) + '"><title>' +
+          xmlEscape(t('step3.editVoidGhost', { floor: g.floorName })) + '</title></polygon>';
+      });
+      var selVoid = null;
+      model.voids.forEach(function(v) {
+        var poly = v.poly;
+        if (ed.drag && ed.drag.void && isSamePlanItem(ed.drag.void, v)) {
+          poly = poly.map(function(q, k) { return k === ed.drag.vertex ? ed.drag.to : q; });
+        }
+        var isSel = sel && sel.void && isSamePlanItem(sel.void, v);
+        if (isSel) selVoid = poly;
+        html += '<polygon class="plan-void' + (v.op != null ? ' added' : '') + (isSel ? ' selected' : '') + '" points="' + points(poly) + '"/>';
+      });
+      model.walls.forEach(function(w) {
+        var a = pos(w, 'a'), b = pos(w, 'b');
+        var isSel = sel && sel.wall && isSamePlanItem(sel.wall, w);
+        var cls = 'plan-wall' + (w.op != null ? ' added' : '') + (isSel ? ' selected' : '');
+        var d = 'M' + a.x + ' ' + a.y + (w.c ? ' Q' + w.c.x + ' ' + w.c.y + ' ' : ' L') + b.x + ' ' + b.y;
+        html += '<path class="' + cls + '" d="' + d + '" stroke-width="' + Math.max(w.thickness, 3 * px).toFixed(1) + '"/>';
+      });
+      if (ed.tool === 'select') {
+        var seen = {};
+        model.walls.forEach(function(w) {
+          ['a', 'b'].forEach(function(e) {
+            var p = pos(w, e);
+            var key = Math.round(p.x * 2) + ',' + Math.round(p.y * 2);
+            if (seen[key]) return;
+            seen[key] = true;
+            html += '<circle class="plan-handle" cx="' + p.x + '" cy="' + p.y + '" r="' + (4 * px).toFixed(1) + '"/>';
+          });
+        });
       }
+      model.balustrades.forEach(function(strip) {
+        var isSel = sel && sel.bal && isSamePlanItem(sel.bal, strip);
+        var cls = 'plan-bal' + (strip.off ? ' off' : '') + (strip.added ? ' added' : '') + (isSel ? ' selected' : '');
+        strip.parts.forEach(function(bal) {
+          var d = 'M' + bal.a.x + ' ' + bal.a.y + (bal.c ? ' Q' + bal.c.x + ' ' + bal.c.y + ' ' : ' L') + bal.b.x + ' ' + bal.b.y;
+          html += '<path class="' + cls + '" d="' + d + '" stroke-width="' + Math.max(bal.thickness, 3 * px).toFixed(1) + '"/>';
+        });
+      });
+      if (selVoid) {
+        selVoid.forEach(function(q) {
+          html += '<circle class="plan-handle" cx="' + q.x + '" cy="' + q.y + '" r="' + (4 * px).toFixed(1) + '"/>';
+        });
+      }
+      if (ed.drawFrom && ed.tool === 'void') {
+        var corner = ed.hover || ed.drawFrom;
+        html += '<rect class="plan-void added" x="' + Math.min(ed.drawFrom.x, corner.x) + '" y="' + Math.min(ed.drawFrom.y, corner.y) +
+          '" width="' + Math.abs(corner.x - ed.drawFrom.x) + '" height="' + Math.abs(corner.y - ed.drawFrom.y) + '"/>';
+      } else if (ed.drawFrom) {
+        var to = ed.hover || ed.drawFrom;
+        var draftTh = ed.tool === 'balustrade' ? ed.typicalBal.th : ed.typical.th;
+        html += '<line class="plan-draft' + (ed.tool === 'balustrade' ? ' bal' : '') + '" x1="' + ed.drawFrom.x + '" y1="' + ed.drawFrom.y +
+          '" x2="' + to.x + '" y2="' + to.y + '" stroke-width="' + Math.max(draftTh, 3 * px) + '"/>';
+        html += '<circle class="plan-handle" cx="' + ed.drawFrom.x + '" cy="' + ed.drawFrom.y + '" r="' + (4 * px).toFixed(1) + '"/>';
+      }
+      ed.svg.innerHTML = html;
+      ed.svg.classList.toggle('drawing', ed.tool !== 'select');
+
+      // Panel state
+      var hint = document.getElementById('floorEditHint');
+      if (hint) {
+        hint.textContent = ed.tool === 'wall' ? t('step3.editDrawHint')
+          : ed.tool === 'void' ? t(ed.ghosts.length ? 'step3.editVoidHintAlign' : 'step3.editVoidHint')
+          : ed.tool === 'balustrade' ? t('step3.editBalustradeHint')
+          : sel ? t(sel.wall ? 'step3.editWallSelected' : sel.void ? 'step3.editVoidSelected'
+            : sel.bal ? (sel.bal.off ? 'step3.editBalustradeOff' : 'step3.editBalustradeSelected') : 'step3.editShapeSelected')
+          : t('step3.editIntro');
+      }
+      var btnDraw = document.getElementById('btnPlanDraw');
+      if (btnDraw) btnDraw.classList.toggle('active', ed.tool === 'wall');
+      var btnVoid = document.getElementById('btnPlanVoid');
+      if (btnVoid) btnVoid.classList.toggle('active', ed.tool === 'void');
+      var btnBal = document.getElementById('btnPlanBalustrade');
+      if (btnBal) btnBal.classList.toggle('active', ed.tool === 'balustrade');
+      var btnDelete = document.getElementById('btnPlanDelete');
+      if (btnDelete) btnDelete.disabled = !sel || !!(sel.bal && sel.bal.off);
+      var btnUndo = document.getElementById('btnPlanUndo');
+      if (btnUndo) btnUndo.disabled = !ed.history.length;
+      if (!ed.drag && !ed.drawFrom) renderPlanBalustradeList(model);
+    }
+
+    // Every balustrade strip of the floor with an on/off switch and its height (cm)
+    function renderPlanBalustradeList(model) {
+      var el = document.getElementById('floorEditBalustrades');
+      if (!el) return;
+      var sel = planEditor.selected;
+      el.style.display = model.balustrades.length ? '' : 'none';
+      var html = '<div class="floor-edit-list-title">' + t('step3.editBalustrades') + '</div>';
+      model.balustrades.forEach(function(bal, k) {
+        var isSel = sel && sel.bal && isSamePlanItem(sel.bal, bal);
+        var label = t(bal.added ? 'step3.editBalustradeNew' : 'step3.editBalustradeRow', {
+          n: k + 1,
+          length: formatPlanLength(bal.length)
+        });
+        html += '<div class="plan-bal-row' + (isSel ? ' selected' : '') + (bal.off ? ' off' : '') + '" data-k="' + k + '">' +
+          '<input type="checkbox"' + (bal.off ? '' : ' checked') + ' title="' + xmlEscape(t('step3.editBalustradeOn')) + '">' +
+          '<span class="plan-bal-name">' + xmlEscape(label) + '</span>' +
+          '<input type="number" min="20" max="200" step="5" value="' + Math.round(bal.height) + '"' + (bal.off ? ' disabled' : '') +
+          ' title="' + xmlEscape(t('step3.editBalustradeHeight')) + '"> cm</div>';
+      });
+      el.innerHTML = html;
+
+      function rowBalustrade(target) {
+        var row = target.closest('.plan-bal-row');
+        return row && planEditor ? getPlanEditorModel(planEditor.fi).balustrades[+row.dataset.k] : null;
+      }
+      el.onchange = function(e) {
+        var bal = rowBalustrade(e.target);
+        if (!bal) return;
+        if (e.target.type === 'checkbox') {
+          pushPlanHistory();
+          setPlanBalustradeOn(bal, e.target.checked);
+          planEditor.selected = null;
+        } else {
+          var h = parseFloat(e.target.value);
+          if (h > 0) {
+            pushPlanHistory();
+            setPlanBalustradeHeight(bal, Math.round(Math.min(200, Math.max(20, h))));
+          }
+        }
+        renderPlanEditor();
+      };
+      el.onclick = function(e) {
+        if (e.target.tagName === 'INPUT') return;
+        var bal = rowBalustrade(e.target);
+        if (!bal) return;
+        planEditor.selected = { bal: bal };
+        renderPlanEditor();
+      };
+    }
 
-      // Fields container
-      var fieldsDiv = document.createElement('div');
-      fieldsDiv.className = 'labels-fields';
-      fieldsDiv.id = 'labelsFieldsInner';
-      container.appendChild(fieldsDiv);
+    // ============================================================
+    // ADMIN: Toggle frame image (One.png ↔ Two.png)
+    // ============================================================
+    var FRAME_IMG_ONE = 'https://cdn.shopify.com/s/files/1/0958/8614/7958/files/Two_2ea7e364-8d19-4ebf-a33b-86df839bb390.png?v=1772385215';
+    var FRAME_IMG_TWO = 'https://cdn.shopify.com/s/files/1/0958/8614/7958/files/One_6d739714-6517-40e3-99c6-a238000f2dad.png?v=1772393844';
 
-      renderLabelsFieldsContent();
+    function toggleAdminFrame() {
+      ensureDomRefs();
+      var cb = document.getElementById('adminUseAltFrame');
+      var img = document.getElementById('unifiedFrameImage');
+      if (!cb || !img) return;
+      img.src = cb.checked ? FRAME_IMG_TWO : FRAME_IMG_ONE;
+    }
+
+    function toggleAdminGrid() {
+      ensureDomRefs();
+      var cb = document.getElementById('adminShowGrid');
+      adminGridOverlay = cb ? cb.checked : false;
+      renderGridOverlay();
+    }
+
+    // ADMIN: uniform print height — every wall extruded to the same height
+    function toggleUniformWallHeight() {
+      ensureDomRefs();
+      var cb = document.getElementById('adminUniformHeight');
+      var input = document.getElementById('adminUniformHeightValue');
+      var cm = input ? parseFloat(input.value) : NaN;
+      setUniformWallHeight(cb && cb.checked && cm > 0 ? cm : null);
+      if (floors.length === 0) return;
+      renderAdminFloorDims();
+      refreshFloorMeshes().then(function(current) {
+        if (!current) return;
+        renderPreviewThumbnails();
+        if (currentWizardStep === 3) renderFloorReview();
+      });
+    }
+
+    function toggleLayoutAlign() {
+      ensureDomRefs();
+      var cb = document.getElementById('adminAlignBottom');
+      var before = snapshotLayout();
+      layoutAlignY = (cb && cb.checked) ? 'bottom' : 'center';
+      commitLayoutChange(before);
+      // Re-render preview with new alignment
+      renderPreviewThumbnails();
       updateFloorLabels();
+    }
 
-      // Comments text area
-      var commentsLabel = document.createElement('label');
-      commentsLabel.className = 'comments-label';
-      commentsLabel.textContent = 'Opmerkingen';
-      commentsLabel.style.cssText = 'display:block;margin-top:1.2rem;font-size:0.85rem;font-weight:600;color:#555;margin-bottom:0.4rem;';
-      container.appendChild(commentsLabel);
+    // Clear control panel, show spinner, do work, rebuild
+    function showLayoutLoading() {
+      var section = document.getElementById('layoutResultSection');
+      if (!section) return;
+      var existing = section.querySelector('.layout-loading-overlay');
+      if (existing) return;
+      var overlay = document.createElement('div');
+      overlay.className = 'layout-loading-overlay';
+      overlay.innerHTML = '<div class="step-spinner"></div>';
+      section.appendChild(overlay);
+    }
+
+    function hideLayoutLoading() {
+      var section = document.getElementById('layoutResultSection');
+      if (!section) return;
+      var overlay = section.querySelector('.layout-loading-overlay');
+      if (overlay) overlay.remove();
+    }
+
+    function updatePreviewWithLoading(fn) {
+      showLayoutLoading();
+      setTimeout(function() {
+        fn();
+        renderLayoutView();
+        hideLayoutLoading();
+      }, 60);
+    }
+
+    function setLayoutGap(value) {
+      var before = snapshotLayout();
+      layoutGapFactor = parseFloat(value);
+      if (gridEditMode) { customPositions = null; }
+      commitLayoutChange(before);
+      updatePreviewWithLoading(function() {
+        renderPreviewThumbnails();
+        updateFloorLabels();
+        if (gridEditMode) enableGridDrag();
+      });
+    }
+
+    function showResetButton() {
+      var btn = document.getElementById('btnResetLayout');
+      if (btn) btn.style.display = 'inline-flex';
+    }
+
+    function rotateFloor90(floorIndex) {
+      var before = snapshotLayout();
+      if (!floorSettings[floorIndex]) floorSettings[floorIndex] = {};
+      var current = getFloorRotate(floorIndex);
+      floorSettings[floorIndex].rotate = (current + 90) % 360;
+      resetSingleFloorPosition(floorIndex);
+      commitLayoutChange(before);
+      showLayoutLoading();
+      setTimeout(function() {
+        showResetButton();
+        renderPreviewThumbnails();
+        renderGridOverlayIfStep4();
+        updateFloorLabels();
+        if (gridEditMode) enableGridDrag();
+        checkFloorOverlaps();
+        renderLayoutView();
+        hideLayoutLoading();
+      }, 60);
+    }
 
-      var commentsArea = document.createElement('textarea');
-      commentsArea.id = 'labelComments';
-      commentsArea.className = 'comments-textarea';
-      commentsArea.value = labelComments || '';
-      commentsArea.addEventListener('input', function() {
-        labelComments = commentsArea.value;
+    // ============================================================
+    // LAYOUT HISTORY — undo/redo for every step 4 layout edit
+    // ============================================================
+    // Snapshots (JSON) of all layout state; kept across wizard steps,
+    // cleared when a new set of floors is loaded.
+    var layoutUndoStack = [];
+    var layoutRedoStack = [];
+    var LAYOUT_HISTORY_LIMIT = 50;
+
+    function snapshotLayout() {
+      return JSON.stringify({
+        customPositions: customPositions,
+        floorSettings: floorSettings,
+        floorOrder: floorOrder,
+        excluded: Array.from(excludedFloors),
+        scale: layoutScaleFactor,
+        gap: layoutGapFactor,
+        alignX: layoutAlignX,
+        alignY: layoutAlignY,
+        calculated: layoutCalculated
       });
-      container.appendChild(commentsArea);
     }
 
-    function renderLabelsFieldsContent() {
-      var fieldsDiv = document.getElementById('labelsFieldsInner');
-      if (!fieldsDiv) return;
-      fieldsDiv.innerHTML = '';
-
-      if (labelMode === 'single') {
-        // Single label mode — one text field
-        var row = document.createElement('div');
-        row.className = 'label-field-row';
+    // Push `before` (taken just before a mutation) if the mutation changed anything
+    function commitLayoutChange(before) {
+      if (!before || before === snapshotLayout()) return;
+      layoutUndoStack.push(before);
+      if (layoutUndoStack.length > LAYOUT_HISTORY_LIMIT) layoutUndoStack.shift();
+      layoutRedoStack = [];
+      updateLayoutHistoryButtons();
+    }
 
-        var span = document.createElement('span');
-        span.textContent = 'Onderschrift';
+    function clearLayoutHistory() {
+      layoutUndoStack = [];
+      layoutRedoStack = [];
+      updateLayoutHistoryButtons();
+    }
 
-        var inp = document.createElement('input');
-        inp.type = 'text';
-        inp.value = singleLabelText;
-        inp.placeholder = 'plattegrond';
-        inp.addEventListener('input', function() {
-          sanitizeTextInput(inp);
-          singleLabelText = inp.value;
-          updateLabelsOverlayOnly();
-        });
+    function undoLayout() {
+      if (!layoutUndoStack.length) return;
+      layoutRedoStack.push(snapshotLayout());
+      applyLayoutSnapshot(layoutUndoStack.pop());
+    }
 
-        row.appendChild(span);
-        row.appendChild(inp);
-        fieldsDiv.appendChild(row);
-      } else {
-        // Per-floor mode — one field per floor
-        for (var li = 0; li < floorLabels.length; li++) {
-          (function(idx) {
-            var item = floorLabels[idx];
-            var row = document.createElement('div');
-            row.className = 'label-field-row';
+    function redoLayout() {
+      if (!layoutRedoStack.length) return;
+      layoutUndoStack.push(snapshotLayout());
+      applyLayoutSnapshot(layoutRedoStack.pop());
+    }
 
-            var span = document.createElement('span');
-            span.textContent = floors[item.index].name;
+    function applyLayoutSnapshot(snapshot) {
+      var st = JSON.parse(snapshot);
+      customPositions = st.customPositions;
+      floorSettings = st.floorSettings || {};
+      floorOrder = st.floorOrder;
+      excludedFloors = new Set(st.excluded);
+      layoutScaleFactor = st.scale;
+      layoutGapFactor = st.gap;
+      layoutAlignX = st.alignX;
+      layoutAlignY = st.alignY;
+      layoutCalculated = st.calculated;
 
-            var inp = document.createElement('input');
-            inp.type = 'text';
-            inp.value = item.label;
-            inp.placeholder = item.label;
-            inp.addEventListener('input', function() {
-              sanitizeTextInput(inp);
-              floorLabels[idx].label = inp.value;
-              updateLabelsOverlayOnly();
-            });
+      // Same sections the "Bereken indeling" flow shows/hides
+      var resultSection = document.getElementById('layoutResultSection');
+      var noteSection = document.querySelector('.layout-note-section');
+      var controlsBar = document.getElementById('layoutControlsBar');
+      var btnCalc = document.getElementById('btnCalcLayout');
+      if (resultSection) resultSection.style.display = layoutCalculated ? '' : 'none';
+      if (noteSection) noteSection.style.display = layoutCalculated ? '' : 'none';
+      if (controlsBar) controlsBar.style.display = layoutCalculated ? '' : 'none';
+      if (btnCalc) btnCalc.style.display = layoutCalculated ? 'none' : '';
 
-            row.appendChild(span);
-            row.appendChild(inp);
-            fieldsDiv.appendChild(row);
-          })(li);
+      showLayoutLoading();
+      setTimeout(function() {
+        if (layoutCalculated) {
+          if (gridEditMode) refreshGridAfterChange(); else renderPreviewThumbnails();
+          renderGridOverlayIfStep4();
+          checkFloorOverlaps();
+        } else if (floorsGrid) {
+          floorsGrid.innerHTML = '';
         }
-      }
+        updateFloorLabels();
+        renderLayoutView();
+        var btnReset = document.getElementById('btnResetLayout');
+        if (btnReset) {
+          var customized = customPositions || layoutScaleFactor !== 1 || Object.keys(floorSettings).length;
+          btnReset.style.display = customized ? 'inline-flex' : 'none';
+        }
+        updateWizardUI();
+        updateLayoutHistoryButtons();
+        hideLayoutLoading();
+      }, 60);
     }
 
-    // ============================================================
-    // FILE UPLOAD HANDLING
-    // ============================================================
-    async function handleFileUpload(file) {
-      clearError();
-      const name = file.name.toLowerCase();
-      if (!name.endsWith('.fml') && !name.endsWith('.json')) {
-        setError('Upload een geldig FML bestand.');
-        return;
-      }
-      showLoading();
-      try {
-        const text = await file.text();
-        const data = JSON.parse(text);
-        if (!data?.floors?.length) throw new Error('Geen verdiepingen gevonden in het bestand.');
-        if (!data.floors.some(f => f?.designs?.length)) throw new Error('Geen geldige plattegronden gevonden.');
-        originalFmlData = data;
-        originalFileName = file.name;
-        fileLabel.textContent = `📄 ${file.name}`;
-        const addr = parseAddressFromFML(data);
-        if (addr) {
-          addressStreet.value = addr.street;
-          addressCity.value = addr.city;
-          currentAddress = addr;
-        } else {
-          addressStreet.value = '';
-          addressCity.value = '';
-        }
-        processFloors(data);
-        showToast(`✓ ${file.name} geladen`);
-      } catch (err) {
-        setError(err instanceof Error ? err.message : 'Er ging iets mis bij het laden.');
-      } finally {
-        hideLoading();
-      }
+    function updateLayoutHistoryButtons() {
+      var btnUndo = document.getElementById('btnLayoutUndo');
+      var btnRedo = document.getElementById('btnLayoutRedo');
+      if (btnUndo) btnUndo.disabled = !layoutUndoStack.length;
+      if (btnRedo) btnRedo.disabled = !layoutRedoStack.length;
     }
 
     // ============================================================
-    // OBJ EXPORT
+    // STEP 4: Layout View (grid-native)
     // ============================================================
-    function generateFloorOBJ(floor) {
-      let vertices = [];
-      let faces = [];
-      let vertexIndex = 1;
-
-      const WALL_HEIGHT = 2.8;
-      const SCALE = 0.01;
+    var floorOrder = null; // null = default order
 
-      function addFace(a, b, c, d) { faces.push(`f ${a} ${b} ${c} ${d}`); }
-      function addTriFace(a, b, c) { faces.push(`f ${a} ${b} ${c}`); }
-
-      // clipA/clipB: direction {dx,dy} of intersecting wall at endpoint A/B (or null)
-      // When set, the end-face is angled to align with the intersecting wall
-      function createWallBox(x1, y1, x2, y2, bottomZ, topZ, halfThickness, normalX, normalY) {
-        if (topZ <= bottomZ) return;
-        const corners = [
-          { x: x1 + normalX * halfThickness, y: y1 + normalY * halfThickness }, // A + normal
-          { x: x2 + normalX * halfThickness, y: y2 + normalY * halfThickness }, // B + normal
-          { x: x2 - normalX * halfThickness, y: y2 - normalY * halfThickness }, // B - normal
-          { x: x1 - normalX * halfThickness, y: y1 - normalY * halfThickness }  // A - normal
-        ];
-        for (const c of corners) vertices.push(`v ${c.x.toFixed(4)} ${bottomZ.toFixed(4)} ${c.y.toFixed(4)}`);
-        for (const c of corners) vertices.push(`v ${c.x.toFixed(4)} ${topZ.toFixed(4)} ${c.y.toFixed(4)}`);
-        const base = vertexIndex;
-        addFace(base + 3, base + 2, base + 1, base + 0);
-        addFace(base + 4, base + 5, base + 6, base + 7);
-        addFace(base + 0, base + 1, base + 5, base + 4);
-        addFace(base + 2, base + 3, base + 7, base + 6);
-        addFace(base + 3, base + 0, base + 4, base + 7);
-        addFace(base + 1, base + 2, base + 6, base + 5);
-        vertexIndex += 8;
-      }
-
-      function createOpeningFrame(x1, y1, x2, y2, bottomZ, topZ, frameSize, frameThickness, fnx, fny) {
-        const fdx = x2 - x1, fdy = y2 - y1;
-        const flen = Math.hypot(fdx, fdy);
-        if (flen < 0.001) return;
-        const fux = fdx / flen, fuy = fdy / flen;
-        createWallBox(x1, y1, x1 + fux * frameSize, y1 + fuy * frameSize, bottomZ, topZ, frameThickness, fnx, fny);
-        createWallBox(x2 - fux * frameSize, y2 - fuy * frameSize, x2, y2, bottomZ, topZ, frameThickness, fnx, fny);
-        createWallBox(x1 + fux * frameSize, y1 + fuy * frameSize, x2 - fux * frameSize, y2 - fuy * frameSize, topZ - frameSize, topZ, frameThickness, fnx, fny);
-        if (bottomZ > 0.01) {
-          createWallBox(x1 + fux * frameSize, y1 + fuy * frameSize, x2 - fux * frameSize, y2 - fuy * frameSize, bottomZ, bottomZ + frameSize, frameThickness, fnx, fny);
-        }
+    function renderLayoutView() {
+      // Cleanup old layout viewers (dispose scene + renderer)
+      for (const v of layoutViewers) {
+        disposeScene(v.scene);
+        if (v.renderer) v.renderer.dispose();
       }
+      layoutViewers = [];
+      floorLayoutViewer.innerHTML = '';
 
-      const design = floor.design;
-      const wallBBox = computeWallBBox(design);
-      const walls = flattenWalls(design.walls ?? []);
-      const bbox = floor.bbox;
-      const centerX = (bbox.minX + bbox.maxX) / 2;
-      const centerY = (bbox.minY + bbox.maxY) / 2;
-
-      // ── Polygon-union wall rendering ──────────────────────────
-      // Walls WITHOUT openings → boolean union → extrude as polygon
-      // Walls WITH openings → render as individual segment boxes
-
-      const solidWalls = walls.filter(w => !(w.openings && w.openings.length > 0));
-      const openingWalls = walls.filter(w => w.openings && w.openings.length > 0);
-
-      // Union all solid walls into merged 2D polygons
-      const wallUnion = computeWallUnion(solidWalls, walls);
-
-      // Ear-clipping triangulation for concave 2D polygons
-      function earClipTriangulate(pts) {
-        // pts = array of {x, y} — must be in CCW order
-        // Returns array of [i, j, k] index triples
-        const n = pts.length;
-        if (n < 3) return [];
-        if (n === 3) return [[0, 1, 2]];
-
-        // Ensure CCW winding
-        let area = 0;
-        for (let i = 0; i < n; i++) {
-          const j = (i + 1) % n;
-          area += pts[i].x * pts[j].y - pts[j].x * pts[i].y;
-        }
-        const indices = [];
-        for (let i = 0; i < n; i++) indices.push(i);
-        if (area < 0) indices.reverse(); // was CW, flip to CCW
-
-        const tris = [];
-        let remaining = indices.slice();
-
-        function cross2d(o, a, b) {
-          return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
-        }
+      // ── Include/exclude checkboxes bar ──
+      var includeBar = document.getElementById('floorIncludeBar');
+      if (includeBar) {
+        includeBar.innerHTML = '';
+        for (var fi = 0; fi < floors.length; fi++) {
+          (function(floorIdx) {
+            var isExcluded = excludedFloors.has(floorIdx);
+            var chip = document.createElement('label');
+            chip.className = 'floor-include-chip' + (isExcluded ? ' excluded' : '');
+            var cb = document.createElement('input');
+            cb.type = 'checkbox';
+            cb.checked = !isExcluded;
+            cb.addEventListener('change', function() {
+              // Reset calculation state BEFORE toggling (prevents premature render)
+              var before = snapshotLayout();
+              var wasCalculated = layoutCalculated;
+              if (layoutCalculated) {
+                layoutCalculated = false;
+                gridEditMode = false;
+              }
+              customPositions = null;
 
-        function pointInTriangle(px, py, ax, ay, bx, by, cx, cy) {
-          const d1 = (px - bx) * (ay - by) - (ax - bx) * (py - by);
-          const d2 = (px - cx) * (by - cy) - (bx - cx) * (py - cy);
-          const d3 = (px - ax) * (cy - ay) - (cx - ax) * (py - ay);
-          const hasNeg = (d1 < 0) || (d2 < 0) || (d3 < 0);
-          const hasPos = (d1 > 0) || (d2 > 0) || (d3 > 0);
-          return !(hasNeg && hasPos);
-        }
+              toggleFloorExclusion(floorIdx);
+              commitLayoutChange(before);
 
-        let safety = remaining.length * 3;
-        while (remaining.length > 3 && safety-- > 0) {
-          let earFound = false;
-          for (let i = 0; i < remaining.length; i++) {
-            const prev = remaining[(i - 1 + remaining.length) % remaining.length];
-            const curr = remaining[i];
-            const next = remaining[(i + 1) % remaining.length];
-            const p = pts[prev], c = pts[curr], nx2 = pts[next];
-
-            // Is this a convex vertex?
-            if (cross2d(p, c, nx2) <= 0) continue;
-
-            // Does any other vertex fall inside this triangle?
-            let inside = false;
-            for (let j = 0; j < remaining.length; j++) {
-              const vi = remaining[j];
-              if (vi === prev || vi === curr || vi === next) continue;
-              if (pointInTriangle(pts[vi].x, pts[vi].y, p.x, p.y, c.x, c.y, nx2.x, nx2.y)) {
-                inside = true;
-                break;
+              // Hide result + note sections after reset
+              if (wasCalculated) {
+                var resultSection2 = document.getElementById('layoutResultSection');
+                if (resultSection2) resultSection2.style.display = 'none';
+                var noteSection2 = document.querySelector('.layout-note-section');
+                if (noteSection2) noteSection2.style.display = 'none';
+                var controlsBar2 = document.getElementById('layoutControlsBar');
+                if (controlsBar2) controlsBar2.style.display = 'none';
+                // Clear preview (guard in renderPreviewThumbnails handles this now)
+                if (floorsGrid) floorsGrid.innerHTML = '';
+                updateWizardUI();
               }
-            }
-            if (inside) continue;
-
-            tris.push([prev, curr, next]);
-            remaining.splice(i, 1);
-            earFound = true;
-            break;
-          }
-          if (!earFound) break; // degenerate polygon
-        }
-        if (remaining.length === 3) {
-          tris.push([remaining[0], remaining[1], remaining[2]]);
-        }
-        return tris;
-      }
-
-      // Merge hole polygons into outer ring via bridge edges
-      // so ear-clipping can triangulate a polygon-with-holes as one simple polygon.
-      // outerPts: [{x,y}...] CCW, holePtsList: [ [{x,y}...], ... ] each CW
-      function mergeHolesIntoPoly(outerPts, holePtsList) {
-        if (!holePtsList || holePtsList.length === 0) return outerPts;
-        // Sort holes by rightmost x (descending) — standard for bridge algorithm
-        const sorted = holePtsList.slice().sort((a, b) => {
-          let maxA = -Infinity, maxB = -Infinity;
-          for (const p of a) if (p.x > maxA) maxA = p.x;
-          for (const p of b) if (p.x > maxB) maxB = p.x;
-          return maxB - maxA;
-        });
-        let merged = outerPts.slice();
-        for (const hole of sorted) {
-          if (hole.length < 3) continue;
-          // Find rightmost vertex of hole
-          let hrIdx = 0;
-          for (let i = 1; i < hole.length; i++) {
-            if (hole[i].x > hole[hrIdx].x) hrIdx = i;
-          }
-          const M = hole[hrIdx];
-          // Cast ray from M in +x direction, find closest intersecting edge of merged
-          let closestDist = Infinity, closestEdgeIdx = -1, closestIntX = 0;
-          for (let i = 0; i < merged.length; i++) {
-            const j = (i + 1) % merged.length;
-            const y1 = merged[i].y, y2 = merged[j].y;
-            if ((y1 - M.y) * (y2 - M.y) > 0) continue; // both on same side
-            if (Math.abs(y1 - y2) < 1e-10) continue; // horizontal edge
-            const t = (M.y - y1) / (y2 - y1);
-            if (t < -1e-10 || t > 1 + 1e-10) continue;
-            const xi = merged[i].x + t * (merged[j].x - merged[i].x);
-            if (xi < M.x - 1e-10) continue; // to the left
-            const dist = xi - M.x;
-            if (dist < closestDist) {
-              closestDist = dist;
-              closestEdgeIdx = i;
-              closestIntX = xi;
-            }
-          }
-          // Determine bridge vertex on the outer polygon
-          let bridgeIdx;
-          if (closestEdgeIdx >= 0) {
-            const ei = closestEdgeIdx;
-            const ej = (ei + 1) % merged.length;
-            // If intersection is very close to a vertex, use that vertex
-            if (Math.abs(closestIntX - merged[ei].x) < 0.01 &&
-                Math.abs(M.y - merged[ei].y) < 0.01) {
-              bridgeIdx = ei;
-            } else if (Math.abs(closestIntX - merged[ej].x) < 0.01 &&
-                       Math.abs(M.y - merged[ej].y) < 0.01) {
-              bridgeIdx = ej;
-            } else {
-              // Use the vertex with larger x as the visible bridge candidate
-              bridgeIdx = merged[ei].x >= merged[ej].x ? ei : ej;
-            }
-          } else {
-            // Fallback: closest vertex by distance
-            let bestDist = Infinity;
-            bridgeIdx = 0;
-            for (let i = 0; i < merged.length; i++) {
-              const d = Math.hypot(merged[i].x - M.x, merged[i].y - M.y);
-              if (d < bestDist) { bestDist = d; bridgeIdx = i; }
-            }
-          }
-          // Build hole path starting from hrIdx (complete loop back to start)
-          const holeSeq = [];
-          for (let i = 0; i <= hole.length; i++) {
-            const src = hole[(hrIdx + i) % hole.length];
-            holeSeq.push({ x: src.x, y: src.y });
-          }
-          // Splice: merged[0..bridgeIdx] → holeSeq → bridge back → merged[bridgeIdx+1..end]
-          merged = [
-            ...merged.slice(0, bridgeIdx + 1),
-            ...holeSeq,
-            { x: merged[bridgeIdx].x, y: merged[bridgeIdx].y },
-            ...merged.slice(bridgeIdx + 1)
-          ];
-        }
-        return merged;
-      }
-
-      // Helper: extrude a 2D polygon ring to 3D wall geometry
-      function extrudeWallPoly(ring, bottomZ, topZ) {
-        if (ring.length < 3) return;
-        // ring = array of [x,y] in world coords; may or may not repeat first point
-        const pts = ring.slice();
-        // Remove closing duplicate if present
-        const first = pts[0], last = pts[pts.length - 1];
-        if (Math.hypot(first[0] - last[0], first[1] - last[1]) < 0.01) pts.pop();
-        if (pts.length < 3) return;
-
-        const n = pts.length;
-        // Convert to OBJ coords
-        const objPts = pts.map(p => ({
-          x: (p[0] - centerX) * SCALE,
-          y: (p[1] - centerY) * SCALE
-        }));
-
-        // Bottom + top vertices
-        const baseBot = vertexIndex;
-        for (const p of objPts) {
-          vertices.push(`v ${p.x.toFixed(4)} ${bottomZ.toFixed(4)} ${p.y.toFixed(4)}`);
-          vertexIndex++;
-        }
-        const baseTop = vertexIndex;
-        for (const p of objPts) {
-          vertices.push(`v ${p.x.toFixed(4)} ${topZ.toFixed(4)} ${p.y.toFixed(4)}`);
-          vertexIndex++;
+              // Update checkbox UI + show "Bereken" button
+              var chip2 = this.parentElement;
+              if (chip2) chip2.className = 'floor-include-chip' + (excludedFloors.has(floorIdx) ? ' excluded' : '');
+              var btnCalc2 = document.getElementById('btnCalcLayout');
+              if (btnCalc2) {
+                btnCalc2.style.display = '';
+                btnCalc2.onclick = function() {
+                  layoutCalculated = true;
+                  this.style.display = 'none';
+                  var rs = document.getElementById('layoutResultSection');
+                  if (rs) rs.style.display = '';
+                  var ns = document.querySelector('.layout-note-section');
+                  if (ns) ns.style.display = '';
+                  // Always show tools box
+                  var cb2 = document.getElementById('layoutControlsBar');
+                  if (cb2) cb2.style.display = '';
+                  // Ensure edit mode starts unchecked
+                  var chkEM2 = document.getElementById('chkEditMode');
+                  var ctrlIn2 = document.getElementById('layoutControlsInner');
+                  if (chkEM2) chkEM2.checked = false;
+                  if (ctrlIn2) ctrlIn2.classList.add('disabled');
+                  gridEditMode = false;
+                  customPositions = null;
+                  renderPreviewThumbnails();
+                  updateFloorLabels();
+                  renderLayoutView(); // populate per-floor controls
+                  updateWizardUI();
+                  setTimeout(function() { renderGridOverlay(); }, 50);
+                };
+                var anyIncluded = false;
+                for (var ci = 0; ci < floors.length; ci++) {
+                  if (!excludedFloors.has(ci)) { anyIncluded = true; break; }
+                }
+                btnCalc2.disabled = !anyIncluded;
+              }
+            });
+            var label = document.createElement('span');
+            label.textContent = floors[floorIdx].name || t('floors.fallbackName', { n: floorIdx + 1 });
+            chip.appendChild(cb);
+            chip.appendChild(label);
+            includeBar.appendChild(chip);
+          })(fi);
         }
+      }
+
+      // (Global X/Y alignment buttons removed — per-floor alignment handles this)
 
-        // Triangulate the polygon (handles concave shapes correctly)
-        const tris = earClipTriangulate(objPts);
-        for (const [a, b, c] of tris) {
-          addTriFace(baseBot + a, baseBot + c, baseBot + b); // bottom face (flip winding)
-          addTriFace(baseTop + a, baseTop + b, baseTop + c); // top face
+      // ── Scale buttons ──
+      var scaleGroup = document.getElementById('scaleGroup');
+      if (scaleGroup) {
+        scaleGroup.innerHTML = '';
+        var scaleOptions = [
+          { val: 0.82, label: 'S', title: t('step4.scaleSmall') },
+          { val: 1.0, label: 'M', title: t('step4.scaleNormal') },
+          { val: 1.1, label: 'L', title: t('step4.scaleLarge') }
+        ];
+        for (var si = 0; si < scaleOptions.length; si++) {
+          (function(opt) {
+            var btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'floor-align-btn' + (opt.val === layoutScaleFactor ? ' active' : '');
+            btn.textContent = opt.label;
+            btn.title = opt.title;
+            btn.style.cssText = 'font-size:11px;font-weight:700;min-width:28px;';
+            btn.addEventListener('click', function() {
+              var before = snapshotLayout();
+              layoutScaleFactor = opt.val;
+              customPositions = null;
+              commitLayoutChange(before);
+              showResetButton();
+              var siblings = scaleGroup.querySelectorAll('.floor-align-btn');
+              for (var s = 0; s < siblings.length; s++) siblings[s].classList.remove('active');
+              this.classList.add('active');
+              updatePreviewWithLoading(function() {
+                renderPreviewThumbnails();
+                renderGridOverlayIfStep4();
+                updateFloorLabels();
+                if (gridEditMode) enableGridDrag();
+              });
+            });
+            scaleGroup.appendChild(btn);
+          })(scaleOptions[si]);
         }
+      }
 
-        // Side faces
-        for (let i = 0; i < n; i++) {
-          const j = (i + 1) % n;
-          addFace(baseBot + i, baseBot + j, baseTop + j, baseTop + i);
+      // ── Per-floor alignment + rotation section ──
+      var perFloorSection = document.getElementById('perFloorAlignSection');
+      if (perFloorSection) {
+        perFloorSection.innerHTML = '';
+        var includedForAlign = [];
+        for (var pfi = 0; pfi < floors.length; pfi++) {
+          if (!excludedFloors.has(pfi)) includedForAlign.push(pfi);
         }
-      }
-
-      faces.push('g walls');
-
-      // Render unioned solid walls
-      for (const polygon of wallUnion) {
-        // polygon = [outerRing, ...holeRings]
-        const outerRing = polygon[0];
-        const holeRings = polygon.slice(1).filter(r => r.length >= 3);
+        // Show per-floor controls for ALL included floors (even with 1 floor for rotation)
+        if (includedForAlign.length >= 1) {
+          // SVG line icons for alignment (small 14×14)
+          // Minimal alignment icons: just the alignment line inside the button square
+          var xIcons = {
+            left:   '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="2" y1="0" x2="2" y2="14" stroke="currentColor" stroke-width="2"/></svg>',
+            center: '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="7" y1="0" x2="7" y2="14" stroke="currentColor" stroke-width="2"/></svg>',
+            right:  '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="12" y1="0" x2="12" y2="14" stroke="currentColor" stroke-width="2"/></svg>'
+          };
+          var yIcons = {
+            top:    '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="0" y1="2" x2="14" y2="2" stroke="currentColor" stroke-width="2"/></svg>',
+            center: '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="0" y1="7" x2="14" y2="7" stroke="currentColor" stroke-width="2"/></svg>',
+            bottom: '<svg width="14" height="14" viewBox="0 0 14 14"><line x1="0" y1="12" x2="14" y2="12" stroke="currentColor" stroke-width="2"/></svg>'
+          };
+          var rotateIcon = '<svg width="13" height="13" viewBox="0 0 16 16" fill="none"><path d="M13 3v4h-4" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/><path d="M13 7c-.8-2.2-2.8-3.8-5.2-3.8-3.2 0-5.8 2.6-5.8 5.8s2.6 5.8 5.8 5.8c2.2 0 4-1.3 4.9-3.2" stroke="currentColor" stroke-width="1.5" stroke-linecap="round"/></svg>';
 
-        if (holeRings.length > 0 && typeof THREE !== 'undefined' && THREE.ShapeUtils) {
-          // Polygon WITH holes (e.g. closed perimeter like Vliering)
-          // Use THREE.ShapeUtils for proper triangulation with interior cutout
-          function cleanRing(ring) {
-            const pts = ring.slice();
-            if (pts.length > 1) {
-              const f = pts[0], l = pts[pts.length - 1];
-              if (Math.hypot(f[0] - l[0], f[1] - l[1]) < 0.01) pts.pop();
-            }
-            return pts;
-          }
-          const outerPts = cleanRing(outerRing);
-          if (outerPts.length < 3) continue;
-          const outerObj = outerPts.map(p => ({
-            x: (p[0] - centerX) * SCALE,
-            y: (p[1] - centerY) * SCALE
-          }));
-          const holeObjArr = [];
-          for (const hRing of holeRings) {
-            const hPts = cleanRing(hRing);
-            if (hPts.length >= 3) {
-              holeObjArr.push(hPts.map(p => ({
-                x: (p[0] - centerX) * SCALE,
-                y: (p[1] - centerY) * SCALE
-              })));
-            }
-          }
+          for (var afi = 0; afi < includedForAlign.length; afi++) {
+            (function(floorIdx) {
+              var row = document.createElement('div');
+              row.className = 'per-floor-row';
 
-          const contour = outerObj.map(p => new THREE.Vector2(p.x, p.y));
-          const holes = holeObjArr.map(h => h.map(p => new THREE.Vector2(p.x, p.y)));
-          const tris = THREE.ShapeUtils.triangulateShape(contour, holes);
+              var name = document.createElement('span');
+              name.className = 'per-floor-name';
+              name.textContent = floors[floorIdx].name || t('floors.fallbackName', { n: floorIdx + 1 });
+              row.appendChild(name);
 
-          // Combined vertex array: outer + all hole vertices
-          const allPts = [...outerObj];
-          for (const hole of holeObjArr) allPts.push(...hole);
+              // X alignment buttons (line icons)
+              var xBtns = document.createElement('span');
+              xBtns.className = 'per-floor-btns';
+              var xVals = ['left', 'center', 'right'];
+              var currentX = (floorSettings[floorIdx] && floorSettings[floorIdx].alignX) || layoutAlignX;
+              for (var bx = 0; bx < xVals.length; bx++) {
+                (function(val) {
+                  var btn = document.createElement('button');
+                  btn.type = 'button';
+                  btn.className = 'per-floor-btn' + (val === currentX ? ' active' : '');
+                  btn.innerHTML = xIcons[val];
+                  btn.addEventListener('click', function() {
+                    var before = snapshotLayout();
+                    if (!floorSettings[floorIdx]) floorSettings[floorIdx] = {};
+                    floorSettings[floorIdx].alignX = val;
+                    commitLayoutChange(before);
+                    showLayoutLoading();
+                    setTimeout(function() {
+                      showResetButton();
+                      renderPreviewThumbnails();
+                      renderGridOverlayIfStep4();
+                      updateFloorLabels();
+                      if (gridEditMode) enableGridDrag();
+                      checkFloorOverlaps();
+                      renderLayoutView();
+                      hideLayoutLoading();
+                    }, 60);
+                  });
+                  xBtns.appendChild(btn);
+                })(xVals[bx]);
+              }
+              row.appendChild(xBtns);
 
-          const baseBot = vertexIndex;
-          for (const pt of allPts) {
-            vertices.push(`v ${pt.x.toFixed(4)} ${(0).toFixed(4)} ${pt.y.toFixed(4)}`);
-          }
-          vertexIndex += allPts.length;
-          const baseTop = vertexIndex;
-          for (const pt of allPts) {
-            vertices.push(`v ${pt.x.toFixed(4)} ${WALL_HEIGHT.toFixed(4)} ${pt.y.toFixed(4)}`);
-          }
-          vertexIndex += allPts.length;
-          for (const [a, b, c] of tris) {
-            addTriFace(baseBot + a, baseBot + c, baseBot + b);
-            addTriFace(baseTop + a, baseTop + b, baseTop + c);
-          }
+              // Y alignment buttons (line icons)
+              var yBtns = document.createElement('span');
+              yBtns.className = 'per-floor-btns per-floor-btns-y';
+              var yVals = ['top', 'center', 'bottom'];
+              var currentY = (floorSettings[floorIdx] && floorSettings[floorIdx].alignY) || layoutAlignY;
+              for (var by = 0; by < yVals.length; by++) {
+                (function(val) {
+                  var btn = document.createElement('button');
+                  btn.type = 'button';
+                  btn.className = 'per-floor-btn' + (val === currentY ? ' active' : '');
+                  btn.innerHTML = yIcons[val];
+                  btn.addEventListener('click', function() {
+                    var before = snapshotLayout();
+                    if (!floorSettings[floorIdx]) floorSettings[floorIdx] = {};
+                    floorSettings[floorIdx].alignY = val;
+                    commitLayoutChange(before);
+                    showLayoutLoading();
+                    setTimeout(function() {
+                      showResetButton();
+                      renderPreviewThumbnails();
+                      renderGridOverlayIfStep4();
+                      updateFloorLabels();
+                      if (gridEditMode) enableGridDrag();
+                      checkFloorOverlaps();
+                      renderLayoutView();
+                      hideLayoutLoading();
+                    }, 60);
+                  });
+                  yBtns.appendChild(btn);
+                })(yVals[by]);
+              }
+              row.appendChild(yBtns);
 
-          // Side faces — outer ring
-          const nO = outerObj.length;
-          const sbO = vertexIndex;
-          for (const pt of outerObj) vertices.push(`v ${pt.x.toFixed(4)} ${(0).toFixed(4)} ${pt.y.toFixed(4)}`);
-          vertexIndex += nO;
-          const stO = vertexIndex;
-          for (const pt of outerObj) vertices.push(`v ${pt.x.toFixed(4)} ${WALL_HEIGHT.toFixed(4)} ${pt.y.toFixed(4)}`);
-          vertexIndex += nO;
-          for (let i = 0; i < nO; i++) {
-            const j = (i + 1) % nO;
-            addFace(sbO + i, sbO + j, stO + j, stO + i);
-          }
+              // Rotate 90° button
+              var rotBtn = document.createElement('button');
+              rotBtn.type = 'button';
+              rotBtn.className = 'per-floor-rotate';
+              rotBtn.innerHTML = rotateIcon;
+              rotBtn.title = t('step4.rotate');
+              rotBtn.addEventListener('click', function() {
+                rotateFloor90(floorIdx);
+              });
+              row.appendChild(rotBtn);
 
-          // Side faces — each hole ring (inner wall surfaces)
-          for (const holePts of holeObjArr) {
-            const nH = holePts.length;
-            const sbH = vertexIndex;
-            for (const pt of holePts) vertices.push(`v ${pt.x.toFixed(4)} ${(0).toFixed(4)} ${pt.y.toFixed(4)}`);
-            vertexIndex += nH;
-            const stH = vertexIndex;
-            for (const pt of holePts) vertices.push(`v ${pt.x.toFixed(4)} ${WALL_HEIGHT.toFixed(4)} ${pt.y.toFixed(4)}`);
-            vertexIndex += nH;
-            for (let i = 0; i < nH; i++) {
-              const j = (i + 1) % nH;
-              addFace(sbH + j, sbH + i, stH + i, stH + j); // reversed winding
-            }
+              perFloorSection.appendChild(row);
+            })(includedForAlign[afi]);
           }
-        } else {
-          // Simple polygon (no holes) — extrude as before
-          extrudeWallPoly(outerRing, 0, WALL_HEIGHT);
         }
       }
 
-      // Render walls WITH openings as individual boxes (with L-junction extension)
-      for (const wall of openingWalls) {
-        // Compute L-junction extension for opening walls.
-        // Key fix: at perpendicular junctions with SOLID walls, use NEGATIVE
-        // extension to trim the opening wall flush with the solid wall's inner
-        // face. This prevents overlapping geometry that breaks slicers.
-        const _wdx = wall.b.x - wall.a.x, _wdy = wall.b.y - wall.a.y;
-        const _wlen = Math.hypot(_wdx, _wdy);
-        const _wIsDiag = _wlen > 0.1 && Math.min(Math.abs(_wdx / _wlen), Math.abs(_wdy / _wlen)) > 0.15;
-        let owExtA = 0, owExtB = 0;
-        if (!_wIsDiag && _wlen > 0.1) {
-          const _ux = _wdx / _wlen, _uy = _wdy / _wlen;
-          // Track perpendicular solid walls separately
-          let perpSolidA = 0, perpSolidB = 0;
-          let hasPerpSolidA = false, hasPerpSolidB = false;
-
-          for (const other of walls) {
-            if (other === wall) continue;
-            const odx = other.b.x - other.a.x, ody = other.b.y - other.a.y;
-            const olen = Math.hypot(odx, ody);
-            if (olen < 0.1) continue;
-            if (Math.min(Math.abs(odx / olen), Math.abs(ody / olen)) > 0.15) continue; // skip diag
-            const otherHt = (other.thickness ?? 20) / 2;
-            const otherIsSolid = !(other.openings && other.openings.length > 0);
-            // Dot product: 0 = perpendicular, 1 = collinear
-            const dot = Math.abs(_ux * (odx / olen) + _uy * (ody / olen));
-            const isPerp = dot < 0.3;
-
-            // Endpoint A
-            if (Math.hypot(wall.a.x - other.a.x, wall.a.y - other.a.y) < 3 ||
-                Math.hypot(wall.a.x - other.b.x, wall.a.y - other.b.y) < 3) {
-              if (otherIsSolid && isPerp) {
-                hasPerpSolidA = true;
-                perpSolidA = Math.max(perpSolidA, otherHt);
-              } else {
-                owExtA = Math.max(owExtA, otherHt);
-              }
-            }
-            // Endpoint B
-            if (Math.hypot(wall.b.x - other.a.x, wall.b.y - other.a.y) < 3 ||
-                Math.hypot(wall.b.x - other.b.x, wall.b.y - other.b.y) < 3) {
-              if (otherIsSolid && isPerp) {
-                hasPerpSolidB = true;
-                perpSolidB = Math.max(perpSolidB, otherHt);
-              } else {
-                owExtB = Math.max(owExtB, otherHt);
-              }
-            }
-          }
-          // Perpendicular solid walls: trim to inner face (negative extension)
-          if (hasPerpSolidA) owExtA = -perpSolidA;
-          if (hasPerpSolidB) owExtB = -perpSolidB;
-        }
-        const ax = (wall.a.x - centerX) * SCALE - (_wlen > 0.1 ? (_wdx / _wlen) * owExtA * SCALE : 0);
-        const ay = (wall.a.y - centerY) * SCALE - (_wlen > 0.1 ? (_wdy / _wlen) * owExtA * SCALE : 0);
-        const bx = (wall.b.x - centerX) * SCALE + (_wlen > 0.1 ? (_wdx / _wlen) * owExtB * SCALE : 0);
-        const by = (wall.b.y - centerY) * SCALE + (_wlen > 0.1 ? (_wdy / _wlen) * owExtB * SCALE : 0);
-        const wdx = bx - ax, wdy = by - ay;
-        const wlen = Math.hypot(wdx, wdy);
-        if (wlen < 0.001) continue;
-        const wnx = -wdy / wlen, wny = wdx / wlen;
-        const halfThick = (wall.thickness ?? 20) / 2 * SCALE;
-        const wallWorldLen = Math.hypot(wall.b.x - wall.a.x, wall.b.y - wall.a.y);
-
-        const sortedOpenings = (wall.openings ?? []).map(op => {
-          const t = op.t ?? 0.5;
-          const halfW = (op.width ?? 90) / 2 / wallWorldLen;
-          const height = (op.height ?? (op.type === "door" ? 210 : 120)) * SCALE;
-          const elevation = (op.elevation ?? (op.type === "door" ? 0 : 90)) * SCALE;
-          return {
-            startT: Math.max(0, t - halfW),
-            endT: Math.min(1, t + halfW),
-            bottomZ: elevation,
-            topZ: elevation + height,
-            type: op.type ?? "door"
-          };
-        }).sort((a, b) => a.startT - b.startT);
-
-        let currentT = 0;
-        for (const op of sortedOpenings) {
-          if (op.startT > currentT) {
-            const sAx = ax + wdx * currentT, sAy = ay + wdy * currentT;
-            const sBx = ax + wdx * op.startT, sBy = ay + wdy * op.startT;
-            createWallBox(sAx, sAy, sBx, sBy, 0, WALL_HEIGHT, halfThick, wnx, wny);
-          }
-          const oAx = ax + wdx * op.startT, oAy = ay + wdy * op.startT;
-          const oBx = ax + wdx * op.endT, oBy = ay + wdy * op.endT;
-          if (op.bottomZ > 0.01) {
-            createWallBox(oAx, oAy, oBx, oBy, 0, op.bottomZ, halfThick, wnx, wny);
-          }
-          if (op.topZ < WALL_HEIGHT - 0.01) {
-            createWallBox(oAx, oAy, oBx, oBy, op.topZ, WALL_HEIGHT, halfThick, wnx, wny);
+      // ── Reset button (icon inside label — stop event so checkbox doesn't toggle) ──
+      var btnReset = document.getElementById('btnResetLayout');
+      if (btnReset) {
+        btnReset.onclick = function(e) {
+          e.preventDefault();
+          e.stopPropagation();
+          var before = snapshotLayout();
+          customPositions = null;
+          layoutScaleFactor = 1.0;
+          floorSettings = {};
+          commitLayoutChange(before);
+          layoutHasOverlap = false;
+          renderPreviewThumbnails();
+          renderGridOverlay();
+          updateWizardUI();
+          if (gridEditMode) {
+            var wraps = floorsGrid ? floorsGrid.querySelectorAll('.floor-canvas-wrap') : [];
+            _dragCleanups.forEach(function(fn) { fn(); });
+            _dragCleanups = [];
+            for (var _rw = 0; _rw < wraps.length; _rw++) attachDragHandlers(wraps[_rw], _rw);
+      
           }
-          const frameSize = 0.05;
-          const frameThick = halfThick * 0.8;
-          createOpeningFrame(oAx, oAy, oBx, oBy, op.bottomZ, op.topZ, frameSize, frameThick, wnx, wny);
-          currentT = Math.max(currentT, op.endT);
-        }
-        if (currentT < 1) {
-          const sAx = ax + wdx * currentT, sAy = ay + wdy * currentT;
-          createWallBox(sAx, sAy, bx, by, 0, WALL_HEIGHT, halfThick, wnx, wny);
-        }
+          renderLayoutView();
+          btnReset.style.display = 'none';
+        };
       }
 
-      faces.push('g floor');
-
-      const FLOOR_THICKNESS = 0.30;
-
-      function extrudePolygon(poly) {
-        if (poly.length < 3) return;
-        const n = poly.length;
-
-        let cx = 0, cy = 0;
-        for (const pt of poly) { cx += pt.x; cy += pt.y; }
-        cx /= n; cy /= n;
+      // ── Edit mode + tools box ──
+      var includedCount = 0;
+      for (var gi = 0; gi < floors.length; gi++) {
+        if (!excludedFloors.has(gi)) includedCount++;
+      }
+      // Show/hide the tools box based on layout state
+      var ctrlBar = document.getElementById('layoutControlsBar');
+      if (ctrlBar) ctrlBar.style.display = (layoutCalculated && includedCount >= 2) ? '' : 'none';
 
-        const baseBot = vertexIndex;
-        for (const pt of poly) {
-          vertices.push(`v ${pt.x.toFixed(4)} ${(-FLOOR_THICKNESS).toFixed(4)} ${pt.y.toFixed(4)}`);
-          vertexIndex++;
-        }
-        vertices.push(`v ${cx.toFixed(4)} ${(-FLOOR_THICKNESS).toFixed(4)} ${cy.toFixed(4)}`);
-        const botCenter = vertexIndex;
-        vertexIndex++;
-
-        const baseTop = vertexIndex;
-        for (const pt of poly) {
-          vertices.push(`v ${pt.x.toFixed(4)} ${(0).toFixed(4)} ${pt.y.toFixed(4)}`);
-          vertexIndex++;
-        }
-        vertices.push(`v ${cx.toFixed(4)} ${(0).toFixed(4)} ${cy.toFixed(4)}`);
-        const topCenter = vertexIndex;
-        vertexIndex++;
+      // "Handmatig aanpassen" checkbox toggles edit mode
+      var chkEditMode = document.getElementById('chkEditMode');
+      var ctrlInner = document.getElementById('layoutControlsInner');
+      if (chkEditMode) {
+        chkEditMode.checked = gridEditMode;
+        // Apply disabled state to controls
+        if (ctrlInner) ctrlInner.classList.toggle('disabled', !gridEditMode);
+        chkEditMode.onchange = function() {
+          gridEditMode = this.checked;
+          if (ctrlInner) ctrlInner.classList.toggle('disabled', !gridEditMode);
+          if (gridEditMode) {
+            enableGridDrag();
+          } else {
+            disableGridDrag();
+            var before = snapshotLayout();
+            customPositions = null;
+            commitLayoutChange(before);
+            layoutHasOverlap = false;
+            renderPreviewThumbnails();
+            renderGridOverlay();
+            updateWizardUI();
+          }
+        };
+      }
 
-        for (let i = 0; i < n; i++) {
-          const j = (i + 1) % n;
-          addTriFace(botCenter, baseBot + j, baseBot + i);
-        }
-        for (let i = 0; i < n; i++) {
-          const j = (i + 1) % n;
-          addTriFace(topCenter, baseTop + i, baseTop + j);
-        }
-        for (let i = 0; i < n; i++) {
-          const j = (i + 1) % n;
-          addFace(baseBot + i, baseBot + j, baseTop + j, baseTop + i);
-        }
+      // ── Grid visibility checkbox ──
+      var chkShowGrid = document.getElementById('chkShowGrid');
+      if (chkShowGrid) {
+        chkShowGrid.onchange = function() {
+          showGridOverlay = this.checked;
+          // zone-editing outline on floorsGrid (matches maxGridH)
+          if (floorsGrid) floorsGrid.classList.toggle('zone-editing', showGridOverlay);
+          if (showGridOverlay) {
+            renderGridOverlay();
+      
+          } else {
+            // Remove grid overlay + alignment overlay
+            var gridEl = floorsGrid ? floorsGrid.querySelector('.grid-overlay') : null;
+            if (gridEl) gridEl.remove();
+            var alignEl = floorsGrid ? floorsGrid.querySelector('.align-overlay') : null;
+            if (alignEl) alignEl.remove();
+          }
+        };
       }
 
-      const floorVoids = floor.voids ?? [];
+      // Show grid overlay in step 4 (always visible, subtle)
+      renderGridOverlayIfStep4();
 
+      // ── 3D mode checkbox — handled via global toggle3dMode() ──
+    }
 
-      {
-        const floorSources = [];
+    // Helper: show grid overlay when in step 4
+    function renderGridOverlayIfStep4() {
+      if (currentWizardStep === 4) {
+        renderGridOverlay();
+      }
+    }
 
-        for (const area of design.areas ?? []) {
-          const tessellated = tessellateSurfacePoly(area.poly ?? []);
-          if (tessellated.length >= 3) floorSources.push(tessellated);
-        }
+    // ============================================================
+    // STEP 5: Labels editing
+    // ============================================================
+    function setLabelMode(mode) {
+      labelMode = mode;
+      renderLabelsFieldsContent();
+      updateFloorLabels();
+    }
 
-        // Surface names that should always get floor even if outside wall bounds
-        const OUTDOOR_FLOOR_NAMES = ['balkon', 'terras', 'loggia', 'patio', 'veranda'];
-        // Surface names to exclude from floor geometry (large outdoor areas)
-        const EXCLUDE_FLOOR_NAMES = ['tuin', 'garden', 'erf', 'parkeren', 'oprit'];
-        for (const surface of design.surfaces ?? []) {
-          if (surface.isCutout) continue;
-          const sName = (surface.name ?? "").trim();
-          const cName = (surface.customName ?? "").trim();
-          const displayName = (sName || cName).toLowerCase();
-          // Skip large outdoor surfaces
-          if (EXCLUDE_FLOOR_NAMES.some(k => displayName.includes(k))) continue;
-          // Only apply outsideWalls check if it's NOT a known outdoor-floor surface
-          const isOutdoorFloor = OUTDOOR_FLOOR_NAMES.some(k => displayName.includes(k));
-          if (!isOutdoorFloor && isSurfaceOutsideWalls(surface, wallBBox)) continue;
-          if (!sName && !cName) continue;
-          if (sName && cName && cName.toLowerCase() !== sName.toLowerCase()) continue;
-          const tessellated = tessellateSurfacePoly(surface.poly ?? []);
-          if (tessellated.length >= 3) floorSources.push(tessellated);
-        }
+    function renderLabelsFields() {
+      floorLabels = getIncludedFloorLabels();
 
-        // Use the same unioned wall polygons for floor sources
-        for (const polygon of wallUnion) {
-          for (const ring of polygon) {
-            const pts = ring.slice();
-            // Remove closing duplicate if present
-            if (pts.length > 1) {
-              const f = pts[0], l = pts[pts.length - 1];
-              if (Math.hypot(f[0] - l[0], f[1] - l[1]) < 0.01) pts.pop();
-            }
-            if (pts.length >= 3) {
-              floorSources.push(pts.map(p => ({ x: p[0], y: p[1] })));
-            }
-          }
-        }
-        // Also add individual wall rects as floor sources — with small expansion
-        // to ensure overlap with adjacent area polygons (prevents gap at boundaries)
-        for (const w of walls) {
-          if ((w.thickness ?? 20) < 0.1) continue; // skip zero-thickness (handled separately below)
-          const r = wallToRect(w, 1, 1);
-          if (r) {
-            floorSources.push(r.slice(0, 4).map(p => ({ x: p[0], y: p[1] })));
-          }
-        }
-        // Add zero-thickness walls as thin floor strips (they separate areas but have no 3D geometry)
-        for (const w of walls) {
-          if ((w.thickness ?? 20) > 0.1) continue; // only zero-thickness walls
-          const zLen = Math.hypot(w.b.x - w.a.x, w.b.y - w.a.y);
-          if (zLen < 0.1) continue;
-          const zw = { a: w.a, b: w.b, thickness: 6 }; // give a small floor-only thickness
-          const zr = wallToRect(zw, 0, 0);
-          if (zr) {
-            const pts = zr.slice(0, 4).map(p => ({ x: p[0], y: p[1] }));
-            floorSources.push(pts);
-          }
-        }
-        // Also add opening walls (not in the union) — with L-junction extension
-        for (const w of openingWalls) {
-          const _dx = w.b.x - w.a.x, _dy = w.b.y - w.a.y;
-          const _len = Math.hypot(_dx, _dy);
-          const _isDiag = _len > 0.1 && Math.min(Math.abs(_dx / _len), Math.abs(_dy / _len)) > 0.15;
-          let _extA = 0, _extB = 0;
-          if (!_isDiag && _len > 0.1) {
-            for (const other of walls) {
-              if (other === w) continue;
-              const odx = other.b.x - other.a.x, ody = other.b.y - other.a.y;
-              const olen = Math.hypot(odx, ody);
-              if (olen < 0.1) continue;
-              if (Math.min(Math.abs(odx / olen), Math.abs(ody / olen)) > 0.15) continue;
-              const oHt = (other.thickness ?? 20) / 2;
-              if (Math.hypot(w.a.x - other.a.x, w.a.y - other.a.y) < 3 ||
-                  Math.hypot(w.a.x - other.b.x, w.a.y - other.b.y) < 3) _extA = Math.max(_extA, oHt);
-              if (Math.hypot(w.b.x - other.a.x, w.b.y - other.a.y) < 3 ||
-                  Math.hypot(w.b.x - other.b.x, w.b.y - other.b.y) < 3) _extB = Math.max(_extB, oHt);
-            }
-          }
-          const r = wallToRect(w, _extA, _extB);
-          if (r) {
-            const pts = r.slice(0, 4).map(p => ({ x: p[0], y: p[1] }));
-            floorSources.push(pts);
-          }
-        }
+      var step6 = document.getElementById('wizardStep6');
+      if (!step6) return;
 
-        const balStripsOBJ = mergeBalustradeStrips(design.balustrades ?? []);
-        for (const strip of balStripsOBJ) {
-          if (strip.length >= 3) floorSources.push(strip);
-        }
-        const balFillsOBJ = buildBalustradeFillPolygons(design.balustrades ?? []);
-        for (const fill of balFillsOBJ) {
-          if (fill.length >= 3) floorSources.push(fill);
-        }
+      // Find or create container after step-description
+      var container = step6.querySelector('.labels-step-container');
+      if (!container) {
+        container = document.createElement('div');
+        container.className = 'labels-step-container';
+        step6.appendChild(container);
+      }
+      container.innerHTML = '';
 
-        // --- Polygon-based floor: union all sources, subtract voids, extrude ---
-
-        // Expand each floor source slightly so adjacent polygons overlap,
-        // guaranteeing the union merges them into one continuous shape.
-        const FLOOR_EXPAND = 4;
-        for (let si = 0; si < floorSources.length; si++) {
-          const poly = floorSources[si];
-          if (poly.length < 3) continue;
-          const n = poly.length;
-          const expanded = [];
-          // Compute centroid once
-          let cx = 0, cy = 0;
-          for (const p of poly) { cx += p.x; cy += p.y; }
-          cx /= n; cy /= n;
-          for (let i = 0; i < n; i++) {
-            const prev = poly[(i - 1 + n) % n];
-            const curr = poly[i];
-            const next = poly[(i + 1) % n];
-            const e1dx = curr.x - prev.x, e1dy = curr.y - prev.y;
-            const e1len = Math.hypot(e1dx, e1dy) || 1;
-            const n1x = -e1dy / e1len, n1y = e1dx / e1len;
-            const e2dx = next.x - curr.x, e2dy = next.y - curr.y;
-            const e2len = Math.hypot(e2dx, e2dy) || 1;
-            const n2x = -e2dy / e2len, n2y = e2dx / e2len;
-            let nx = n1x + n2x, ny = n1y + n2y;
-            const nlen = Math.hypot(nx, ny);
-            if (nlen < 0.01) {
-              // Near-collinear or anti-parallel edges — fallback to first edge normal
-              nx = n1x; ny = n1y;
-            } else {
-              nx /= nlen; ny /= nlen;
-            }
-            const toCx = cx - curr.x, toCy = cy - curr.y;
-            if (nx * toCx + ny * toCy > 0) { nx = -nx; ny = -ny; }
-            expanded.push({ x: curr.x + nx * FLOOR_EXPAND, y: curr.y + ny * FLOOR_EXPAND });
-          }
-          floorSources[si] = expanded;
-        }
+      // Only show toggle when 2-3 floors; force single for 1 or >3
+      var includedCount = floorLabels.length;
+      var showToggle = includedCount >= 2 && includedCount <= 3;
+      if (!showToggle) {
+        labelMode = 'single';
+      }
 
-        // Convert floorSources {x,y}[] to polygonClipping format [[[x,y],...]]
-        const floorPolys = [];
-        for (const src of floorSources) {
-          if (src.length < 3) continue;
-          const ring = src.map(p => [p.x, p.y]);
-          const f = ring[0], l = ring[ring.length - 1];
-          if (Math.hypot(f[0] - l[0], f[1] - l[1]) > 0.01) ring.push([f[0], f[1]]);
-          floorPolys.push([ring]);
-        }
+      if (showToggle) {
+        // Toggle switch
+        var toggle = document.createElement('div');
+        toggle.className = 'label-mode-toggle';
 
-        // Union all floor sources into combined polygons
-        let floorResult = [];
-        if (floorPolys.length > 0) {
-          try {
-            floorResult = polygonClipping.union(...floorPolys);
-          } catch (e) {
-            console.warn('Floor union failed, using individual polygons', e);
-            floorResult = floorPolys;
-          }
-        }
+        var labelSingle = document.createElement('span');
+        labelSingle.className = 'label-mode-label' + (labelMode === 'single' ? ' active' : '');
+        labelSingle.textContent = t('step6.single');
 
+        var switchWrap = document.createElement('label');
+        switchWrap.className = 'label-mode-switch';
+        var switchInput = document.createElement('input');
+        switchInput.type = 'checkbox';
+        switchInput.checked = labelMode === 'per-floor';
+        var slider = document.createElement('span');
+        slider.className = 'switch-slider';
+        switchWrap.appendChild(switchInput);
+        switchWrap.appendChild(slider);
 
-        // Second union pass: expand result polygons slightly and re-union to close
-        // micro-gaps between adjacent polygons that the first union missed.
-        if (floorResult.length > 1) {
-          const GAP_CLOSE = 2; // cm — small enough to not affect shape visibly
-          const reExpandedPolys = [];
-          for (const poly of floorResult) {
-            const outerRing = poly[0];
-            if (!outerRing || outerRing.length < 4) { reExpandedPolys.push(poly); continue; }
-            // Expand outer ring outward by GAP_CLOSE
-            const pts = outerRing.map(p => ({ x: p[0], y: p[1] }));
-            // Remove closing duplicate for expansion
-            const last = pts[pts.length - 1], first = pts[0];
-            if (Math.hypot(last.x - first.x, last.y - first.y) < 0.01) pts.pop();
-            if (pts.length < 3) { reExpandedPolys.push(poly); continue; }
-            const n = pts.length;
-            let cx = 0, cy = 0;
-            for (const p of pts) { cx += p.x; cy += p.y; }
-            cx /= n; cy /= n;
-            const expanded = [];
-            for (let i = 0; i < n; i++) {
-              const prev = pts[(i - 1 + n) % n], curr = pts[i], next = pts[(i + 1) % n];
-              const e1dx = curr.x - prev.x, e1dy = curr.y - prev.y;
-              const e1len = Math.hypot(e1dx, e1dy) || 1;
-              const n1x = -e1dy / e1len, n1y = e1dx / e1len;
-              const e2dx = next.x - curr.x, e2dy = next.y - curr.y;
-              const e2len = Math.hypot(e2dx, e2dy) || 1;
-              const n2x = -e2dy / e2len, n2y = e2dx / e2len;
-              let nx = n1x + n2x, ny = n1y + n2y;
-              const nlen = Math.hypot(nx, ny);
-              if (nlen < 0.01) { nx = n1x; ny = n1y; }
-              else { nx /= nlen; ny /= nlen; }
-              const toCx = cx - curr.x, toCy = cy - curr.y;
-              if (nx * toCx + ny * toCy > 0) { nx = -nx; ny = -ny; }
-              expanded.push([curr.x + nx * GAP_CLOSE, curr.y + ny * GAP_CLOSE]);
-            }
-            expanded.push([expanded[0][0], expanded[0][1]]); // close ring
-            reExpandedPolys.push([expanded]);
-          }
-          try {
-            const reUnion = polygonClipping.union(...reExpandedPolys);
-            if (reUnion.length > 0) floorResult = reUnion;
-          } catch (e) { /* keep original if re-union fails */ }
-        }
+        var labelMulti = document.createElement('span');
+        labelMulti.className = 'label-mode-label' + (labelMode === 'per-floor' ? ' active' : '');
+        labelMulti.textContent = t('step6.perFloor');
 
-        // Subtract voids (stair openings) — per-polygon to avoid SweepLine crash
-        for (const v of floorVoids) {
-          if (v.length < 3) continue;
-          const vRing = v.map(p => [p.x, p.y]);
-          const vf = vRing[0], vl = vRing[vRing.length - 1];
-          if (Math.hypot(vf[0] - vl[0], vf[1] - vl[1]) > 0.01) vRing.push([vf[0], vf[1]]);
-          const newFloorResult = [];
-          for (const poly of floorResult) {
-            try {
-              const diff = polygonClipping.difference([poly], [[vRing]]);
-              for (const d of diff) newFloorResult.push(d);
-            } catch (e) {
-              newFloorResult.push(poly);
-            }
-          }
-          floorResult = newFloorResult;
-        }
+        switchInput.addEventListener('change', function() {
+          setLabelMode(this.checked ? 'per-floor' : 'single');
+        });
+        labelSingle.addEventListener('click', function() {
+          switchInput.checked = false;
+          setLabelMode('single');
+        });
+        labelMulti.addEventListener('click', function() {
+          switchInput.checked = true;
+          setLabelMode('per-floor');
+        });
 
-        // === Polish: grid-scan to detect and fill micro-holes in the floor ===
-        // Scans a 2D grid, flood-fills from edges to find "outside", then any
-        // uncovered interior cell is a hole. Small hole clusters get filled.
-        (function polishFloorHoles() {
-          if (floorResult.length === 0) return;
-          var CELL = 2; // cm grid resolution — fine enough to catch thin slits
-          var MAX_HOLE_AREA = 1500; // cm² — safe: real voids already subtracted, this catches all artifacts
-          // Compute floor bbox with 1-cell margin for flood fill
-          var fb = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
-          for (var p = 0; p < floorResult.length; p++) {
-            var ring = floorResult[p][0];
-            for (var k = 0; k < ring.length; k++) {
-              if (ring[k][0] < fb.x0) fb.x0 = ring[k][0];
-              if (ring[k][1] < fb.y0) fb.y0 = ring[k][1];
-              if (ring[k][0] > fb.x1) fb.x1 = ring[k][0];
-              if (ring[k][1] > fb.y1) fb.y1 = ring[k][1];
-            }
-          }
-          fb.x0 -= CELL; fb.y0 -= CELL; fb.x1 += CELL; fb.y1 += CELL;
-          var cols = Math.ceil((fb.x1 - fb.x0) / CELL);
-          var rows = Math.ceil((fb.y1 - fb.y0) / CELL);
-          if (cols * rows > 500000) return; // safety: skip if grid too large
-
-          // Point-in-ring test for [x,y] ring format
-          function pipRing(px, py, ring) {
-            var inside = false;
-            for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
-              var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
-              if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi)
-                inside = !inside;
-            }
-            return inside;
-          }
+        toggle.appendChild(labelSingle);
+        toggle.appendChild(switchWrap);
+        toggle.appendChild(labelMulti);
+        container.appendChild(toggle);
+      }
 
-          // Build coverage grid: 1 = floor, 0 = uncovered
-          var grid = new Uint8Array(rows * cols);
-          for (var r = 0; r < rows; r++) {
-            var py = fb.y0 + (r + 0.5) * CELL;
-            for (var c = 0; c < cols; c++) {
-              var px = fb.x0 + (c + 0.5) * CELL;
-              for (var p = 0; p < floorResult.length; p++) {
-                if (pipRing(px, py, floorResult[p][0])) {
-                  var inHole = false;
-                  for (var h = 1; h < floorResult[p].length; h++) {
-                    if (pipRing(px, py, floorResult[p][h])) { inHole = true; break; }
-                  }
-                  if (!inHole) { grid[r * cols + c] = 1; break; }
-                }
-              }
-            }
-          }
+      // Fields container
+      var fieldsDiv = document.createElement('div');
+      fieldsDiv.className = 'labels-fields';
+      fieldsDiv.id = 'labelsFieldsInner';
+      container.appendChild(fieldsDiv);
 
-          // Flood-fill from all edge cells to mark "outside" (value 2)
-          var queue = [];
-          for (var r = 0; r < rows; r++) {
-            if (!grid[r * cols]) { grid[r * cols] = 2; queue.push(r * cols); }
-            if (!grid[r * cols + cols - 1]) { grid[r * cols + cols - 1] = 2; queue.push(r * cols + cols - 1); }
-          }
-          for (var c = 0; c < cols; c++) {
-            if (!grid[c]) { grid[c] = 2; queue.push(c); }
-            if (!grid[(rows - 1) * cols + c]) { grid[(rows - 1) * cols + c] = 2; queue.push((rows - 1) * cols + c); }
-          }
-          while (queue.length > 0) {
-            var idx = queue.pop();
-            var gr = (idx / cols) | 0, gc = idx % cols;
-            if (gr > 0     && !grid[(gr - 1) * cols + gc]) { grid[(gr - 1) * cols + gc] = 2; queue.push((gr - 1) * cols + gc); }
-            if (gr < rows-1 && !grid[(gr + 1) * cols + gc]) { grid[(gr + 1) * cols + gc] = 2; queue.push((gr + 1) * cols + gc); }
-            if (gc > 0     && !grid[gr * cols + gc - 1])    { grid[gr * cols + gc - 1] = 2;    queue.push(gr * cols + gc - 1); }
-            if (gc < cols-1 && !grid[gr * cols + gc + 1])    { grid[gr * cols + gc + 1] = 2;    queue.push(gr * cols + gc + 1); }
-          }
+      renderLabelsFieldsContent();
+      updateFloorLabels();
 
-          // Remaining 0-cells are interior holes. Cluster them via flood-fill.
-          var visited = new Uint8Array(rows * cols);
-          var patches = [];
-          for (var r = 0; r < rows; r++) {
-            for (var c = 0; c < cols; c++) {
-              if (grid[r * cols + c] !== 0 || visited[r * cols + c]) continue;
-              // BFS to collect cluster
-              var cluster = [];
-              var q = [r * cols + c];
-              visited[r * cols + c] = 1;
-              while (q.length > 0) {
-                var ci = q.pop();
-                cluster.push(ci);
-                var cr = (ci / cols) | 0, cc = ci % cols;
-                var nbrs = [];
-                if (cr > 0)      nbrs.push((cr-1)*cols+cc);
-                if (cr < rows-1) nbrs.push((cr+1)*cols+cc);
-                if (cc > 0)      nbrs.push(cr*cols+cc-1);
-                if (cc < cols-1) nbrs.push(cr*cols+cc+1);
-                for (var ni = 0; ni < nbrs.length; ni++) {
-                  if (grid[nbrs[ni]] === 0 && !visited[nbrs[ni]]) {
-                    visited[nbrs[ni]] = 1;
-                    q.push(nbrs[ni]);
-                  }
-                }
-              }
-              var clusterArea = cluster.length * CELL * CELL;
-              if (clusterArea < MAX_HOLE_AREA) {
-                // Generate fill patches for each cell in cluster
-                for (var ci = 0; ci < cluster.length; ci++) {
-                  var cr = (cluster[ci] / cols) | 0, cc = cluster[ci] % cols;
-                  var x = fb.x0 + cc * CELL, y = fb.y0 + cr * CELL;
-                  patches.push([[
-                    [x, y], [x + CELL, y], [x + CELL, y + CELL], [x, y + CELL], [x, y]
-                  ]]);
-                }
-              }
-            }
-          }
+      // Comments text area
+      var commentsLabel = document.createElement('label');
+      commentsLabel.className = 'comments-label';
+      commentsLabel.textContent = t('step6.comments');
+      commentsLabel.style.cssText = 'display:block;margin-top:1.2rem;font-size:0.85rem;font-weight:600;color:#555;margin-bottom:0.4rem;';
+      container.appendChild(commentsLabel);
 
-          // Merge patches into floorResult
-          if (patches.length > 0) {
-            try {
-              floorResult = polygonClipping.union(...floorResult, ...patches);
-            } catch (e) {
-              // Fallback: just append patches
-              for (var i = 0; i < patches.length; i++) floorResult.push(patches[i]);
-            }
-          }
-        })();
-
-        // === Bridge slabs: fill floor-thickness material under walls/balustrades floating over voids ===
-        // Without these, walls crossing stairwell openings float in mid-air (breaks 3D printing).
-        const bridgePolys = [];
-        for (const v of floorVoids) {
-          if (v.length < 3) continue;
-          const vRing = v.map(p => [p.x, p.y]);
-          const vf2 = vRing[0], vl2 = vRing[vRing.length - 1];
-          if (Math.hypot(vf2[0] - vl2[0], vf2[1] - vl2[1]) > 0.01) vRing.push([vf2[0], vf2[1]]);
-
-          // Intersect solid wall union footprints with this void
-          for (const wPoly of wallUnion) {
-            try {
-              const inter = polygonClipping.intersection([wPoly], [[vRing]]);
-              for (const p of inter) bridgePolys.push(p);
-            } catch (e) { /* skip on error */ }
-          }
+      var commentsArea = document.createElement('textarea');
+      commentsArea.id = 'labelComments';
+      commentsArea.className = 'comments-textarea';
+      commentsArea.value = labelComments || '';
+      commentsArea.addEventListener('input', function() {
+        labelComments = commentsArea.value;
+      });
+      container.appendChild(commentsArea);
+    }
 
-          // Intersect opening wall footprints with this void
-          for (const ow of openingWalls) {
-            const owr = wallToRect(ow, 0, 0);
-            if (!owr || owr.length < 4) continue;
-            const owRing = owr.slice(0, 4).map(p => [p[0], p[1]]);
-            owRing.push([owRing[0][0], owRing[0][1]]);
-            try {
-              const inter = polygonClipping.intersection([[owRing]], [[vRing]]);
-              for (const p of inter) bridgePolys.push(p);
-            } catch (e) { /* skip */ }
-          }
+    function renderLabelsFieldsContent() {
+      var fieldsDiv = document.getElementById('labelsFieldsInner');
+      if (!fieldsDiv) return;
+      fieldsDiv.innerHTML = '';
 
-          // Intersect balustrade strip/fill footprints with this void
-          const allBalPolys = [...balStripsOBJ, ...balFillsOBJ];
-          for (const bStrip of allBalPolys) {
-            if (bStrip.length < 3) continue;
-            const bRing = bStrip.map(p => [p.x, p.y]);
-            const bf = bRing[0], bl = bRing[bRing.length - 1];
-            if (Math.hypot(bf[0] - bl[0], bf[1] - bl[1]) > 0.01) bRing.push([bf[0], bf[1]]);
-            try {
-              const inter = polygonClipping.intersection([[bRing]], [[vRing]]);
-              for (const p of inter) bridgePolys.push(p);
-            } catch (e) { /* skip */ }
-          }
-        }
-        // Add bridge slabs to floor result — they'll be extruded with the same floor thickness
-        for (const bp of bridgePolys) floorResult.push(bp);
-
-        // Extrude each result polygon
-        const botY = (-FLOOR_THICKNESS).toFixed(4);
-        const topY = (0).toFixed(4);
-
-        for (const polygon of floorResult) {
-          // Collect outer ring
-          const ring0 = polygon[0].slice();
-          if (ring0.length > 1) {
-            const ff = ring0[0], ll = ring0[ring0.length - 1];
-            if (Math.hypot(ff[0] - ll[0], ff[1] - ll[1]) < 0.01) ring0.pop();
-          }
-          if (ring0.length < 3) continue;
-
-          const outerObjPts = ring0.map(p => ({
-            x: (p[0] - centerX) * SCALE,
-            y: (p[1] - centerY) * SCALE
-          }));
-
-          // Collect hole rings
-          const holeObjPtsArr = [];
-          for (let hi = 1; hi < polygon.length; hi++) {
-            const hRing = polygon[hi].slice();
-            if (hRing.length > 1) {
-              const hf = hRing[0], hl = hRing[hRing.length - 1];
-              if (Math.hypot(hf[0] - hl[0], hf[1] - hl[1]) < 0.01) hRing.pop();
-            }
-            if (hRing.length >= 3) {
-              holeObjPtsArr.push(hRing.map(p => ({
-                x: (p[0] - centerX) * SCALE,
-                y: (p[1] - centerY) * SCALE
-              })));
-            }
-          }
+      if (labelMode === 'single') {
+        // Single label mode — one text field
+        var row = document.createElement('div');
+        row.className = 'label-field-row';
 
-          if (holeObjPtsArr.length > 0 && typeof THREE !== 'undefined' && THREE.ShapeUtils) {
-            // Polygon WITH holes — use Three.js ShapeUtils for robust triangulation
-            const contour = outerObjPts.map(p => new THREE.Vector2(p.x, p.y));
-            const holes = holeObjPtsArr.map(h => h.map(p => new THREE.Vector2(p.x, p.y)));
-            const tris = THREE.ShapeUtils.triangulateShape(contour, holes);
+        var span = document.createElement('span');
+        span.textContent = t('step6.caption');
 
-            // Combined vertex array: outer + all hole vertices
-            const allPts = [...outerObjPts];
-            for (const hole of holeObjPtsArr) allPts.push(...hole);
+        var inp = document.createElement('input');
+        inp.type = 'text';
+        inp.value = singleLabelText;
+        inp.placeholder = floorNameTemplate('single');
+        inp.addEventListener('input', function() {
+          sanitizeTextInput(inp);
+          singleLabelText = inp.value;
+          updateLabelsOverlayOnly();
+        });
 
-            const baseBot = vertexIndex;
-            for (const pt of allPts) {
-              vertices.push(`v ${pt.x.toFixed(4)} ${botY} ${pt.y.toFixed(4)}`);
-            }
-            vertexIndex += allPts.length;
-            const baseTop = vertexIndex;
-            for (const pt of allPts) {
-              vertices.push(`v ${pt.x.toFixed(4)} ${topY} ${pt.y.toFixed(4)}`);
-            }
-            vertexIndex += allPts.length;
-            for (const [a, b, c] of tris) {
-              addTriFace(baseBot + a, baseBot + c, baseBot + b);
-              addTriFace(baseTop + a, baseTop + b, baseTop + c);
-            }
+        row.appendChild(span);
+        row.appendChild(inp);
+        fieldsDiv.appendChild(row);
+      } else {
+        // Per-floor mode — one field per floor
+        for (var li = 0; li < floorLabels.length; li++) {
+          (function(idx) {
+            var item = floorLabels[idx];
+            var row = document.createElement('div');
+            row.className = 'label-field-row';
 
-            // Side faces — outer ring
-            const nOuter = outerObjPts.length;
-            const sideBaseBotO = vertexIndex;
-            for (const pt of outerObjPts) vertices.push(`v ${pt.x.toFixed(4)} ${botY} ${pt.y.toFixed(4)}`);
-            vertexIndex += nOuter;
-            const sideBaseTopO = vertexIndex;
-            for (const pt of outerObjPts) vertices.push(`v ${pt.x.toFixed(4)} ${topY} ${pt.y.toFixed(4)}`);
-            vertexIndex += nOuter;
-            for (let i = 0; i < nOuter; i++) {
-              const j = (i + 1) % nOuter;
-              addFace(sideBaseBotO + i, sideBaseBotO + j, sideBaseTopO + j, sideBaseTopO + i);
-            }
+            var span = document.createElement('span');
+            span.textContent = floors[item.index].name;
 
-            // Side faces — each hole ring (inner walls of void)
-            for (const holePts of holeObjPtsArr) {
-              const nH = holePts.length;
-              const sideBaseBotH = vertexIndex;
-              for (const pt of holePts) vertices.push(`v ${pt.x.toFixed(4)} ${botY} ${pt.y.toFixed(4)}`);
-              vertexIndex += nH;
-              const sideBaseTopH = vertexIndex;
-              for (const pt of holePts) vertices.push(`v ${pt.x.toFixed(4)} ${topY} ${pt.y.toFixed(4)}`);
-              vertexIndex += nH;
-              for (let i = 0; i < nH; i++) {
-                const j = (i + 1) % nH;
-                // Reverse winding for inner walls
-                addFace(sideBaseBotH + j, sideBaseBotH + i, sideBaseTopH + i, sideBaseTopH + j);
-              }
-            }
-          } else {
-            // Simple polygon without holes
-            // Prefer THREE.ShapeUtils (robust) over ear-clip for complex concave polygons
-            var tris;
-            if (typeof THREE !== 'undefined' && THREE.ShapeUtils) {
-              var contour = outerObjPts.map(function(p) { return new THREE.Vector2(p.x, p.y); });
-              tris = THREE.ShapeUtils.triangulateShape(contour, []);
-            } else {
-              tris = earClipTriangulate(outerObjPts);
-            }
-            const baseBot = vertexIndex;
-            for (const pt of outerObjPts) {
-              vertices.push(`v ${pt.x.toFixed(4)} ${botY} ${pt.y.toFixed(4)}`);
-            }
-            vertexIndex += outerObjPts.length;
-            const baseTop = vertexIndex;
-            for (const pt of outerObjPts) {
-              vertices.push(`v ${pt.x.toFixed(4)} ${topY} ${pt.y.toFixed(4)}`);
-            }
-            vertexIndex += outerObjPts.length;
-            for (const [a, b, c] of tris) {
-              addTriFace(baseBot + a, baseBot + c, baseBot + b);
-              addTriFace(baseTop + a, baseTop + b, baseTop + c);
-            }
+            var inp = document.createElement('input');
+            inp.type = 'text';
+            inp.value = item.label;
+            inp.placeholder = item.label;
+            inp.addEventListener('input', function() {
+              sanitizeTextInput(inp);
+              floorLabels[idx].label = inp.value;
+              updateLabelsOverlayOnly();
+            });
 
-            // Side faces
-            const nPts = outerObjPts.length;
-            const sideBaseBot = vertexIndex;
-            for (const pt of outerObjPts) vertices.push(`v ${pt.x.toFixed(4)} ${botY} ${pt.y.toFixed(4)}`);
-            vertexIndex += nPts;
-            const sideBaseTop = vertexIndex;
-            for (const pt of outerObjPts) vertices.push(`v ${pt.x.toFixed(4)} ${topY} ${pt.y.toFixed(4)}`);
-            vertexIndex += nPts;
-            for (let i = 0; i < nPts; i++) {
-              const j = (i + 1) % nPts;
-              addFace(sideBaseBot + i, sideBaseBot + j, sideBaseTop + j, sideBaseTop + i);
-            }
-          }
+            row.appendChild(span);
+            row.appendChild(inp);
+            fieldsDiv.appendChild(row);
+          })(li);
         }
       }
+    }
 
-      faces.push('g walls_balustrades');
-
-      const extBalsOBJ = extendBalustrades(design.balustrades ?? []);
-      for (const bal of extBalsOBJ) {
-        const bax = (bal.a.x - centerX) * SCALE;
-        const bay = (bal.a.y - centerY) * SCALE;
-        const bbx = (bal.b.x - centerX) * SCALE;
-        const bby = (bal.b.y - centerY) * SCALE;
-        const bthickness = (bal.thickness ?? 10) * SCALE;
-        const bheight = (bal.height ?? 100) * SCALE;
-        const bdx = bbx - bax, bdy = bby - bay;
-        const blen = Math.hypot(bdx, bdy);
-        if (blen < 0.001) continue;
-        const bnx = -bdy / blen;
-        const bny = bdx / blen;
-        const bhalfThick = bthickness / 2;
-
-        createWallBox(bax, bay, bbx, bby, 0, bheight, bhalfThick, bnx, bny);
+    // ============================================================
+    // FILE UPLOAD HANDLING
+    // ============================================================
+    async function handleFileUpload(file) {
+      clearError();
+      const name = file.name.toLowerCase();
+      if (!name.endsWith('.fml') && !name.endsWith('.json')) {
+        setError(t('file.invalid'));
+        return;
+      }
+      showLoading();
+      try {
+        const text = await file.text();
+        const data = JSON.parse(text);
+        const fatal = validateFml(data).fatal;
+        if (fatal) throw new Error(fatal);
+        fmlPatch = extractFmlPatch(data); // corrections saved with a downloaded FML
+        resetFloorReview();
+        originalFmlData = data;
+        originalFileName = file.name;
+        fileLabel.textContent = `📄 ${file.name}`;
+        const addr = parseAddressFromFML(data);
+        if (addr) {
+          addressStreet.value = addr.street;
+          addressCity.value = addr.city;
+          currentAddress = addr;
+        } else {
+          addressStreet.value = '';
+          addressCity.value = '';
+        }
+        if (!(await processFloors(data))) return;
+        showToast(t('file.loaded', { file: file.name }));
+      } catch (err) {
+        setError(err instanceof Error ? err.message : t('file.failed'));
+      } finally {
+        hideLoading();
       }
+    }
 
-      return [
-        `# ${floor.name}`,
-        "# Generated by FML Plattegrond Viewer",
-        "# Scale: 1 unit = 1 meter",
-        "",
-        ...vertices,
-        "",
-        ...faces
-      ].join("\n");
+    // ============================================================
+    // MODEL EXPORT (OBJ / STL / 3MF)
+    // ============================================================
+    function getExportFormat() {
+      var sel = document.getElementById('exportFormat');
+      return (sel && sel.value) || 'obj';
     }
 
-    function sanitizeFilename(name) {
-      return name.replace(/[^a-zA-Z0-9\-_ ]/g, '').replace(/\s+/g, '_').toLowerCase() || 'verdieping';
+    function downloadBlob(blob, fileName) {
+      const downloadUrl = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = downloadUrl;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(downloadUrl);
     }
 
-    async function exportOBJ() {
+    async function exportModels() {
       if (floors.length === 0) {
-        setError('Geen plattegronden beschikbaar om te exporteren.');
+        setError(t('export.noFloors'));
         return;
       }
 
-      const objFiles = floors.map(floor => ({
-        name: sanitizeFilename(floor.name),
-        content: generateFloorOBJ(floor)
-      }));
+      const format = getExportFormat();
+      const label = format.toUpperCase();
+      if (format === '3mf' && typeof JSZip === 'undefined') {
+        setError(t('export.noZip'));
+        return;
+      }
+
+      let modelFiles;
+      try {
+        modelFiles = [];
+        for (let fi = 0; fi < floors.length; fi++) {
+          const floor = floors[fi];
+          const file = await buildModelFile(getFloorMesh(fi), floor.name, format, getSelectedColorOpts());
+          modelFiles.push({ name: sanitizeFilename(floor.name), file: file });
+        }
+      } catch (err) {
+        console.error('[Mattori] ' + label + ' export mislukt:', err);
+        setError(t('export.failed', { format: label }));
+        return;
+      }
 
-      if (objFiles.length === 1) {
-        const blob = new Blob([objFiles[0].content], { type: "text/plain" });
-        const downloadUrl = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = downloadUrl;
-        link.download = `${objFiles[0].name}.obj`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(downloadUrl);
-        showToast(`✓ ${objFiles[0].name}.obj geëxporteerd`);
+      if (modelFiles.length === 1) {
+        const m = modelFiles[0];
+        downloadBlob(new Blob([m.file.data], { type: m.file.mime }), `${m.name}.${m.file.ext}`);
+        showToast(t('export.done', { file: m.name + '.' + m.file.ext }));
         return;
       }
 
       if (typeof JSZip === 'undefined') {
-        setError('JSZip library niet geladen. Controleer je internetverbinding.');
+        setError(t('export.noZip'));
         return;
       }
 
       const zip = new JSZip();
       const usedNames = new Map();
 
-      for (const file of objFiles) {
-        let fileName = file.name;
+      for (const m of modelFiles) {
+        let fileName = m.name;
         const count = usedNames.get(fileName) || 0;
         if (count > 0) fileName = `${fileName}_${count}`;
-        usedNames.set(file.name, count + 1);
+        usedNames.set(m.name, count + 1);
 
-        zip.file(`${fileName}.obj`, file.content);
+        zip.file(`${fileName}.${m.file.ext}`, m.file.data);
       }
 
       try {
         const zipBlob = await zip.generateAsync({ type: "blob" });
-        const downloadUrl = URL.createObjectURL(zipBlob);
-        const link = document.createElement('a');
-        link.href = downloadUrl;
-        link.download = "plattegronden.zip";
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(downloadUrl);
-        showToast(`✓ ${objFiles.length} OBJ bestanden geëxporteerd`);
+        downloadBlob(zipBlob, "plattegronden.zip");
+        showToast(t('export.doneMany', { count: modelFiles.length, format: label }));
       } catch (err) {
-        setError('Er ging iets mis bij het maken van het ZIP bestand.');
+        setError(t('export.zipFailed'));
       }
     }
 
-    function downloadSingleFloorOBJ(floorIndex) {
+    async function downloadSingleFloorModel(floorIndex, format) {
       const floor = floors[floorIndex];
       if (!floor) return;
-      const objContent = generateFloorOBJ(floor);
-      const fileName = sanitizeFilename(floor.name);
-      const blob = new Blob([objContent], { type: "text/plain" });
-      const downloadUrl = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = downloadUrl;
-      link.download = `${fileName}.obj`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(downloadUrl);
-      showToast(`✓ ${fileName}.obj geëxporteerd`);
+      format = format || getExportFormat();
+      try {
+        const file = await buildModelFile(getFloorMesh(floorIndex), floor.name, format, getSelectedColorOpts());
+        const fileName = sanitizeFilename(floor.name);
+        downloadBlob(new Blob([file.data], { type: file.mime }), `${fileName}.${file.ext}`);
+        showToast(t('export.done', { file: fileName + '.' + file.ext }));
+      } catch (err) {
+        console.error('[Mattori] Export mislukt:', err);
+        setError(t('export.floorFailed', { floor: floor.name }));
+      }
+    }
+
+    // Whole frame as one model: every included floor at its step 4 anchor cell,
+    // rotated and scaled (incl. layoutScaleFactor) into the 170×150 mm zone.
+    function buildCompositionParts() {
+      if (!currentLayout || !currentLayout.positions.length || !currentLayout.cellPx) return null;
+      var mmPerPx = GRID_CELL_MM / currentLayout.cellPx;
+      var parts = [];
+      for (var i = 0; i < currentLayout.positions.length; i++) {
+        var pos = currentLayout.positions[i];
+        var floor = floors[pos.index];
+        if (!floor || excludedFloors.has(pos.index)) continue;
+        var alignX = getFloorAlignX(pos.index);
+        var alignY = getFloorAlignY(pos.index);
+        // Box size is a whole number of cells; position derives from the anchor cell
+        var w = Math.round(pos.w / currentLayout.cellPx) * GRID_CELL_MM;
+        var h = Math.round(pos.h / currentLayout.cellPx) * GRID_CELL_MM;
+        var x = pos.anchorCellX != null
+          ? pos.anchorCellX * GRID_CELL_MM - (alignX === 'right' ? w : alignX === 'center' ? w / 2 : 0)
+          : pos.x * mmPerPx;
+        var y = pos.anchorCellY != null
+          ? pos.anchorCellY * GRID_CELL_MM - (alignY === 'bottom' ? h : alignY === 'center' ? h / 2 : 0)
+          : pos.y * mmPerPx;
+        x = Math.max(0, Math.min(ZONE_PHYSICAL_W_MM - w, x));
+        y = Math.max(0, Math.min(ZONE_PHYSICAL_H_MM - h, y));
+        parts.push({
+          mesh: getFloorMesh(pos.index),
+          rotation: getFloorRotate(pos.index),
+          alignX: alignX,
+          alignY: alignY,
+          box: { x: x, y: y, w: w, h: h }
+        });
+      }
+      return parts;
+    }
+
+    async function exportComposition() {
+      var parts = buildCompositionParts();
+      if (!parts || !parts.length) {
+        setError(t('export.noLayout'));
+        return;
+      }
+      const format = getExportFormat();
+      const street = currentAddress.street || '';
+      const name = street ? sanitizeFilename(street) + '_lijst' : 'lijst';
+      try {
+        const mesh = composeFloorMeshes(parts);
+        const file = await buildModelFile(mesh, street ? 'Lijst ' + street : 'Lijst', format, getSelectedColorOpts(), 1);
+        downloadBlob(new Blob([file.data], { type: file.mime }), `${name}.${file.ext}`);
+        showToast(t('export.done', { file: name + '.' + file.ext }));
+      } catch (err) {
+        console.error('[Mattori] Compositie export mislukt:', err);
+        setError(t('export.frameFailed'));
+      }
+    }
+
+    // ============================================================
+    // ADMIN: MESH VALIDATION
+    // ============================================================
+    var lastMeshReport = null; // [{ name, ok, openEdges, ..., examples }] per floor
+
+    function validateAllFloors() {
+      lastMeshReport = floors.map(function(floor, i) {
+        var report = validateFloorMesh(floor);
+        report.index = i;
+        report.excluded = excludedFloors.has(i);
+        return report;
+      });
+      return lastMeshReport;
+    }
+
+    function renderMeshReport(reports) {
+      var el = document.getElementById('adminMeshReport');
+      if (!el) return;
+      var html = '<div class="dims-title">Mesh-controle</div>';
+      for (var i = 0; i < reports.length; i++) {
+        var r = reports[i];
+        var parts = [];
+        if (r.openEdges) parts.push(r.openEdges + ' open');
+        if (r.nonManifoldEdges) parts.push(r.nonManifoldEdges + ' non-manifold');
+        if (r.inconsistentWinding) parts.push(r.inconsistentWinding + ' winding');
+        if (r.zeroAreaFaces) parts.push(r.zeroAreaFaces + ' nul-vlak');
+        if (r.selfIntersections) parts.push(r.selfIntersections + ' snijdend');
+        var cls = (r.ok ? ' mesh-ok' : ' mesh-bad') + (r.excluded ? ' excluded' : '');
+        html += '<div class="dims-row' + cls + '"><span>' + xmlEscape(r.name) + '</span><span>' + (r.ok ? 'OK' : parts.join(' · ')) + '</span></div>';
+      }
+      el.innerHTML = html;
+      el.style.display = '';
+    }
+
+    function runMeshValidation() {
+      if (floors.length === 0) {
+        setError(t('mesh.noFloors'));
+        return;
+      }
+      var el = document.getElementById('adminMeshReport');
+      if (el) {
+        el.innerHTML = '<div class="dims-title">Mesh-controle…</div>';
+        el.style.display = '';
+      }
+      // Let the status paint before the (synchronous) check blocks the thread
+      setTimeout(function() {
+        try {
+          var reports = validateAllFloors();
+          renderMeshReport(reports);
+        } catch (e) {
+          console.error('[Mattori] Mesh-controle mislukt:', e);
+          setError(t('mesh.failed'));
+        }
+      }, 30);
     }
 
     // ============================================================
@@ -5359,15 +6404,19 @@
     });
 
     // Export
-    btnExport.addEventListener('click', exportOBJ);
+    btnExport.addEventListener('click', exportModels);
+    var btnExportComposition = document.getElementById('btnExportComposition');
+    if (btnExportComposition) btnExportComposition.addEventListener('click', exportComposition);
+    var btnValidateMesh = document.getElementById('btnValidateMesh');
+    if (btnValidateMesh) btnValidateMesh.addEventListener('click', runMeshValidation);
 
     // FML Download
     btnDownloadFml.addEventListener('click', () => {
       if (!originalFmlData) {
-        setError('Geen FML data beschikbaar om te downloaden.');
+        setError(t('file.noFml'));
         return;
       }
-      const blob = new Blob([JSON.stringify(originalFmlData, null, 2)], { type: "application/json" });
+      const blob = new Blob([JSON.stringify(getFmlForExport(), null, 2)], { type: "application/json" });
       const downloadUrl = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = downloadUrl;
@@ -5376,7 +6425,7 @@
       link.click();
       document.body.removeChild(link);
       URL.revokeObjectURL(downloadUrl);
-      showToast('✓ FML gedownload');
+      showToast(t('file.fmlDownloaded'));
     });
 
     // Address fields — live update frame preview + toggle next button
@@ -5429,7 +6478,7 @@
         if (opt.id === 'redbrick') {
           var pill = document.createElement('span');
           pill.className = 'new-eyebrow';
-          pill.innerHTML = '\u2728 Nieuw';
+          pill.textContent = t('step5.new');
           btn.appendChild(pill);
         }
         var img = document.createElement('img');
@@ -5546,12 +6595,7 @@
 
         // Load from CDN cache if not already in memory
         if (!_fmlCache[n]) {
-          var scriptEl = document.querySelector('script[src*="mattori-configurator"]');
-          var cdnBase = scriptEl ? scriptEl.src.replace('mattori-configurator.js', '') : '';
-          var url = cdnBase + 'fml-cache/test-' + n + '.json';
-          var resp = await fetchWithTimeout(url, null, 10000);
-          if (!resp.ok) throw new Error('HTTP ' + resp.status);
-          var data = await resp.json();
+          var data = await fetchCachedFml(n);
           if (data.error) {
             alert('Quick Test ' + n + ': ' + data.error);
             return;
@@ -5580,13 +6624,11 @@
 
         // Reset state for clean load
         excludedFloors = new Set();
-        viewedFloors = new Set();
-        floorReviewStatus = {};
-        floorIssues = {};
-        currentFloorReviewIndex = 0;
+        resetFloorReview();
+        fmlPatch = [];
 
         // Process floors
-        processFloors(data);
+        if (!(await processFloors(data))) return;
 
         // Jump directly to step 3
         showWizardStep(3);
@@ -5611,19 +6653,14 @@
         ensureDomRefs();
 
         // Show loading spinner
-        setFundaStatus('loading', '<div class="funda-progress-bar"><div class="funda-progress-fill"></div></div>Demo woning laden...');
+        setFundaStatus('loading', '<div class="funda-progress-bar"><div class="funda-progress-fill"></div></div>' + t('demo.loading'));
 
         // Use test-5 (3 floors, good demo data)
         var demoKey = 5;
         if (!_fmlCache[demoKey]) {
-          var scriptEl = document.querySelector('script[src*="mattori-configurator"]');
-          var cdnBase = scriptEl ? scriptEl.src.replace('mattori-configurator.js', '') : '';
-          var url = cdnBase + 'fml-cache/test-' + demoKey + '.json';
-          var resp = await fetchWithTimeout(url, null, 10000);
-          if (!resp.ok) throw new Error('HTTP ' + resp.status);
-          var data = await resp.json();
+          var data = await fetchCachedFml(demoKey);
           if (data.error) {
-            alert('Demo laden mislukt: ' + data.error);
+            alert(t('demo.failed', { error: data.error }));
             return;
           }
           _fmlCache[demoKey] = data;
@@ -5653,13 +6690,11 @@
 
         // Reset state
         excludedFloors = new Set();
-        viewedFloors = new Set();
-        floorReviewStatus = {};
-        floorIssues = {};
-        currentFloorReviewIndex = 0;
+        resetFloorReview();
+        fmlPatch = [];
 
         // Process floors
-        processFloors(data);
+        if (!(await processFloors(data))) return;
 
         // Set demo address
         if (addressStreet) addressStreet.value = 'Lijsterbesstraat 42';
@@ -5678,7 +6713,7 @@
 
       } catch (e) {
         console.error('Demo load error:', e);
-        alert('Demo laden mislukt: ' + e.message);
+        alert(t('demo.failed', { error: e.message }));
       } finally {
         _demoLoading = false;
       }
@@ -5687,6 +6722,11 @@
     // ============================================================
     // FRAME CODE — encode/decode full configuration
     // ============================================================
+    // A code leaves out the single label when it is this one. Fixed, not the
+    // label of the current language: a code decodes the same in every locale,
+    // and codes from before floor naming mean 'plattegrond' when t is missing.
+    var FRAME_CODE_DEFAULT_LABEL = 'plattegrond';
+
     function generateFrameCode() {
       try {
         var street = addressStreet ? addressStreet.value.trim() : '';
@@ -5707,6 +6747,7 @@
           var pos = currentLayout && currentLayout.positions ?
             currentLayout.positions.find(function(p) { return p.index === i; }) : null;
           if (pos && pos.anchorCellX != null) { fc.px = pos.anchorCellX; fc.py = pos.anchorCellY; }
+          if (floors[i].furniture) fc.fu = 1;
           floorConfigs.push(fc);
         }
 
@@ -5722,10 +6763,12 @@
           config.t = (floorLabels || []).map(function(item) {
             return { i: item.index, l: item.label };
           });
-        } else if (singleLabelText !== 'plattegrond') {
+        } else if (singleLabelText !== FRAME_CODE_DEFAULT_LABEL) {
           config.t = singleLabelText;
         }
         if (labelComments) config.c = labelComments;
+        if (roomLabelRelief) config.rl = roomLabelRelief === 'emboss' ? 'm' : 'e';
+        if (fmlPatch.length) config.p = fmlPatch;
 
         var json = JSON.stringify(config);
         return 'F3-' + btoa(unescape(encodeURIComponent(json))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
@@ -5754,7 +6797,7 @@
         if (!config.ax) config.ax = 'center';
         if (!config.ay) config.ay = 'bottom';
         if (!config.m) config.m = 's';
-        if (!config.t) config.t = 'plattegrond';
+        if (!config.t) config.t = FRAME_CODE_DEFAULT_LABEL;
         if (!config.c) config.c = '';
         if (config.f) {
           for (var fi = 0; fi < config.f.length; fi++) {
@@ -5763,6 +6806,7 @@
             if (!fc.ay) fc.ay = config.ay;
             if (!fc.r) fc.r = 0;
             if (!fc.x) fc.x = 0;
+            if (!fc.fu) fc.fu = 0;
           }
         }
         return config;
@@ -5781,7 +6825,7 @@
       ensureDomRefs();
       var config = decodeFrameCode(code);
       if (!config) {
-        showToast('Ongeldige Frame Code');
+        showToast(t('frameCode.invalid'));
         return;
       }
 
@@ -5831,13 +6875,18 @@
       if (config.ax) layoutAlignX = config.ax;
       if (config.ay) layoutAlignY = config.ay;
 
+      // Room names in the floor slab
+      roomLabelRelief = config.rl === 'm' ? 'emboss' : config.rl === 'e' ? 'engrave' : null;
+      setRoomLabelRelief(roomLabelRelief);
+      syncRoomLabelControls();
+
       // Load FML via Funda link
       if (config.u && fundaUrlInput) {
         fundaUrlInput.value = config.u;
         loadFromFunda();
       }
 
-      showToast('Frame Code geladen — plattegronden worden opgehaald...');
+      showToast(t('frameCode.loading'));
     }
 
     function applyPendingConfig() {
@@ -5868,7 +6917,7 @@
         }
       }
 
-      // Apply per-floor settings (alignment + rotation)
+      // Apply per-floor settings (alignment + rotation + furniture)
       if (config.f) {
         for (var i = 0; i < config.f.length && i < floors.length; i++) {
           var fc = config.f[i];
@@ -5876,13 +6925,14 @@
           if (fc.ax) floorSettings[i].alignX = fc.ax;
           if (fc.ay) floorSettings[i].alignY = fc.ay;
           if (fc.r) floorSettings[i].rotate = fc.r;
+          floors[i].furniture = !!fc.fu;
         }
       }
 
       // Apply labels
       if (config.m === 's') {
         labelMode = 'single';
-        singleLabelText = config.t || 'plattegrond';
+        singleLabelText = config.t || FRAME_CODE_DEFAULT_LABEL;
       } else if (config.m === 'p' && Array.isArray(config.t)) {
         labelMode = 'per-floor';
         floorLabels = getIncludedFloorLabels();
@@ -6013,7 +7063,7 @@
         if (commentsEl) commentsEl.value = _fcComments || '';
 
         updateFrameAddress();
-        showToast('Frame Code toegepast!');
+        showToast(t('frameCode.applied'));
 
         // Set up guard: store FC state + watch for floors disappearing
         _fcRenderGuard = {
@@ -6106,8 +7156,8 @@
       var existing = document.getElementById('contactEmailBtn');
       if (existing) {
         // Update mailto and show
-        var subject = encodeURIComponent('Frame³ bestelling — hulp nodig');
-        var body = encodeURIComponent('Hoi,\n\nIk wil graag een Frame³ bestellen maar het lukt niet via de website.\n\nFunda link: ' + (fundaUrl || '(niet ingevuld)') + '\n\nKunnen jullie me helpen?\n\nAlvast bedankt!');
+        var subject = encodeURIComponent(t('mail.orderSubject'));
+        var body = encodeURIComponent(t('mail.orderBody', { portal: portalLabelFor(fundaUrl), url: fundaUrl || t('mail.notFilled') }));
         existing.href = 'mailto:vince@mattori.nl?subject=' + subject + '&body=' + body;
         existing.style.display = '';
         return;
@@ -6115,13 +7165,13 @@
       // Create email button after funda-status
       var statusBox = document.getElementById('fundaStatus');
       if (!statusBox) return;
-      var subject = encodeURIComponent('Frame³ bestelling — hulp nodig');
-      var body = encodeURIComponent('Hoi,\n\nIk wil graag een Frame³ bestellen maar het lukt niet via de website.\n\nFunda link: ' + (fundaUrl || '(niet ingevuld)') + '\n\nKunnen jullie me helpen?\n\nAlvast bedankt!');
+      var subject = encodeURIComponent(t('mail.orderSubject'));
+      var body = encodeURIComponent(t('mail.orderBody', { portal: portalLabelFor(fundaUrl), url: fundaUrl || t('mail.notFilled') }));
       var btn = document.createElement('a');
       btn.id = 'contactEmailBtn';
       btn.className = 'btn-contact-email';
       btn.href = 'mailto:vince@mattori.nl?subject=' + subject + '&body=' + body;
-      btn.textContent = 'Neem contact op';
+      btn.textContent = t('mail.contact');
       statusBox.parentNode.insertBefore(btn, statusBox.nextSibling);
     }
 
@@ -6130,18 +7180,25 @@
       ensureDomRefs();
       noFloorsMode = false; // Reset on new attempt
       var myLoadId = ++_fundaLoadId;
+      cancelGeometryJob(); // floors of a superseded load are no longer needed
       const url = getFundaUrl();
       clearError();
-      if (!url) { setError('Voer een Funda URL in.'); return; }
-      if (!url.includes('funda.nl')) {
-        setFundaStatus('error', '<strong>Geen Funda link herkend</strong><span>Dit lijkt geen Funda-link te zijn. Controleer de link of neem contact op.</span>');
+      if (!url) { setError(t('funda.enterUrl')); return; }
+      var portal = findPortalProvider(url, getAvailablePortals());
+      if (!portal) {
+        setFundaStatus('error', t('funda.notRecognised', { portals: formatPortalList(getAvailablePortals()) }));
         showContactEmail(url);
         btnWizardNext.style.display = 'none';
         return;
       }
+      if (getPortalSaleStatus(url) === 'forRent') {
+        setFundaStatus('error', t('funda.rental'));
+        btnWizardNext.style.display = 'none';
+        return;
+      }
 
       var _progressBar = '<div class="funda-progress-bar"><div class="funda-progress-fill"></div></div>';
-      var _loadPhases = ['Funda pagina ophalen...', 'Plattegronden zoeken...', 'Gegevens verwerken...'];
+      var _loadPhases = [t('funda.phase.page', { portal: portal.label }), t('funda.phase.floors'), t('funda.phase.process')];
       var _loadPhaseIdx = 0;
       setFundaStatus('loading', _progressBar + _loadPhases[0]);
       var _loadTimer = setInterval(function() {
@@ -6154,60 +7211,58 @@
       btnFunda.disabled = true;
 
       try {
-        const resp = await fetchWithTimeout('https://web-production-89353.up.railway.app/funda-fml', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ url })
-        }, 20000);
+        const data = await portal.fetchPlan(url, backend);
         if (myLoadId !== _fundaLoadId) return; // superseded by newer call
-        const data = await resp.json();
 
         // Check if Funda link was valid but no interactive floor plans found
-        var noPlattegrond = data.error && (data.error.toLowerCase().includes('geen plattegrond') || data.error.toLowerCase().includes('geen fml') || data.error.toLowerCase().includes('no floorplan'));
+        var noPlattegrond = data.error && (data.noPlan || data.error.toLowerCase().includes('geen plattegrond') || data.error.toLowerCase().includes('geen fml') || data.error.toLowerCase().includes('no floorplan'));
         var noValidFloors = !data?.floors?.length || !(data.floors ?? []).some(f => f?.designs?.[0]);
 
         if (noPlattegrond || (data.floors && noValidFloors)) {
-          // Case 2: Funda link correct, maar geen interactieve plattegronden
+          // Case 2: link correct, maar geen interactieve plattegronden
           noFloorsMode = true;
           lastFundaUrl = url;
-          var addr2 = parseFundaAddress(url) || parseAddressFromFML(data);
-          var addrStr2 = addr2 ? addr2.street + ', ' + addr2.city : 'Adres niet gevonden';
-          var saleStr2 = data.sale_status || (url.includes('/verkocht/') ? 'Verkocht' : url.includes('/koop/') ? 'Te koop' : '');
-          var saleLine2 = saleStr2 ? '<span class="funda-address-line">\uD83C\uDFF7\uFE0F ' + saleStr2 + '</span>' : '';
+          var addr2 = resolveListingAddress(url, data);
+          var addrStr2 = addr2 ? formatAddressLine(addr2) : t('funda.addressNotFound');
+          var sale2 = getPortalSaleStatus(url);
+          var saleStr2 = data.sale_status || (sale2 ? t('funda.' + sale2) : '');
+          var saleLine2 = saleStr2 ? '<span class="funda-address-line">\uD83C\uDFF7\uFE0F ' + xmlEscape(saleStr2) + '</span>' : '';
           setFundaStatus('partial',
-            '<span class="funda-address-line">\uD83D\uDCCD ' + addrStr2 + '</span>' +
+            '<span class="funda-address-line">\uD83D\uDCCD ' + xmlEscape(addrStr2) + '</span>' +
             saleLine2 +
-            '<strong style="color:#2d6a2e;">\u2713 Funda link correct</strong>' +
-            '<strong class="status-warning">\u2715 geen interactieve plattegronden gevonden</strong>' +
-            '<span style="margin-top:8px;display:block;">Voor deze woning zijn geen interactieve plattegronden beschikbaar. De configurator kan hierdoor momenteel niet gebruikt worden. We werken aan een oplossing hiervoor.</span>' +
-            '<span style="margin-top:4px;display:block;">Je kunt \u2019m ook <a href="https://mattori.nl/products/mattori-frame" style="color:#1a73e8;text-decoration:underline;">zonder de configurator bestellen</a> \u2014 wij bouwen de plattegrond dan handmatig voor je op.</span>');
+            '<strong style="color:#2d6a2e;">' + t('funda.linkOk', { portal: portal.label }) + '</strong>' +
+            '<strong class="status-warning">' + t('funda.noInteractive') + '</strong>' +
+            '<span style="margin-top:8px;display:block;">' + t('funda.noInteractiveText') + '</span>' +
+            (portal.id !== 'floorplanner' && isPortalAvailable('floorplanner') ? '<span style="margin-top:4px;display:block;">' + t('funda.tryFloorplanner') + '</span>' : '') +
+            '<span style="margin-top:4px;display:block;">' + t('funda.orderWithout', { url: 'https://mattori.nl/products/mattori-frame' }) + '</span>');
           btnWizardNext.style.display = 'none';
           return;
         }
 
         if (data.error) {
-          // Case 3: Funda link niet (meer) geldig — woning waarschijnlijk verwijderd
-          var addr3 = parseFundaAddress(url);
-          var addrStr3 = addr3 ? addr3.street + ', ' + addr3.city : 'Geen adres gevonden';
-          var saleStr3 = url.includes('/verkocht/') ? 'Verkocht' : url.includes('/koop/') ? 'Te koop' : '';
-          var saleLine3 = saleStr3 ? '\uD83C\uDFF7\uFE0F ' + saleStr3 : '\uD83C\uDFF7\uFE0F Geen verkoopstatus gevonden';
+          // Case 3: link niet (meer) geldig — woning waarschijnlijk verwijderd
+          var addr3 = parsePortalAddress(url);
+          var addrStr3 = addr3 ? formatAddressLine(addr3) : t('funda.noAddress');
+          var sale3 = getPortalSaleStatus(url);
+          var saleStr3 = sale3 ? t('funda.' + sale3) : '';
+          var saleLine3 = '\uD83C\uDFF7\uFE0F ' + (saleStr3 || t('funda.noSaleStatus'));
           setFundaStatus('error',
-            '<span class="funda-address-line">\uD83D\uDCCD ' + addrStr3 + '</span>' +
+            '<span class="funda-address-line">\uD83D\uDCCD ' + xmlEscape(addrStr3) + '</span>' +
             '<span class="funda-address-line">' + saleLine3 + '</span>' +
-            '<strong class="status-warning">\u2715 Funda link niet correct</strong>' +
-            '<strong class="status-warning">\u2715 geen interactieve plattegronden gevonden</strong>' +
-            '<span style="margin-top:8px;display:block;">Deze woning is waarschijnlijk van Funda verwijderd. Hierdoor kunnen we de plattegronden niet ophalen.</span>');
+            '<strong class="status-warning">' + t('funda.linkWrong', { portal: portal.label }) + '</strong>' +
+            '<strong class="status-warning">' + t('funda.noInteractive') + '</strong>' +
+            '<span style="margin-top:8px;display:block;">' + t('funda.removed', { portal: portal.label }) + '</span>');
           showContactEmail(url);
           btnWizardNext.style.display = 'none';
           return;
         }
 
         originalFmlData = data;
-        originalFileName = 'funda-plattegrond.fml';
+        originalFileName = portal.id + '-plattegrond.fml';
         lastFundaUrl = url;
-        fileLabel.textContent = `🔗 ${url.split('/').filter(Boolean).pop() || 'funda'}`;
+        fileLabel.textContent = `🔗 ${url.split('/').filter(Boolean).pop() || portal.id}`;
 
-        const addr = parseFundaAddress(url) || parseAddressFromFML(data);
+        const addr = resolveListingAddress(url, data);
         if (addr) {
           addressStreet.value = addr.street;
           addressCity.value = addr.city;
@@ -6217,25 +7272,28 @@
           addressCity.value = '';
         }
 
-        var addrStr = addr ? addr.street + ', ' + addr.city : 'Adres niet gevonden';
-        var saleStatusLine = data.sale_status ? '<span class="funda-address-line">\uD83C\uDFF7\uFE0F ' + data.sale_status + '</span>' : '';
+        var addrStr = addr ? formatAddressLine(addr) : t('funda.addressNotFound');
+        var saleStatusLine = data.sale_status ? '<span class="funda-address-line">\uD83C\uDFF7\uFE0F ' + xmlEscape(data.sale_status) + '</span>' : '';
         setFundaStatus('success',
-          '<span class="funda-address-line">\uD83D\uDCCD ' + addrStr + '</span>' +
+          '<span class="funda-address-line">\uD83D\uDCCD ' + xmlEscape(addrStr) + '</span>' +
           saleStatusLine +
-          '<strong>\u2713 Funda link correct</strong>' +
-          '<strong>\u2713 ' + data.floors.length + ' interactieve plattegrond' + (data.floors.length === 1 ? '' : 'en') + ' gevonden</strong>');
+          '<strong>' + t('funda.linkOk', { portal: portal.label }) + '</strong>' +
+          '<strong>' + (data.floors.length === 1 ? t('funda.floorsFoundOne') : t('funda.floorsFound', { count: data.floors.length })) + '</strong>');
 
-        processFloors(data);
+        // Corrections only come along with a Frame Code; a fresh link starts clean
+        fmlPatch = pendingFrameConfig ? cleanFmlPatch(pendingFrameConfig.p) : [];
+        resetFloorReview(); // a pending Frame Code restores its statuses in processFloors
+        if (!(await processFloors(data)) || myLoadId !== _fundaLoadId) return;
 
         // Hide load button after successful load
         btnFunda.style.display = 'none';
       } catch (err) {
         if (err.name === 'AbortError') {
-          setFundaStatus('error', '<strong>Timeout</strong><span>Het laden duurde te lang. Probeer het opnieuw.</span>');
+          setFundaStatus('error', t('funda.timeout'));
         } else if (err.message && (err.message.includes('Load failed') || err.message.includes('Failed to fetch'))) {
-          setFundaStatus('error', '<strong>Verbinding mislukt</strong><span>Probeer het zo weer opnieuw.</span>');
+          setFundaStatus('error', t('funda.connection'));
         } else {
-          setFundaStatus('error', `<strong>Fout</strong><span>Probeer het zo weer opnieuw.</span>`);
+          setFundaStatus('error', t('funda.error'));
         }
         btnWizardNext.style.display = 'none';
       } finally {
@@ -6389,17 +7447,11 @@
           }
         }
 
-        // Upload to Railway backend for persistent URL
-        var resp = await fetchWithTimeout('https://web-production-89353.up.railway.app/upload-preview', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ image: dataUrl })
-        }, 15000);
-        if (!resp.ok) throw new Error('Upload status ' + resp.status);
-        var result = await resp.json();
-        if (result.url) {
-          console.log('[Mattori] Preview uploaded:', result.url);
-          return result.url;
+        // Upload to the backend for a persistent URL
+        var previewUrl = await backend.uploadPreview(dataUrl);
+        if (previewUrl) {
+          console.log('[Mattori] Preview uploaded:', previewUrl);
+          return previewUrl;
         }
         return null;
       } catch (e) {
@@ -6414,20 +7466,27 @@
       var variantInput = document.querySelector('form[action*="/cart/add"] input[name="id"]');
       var variantId = variantInput ? variantInput.value : null;
       if (!variantId) {
-        showToast('Product niet gevonden.');
+        showToast(t('order.productNotFound'));
         return;
       }
       // Disable the correct button (btnOrder for normal flow, btnWizardNext for noFloorsMode)
       var orderBtn = noFloorsMode ? btnWizardNext : document.getElementById('btnOrder');
       var originalText = orderBtn ? orderBtn.textContent : '';
-      if (orderBtn) { orderBtn.disabled = true; orderBtn.innerHTML = '<span class="btn-spinner"></span> Toevoegen...'; }
+      if (orderBtn) { orderBtn.disabled = true; orderBtn.innerHTML = '<span class="btn-spinner"></span> ' + t('order.adding'); }
 
       // Force browser repaint so spinner is visible before heavy html2canvas work
       await new Promise(function(r) { requestAnimationFrame(function() { requestAnimationFrame(r); }); });
 
       var fundaLink = fundaUrlInput ? fundaUrlInput.value.trim() : '';
+      // Keys and values stay Dutch in every UI language — production reads them (see I18N)
       var itemProperties = {};
       if (fundaLink) itemProperties['Funda link'] = fundaLink;
+      if (uiLocale !== 'nl') itemProperties['Taal'] = uiLocale;
+      var orderPortal = fundaLink ? findPortalProvider(fundaLink) : null;
+      if (orderPortal && orderPortal.id !== 'funda') itemProperties['Portaal'] = orderPortal.label;
+      if (orderPortal && orderPortal.id === 'floorplanner' && originalFmlData && originalFmlData.id != null) {
+        itemProperties['Floorplanner project'] = String(originalFmlData.project_id != null ? originalFmlData.project_id : originalFmlData.id);
+      }
 
       // House icon (before address for readability)
       var houseOpt = houseIconOptions.find(function(o) { return o.id === selectedHouseIcon; });
@@ -6449,6 +7508,9 @@
       var scaleLabel = layoutScaleFactor <= 0.82 ? 'Klein' : layoutScaleFactor >= 1.1 ? 'Groot' : 'Normaal';
       itemProperties['Schaal'] = scaleLabel + ' (' + layoutScaleFactor.toFixed(2) + ')';
 
+      // Room names in the floor slab (step 3)
+      if (roomLabelRelief) itemProperties['Ruimtenamen'] = roomLabelRelief === 'emboss' ? 'In reli\u00EBf' : 'Gegraveerd';
+
       // Per-floor combined properties: status, alignment, rotation, grid position
       floors.forEach(function(floor, i) {
         var floorName = floor.name || ('Verdieping ' + (i + 1));
@@ -6464,7 +7526,8 @@
           parts.push('\u2713 Klopt');
         } else if (status === 'issue') {
           var note = floorIssues[i] || '';
-          parts.push('\u2717 Klopt niet' + (note ? ': \u201C' + note + '\u201D' : ''));
+          var pinText = formatIssuePins(i);
+          parts.push('\u2717 Klopt niet' + (note ? ': \u201C' + note + '\u201D' : '') + (pinText ? ' \u2014 punten: ' + pinText : ''));
         } else if (status === 'major') {
           parts.push('\u2717 Klopt helemaal niet');
         }
@@ -6477,6 +7540,9 @@
         if (fs.rotate && fs.rotate !== 0) {
           parts.push('rotatie: ' + fs.rotate + '\u00B0');
         }
+        if (floors[i].furniture) parts.push('inrichting');
+        var corrections = describePlanCorrections(i);
+        if (corrections) parts.push('gecorrigeerd: ' + corrections);
         // Grid position + dimensions from currentLayout
         if (currentLayout && currentLayout.positions && currentLayout.cellPx) {
           var pos = currentLayout.positions.find(function(p) { return p.index === i; });
@@ -6492,6 +7558,10 @@
         itemProperties[key] = parts.join(', ');
       });
 
+      // Issue pins (step 3) as data for production: FML floor, plan position, room, wall
+      var issuePins = getIssuePinsData();
+      if (issuePins.length) itemProperties['_Probleempunten'] = JSON.stringify(issuePins);
+
       // Floor labels (from step 5)
       var currentLabels = getIncludedFloorLabels();
       if (labelMode === 'single') {
@@ -6520,24 +7590,17 @@
       if (_gridOverlayEl) _gridOverlayEl.style.display = 'none';
       if (_alignOverlayEl) _alignOverlayEl.style.display = 'none';
 
-      // Upload preview screenshot to Railway + save to localStorage for cart thumbnail
+      // Upload preview screenshot to the backend + save to localStorage for cart thumbnail
       if (!noFloorsMode) {
         var previewUrl = await captureAndUploadPreview(fundaLink);
         if (previewUrl) itemProperties['Ontwerp'] = previewUrl;
       }
 
-      // Upload FML data to Railway for permanent backup
+      // Upload FML data to the backend for permanent backup
       if (originalFmlData) {
         try {
-          var fmlResp = await fetchWithTimeout('https://web-production-89353.up.railway.app/upload-fml', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ fml: originalFmlData })
-          }, 15000);
-          if (fmlResp.ok) {
-            var fmlResult = await fmlResp.json();
-            if (fmlResult.url) itemProperties['_FML bestand'] = fmlResult.url;
-          }
+          var fmlUrl = await backend.uploadFml(getFmlForExport());
+          if (fmlUrl) itemProperties['_FML bestand'] = fmlUrl;
         } catch (e) {
           console.error('[Mattori] FML upload mislukt:', e);
         }
@@ -6560,7 +7623,7 @@
         if (!res.ok) throw new Error('Status ' + res.status);
         window.location.href = '/cart';
       } catch (err) {
-        showToast('Kon niet toevoegen aan winkelwagen.');
+        showToast(t('order.cartFailed'));
         if (orderBtn) { orderBtn.disabled = false; orderBtn.textContent = originalText; }
       }
     }
@@ -6574,12 +7637,19 @@
       }
       if ((e.ctrlKey || e.metaKey) && e.key === 'e') {
         e.preventDefault();
-        if (floors.length > 0) exportOBJ();
+        if (floors.length > 0) exportModels();
       }
       if ((e.ctrlKey || e.metaKey) && e.key === 'd') {
         e.preventDefault();
         if (originalFmlData) btnDownloadFml.click();
       }
+      // Layout undo/redo (step 4) — leave text fields their own undo
+      if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y') && currentWizardStep === 4) {
+        var tag = e.target && e.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || (e.target && e.target.isContentEditable)) return;
+        e.preventDefault();
+        if (e.key === 'y' || e.shiftKey) redoLayout(); else undoLayout();
+      }
     });
 
     // Start configurator button — use event delegation for Shopify robustness
@@ -6620,6 +7690,7 @@
 
     // Attach via event delegation on container (survives DOM reordering)
     const configuratorRoot = document.querySelector('.mattori-configurator');
+    applyI18n(configuratorRoot || document);
     if (configuratorRoot) {
       configuratorRoot.addEventListener('click', (e) => {
         if (e.target.closest('#btnStartConfigurator')) {
@@ -6664,8 +7735,8 @@
 
       function resetPopup() {
         popup.innerHTML =
-          '<textarea placeholder="Feedback of bug melden..." id="feedbackMsg"></textarea>' +
-          '<button class="feedback-send" id="feedbackSend">Verstuur</button>';
+          '<textarea placeholder="' + t('feedback.placeholder') + '" id="feedbackMsg"></textarea>' +
+          '<button class="feedback-send" id="feedbackSend">' + t('feedback.send') + '</button>';
       }
       resetPopup();
 
@@ -6690,22 +7761,17 @@
           if (!msg) return;
           var btn = document.getElementById('feedbackSend');
           btn.disabled = true;
-          btn.textContent = 'Verzenden...';
-
-          fetch('https://web-production-89353.up.railway.app/api/feedback', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-              message: msg,
-              step: currentWizardStep,
-              funda: fundaUrlInput ? fundaUrlInput.value.trim() : '',
-              page: window.location.href,
-              ua: navigator.userAgent
-            })
+          btn.textContent = t('feedback.sending');
+
+          backend.sendFeedback({
+            message: msg,
+            step: currentWizardStep,
+            funda: fundaUrlInput ? fundaUrlInput.value.trim() : '',
+            page: window.location.href,
+            ua: navigator.userAgent
           })
-          .then(function(r) { return r.json(); })
           .then(function() {
-            popup.innerHTML = '<div class="feedback-sent">Bedankt voor je feedback!</div>';
+            popup.innerHTML = '<div class="feedback-sent">' + t('feedback.thanks') + '</div>';
             setTimeout(function() {
               open = false;
               popup.classList.remove('active');
@@ -6714,7 +7780,7 @@
           })
           .catch(function() {
             btn.disabled = false;
-            btn.textContent = 'Verstuur';
+            btn.textContent = t('feedback.send');
           });
         }
       });
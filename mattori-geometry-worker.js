@@ -0,0 +1,45 @@
+// Mattori geometry worker — floor entries and meshes off the UI thread for
+// mattori-configurator.js (see GEOMETRY WORKER there). The page starts it through
+// a Blob that sets MATTORI_WORKER_URL and imports this file: Workers must be
+// same-origin and this file comes from the CDN. mattori-geometry.js is loaded
+// from the same directory as this file.
+//
+// Messages in:
+//   { id, type: 'build', data, patch, options }  floor entries of the patched FML
+//                                                (buildPatchedFloorEntries) + their meshes
+//   { id, type: 'meshes', floors, options }      meshes of these floor entries
+// Messages out:
+//   { type: 'progress', id, done, total }
+//   { type: 'done', id, built, meshes }          built is null for 'meshes'; mesh buffers are transferred
+//   { type: 'error', id, message }
+
+// The same versions as the page's own <script> tags (v56.html)
+var WORKER_DEPENDENCIES = [
+  'https://cdn.jsdelivr.net/npm/three@0.160.0/build/three.min.js',
+  'https://cdn.jsdelivr.net/npm/polygon-clipping@0.15.7/dist/polygon-clipping.umd.min.js'
+];
+
+importScripts.apply(self, WORKER_DEPENDENCIES.concat([
+  new URL('mattori-geometry.js', self.MATTORI_WORKER_URL || self.location.href).href
+]));
+
+self.onmessage = function(e) {
+  var msg = e.data;
+  try {
+    setUniformWallHeight(msg.options.uniformWallHeight);
+    setRoomLabelRelief(msg.options.roomLabelRelief);
+    var built = msg.type === 'build' ? buildPatchedFloorEntries(msg.data, msg.patch) : null;
+    var list = built ? built.floors : msg.floors;
+    var meshes = [];
+    var transfer = [];
+    for (var i = 0; i < list.length; i++) {
+      self.postMessage({ type: 'progress', id: msg.id, done: i, total: list.length });
+      var mesh = generateFloorMesh(list[i]);
+      meshes.push(mesh);
+      transfer.push(mesh.positions.buffer, mesh.indices.buffer);
+    }
+    self.postMessage({ type: 'done', id: msg.id, built: built, meshes: meshes }, transfer);
+  } catch (err) {
+    self.postMessage({ type: 'error', id: msg.id, message: err.message });
+  }
+};
@@ -0,0 +1,3137 @@
+// Mattori geometry — FML → bounding boxes, voids, balustrades and OBJ meshes.
+// DOM-free: loaded as a classic <script> before mattori-configurator.js (all
+// functions become globals), importScripts()'d by mattori-geometry-worker.js, or
+// require()'d from Node / a worker for batch generation of print files (see fml-to-obj.js).
+
+// ============================================================
+// DEPENDENCIES — browser globals, or require() under Node
+// ============================================================
+function _optionalRequire(id) {
+  if (typeof require !== 'function') return undefined;
+  try { return require(id); } catch (e) { return undefined; }
+}
+
+// polygon-clipping is required for wall/floor unions; three is optional
+// (only ShapeUtils is used, with ear-clipping as fallback). Own names, so the
+// declarations don't hoist over the browser globals they read.
+var geoClipping = typeof polygonClipping !== 'undefined' ? polygonClipping : _optionalRequire('polygon-clipping');
+var geoThree = typeof THREE !== 'undefined' ? THREE : _optionalRequire('three');
+// JSZip packs 3MF files
+var geoJSZip = typeof JSZip !== 'undefined' ? JSZip : _optionalRequire('jszip');
+
+// ============================================================
+// GEOMETRY OPTIONS
+// ============================================================
+// uniformWallHeight: null = per-wall az.h/bz.h heights, or a height in cm
+// that every wall is extruded to (uniform print height).
+// roomLabelRelief: null, 'engrave' or 'emboss' — room names in the floor slab.
+var geometryOptions = { uniformWallHeight: null, roomLabelRelief: null };
+
+function setUniformWallHeight(cm) {
+  geometryOptions.uniformWallHeight = (cm != null && cm > 0) ? cm : null;
+}
+
+function setRoomLabelRelief(mode) {
+  geometryOptions.roomLabelRelief = (mode === 'engrave' || mode === 'emboss') ? mode : null;
+}
+
+// Tallest wall of a floor in cm (what the model's height will be)
+function getFloorWallHeight(floor) {
+  if (geometryOptions.uniformWallHeight != null) return geometryOptions.uniformWallHeight;
+  let maxH = 0;
+  for (const w of flattenWalls(floor.design.walls ?? [])) {
+    maxH = Math.max(maxH, w._heightA, w._heightB);
+  }
+  return maxH || 265;
+}
+
+
+function median(arr) {
+  if (!arr.length) return 0;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// ============================================================
+// BOUNDING BOX
+// ============================================================
+function computeWallBBox(design) {
+  const pts = [];
+  for (const wall of design.walls ?? []) {
+    pts.push(wall.a, wall.b);
+    if (wall.c && wall.c.x != null && wall.c.y != null) {
+      for (let t = 0.25; t <= 0.75; t += 0.25) {
+        pts.push({
+          x: (1-t)*(1-t)*wall.a.x + 2*(1-t)*t*wall.c.x + t*t*wall.b.x,
+          y: (1-t)*(1-t)*wall.a.y + 2*(1-t)*t*wall.c.y + t*t*wall.b.y
+        });
+      }
+    }
+  }
+  if (!pts.length) return null;
+  return arrayBounds(pts);
+}
+
+function arrayBounds(pts) {
+  var mnX = Infinity, mnY = Infinity, mxX = -Infinity, mxY = -Infinity;
+  for (var i = 0; i < pts.length; i++) {
+    var px = pts[i].x, py = pts[i].y;
+    if (px < mnX) mnX = px;
+    if (py < mnY) mnY = py;
+    if (px > mxX) mxX = px;
+    if (py > mxY) mxY = py;
+  }
+  return { minX: mnX, minY: mnY, maxX: mxX, maxY: mxY };
+}
+
+// Surface names that should always get floor even if outside wall bounds
+const OUTDOOR_FLOOR_NAMES = ['balkon', 'terras', 'loggia', 'patio', 'veranda'];
+// Surface names to exclude from floor geometry (large outdoor areas)
+const EXCLUDE_FLOOR_NAMES = ['tuin', 'garden', 'erf', 'parkeren', 'oprit'];
+
+// Why the floor slab leaves a surface out, or null when it is used:
+// 'cutout', 'outdoor' (garden, driveway), 'outside' (beyond the walls),
+// 'unnamed' or 'renamed' (custom name differs from the surface name)
+function floorSurfaceSkipReason(surface, wallBBox) {
+  if (surface.isCutout) return 'cutout';
+  const sName = (surface.name ?? "").trim();
+  const cName = (surface.customName ?? "").trim();
+  const displayName = (sName || cName).toLowerCase();
+  if (EXCLUDE_FLOOR_NAMES.some(k => displayName.includes(k))) return 'outdoor';
+  // Only apply outsideWalls check if it's NOT a known outdoor-floor surface
+  const isOutdoorFloor = OUTDOOR_FLOOR_NAMES.some(k => displayName.includes(k));
+  if (!isOutdoorFloor && isSurfaceOutsideWalls(surface, wallBBox)) return 'outside';
+  if (!sName && !cName) return 'unnamed';
+  if (sName && cName && cName.toLowerCase() !== sName.toLowerCase()) return 'renamed';
+  return null;
+}
+
+function isSurfaceOutsideWalls(surface, wallBBox) {
+  if (!wallBBox) return false;
+  const poly = surface.poly ?? [];
+  if (poly.length < 3) return false;
+  // Check 1: centroid outside wall bounds (small margin)
+  let cx = 0, cy = 0;
+  for (const pt of poly) { cx += (pt.x ?? 0); cy += (pt.y ?? 0); }
+  cx /= poly.length; cy /= poly.length;
+  const MARGIN = 25;
+  if (cx < wallBBox.minX - MARGIN || cx > wallBBox.maxX + MARGIN ||
+      cy < wallBBox.minY - MARGIN || cy > wallBBox.maxY + MARGIN) return true;
+  // Check 2: any vertex extends far beyond walls (catches garden/site boundaries
+  // whose centroid is near the building but whose polygon reaches very far out)
+  var wallW = wallBBox.maxX - wallBBox.minX;
+  var wallH = wallBBox.maxY - wallBBox.minY;
+  var FAR = Math.max(wallW, wallH) * 0.5;
+  for (const pt of poly) {
+    if ((pt.x ?? 0) < wallBBox.minX - FAR || (pt.x ?? 0) > wallBBox.maxX + FAR ||
+        (pt.y ?? 0) < wallBBox.minY - FAR || (pt.y ?? 0) > wallBBox.maxY + FAR) return true;
+  }
+  return false;
+}
+
+function computeBoundingBox(design) {
+  const points = [];
+  const wallBBox = computeWallBBox(design);
+  // Include wall thickness: expand each wall endpoint perpendicular by halfThickness.
+  // This matches the 3D geometry (createWallBox) so grid allocation equals visual extent.
+  for (const wall of design.walls ?? []) {
+    var dx = wall.b.x - wall.a.x;
+    var dy = wall.b.y - wall.a.y;
+    var len = Math.sqrt(dx * dx + dy * dy) || 1;
+    var nx = -dy / len;   // perpendicular normal
+    var ny =  dx / len;
+    var ht = (wall.thickness ?? 20) / 2;
+    points.push(
+      { x: wall.a.x + nx * ht, y: wall.a.y + ny * ht },
+      { x: wall.a.x - nx * ht, y: wall.a.y - ny * ht },
+      { x: wall.b.x + nx * ht, y: wall.b.y + ny * ht },
+      { x: wall.b.x - nx * ht, y: wall.b.y - ny * ht }
+    );
+    if (wall.c && wall.c.x != null && wall.c.y != null) {
+      for (let t = 0.25; t <= 0.75; t += 0.25) {
+        var px = (1-t)*(1-t)*wall.a.x + 2*(1-t)*t*wall.c.x + t*t*wall.b.x;
+        var py = (1-t)*(1-t)*wall.a.y + 2*(1-t)*t*wall.c.y + t*t*wall.b.y;
+        // Tangent at t for accurate normal on curves
+        var tx = 2*(1-t)*(wall.c.x - wall.a.x) + 2*t*(wall.b.x - wall.c.x);
+        var ty = 2*(1-t)*(wall.c.y - wall.a.y) + 2*t*(wall.b.y - wall.c.y);
+        var tlen = Math.sqrt(tx*tx + ty*ty) || 1;
+        var cnx = -ty / tlen;
+        var cny =  tx / tlen;
+        points.push(
+          { x: px + cnx * ht, y: py + cny * ht },
+          { x: px - cnx * ht, y: py - cny * ht }
+        );
+      }
+    }
+  }
+  for (const area of design.areas ?? []) {
+    if (isSurfaceOutsideWalls(area, wallBBox)) continue;
+    for (const pt of area.poly ?? []) points.push(pt);
+  }
+  for (const surface of design.surfaces ?? []) {
+    const _sn = ((surface.name ?? '') + ' ' + (surface.customName ?? '')).toLowerCase();
+    const _isOutdoor = ['balkon','terras','loggia','patio','veranda'].some(k => _sn.includes(k));
+    if (!_isOutdoor && isSurfaceOutsideWalls(surface, wallBBox)) continue;
+    const tessellated = tessellateSurfacePoly(surface.poly ?? []);
+    for (const pt of tessellated) points.push(pt);
+  }
+  for (const bal of design.balustrades ?? []) {
+    points.push({ x: bal.a.x, y: bal.a.y }, { x: bal.b.x, y: bal.b.y });
+    if (bal.c && bal.c.x != null && bal.c.y != null) {
+      for (let t = 0.25; t <= 0.75; t += 0.25) {
+        var bpx = (1-t)*(1-t)*bal.a.x + 2*(1-t)*t*bal.c.x + t*t*bal.b.x;
+        var bpy = (1-t)*(1-t)*bal.a.y + 2*(1-t)*t*bal.c.y + t*t*bal.b.y;
+        points.push({ x: bpx, y: bpy });
+      }
+    }
+  }
+  if (!points.length) return { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+  // No extra padding needed: wall halfThickness (≥5) already exceeds
+  // FLOOR_EXPAND (4), so the wall-thickness-expanded points define the
+  // true visual extent. Avoiding extra padding prevents alignment gaps.
+  return arrayBounds(points);
+}
+
+// ============================================================
+// BALUSTRADE AUTO-DETECTION
+// ============================================================
+// Elongated, thin items at railing height are balustrades, not furniture
+function isBalustradeItem(item) {
+  const w = item.width ?? 0;
+  const h = item.height ?? 0;
+  const zHeight = item.z_height ?? 0;
+  const isElongated = Math.max(w, h) / Math.max(1, Math.min(w, h)) > 2.5 && Math.min(w, h) < 20;
+  const isRailingHeight = zHeight > 50 && zHeight < 130;
+  return isElongated && isRailingHeight;
+}
+
+function detectBalustrades(design) {
+  const balustrades = [];
+  for (const item of design.items ?? []) {
+    const w = item.width ?? 0;
+    const h = item.height ?? 0;
+    const zHeight = item.z_height ?? 0;
+    if (isBalustradeItem(item)) {
+      const cx = item.x ?? 0;
+      const cy = item.y ?? 0;
+      const baseAngle = (item.rotation ?? 0) * Math.PI / 180;
+      const angle = h > w ? baseAngle + Math.PI / 2 : baseAngle;
+      const halfLen = Math.max(w, h) / 2;
+      const dx = Math.cos(angle) * halfLen;
+      const dy = Math.sin(angle) * halfLen;
+      balustrades.push({
+        a: { x: cx - dx, y: cy - dy },
+        b: { x: cx + dx, y: cy + dy },
+        thickness: Math.min(w, h),
+        height: zHeight
+      });
+    }
+  }
+  return balustrades;
+}
+
+// ============================================================
+// FURNITURE ("inrichting") — simplified item footprints
+// ============================================================
+const FURNITURE_MAX_ELEVATION = 50; // items hung higher (wall cabinets, lamps) are skipped
+const FURNITURE_MIN_SIZE = 5;       // cm — ignore tiny decorations
+
+// Standing items as rotated boxes: { cx, cy, angle, w, d, top } in FML cm.
+// width runs along `angle` (item.rotation), depth (item.height) across it.
+function getFurnitureFootprints(design, maxTop) {
+  const result = [];
+  for (const item of design.items ?? []) {
+    if (isBalustradeItem(item)) continue;
+    const w = item.width ?? 0;
+    const d = item.height ?? 0;
+    const z = item.z ?? 0;
+    const zHeight = item.z_height ?? 0;
+    if (w < FURNITURE_MIN_SIZE || d < FURNITURE_MIN_SIZE || zHeight < 1) continue;
+    if (z > FURNITURE_MAX_ELEVATION) continue;
+    const cx = item.x ?? 0, cy = item.y ?? 0;
+    const angle = (item.rotation ?? 0) * Math.PI / 180;
+    result.push({
+      cx, cy, angle, w, d,
+      top: Math.min(z + zHeight, maxTop ?? Infinity)
+    });
+  }
+  return result;
+}
+
+function hasFurniture(design) {
+  return getFurnitureFootprints(design).length > 0;
+}
+
+// ============================================================
+// ROOM LABELS — area names + m², optionally as relief in the floor slab
+// ============================================================
+// Label per named area: { name, areaM2, x, y, w, h } in FML cm.
+// (x, y) is the area centroid shifted by the FML label offset (name_x/name_y);
+// w/h is the area's bounding box, used to fit text.
+function getRoomLabels(design) {
+  const labels = [];
+  for (const area of design.areas ?? []) {
+    if (area.showAreaLabel === false) continue;
+    const name = ((area.customName ?? '').trim() || (area.name ?? '').trim());
+    if (!name) continue;
+    const poly = tessellateSurfacePoly(area.poly ?? []);
+    if (!poly || poly.length < 3) continue;
+    let a2 = 0, cx = 0, cy = 0;
+    for (let i = 0; i < poly.length; i++) {
+      const p = poly[i], q = poly[(i + 1) % poly.length];
+      const cross = p.x * q.y - q.x * p.y;
+      a2 += cross;
+      cx += (p.x + q.x) * cross;
+      cy += (p.y + q.y) * cross;
+    }
+    if (Math.abs(a2) < 1) continue;
+    const b = arrayBounds(poly);
+    labels.push({
+      name,
+      areaM2: Math.abs(a2) / 2 / 10000,
+      x: cx / (3 * a2) + (area.name_x ?? 0),
+      y: cy / (3 * a2) + (area.name_y ?? 0),
+      w: b.maxX - b.minX,
+      h: b.maxY - b.minY
+    });
+  }
+  return labels;
+}
+
+// 5×7 pixel font for relief text — rows top to bottom, bit 4 = leftmost column.
+// Accents are stripped before lookup; unknown characters become spaces.
+const LABEL_FONT = {
+  A: [14, 17, 17, 17, 31, 17, 17], B: [30, 17, 17, 30, 17, 17, 30], C: [14, 17, 16, 16, 16, 17, 14],
+  D: [28, 18, 17, 17, 17, 18, 28], E: [31, 16, 16, 30, 16, 16, 31], F: [31, 16, 16, 30, 16, 16, 16],
+  G: [14, 17, 16, 23, 17, 17, 15], H: [17, 17, 17, 31, 17, 17, 17], I: [14, 4, 4, 4, 4, 4, 14],
+  J: [7, 2, 2, 2, 2, 18, 12], K: [17, 18, 20, 24, 20, 18, 17], L: [16, 16, 16, 16, 16, 16, 31],
+  M: [17, 27, 21, 21, 17, 17, 17], N: [17, 17, 25, 21, 19, 17, 17], O: [14, 17, 17, 17, 17, 17, 14],
+  P: [30, 17, 17, 30, 16, 16, 16], Q: [14, 17, 17, 17, 21, 18, 13], R: [30, 17, 17, 30, 20, 18, 17],
+  S: [15, 16, 16, 14, 1, 1, 30], T: [31, 4, 4, 4, 4, 4, 4], U: [17, 17, 17, 17, 17, 17, 14],
+  V: [17, 17, 17, 17, 17, 10, 4], W: [17, 17, 17, 21, 21, 21, 10], X: [17, 17, 10, 4, 10, 17, 17],
+  Y: [17, 17, 17, 10, 4, 4, 4], Z: [31, 1, 2, 4, 8, 16, 31],
+  0: [14, 17, 19, 21, 25, 17, 14], 1: [4, 12, 4, 4, 4, 4, 14], 2: [14, 17, 1, 2, 4, 8, 31],
+  3: [31, 2, 4, 2, 1, 17, 14], 4: [2, 6, 10, 18, 31, 2, 2], 5: [31, 16, 30, 1, 1, 17, 14],
+  6: [6, 8, 16, 30, 17, 17, 14], 7: [31, 1, 2, 4, 8, 8, 8], 8: [14, 17, 17, 14, 17, 17, 14],
+  9: [14, 17, 17, 15, 1, 2, 12],
+  '-': [0, 0, 0, 31, 0, 0, 0], '.': [0, 0, 0, 0, 0, 12, 12], '/': [0, 1, 2, 4, 8, 16, 0],
+  '+': [0, 4, 4, 31, 4, 4, 0], "'": [12, 4, 8, 0, 0, 0, 0]
+};
+const LABEL_MAX_PIXEL = 8;   // cm — caps letter height at 56 cm in large rooms
+const LABEL_MIN_PIXEL = 2.5; // cm — below this a name is not printable, skip it
+
+// Text as polygon-clipping polygons (FML cm), centred on (cx, cy) with the given pixel size.
+// Pixels overlap slightly so diagonal strokes stay connected (one solid per glyph).
+function textToPolygons(text, cx, cy, pixel) {
+  const chars = text.toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').split('');
+  const totalW = (chars.length * 6 - 1) * pixel;
+  const x0 = cx - totalW / 2, y0 = cy - 3.5 * pixel;
+  const pad = pixel * 0.08;
+  const rects = [];
+  chars.forEach(function(ch, ci) {
+    const rows = LABEL_FONT[ch];
+    if (!rows) return;
+    for (let r = 0; r < 7; r++) {
+      let c = 0;
+      while (c < 5) {
+        if (!(rows[r] & (16 >> c))) { c++; continue; }
+        const start = c;
+        while (c < 5 && (rows[r] & (16 >> c))) c++;
+        const rx0 = x0 + (ci * 6 + start) * pixel - pad, rx1 = x0 + (ci * 6 + c) * pixel + pad;
+        const ry0 = y0 + r * pixel - pad, ry1 = y0 + (r + 1) * pixel + pad;
+        rects.push([[[rx0, ry0], [rx1, ry0], [rx1, ry1], [rx0, ry1], [rx0, ry0]]]);
+      }
+    }
+  });
+  return rects;
+}
+
+// Room names of a design, one MultiPolygon per label, each fitted to its room.
+function getRoomLabelPolygons(design) {
+  const result = [];
+  for (const label of getRoomLabels(design)) {
+    const cols = label.name.length * 6 - 1;
+    const pixel = Math.min(LABEL_MAX_PIXEL, label.w * 0.8 / cols, label.h * 0.5 / 7);
+    if (pixel < LABEL_MIN_PIXEL) continue;
+    const rects = textToPolygons(label.name, label.x, label.y, pixel);
+    if (!rects.length) continue;
+    try {
+      result.push(geoClipping.union(...rects));
+    } catch (e) {
+      console.warn('Room label union failed:', e.message);
+    }
+  }
+  return result;
+}
+
+// ============================================================
+// WALL POLYGON UNION (Funda-style rendering)
+// ============================================================
+// Each wall → 2D rectangle. Boolean-union all rectangles into
+// one merged outline using polygon-clipping library. Extrude to 3D.
+
+function wallToRect(w, extA, extB) {
+  const ax = w.a.x, ay = w.a.y, bx = w.b.x, by = w.b.y;
+  const dx = bx - ax, dy = by - ay;
+  const len = Math.hypot(dx, dy);
+  if (len < 0.1) return null;
+  const ux = dx / len, uy = dy / len;
+  const nx = -uy, ny = ux;
+  const ht = (w.thickness ?? 20) / 2;
+  const eax = ax - ux * extA, eay = ay - uy * extA;
+  const ebx = bx + ux * extB, eby = by + uy * extB;
+  return [
+    [eax + nx * ht, eay + ny * ht],
+    [ebx + nx * ht, eby + ny * ht],
+    [ebx - nx * ht, eby - ny * ht],
+    [eax - nx * ht, eay - ny * ht],
+    [eax + nx * ht, eay + ny * ht]
+  ];
+}
+
+function computeWallUnion(walls, allWalls) {
+  const TOLERANCE = 3;
+
+  function isDiagWall(w) {
+    const dx = w.b.x - w.a.x, dy = w.b.y - w.a.y;
+    const len = Math.hypot(dx, dy);
+    if (len < 0.1) return false;
+    return Math.min(Math.abs(dx / len), Math.abs(dy / len)) > 0.15;
+  }
+
+  // Step 1: Build junction map from ALL walls
+  const junctions = new Map();
+  for (const w of allWalls) {
+    if (Math.hypot(w.b.x - w.a.x, w.b.y - w.a.y) < 0.1) continue;
+    for (const ep of ['a', 'b']) {
+      const px = w[ep].x, py = w[ep].y;
+      let found = false;
+      for (const [key, members] of junctions) {
+        const [kx, ky] = key.split(',').map(Number);
+        if (Math.hypot(px - kx, py - ky) < TOLERANCE) {
+          members.push({ wall: w, endpoint: ep });
+          found = true;
+          break;
+        }
+      }
+      if (!found) {
+        junctions.set(`${px},${py}`, [{ wall: w, endpoint: ep }]);
+      }
+    }
+  }
+
+  // Step 2: For each wall, compute extension per endpoint.
+  // Straight walls at L-junctions with other STRAIGHT walls → extend.
+  // Skip extension if the other wall is diagonal.
+  const rects = [];
+  for (let i = 0; i < walls.length; i++) {
+    const w = walls[i];
+    const wdx = w.b.x - w.a.x, wdy = w.b.y - w.a.y;
+    const wlen = Math.hypot(wdx, wdy);
+    if (wlen < 0.1) continue;
+    const wIsDiag = isDiagWall(w);
+
+    let extA = 0, extB = 0;
+
+    if (!wIsDiag) {
+      for (const other of allWalls) {
+        if (other === w) continue;
+        if (isDiagWall(other)) continue; // skip diagonal others
+
+        const otherHt = (other.thickness ?? 20) / 2;
+        const aShares =
+          Math.hypot(w.a.x - other.a.x, w.a.y - other.a.y) < TOLERANCE ||
+          Math.hypot(w.a.x - other.b.x, w.a.y - other.b.y) < TOLERANCE;
+        if (aShares) extA = Math.max(extA, otherHt);
+
+        const bShares =
+          Math.hypot(w.b.x - other.a.x, w.b.y - other.a.y) < TOLERANCE ||
+          Math.hypot(w.b.x - other.b.x, w.b.y - other.b.y) < TOLERANCE;
+        if (bShares) extB = Math.max(extB, otherHt);
+      }
+    }
+
+    const r = wallToRect(w, extA, extB);
+    if (r) rects.push([r]);
+  }
+
+  // Step 3: Add fill polygons ONLY at junctions involving a diagonal wall.
+  // These fill the gap between straight and diagonal wall rectangles.
+  for (const [key, members] of junctions) {
+    if (members.length < 2) continue;
+    const hasDiagonal = members.some(m => isDiagWall(m.wall));
+    if (!hasDiagonal) continue; // straight-only junctions handled by extension
+
+    const edgePoints = [];
+    for (const m of members) {
+      const w = m.wall;
+      const dx = w.b.x - w.a.x, dy = w.b.y - w.a.y;
+      const len = Math.hypot(dx, dy);
+      if (len < 0.1) continue;
+      const nx = -dy / len, ny = dx / len;
+      const ht = (w.thickness ?? 20) / 2;
+      const px = w[m.endpoint].x, py = w[m.endpoint].y;
+      edgePoints.push({ x: px + nx * ht, y: py + ny * ht });
+      edgePoints.push({ x: px - nx * ht, y: py - ny * ht });
+    }
+    if (edgePoints.length < 3) continue;
+
+    const jx = Number(key.split(',')[0]), jy = Number(key.split(',')[1]);
+    edgePoints.sort((a, b) =>
+      Math.atan2(a.y - jy, a.x - jx) - Math.atan2(b.y - jy, b.x - jx)
+    );
+
+    const fillRing = edgePoints.map(p => [p.x, p.y]);
+    fillRing.push([edgePoints[0].x, edgePoints[0].y]);
+    rects.push([fillRing]);
+  }
+
+  if (rects.length === 0) return [];
+  try {
+    return geoClipping.union(...rects);
+  } catch (e) {
+    console.warn('Wall union failed, falling back to individual rects', e);
+    return rects;
+  }
+}
+
+// ============================================================
+// BALUSTRADE ENDPOINT EXTENSION
+// ============================================================
+function extendBalustrades(balustrades) {
+  const TOL = 15;
+  return balustrades.map((bal, idx) => {
+    const ax = bal.a.x, ay = bal.a.y;
+    const bx = bal.b.x, by = bal.b.y;
+    const dx = bx - ax, dy = by - ay;
+    const len = Math.hypot(dx, dy);
+    if (len < 0.1) return { ...bal };
+    const ux = dx / len, uy = dy / len;
+    // Only extend at endpoints connected to another balustrade, by half the OTHER's thickness
+    let extA = 0, extB = 0;
+    for (let i = 0; i < balustrades.length; i++) {
+      if (i === idx) continue;
+      const o = balustrades[i];
+      const oHt = (o.thickness ?? 10) / 2;
+      if (Math.hypot(ax - o.a.x, ay - o.a.y) < TOL || Math.hypot(ax - o.b.x, ay - o.b.y) < TOL) extA = Math.max(extA, oHt);
+      if (Math.hypot(bx - o.a.x, by - o.a.y) < TOL || Math.hypot(bx - o.b.x, by - o.b.y) < TOL) extB = Math.max(extB, oHt);
+    }
+    return {
+      a: { x: ax - ux * extA, y: ay - uy * extA },
+      b: { x: bx + ux * extB, y: by + uy * extB },
+      thickness: bal.thickness ?? 10,
+      height: bal.height ?? 100
+    };
+  });
+}
+
+// ============================================================
+// BALUSTRADE CHAIN BUILDING
+// ============================================================
+function buildBalustradeChains(balustrades) {
+  if (balustrades.length === 0) return [];
+  const TOLERANCE = 15;
+  const used = new Array(balustrades.length).fill(false);
+  const chains = [];
+
+  function findNeighbor(px, py, excludeIdx) {
+    for (let i = 0; i < balustrades.length; i++) {
+      if (i === excludeIdx || used[i]) continue;
+      const b = balustrades[i];
+      if (Math.hypot(b.a.x - px, b.a.y - py) < TOLERANCE) return { idx: i, end: 'a' };
+      if (Math.hypot(b.b.x - px, b.b.y - py) < TOLERANCE) return { idx: i, end: 'b' };
+    }
+    return null;
+  }
+
+  for (let start = 0; start < balustrades.length; start++) {
+    if (used[start]) continue;
+    used[start] = true;
+    const chain = [{ bal: balustrades[start], flipped: false }];
+
+    let tip = balustrades[start].b;
+    let lastIdx = start;
+    while (true) {
+      const nb = findNeighbor(tip.x, tip.y, lastIdx);
+      if (!nb) break;
+      used[nb.idx] = true;
+      const bal = balustrades[nb.idx];
+      const flipped = nb.end === 'b';
+      chain.push({ bal, flipped });
+      tip = flipped ? bal.a : bal.b;
+      lastIdx = nb.idx;
+    }
+
+    tip = balustrades[start].a;
+    lastIdx = start;
+    while (true) {
+      const nb = findNeighbor(tip.x, tip.y, lastIdx);
+      if (!nb) break;
+      used[nb.idx] = true;
+      const bal = balustrades[nb.idx];
+      const flipped = nb.end === 'a';
+      chain.unshift({ bal, flipped });
+      tip = flipped ? bal.b : bal.a;
+      lastIdx = nb.idx;
+    }
+
+    chains.push(chain);
+  }
+
+  return chains;
+}
+
+function getChainEdges(chain) {
+  const leftEdge = [];
+  const rightEdge = [];
+
+  for (let i = 0; i < chain.length; i++) {
+    const entry = chain[i];
+    const b = entry.bal;
+    const a_pt = entry.flipped ? b.b : b.a;
+    const b_pt = entry.flipped ? b.a : b.b;
+    const dx = b_pt.x - a_pt.x, dy = b_pt.y - a_pt.y;
+    const len = Math.hypot(dx, dy);
+    if (len < 0.1) continue;
+    const nx = -dy / len, ny = dx / len;
+    const ht = (b.thickness ?? 10) / 2;
+
+    if (i === 0) {
+      leftEdge.push({ x: a_pt.x + nx * ht, y: a_pt.y + ny * ht });
+      rightEdge.push({ x: a_pt.x - nx * ht, y: a_pt.y - ny * ht });
+    }
+    leftEdge.push({ x: b_pt.x + nx * ht, y: b_pt.y + ny * ht });
+    rightEdge.push({ x: b_pt.x - nx * ht, y: b_pt.y - ny * ht });
+  }
+
+  return { leftEdge, rightEdge };
+}
+
+function mergeBalustradeStrips(balustrades) {
+  const chains = buildBalustradeChains(balustrades);
+  const strips = [];
+
+  for (const chain of chains) {
+    if (chain.length < 2) {
+      const b = chain[0].bal;
+      const dx = b.b.x - b.a.x, dy = b.b.y - b.a.y;
+      const len = Math.hypot(dx, dy);
+      if (len < 0.1) continue;
+      const nx = -dy / len, ny = dx / len;
+      const ht = (b.thickness ?? 10) / 2;
+      strips.push([
+        { x: b.a.x + nx * ht, y: b.a.y + ny * ht },
+        { x: b.b.x + nx * ht, y: b.b.y + ny * ht },
+        { x: b.b.x - nx * ht, y: b.b.y - ny * ht },
+        { x: b.a.x - nx * ht, y: b.a.y - ny * ht }
+      ]);
+      continue;
+    }
+
+    const { leftEdge, rightEdge } = getChainEdges(chain);
+    const poly = [...leftEdge, ...rightEdge.reverse()];
+    if (poly.length >= 3) strips.push(poly);
+  }
+
+  return strips;
+}
+
+// Which balustrades the model joins into one strip: arcs are split into segments
+// (flattenBalustrades) and chained end to end like mergeBalustradeStrips does.
+// Returns lists of indices into balustrades, each in ascending order.
+function groupBalustradeStrips(balustrades) {
+  const segs = [];
+  balustrades.forEach((bal, i) => {
+    for (const seg of flattenBalustrades([bal])) segs.push({ ...seg, _src: i });
+  });
+  const root = balustrades.map((_, i) => i);
+  const find = i => (root[i] === i ? i : (root[i] = find(root[i])));
+  for (const chain of buildBalustradeChains(segs)) {
+    const first = find(chain[0].bal._src);
+    for (const entry of chain) root[find(entry.bal._src)] = first;
+  }
+  const groups = new Map();
+  balustrades.forEach((_, i) => {
+    const g = find(i);
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(i);
+  });
+  return [...groups.values()];
+}
+
+function buildBalustradeFillPolygons(balustrades) {
+  const chains = buildBalustradeChains(balustrades);
+  const fills = [];
+
+  for (const chain of chains) {
+    if (chain.length < 3) continue;
+
+    const { leftEdge, rightEdge } = getChainEdges(chain);
+
+    function bboxArea(pts) {
+      let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+      for (const p of pts) {
+        minX = Math.min(minX, p.x); maxX = Math.max(maxX, p.x);
+        minY = Math.min(minY, p.y); maxY = Math.max(maxY, p.y);
+      }
+      return (maxX - minX) * (maxY - minY);
+    }
+
+    const outerEdge = bboxArea(leftEdge) >= bboxArea(rightEdge) ? leftEdge : rightEdge;
+    const innerEdge = outerEdge === leftEdge ? rightEdge : leftEdge;
+
+    if (outerEdge.length >= 3) {
+      fills.push([...outerEdge]);
+    }
+
+    if (innerEdge.length >= 3) {
+      fills.push([...innerEdge]);
+    }
+  }
+
+  return fills;
+}
+
+// ============================================================
+// ARC WALL TESSELLATION
+// ============================================================
+function tessellateArcWall(wall, numSeg) {
+  const ax = wall.a.x, ay = wall.a.y;
+  const bx = wall.b.x, by = wall.b.y;
+  const cx = wall.c.x, cy = wall.c.y;
+  const hA = wall.az?.h ?? wall.bz?.h ?? 265;
+  const hB = wall.bz?.h ?? wall.az?.h ?? 265;
+  const segments = [];
+  for (let i = 0; i < numSeg; i++) {
+    const t0 = i / numSeg;
+    const t1 = (i + 1) / numSeg;
+    const x0 = (1 - t0) * (1 - t0) * ax + 2 * (1 - t0) * t0 * cx + t0 * t0 * bx;
+    const y0 = (1 - t0) * (1 - t0) * ay + 2 * (1 - t0) * t0 * cy + t0 * t0 * by;
+    const x1 = (1 - t1) * (1 - t1) * ax + 2 * (1 - t1) * t1 * cx + t1 * t1 * bx;
+    const y1 = (1 - t1) * (1 - t1) * ay + 2 * (1 - t1) * t1 * cy + t1 * t1 * by;
+    segments.push({
+      a: { x: x0, y: y0 },
+      b: { x: x1, y: y1 },
+      thickness: wall.thickness ?? 20,
+      openings: [],
+      _arcSeg: true,
+      _heightA: hA + (hB - hA) * t0,
+      _heightB: hA + (hB - hA) * t1
+    });
+  }
+  return segments;
+}
+
+function flattenWalls(walls) {
+  const ARC_SEGMENTS = 16;
+  const result = [];
+  for (const wall of walls) {
+    if (wall.c && wall.c.x != null && wall.c.y != null) {
+      result.push(...tessellateArcWall(wall, ARC_SEGMENTS));
+    } else {
+      result.push({
+        ...wall,
+        _heightA: wall.az?.h ?? wall.bz?.h ?? 265,
+        _heightB: wall.bz?.h ?? wall.az?.h ?? 265
+      });
+    }
+  }
+  return result;
+}
+
+function tessellateArcBalustrade(bal, numSeg) {
+  const ax = bal.a.x, ay = bal.a.y;
+  const bx = bal.b.x, by = bal.b.y;
+  const cx = bal.c.x, cy = bal.c.y;
+  const segments = [];
+  for (let i = 0; i < numSeg; i++) {
+    const t0 = i / numSeg;
+    const t1 = (i + 1) / numSeg;
+    const x0 = (1 - t0) * (1 - t0) * ax + 2 * (1 - t0) * t0 * cx + t0 * t0 * bx;
+    const y0 = (1 - t0) * (1 - t0) * ay + 2 * (1 - t0) * t0 * cy + t0 * t0 * by;
+    const x1 = (1 - t1) * (1 - t1) * ax + 2 * (1 - t1) * t1 * cx + t1 * t1 * bx;
+    const y1 = (1 - t1) * (1 - t1) * ay + 2 * (1 - t1) * t1 * cy + t1 * t1 * by;
+    segments.push({
+      a: { x: x0, y: y0 },
+      b: { x: x1, y: y1 },
+      thickness: bal.thickness ?? 10,
+      height: bal.height ?? 100
+    });
+  }
+  return segments;
+}
+
+function flattenBalustrades(balustrades) {
+  const ARC_SEGMENTS = 16;
+  const result = [];
+  for (const bal of balustrades) {
+    if (bal.c && bal.c.x != null && bal.c.y != null) {
+      result.push(...tessellateArcBalustrade(bal, ARC_SEGMENTS));
+    } else {
+      result.push(bal);
+    }
+  }
+  return result;
+}
+
+// ============================================================
+// SURFACE POLYGON CURVE TESSELLATION
+// ============================================================
+function tessellateSurfacePoly(poly) {
+  if (!poly || poly.length < 3) return poly;
+  const ARC_SEGMENTS = 24;
+  const result = [];
+  for (let i = 0; i < poly.length; i++) {
+    const curr = poly[i];
+    const prev = poly[(i - 1 + poly.length) % poly.length];
+    if (curr.cx != null && curr.cy != null) {
+      const ax = prev.x, ay = prev.y;
+      const bx = curr.x, by = curr.y;
+      const cx = curr.cx, cy = curr.cy;
+      for (let s = 1; s <= ARC_SEGMENTS; s++) {
+        const t = s / ARC_SEGMENTS;
+        const px = (1-t)*(1-t)*ax + 2*(1-t)*t*cx + t*t*bx;
+        const py = (1-t)*(1-t)*ay + 2*(1-t)*t*cy + t*t*by;
+        result.push({ x: px, y: py, z: curr.z ?? 0 });
+      }
+    } else {
+      result.push({ x: curr.x, y: curr.y, z: curr.z ?? 0 });
+    }
+  }
+  return result;
+}
+
+// ============================================================
+// STAIR VOID DETECTION
+// ============================================================
+function enhanceVoidWithCurvedWalls(voidPoly, curvedWalls) {
+  if (curvedWalls.length === 0) return voidPoly;
+  var MATCH_TOL = 30;
+  var ARC_SEGMENTS = 24;
+  var result = [];
+  for (var i = 0; i < voidPoly.length; i++) {
+    var j = (i + 1) % voidPoly.length;
+    var edgeA = voidPoly[i];
+    var edgeB = voidPoly[j];
+    result.push({ x: edgeA.x, y: edgeA.y });
+    var edgeLen = Math.hypot(edgeB.x - edgeA.x, edgeB.y - edgeA.y);
+    if (edgeLen < 50) continue;
+    for (var wi = 0; wi < curvedWalls.length; wi++) {
+      var wall = curvedWalls[wi];
+      var wa = wall.a, wb = wall.b, wc = wall.c;
+      var dAa = Math.hypot(edgeA.x - wa.x, edgeA.y - wa.y);
+      var dAb = Math.hypot(edgeA.x - wb.x, edgeA.y - wb.y);
+      var dBa = Math.hypot(edgeB.x - wa.x, edgeB.y - wa.y);
+      var dBb = Math.hypot(edgeB.x - wb.x, edgeB.y - wb.y);
+      if ((dAa < MATCH_TOL && dBb < MATCH_TOL) || (dAb < MATCH_TOL && dBa < MATCH_TOL)) {
+        for (var s = 1; s < ARC_SEGMENTS; s++) {
+          var t = s / ARC_SEGMENTS;
+          var px = (1-t)*(1-t)*edgeA.x + 2*(1-t)*t*wc.x + t*t*edgeB.x;
+          var py = (1-t)*(1-t)*edgeA.y + 2*(1-t)*t*wc.y + t*t*edgeB.y;
+          result.push({ x: px, y: py });
+        }
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+// Stair void markers: explicit isCutout surfaces and role=14. Voids that are too
+// small to be real stair openings / trap doors are skipped, unless set by hand
+// in the step 3 editor (mattori_void, see applyFmlPatch).
+// poly: the surface's tessellated polygon
+function isStairVoidSurface(surface, poly) {
+  if ((surface.role ?? -1) !== 14 && !surface.isCutout) return false;
+  if (poly.length < 3) return false;
+  if (surface.mattori_void) return true;
+  const vxs = poly.map(p => p.x), vys = poly.map(p => p.y);
+  const vw = Math.max(...vxs) - Math.min(...vxs);
+  const vh = Math.max(...vys) - Math.min(...vys);
+  return Math.min(vw, vh) >= 40;
+}
+
+function detectStairVoids(allFloorDesigns) {
+  const voidsByFloor = allFloorDesigns.map(() => []);
+
+  for (let fi = 0; fi < allFloorDesigns.length; fi++) {
+    const design = allFloorDesigns[fi];
+    const curvedWalls = (design.walls ?? []).filter(w => w.c && w.c.x != null && w.c.y != null);
+
+    for (const surface of design.surfaces ?? []) {
+      const poly = tessellateSurfacePoly(surface.poly ?? []);
+      if (!isStairVoidSurface(surface, poly)) continue;
+      var voidPoly = poly.map(p => ({ x: p.x, y: p.y }));
+      voidPoly = enhanceVoidWithCurvedWalls(voidPoly, curvedWalls);
+      voidsByFloor[fi].push(voidPoly);
+    }
+  }
+  return voidsByFloor;
+}
+
+function pointInPolygon(px, py, poly) {
+  let inside = false;
+  for (let i = 0, j = poly.length - 1; i < poly.length; j = i++) {
+    const xi = poly[i].x, yi = poly[i].y;
+    const xj = poly[j].x, yj = poly[j].y;
+    if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function polygonOverlapsVoid(poly, voids) {
+  if (!voids || voids.length === 0) return false;
+  let cx = 0, cy = 0;
+  for (const p of poly) { cx += p.x; cy += p.y; }
+  cx /= poly.length; cy /= poly.length;
+  for (const v of voids) {
+    if (pointInPolygon(cx, cy, v)) return true;
+  }
+  return false;
+}
+
+// ============================================================
+// FML VALIDATION — repair what is safe, report the rest
+// ============================================================
+// validateFml(data) → { data, fatal, floors }
+//   data:   repaired deep copy (the input is left untouched); build from this
+//   fatal:  message when nothing can be built, else null
+//   floors: per FML floor { name, entryIndex, diagnostics: [{ code, severity, count, message }] }
+//           entryIndex is the floor's index in buildFloorEntries (null when skipped).
+//           severity 'repaired' = fixed in `data`; 'warning' / 'error' = left as is.
+// Codes: noDesign, emptyDesign, badWall, shortWall, badArc, badThickness, badHeight,
+// badOpening, openingOutside, wideOpening, badPoint, duplicatePoint, closedRing,
+// smallPolygon, zeroArea, badBalustrade, badItem, selfIntersecting.
+const MIN_WALL_LENGTH = 0.5;   // cm — shorter walls are degenerate
+const MIN_POLYGON_AREA = 1;    // cm² — smaller areas/surfaces are slivers
+
+const FML_DIAGNOSTIC_TEXT = {
+  noDesign: 'geen ontwerp — verdieping overgeslagen',
+  emptyDesign: 'geen muren, ruimtes of vloeren',
+  badWall: 'muren zonder geldige eindpunten verwijderd',
+  shortWall: 'muren van (bijna) nul lengte verwijderd',
+  badArc: 'ongeldige boogpunten verwijderd (rechte muur)',
+  badThickness: 'ongeldige muurdikte vervangen door 20 cm',
+  badHeight: 'ongeldige muurhoogte vervangen door standaard',
+  badOpening: 'ongeldige openingen (deur/raam) verwijderd',
+  openingOutside: 'openingen net buiten de muur teruggezet',
+  wideOpening: 'openingen breder dan hun muur',
+  badPoint: 'ongeldige polygoonpunten verwijderd',
+  duplicatePoint: 'dubbele polygoonpunten verwijderd',
+  closedRing: 'dubbel sluitpunt van polygonen verwijderd',
+  smallPolygon: 'ruimtes/vloeren met minder dan 3 punten verwijderd',
+  zeroArea: 'ruimtes/vloeren zonder oppervlakte verwijderd',
+  badBalustrade: 'ongeldige balustrades verwijderd',
+  badItem: 'meubels zonder geldige positie verwijderd',
+  selfIntersecting: 'zelfsnijdende ruimtes of vloeren (kunnen gaten geven)'
+};
+
+function isFiniteNum(v) { return typeof v === 'number' && isFinite(v); }
+function isFmlPoint(p) { return !!p && isFiniteNum(p.x) && isFiniteNum(p.y); }
+
+function polygonArea2D(pts) {
+  let a = 0;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) a += (pts[j].x + pts[i].x) * (pts[j].y - pts[i].y);
+  return Math.abs(a) / 2;
+}
+
+function segmentsCross(p1, p2, p3, p4) {
+  function side(a, b, c) { return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x); }
+  const d1 = side(p3, p4, p1), d2 = side(p3, p4, p2), d3 = side(p1, p2, p3), d4 = side(p1, p2, p4);
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+}
+
+function polygonSelfIntersects(pts) {
+  const n = pts.length;
+  if (n < 4 || n > 400) return false; // the check is O(n²); large rings are curves, not bow-ties
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 2; j < n; j++) {
+      if (i === 0 && j === n - 1) continue; // adjacent through the closing edge
+      if (segmentsCross(pts[i], pts[(i + 1) % n], pts[j], pts[(j + 1) % n])) return true;
+    }
+  }
+  return false;
+}
+
+function validateFml(input) {
+  if (!input || typeof input !== 'object') {
+    return { data: input, fatal: 'Geen geldig FML-bestand (geen JSON-object).', floors: [] };
+  }
+  // JSON round trip: deep copy, and NaN/Infinity become null (reported below)
+  const data = JSON.parse(JSON.stringify(input));
+  if (!Array.isArray(data.floors) || data.floors.length === 0) {
+    return { data, fatal: 'Geen verdiepingen gevonden in het bestand.', floors: [] };
+  }
+
+  const reports = [];
+  let entryIndex = 0;
+  data.floors.forEach(function(floor, fi) {
+    const counts = {};
+    function note(code, severity, n) {
+      if (!counts[code]) counts[code] = { code, severity, count: 0, message: FML_DIAGNOSTIC_TEXT[code] };
+      counts[code].count += n ?? 1;
+    }
+    const design = floor?.designs?.[0];
+    const report = { name: floor?.name || `Verdieping ${fi + 1}`, entryIndex: design ? entryIndex++ : null, diagnostics: [] };
+    reports.push(report);
+    if (!design) {
+      note('noDesign', 'warning');
+      report.diagnostics = Object.values(counts);
+      return;
+    }
+
+    // Walls
+    const walls = [];
+    for (const wall of Array.isArray(design.walls) ? design.walls : []) {
+      if (!wall || !isFmlPoint(wall.a) || !isFmlPoint(wall.b)) { note('badWall', 'repaired'); continue; }
+      if (wall.c != null && !isFmlPoint(wall.c)) {
+        // Arc control point with one valid coordinate would bend the wall wildly
+        if (wall.c.x != null || wall.c.y != null) note('badArc', 'repaired');
+        delete wall.c;
+      }
+      const len = Math.hypot(wall.b.x - wall.a.x, wall.b.y - wall.a.y);
+      if (len < MIN_WALL_LENGTH && !wall.c) { note('shortWall', 'repaired'); continue; }
+      // Thickness and height 0 are legitimate (room dividers, hidden walls); only garbage is replaced
+      if (wall.thickness != null && !(isFiniteNum(wall.thickness) && wall.thickness >= 0)) {
+        wall.thickness = 20;
+        note('badThickness', 'repaired');
+      }
+      for (const end of ['az', 'bz']) {
+        if (wall[end] && wall[end].h != null && !(isFiniteNum(wall[end].h) && wall[end].h >= 0)) {
+          delete wall[end].h;
+          note('badHeight', 'repaired');
+        }
+      }
+      const openings = [];
+      for (const op of Array.isArray(wall.openings) ? wall.openings : []) {
+        if (!op || (op.t != null && !isFiniteNum(op.t)) || (op.width != null && !(isFiniteNum(op.width) && op.width > 0))) {
+          note('badOpening', 'repaired');
+          continue;
+        }
+        for (const key of ['height', 'elevation', 'z', 'z_height']) {
+          if (op[key] != null && !isFiniteNum(op[key])) { delete op[key]; note('badOpening', 'repaired'); }
+        }
+        if (op.t != null && (op.t < 0 || op.t > 1)) {
+          // A hair outside the wall is a rounding slip; further out is a different wall's opening
+          if (op.t < -0.05 || op.t > 1.05) { note('badOpening', 'repaired'); continue; }
+          op.t = Math.min(1, Math.max(0, op.t));
+          note('openingOutside', 'repaired');
+        }
+        // Left as is: the generator already clips openings to their wall
+        if (!wall.c && op.width != null && op.width > len + 1) note('wideOpening', 'warning');
+        openings.push(op);
+      }
+      wall.openings = openings;
+      walls.push(wall);
+    }
+    design.walls = walls;
+
+    // Areas (rooms) and surfaces (floors): valid, de-duplicated, implicitly closed rings
+    function cleanPolygons(list) {
+      const out = [];
+      for (const shape of Array.isArray(list) ? list : []) {
+        if (!shape) continue;
+        const raw = Array.isArray(shape.poly) ? shape.poly : [];
+        const pts = raw.filter(isFmlPoint);
+        if (pts.length !== raw.length) note('badPoint', 'repaired', raw.length - pts.length);
+        const dedup = pts.filter(function(p, i) {
+          const prev = pts[i - 1];
+          return !prev || Math.hypot(p.x - prev.x, p.y - prev.y) > 0.01;
+        });
+        if (dedup.length < pts.length) note('duplicatePoint', 'repaired', pts.length - dedup.length);
+        if (dedup.length > 1 && Math.hypot(dedup[0].x - dedup[dedup.length - 1].x, dedup[0].y - dedup[dedup.length - 1].y) <= 0.01) {
+          dedup.pop();
+          note('closedRing', 'repaired');
+        }
+        if (dedup.length < 3) { note('smallPolygon', 'repaired'); continue; }
+        if (polygonArea2D(dedup) < MIN_POLYGON_AREA) { note('zeroArea', 'repaired'); continue; }
+        if (polygonSelfIntersects(dedup)) note('selfIntersecting', 'warning');
+        shape.poly = dedup;
+        out.push(shape);
+      }
+      return out;
+    }
+    design.areas = cleanPolygons(design.areas);
+    design.surfaces = cleanPolygons(design.surfaces);
+
+    // Balustrades: only when the FML carries them (otherwise detected from items)
+    if (design.balustrades != null) {
+      design.balustrades = (Array.isArray(design.balustrades) ? design.balustrades : []).filter(function(bal) {
+        const ok = bal && isFmlPoint(bal.a) && isFmlPoint(bal.b)
+          && Math.hypot(bal.b.x - bal.a.x, bal.b.y - bal.a.y) >= MIN_WALL_LENGTH
+          && (bal.thickness == null || (isFiniteNum(bal.thickness) && bal.thickness > 0))
+          && (bal.height == null || (isFiniteNum(bal.height) && bal.height > 0));
+        if (!ok) note('badBalustrade', 'repaired');
+        else if (bal.c != null && !isFmlPoint(bal.c)) delete bal.c;
+        return ok;
+      });
+    }
+
+    // Items (furniture, detected balustrades): position and size must be numbers
+    if (Array.isArray(design.items)) {
+      design.items = design.items.filter(function(item) {
+        const ok = item && ['x', 'y', 'width', 'height', 'z', 'z_height', 'rotation']
+          .every(function(k) { return item[k] == null || isFiniteNum(item[k]); });
+        if (!ok) note('badItem', 'repaired');
+        return ok;
+      });
+    }
+
+    if (!design.walls.length && !design.areas.length && !design.surfaces.length) note('emptyDesign', 'error');
+    report.diagnostics = Object.values(counts);
+  });
+
+  const fatal = reports.every(r => r.entryIndex === null) ? 'Geen geldige plattegronden gevonden.' : null;
+  return { data, fatal, floors: reports };
+}
+
+// ============================================================
+// FML PATCH — customer corrections from the step 3 editor
+// ============================================================
+// applyFmlPatch(data, patch) → corrected deep copy (the input is left untouched).
+// A patch is a list of ops on data.floors[f].designs[0]; indices always refer to
+// the ORIGINAL arrays, so ops stay valid whatever else was changed:
+//   { f, o: 'dw', i }                  delete wall i
+//   { f, o: 'mw', i, e: 'a'|'b', x, y } move end a or b of wall i
+//   { f, o: 'aw', a: [x, y], b: [x, y], th, h }  add a straight wall (thickness, height in cm)
+//   { f, o: 'da', i } / { f, o: 'ds', i }        delete area / surface i
+//   { f, o: 'av', poly: [[x, y], …] }  add a stair void
+//   { f, o: 'sv', i, poly }            make surface i a stair void (poly: new outline, optional)
+//   { f, o: 'nv', i }                  surface i is not a stair void (floor stays closed)
+// Voids set by 'av' / 'sv' carry mattori_void, so detectStairVoids keeps them at any size.
+//   { f, o: 'db', i }                  drop balustrade i
+//   { f, o: 'hb', i, h }               set the height of balustrade i (cm)
+//   { f, o: 'ab', a: [x, y], b: [x, y], th, h }  add a straight balustrade
+// Balustrade i is the FML's own design.balustrades[i] or, when the FML has none,
+// the i-th detected from items (detectBalustrades); a patched floor keeps that list.
+// Ops that point at nothing are skipped; run validateFml on the result as usual.
+function applyFmlPatch(input, patch) {
+  const data = JSON.parse(JSON.stringify(input));
+  if (!Array.isArray(patch) || !patch.length || !Array.isArray(data.floors)) return data;
+  const LISTS = ['walls', 'areas', 'surfaces', 'balustrades'];
+  const dropped = new Map(); // design → { walls, areas, surfaces, balustrades } index sets
+  function drop(design, list, i) {
+    if (!dropped.has(design)) dropped.set(design, Object.fromEntries(LISTS.map(l => [l, new Set()])));
+    dropped.get(design)[list].add(i);
+  }
+  const added = [];
+  for (const op of patch) {
+    const design = data.floors[op?.f]?.designs?.[0];
+    if (!design) continue;
+    const walls = Array.isArray(design.walls) ? design.walls : [];
+    if (op.o === 'dw' && walls[op.i]) drop(design, 'walls', op.i);
+    else if (op.o === 'da' && design.areas?.[op.i]) drop(design, 'areas', op.i);
+    else if (op.o === 'ds' && design.surfaces?.[op.i]) drop(design, 'surfaces', op.i);
+    else if (op.o === 'mw' && walls[op.i] && (op.e === 'a' || op.e === 'b')) {
+      walls[op.i][op.e] = { x: op.x, y: op.y };
+      delete walls[op.i].c; // the arc control point no longer fits the moved wall
+    } else if (op.o === 'aw' && Array.isArray(op.a) && Array.isArray(op.b)) {
+      const wall = { a: { x: op.a[0], y: op.a[1] }, b: { x: op.b[0], y: op.b[1] }, thickness: op.th ?? 20, openings: [] };
+      if (op.h != null) { wall.az = { h: op.h }; wall.bz = { h: op.h }; }
+      added.push({ design, list: 'walls', item: wall });
+    } else if (op.o === 'av' && Array.isArray(op.poly) && op.poly.length >= 3) {
+      added.push({ design, list: 'surfaces', item: voidSurface({}, op.poly) });
+    } else if (op.o === 'sv' && design.surfaces?.[op.i]) {
+      voidSurface(design.surfaces[op.i], op.poly);
+    } else if (op.o === 'nv' && design.surfaces?.[op.i]) {
+      const surface = design.surfaces[op.i];
+      delete surface.isCutout;
+      delete surface.mattori_void;
+      if (surface.role === 14) delete surface.role;
+    } else if ((op.o === 'db' || op.o === 'hb') && patchedBalustrades(design)[op.i]) {
+      if (op.o === 'db') drop(design, 'balustrades', op.i);
+      else if (op.h > 0) design.balustrades[op.i].height = op.h;
+    } else if (op.o === 'ab' && Array.isArray(op.a) && Array.isArray(op.b)) {
+      patchedBalustrades(design);
+      added.push({ design, list: 'balustrades', item: { a: { x: op.a[0], y: op.a[1] }, b: { x: op.b[0], y: op.b[1] }, thickness: op.th ?? 10, height: op.h ?? 100 } });
+    }
+  }
+  dropped.forEach(function(sets, design) {
+    for (const list of LISTS) {
+      if (sets[list].size) design[list] = design[list].filter(function(_, i) { return !sets[list].has(i); });
+    }
+  });
+  for (const { design, list, item } of added) {
+    if (!Array.isArray(design[list])) design[list] = [];
+    design[list].push(item);
+  }
+  return data;
+}
+
+// The ops of a patch from outside (an uploaded FML, a Frame Code) that are well
+// formed: an object with an integer floor f and the fields its o needs.
+// Everything else is dropped, so the editor and the cart summary can trust them.
+function cleanFmlPatch(patch) {
+  if (!Array.isArray(patch)) return [];
+  const isIndex = v => Number.isInteger(v) && v >= 0;
+  const isPair = p => Array.isArray(p) && isFiniteNum(p[0]) && isFiniteNum(p[1]);
+  const isPoly = poly => Array.isArray(poly) && poly.length >= 3 && poly.every(isPair);
+  const isOptNum = v => v == null || (isFiniteNum(v) && v > 0);
+  return patch.filter(function(op) {
+    if (!op || typeof op !== 'object' || !isIndex(op.f)) return false;
+    switch (op.o) {
+      case 'dw': case 'da': case 'ds': case 'nv': case 'db':
+        return isIndex(op.i);
+      case 'mw': return isIndex(op.i) && (op.e === 'a' || op.e === 'b') && isFiniteNum(op.x) && isFiniteNum(op.y);
+      case 'hb': return isIndex(op.i) && isFiniteNum(op.h) && op.h > 0;
+      case 'sv': return isIndex(op.i) && (op.poly == null || isPoly(op.poly));
+      case 'av': return isPoly(op.poly);
+      case 'aw': case 'ab': return isPair(op.a) && isPair(op.b) && isOptNum(op.th) && isOptNum(op.h);
+      default: return false;
+    }
+  });
+}
+
+// The balustrade list ops refer to, fixed on the design so buildFloorEntries
+// doesn't detect them again
+function patchedBalustrades(design) {
+  design.balustrades = listFmlBalustrades(design);
+  return design.balustrades;
+}
+
+// Balustrades of an FML design as numbered by the patch ops (the design is not changed)
+function listFmlBalustrades(design) {
+  if (!design.balustrades) return detectBalustrades(design);
+  return Array.isArray(design.balustrades) ? design.balustrades : [];
+}
+
+function voidSurface(surface, poly) {
+  if (Array.isArray(poly) && poly.length >= 3) surface.poly = poly.map(p => ({ x: p[0], y: p[1] }));
+  surface.isCutout = true;
+  surface.role = 14;
+  surface.mattori_void = true;
+  return surface;
+}
+
+// ============================================================
+// FLOOR ENTRIES — FML data → per-floor geometry input
+// ============================================================
+// Returns { floors: [{ design, bbox, worldW, worldH, name, voids }], maxWorldW, maxWorldH }.
+// maxWorldW/H ignore site plans and outliers (> 2.2× the median floor).
+function buildFloorEntries(data) {
+  const entries = [];
+  let maxWorldW = 1;
+  let maxWorldH = 1;
+
+  const validFloors = (data.floors ?? []).filter(f => f?.designs?.[0]);
+
+  const allDesigns = validFloors.map(f => f.designs[0]);
+  const voidsByFloor = detectStairVoids(allDesigns);
+
+  const widths = [], heights = [];
+
+  for (const floor of validFloors) {
+    const bbox = computeBoundingBox(floor.designs[0]);
+    widths.push(Math.max(1, bbox.maxX - bbox.minX));
+    heights.push(Math.max(1, bbox.maxY - bbox.minY));
+  }
+
+  const medW = median(widths);
+  const medH = median(heights);
+
+  for (let i = 0; i < validFloors.length; i++) {
+    const floor = validFloors[i];
+    const design = floor.designs[0];
+
+    if (!design.balustrades) {
+      design.balustrades = detectBalustrades(design);
+    }
+    design.balustrades = flattenBalustrades(design.balustrades);
+
+    const bbox = computeBoundingBox(design);
+    const worldW = Math.max(1, bbox.maxX - bbox.minX);
+    const worldH = Math.max(1, bbox.maxY - bbox.minY);
+    const name = (floor.name || "").toLowerCase();
+
+    if (!name.includes("situatie") && !name.includes("site")
+        && worldW <= medW * 2.2 && worldH <= medH * 2.2) {
+      maxWorldW = Math.max(maxWorldW, worldW);
+      maxWorldH = Math.max(maxWorldH, worldH);
+    }
+
+    entries.push({
+      design, bbox, worldW, worldH,
+      name: floor.name || `Verdieping ${i + 1}`,
+      voids: voidsByFloor[i] || [],
+      level: floor.level ?? i,     // FML storey order (0 = lowest)
+      hasLevel: Number.isFinite(floor.level), // false: level is the FML position
+      height: floor.height ?? null // FML storey height in cm
+    });
+  }
+
+  return { floors: entries, maxWorldW, maxWorldH };
+}
+
+// What the configurator builds its floors from: the FML with the plan corrections
+// applied (applyFmlPatch), validated and repaired, as floor entries plus the
+// diagnostics per FML floor. Runs in the geometry worker, or on the main thread
+// without one. Throws when the FML is unusable.
+function buildPatchedFloorEntries(data, patch) {
+  const checked = validateFml(applyFmlPatch(data, patch));
+  if (checked.fatal) throw new Error(checked.fatal);
+  return { ...buildFloorEntries(checked.data), diagnostics: checked.floors };
+}
+
+
+// ============================================================
+// OBJ GENERATION
+// ============================================================
+function snapMultiPolygon(mp) {
+  return mp.map(poly => poly.map(ring => ring.map(p => [Math.round(p[0] * 100) / 100, Math.round(p[1] * 100) / 100])));
+}
+
+// Drop collinear ring vertices — left over from unioned rectangles, they
+// become T-junctions between the triangulated caps and the side faces.
+function dropCollinearPoints(mp) {
+  return mp.map(poly => poly.map(function(ring) {
+    const pts = ring.slice(0, -1);
+    const out = pts.filter(function(p, i) {
+      const prev = pts[(i + pts.length - 1) % pts.length], next = pts[(i + 1) % pts.length];
+      return Math.abs((p[0] - prev[0]) * (next[1] - p[1]) - (p[1] - prev[1]) * (next[0] - p[0])) > 1e-6;
+    });
+    return out.length >= 3 ? out.concat([out[0]]) : ring;
+  }));
+}
+
+// ============================================================
+// FLOOR MESH — what the generator produces
+// ============================================================
+// Consumed directly by the viewer (BufferGeometry) and by every exporter:
+//   positions: Float32Array, x/y/z per vertex in metres (Y up, z = FML y)
+//   indices:   Uint32Array, three per triangle
+//   groups:    [{ name, start, count }] ranges in `indices`, as BufferGeometry groups
+// Group names: walls, floor, room_labels, walls_balustrades, furniture.
+function generateFloorMesh(floor) {
+  const positions = [];
+  const indices = [];
+  const groups = [];
+  let vertexIndex = 0;
+
+  // Rounded to 0.1 mm, exactly as the OBJ text always was
+  function addVertex(x, y, z) {
+    positions.push(+x.toFixed(4), +y.toFixed(4), +z.toFixed(4));
+  }
+  function beginGroup(name) {
+    groups.push({ name: name, start: indices.length, count: 0 });
+  }
+
+  const SCALE = 0.01;
+  const uniformWallHeight = geometryOptions.uniformWallHeight;
+
+  // Wall top in metres at A/B (flattenWalls fills _heightA/_heightB from az.h/bz.h)
+  function wallTopA(w) { return (uniformWallHeight ?? w._heightA) * SCALE; }
+  function wallTopB(w) { return (uniformWallHeight ?? w._heightB) * SCALE; }
+
+  function addFace(a, b, c, d) { indices.push(a, b, c, a, c, d); }
+  function addTriFace(a, b, c) { indices.push(a, b, c); }
+
+  // clipA/clipB: direction {dx,dy} of intersecting wall at endpoint A/B (or null)
+  // When set, the end-face is angled to align with the intersecting wall
+  // topZB: top height at (x2, y2) for sloped walls (defaults to topZ)
+  function createWallBox(x1, y1, x2, y2, bottomZ, topZ, halfThickness, normalX, normalY, topZB) {
+    const topB = topZB ?? topZ;
+    if (topZ <= bottomZ || topB <= bottomZ) return;
+    const corners = [
+      { x: x1 + normalX * halfThickness, y: y1 + normalY * halfThickness }, // A + normal
+      { x: x2 + normalX * halfThickness, y: y2 + normalY * halfThickness }, // B + normal
+      { x: x2 - normalX * halfThickness, y: y2 - normalY * halfThickness }, // B - normal
+      { x: x1 - normalX * halfThickness, y: y1 - normalY * halfThickness }  // A - normal
+    ];
+    for (const c of corners) addVertex(c.x, bottomZ, c.y);
+    const tops = [topZ, topB, topB, topZ];
+    corners.forEach((c, i) => addVertex(c.x, tops[i], c.y));
+    const base = vertexIndex;
+    addFace(base + 3, base + 2, base + 1, base + 0);
+    addFace(base + 4, base + 5, base + 6, base + 7);
+    addFace(base + 0, base + 1, base + 5, base + 4);
+    addFace(base + 2, base + 3, base + 7, base + 6);
+    addFace(base + 3, base + 0, base + 4, base + 7);
+    addFace(base + 1, base + 2, base + 6, base + 5);
+    vertexIndex += 8;
+  }
+
+  function createOpeningFrame(x1, y1, x2, y2, bottomZ, topZ, frameSize, frameThickness, fnx, fny) {
+    const fdx = x2 - x1, fdy = y2 - y1;
+    const flen = Math.hypot(fdx, fdy);
+    if (flen < 0.001) return;
+    const fux = fdx / flen, fuy = fdy / flen;
+    createWallBox(x1, y1, x1 + fux * frameSize, y1 + fuy * frameSize, bottomZ, topZ, frameThickness, fnx, fny);
+    createWallBox(x2 - fux * frameSize, y2 - fuy * frameSize, x2, y2, bottomZ, topZ, frameThickness, fnx, fny);
+    createWallBox(x1 + fux * frameSize, y1 + fuy * frameSize, x2 - fux * frameSize, y2 - fuy * frameSize, topZ - frameSize, topZ, frameThickness, fnx, fny);
+    if (bottomZ > 0.01) {
+      createWallBox(x1 + fux * frameSize, y1 + fuy * frameSize, x2 - fux * frameSize, y2 - fuy * frameSize, bottomZ, bottomZ + frameSize, frameThickness, fnx, fny);
+    }
+  }
+
+  const design = floor.design;
+  const wallBBox = computeWallBBox(design);
+  const walls = flattenWalls(design.walls ?? []);
+  const bbox = floor.bbox;
+  const centerX = (bbox.minX + bbox.maxX) / 2;
+  const centerY = (bbox.minY + bbox.maxY) / 2;
+
+  // ── Polygon-union wall rendering ──────────────────────────
+  // Walls WITHOUT openings → boolean union → extrude as polygon
+  // Walls WITH openings → render as individual segment boxes
+
+  const solidWalls = walls.filter(w => !(w.openings && w.openings.length > 0));
+  const openingWalls = walls.filter(w => w.openings && w.openings.length > 0);
+
+  // Union all solid walls into merged 2D polygons (floor footprint, void checks)
+  const wallUnion = computeWallUnion(solidWalls, walls);
+
+  // Union solid walls per height profile: walls of equal flat height merge into
+  // one extrusion; each sloped wall (az.h ≠ bz.h) is its own group so its top can
+  // follow the slope. Lower groups are cut by taller ones so nothing overlaps.
+  const wallGroups = new Map();
+  for (const w of solidWalls) {
+    const hA = wallTopA(w), hB = wallTopB(w);
+    if (hA <= 0 && hB <= 0) continue;
+    const sloped = Math.abs(hA - hB) > 0.01;
+    const key = sloped ? 'slope' + wallGroups.size : 'flat' + hA.toFixed(2);
+    if (!wallGroups.has(key)) wallGroups.set(key, { walls: [], hA, hB, sloped, maxH: Math.max(hA, hB) });
+    wallGroups.get(key).walls.push(w);
+  }
+  const wallUnions = []; // [{ polygons, topAt(pt) }] — pt in OBJ coords
+  let tallerUnion = null;
+  for (const group of [...wallGroups.values()].sort((a, b) => b.maxH - a.maxH)) {
+    let polygons = group.walls.length === solidWalls.length ? wallUnion : computeWallUnion(group.walls, walls);
+    if (tallerUnion && tallerUnion.length) {
+      // Snap to 0.01 cm: polygon-clipping chokes on near-coincident edges
+      const snapped = snapMultiPolygon(polygons);
+      try {
+        polygons = geoClipping.difference(snapped, tallerUnion);
+      } catch (e) {
+        console.warn('Wall height split failed, keeping overlapping group', e);
+      }
+      try {
+        tallerUnion = snapMultiPolygon(geoClipping.union(tallerUnion, snapped));
+      } catch (e) { /* keep previous taller union */ }
+    } else {
+      tallerUnion = snapMultiPolygon(polygons);
+    }
+    let topAt = () => group.hA;
+    if (group.sloped) {
+      const w = group.walls[0];
+      const sax = (w.a.x - centerX) * SCALE, say = (w.a.y - centerY) * SCALE;
+      const sdx = (w.b.x - w.a.x) * SCALE, sdy = (w.b.y - w.a.y) * SCALE;
+      const slen2 = sdx * sdx + sdy * sdy || 1;
+      topAt = (pt) => {
+        const t = Math.max(0, Math.min(1, ((pt.x - sax) * sdx + (pt.y - say) * sdy) / slen2));
+        return group.hA + (group.hB - group.hA) * t;
+      };
+    }
+    wallUnions.push({ polygons, topAt });
+  }
+
+  // Ear-clipping triangulation for concave 2D polygons
+  function earClipTriangulate(pts) {
+    // pts = array of {x, y} — must be in CCW order
+    // Returns array of [i, j, k] index triples
+    const n = pts.length;
+    if (n < 3) return [];
+    if (n === 3) return [[0, 1, 2]];
+
+    // Ensure CCW winding
+    let area = 0;
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      area += pts[i].x * pts[j].y - pts[j].x * pts[i].y;
+    }
+    const indices = [];
+    for (let i = 0; i < n; i++) indices.push(i);
+    if (area < 0) indices.reverse(); // was CW, flip to CCW
+
+    const tris = [];
+    let remaining = indices.slice();
+
+    function cross2d(o, a, b) {
+      return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    }
+
+    function pointInTriangle(px, py, ax, ay, bx, by, cx, cy) {
+      const d1 = (px - bx) * (ay - by) - (ax - bx) * (py - by);
+      const d2 = (px - cx) * (by - cy) - (bx - cx) * (py - cy);
+      const d3 = (px - ax) * (cy - ay) - (cx - ax) * (py - ay);
+      const hasNeg = (d1 < 0) || (d2 < 0) || (d3 < 0);
+      const hasPos = (d1 > 0) || (d2 > 0) || (d3 > 0);
+      return !(hasNeg && hasPos);
+    }
+
+    let safety = remaining.length * 3;
+    while (remaining.length > 3 && safety-- > 0) {
+      let earFound = false;
+      for (let i = 0; i < remaining.length; i++) {
+        const prev = remaining[(i - 1 + remaining.length) % remaining.length];
+        const curr = remaining[i];
+        const next = remaining[(i + 1) % remaining.length];
+        const p = pts[prev], c = pts[curr], nx2 = pts[next];
+
+        // Is this a convex vertex?
+        if (cross2d(p, c, nx2) <= 0) continue;
+
+        // Does any other vertex fall inside this triangle?
+        let inside = false;
+        for (let j = 0; j < remaining.length; j++) {
+          const vi = remaining[j];
+          if (vi === prev || vi === curr || vi === next) continue;
+          if (pointInTriangle(pts[vi].x, pts[vi].y, p.x, p.y, c.x, c.y, nx2.x, nx2.y)) {
+            inside = true;
+            break;
+          }
+        }
+        if (inside) continue;
+
+        tris.push([prev, curr, next]);
+        remaining.splice(i, 1);
+        earFound = true;
+        break;
+      }
+      if (!earFound) break; // degenerate polygon
+    }
+    if (remaining.length === 3) {
+      tris.push([remaining[0], remaining[1], remaining[2]]);
+    }
+    return tris;
+  }
+
+  // Merge hole polygons into outer ring via bridge edges
+  // so ear-clipping can triangulate a polygon-with-holes as one simple polygon.
+  // outerPts: [{x,y}...] CCW, holePtsList: [ [{x,y}...], ... ] each CW
+  function mergeHolesIntoPoly(outerPts, holePtsList) {
+    if (!holePtsList || holePtsList.length === 0) return outerPts;
+    // Sort holes by rightmost x (descending) — standard for bridge algorithm
+    const sorted = holePtsList.slice().sort((a, b) => {
+      let maxA = -Infinity, maxB = -Infinity;
+      for (const p of a) if (p.x > maxA) maxA = p.x;
+      for (const p of b) if (p.x > maxB) maxB = p.x;
+      return maxB - maxA;
+    });
+    let merged = outerPts.slice();
+    for (const hole of sorted) {
+      if (hole.length < 3) continue;
+      // Find rightmost vertex of hole
+      let hrIdx = 0;
+      for (let i = 1; i < hole.length; i++) {
+        if (hole[i].x > hole[hrIdx].x) hrIdx = i;
+      }
+      const M = hole[hrIdx];
+      // Cast ray from M in +x direction, find closest intersecting edge of merged
+      let closestDist = Infinity, closestEdgeIdx = -1, closestIntX = 0;
+      for (let i = 0; i < merged.length; i++) {
+        const j = (i + 1) % merged.length;
+        const y1 = merged[i].y, y2 = merged[j].y;
+        if ((y1 - M.y) * (y2 - M.y) > 0) continue; // both on same side
+        if (Math.abs(y1 - y2) < 1e-10) continue; // horizontal edge
+        const t = (M.y - y1) / (y2 - y1);
+        if (t < -1e-10 || t > 1 + 1e-10) continue;
+        const xi = merged[i].x + t * (merged[j].x - merged[i].x);
+        if (xi < M.x - 1e-10) continue; // to the left
+        const dist = xi - M.x;
+        if (dist < closestDist) {
+          closestDist = dist;
+          closestEdgeIdx = i;
+          closestIntX = xi;
+        }
+      }
+      // Determine bridge vertex on the outer polygon
+      let bridgeIdx;
+      if (closestEdgeIdx >= 0) {
+        const ei = closestEdgeIdx;
+        const ej = (ei + 1) % merged.length;
+        // If intersection is very close to a vertex, use that vertex
+        if (Math.abs(closestIntX - merged[ei].x) < 0.01 &&
+            Math.abs(M.y - merged[ei].y) < 0.01) {
+          bridgeIdx = ei;
+        } else if (Math.abs(closestIntX - merged[ej].x) < 0.01 &&
+                   Math.abs(M.y - merged[ej].y) < 0.01) {
+          bridgeIdx = ej;
+        } else {
+          // Use the vertex with larger x as the visible bridge candidate
+          bridgeIdx = merged[ei].x >= merged[ej].x ? ei : ej;
+        }
+      } else {
+        // Fallback: closest vertex by distance
+        let bestDist = Infinity;
+        bridgeIdx = 0;
+        for (let i = 0; i < merged.length; i++) {
+          const d = Math.hypot(merged[i].x - M.x, merged[i].y - M.y);
+          if (d < bestDist) { bestDist = d; bridgeIdx = i; }
+        }
+      }
+      // Build hole path starting from hrIdx (complete loop back to start)
+      const holeSeq = [];
+      for (let i = 0; i <= hole.length; i++) {
+        const src = hole[(hrIdx + i) % hole.length];
+        holeSeq.push({ x: src.x, y: src.y });
+      }
+      // Splice: merged[0..bridgeIdx] → holeSeq → bridge back → merged[bridgeIdx+1..end]
+      merged = [
+        ...merged.slice(0, bridgeIdx + 1),
+        ...holeSeq,
+        { x: merged[bridgeIdx].x, y: merged[bridgeIdx].y },
+        ...merged.slice(bridgeIdx + 1)
+      ];
+    }
+    return merged;
+  }
+
+  // Helper: extrude a 2D polygon ring to 3D wall geometry.
+  // topZ: height in metres, or a function of the OBJ-space point (sloped tops)
+  function extrudeWallPoly(ring, bottomZ, topZ) {
+    const topAt = typeof topZ === 'function' ? topZ : () => topZ;
+    if (ring.length < 3) return;
+    // ring = array of [x,y] in world coords; may or may not repeat first point
+    const pts = ring.slice();
+    // Remove closing duplicate if present
+    const first = pts[0], last = pts[pts.length - 1];
+    if (Math.hypot(first[0] - last[0], first[1] - last[1]) < 0.01) pts.pop();
+    if (pts.length < 3) return;
+
+    const n = pts.length;
+    // Convert to OBJ coords
+    const objPts = pts.map(p => ({
+      x: (p[0] - centerX) * SCALE,
+      y: (p[1] - centerY) * SCALE
+    }));
+
+    // Bottom + top vertices
+    const baseBot = vertexIndex;
+    for (const p of objPts) {
+      addVertex(p.x, bottomZ, p.y);
+      vertexIndex++;
+    }
+    const baseTop = vertexIndex;
+    for (const p of objPts) {
+      addVertex(p.x, topAt(p), p.y);
+      vertexIndex++;
+    }
+
+    // Triangulate the polygon (handles concave shapes correctly)
+    const tris = earClipTriangulate(objPts);
+    for (const [a, b, c] of tris) {
+      addTriFace(baseBot + a, baseBot + c, baseBot + b); // bottom face (flip winding)
+      addTriFace(baseTop + a, baseTop + b, baseTop + c); // top face
+    }
+
+    // Side faces
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      addFace(baseBot + i, baseBot + j, baseTop + j, baseTop + i);
+    }
+  }
+
+  beginGroup('walls');
+
+  // Render unioned solid walls
+  for (const { polygons, topAt } of wallUnions) {
+    for (const polygon of polygons) {
+      // polygon = [outerRing, ...holeRings]
+      const outerRing = polygon[0];
+      const holeRings = polygon.slice(1).filter(r => r.length >= 3);
+
+      if (holeRings.length > 0 && geoThree && geoThree.ShapeUtils) {
+        // Polygon WITH holes (e.g. closed perimeter like Vliering)
+        // Use THREE.ShapeUtils for proper triangulation with interior cutout
+        function cleanRing(ring) {
+          const pts = ring.slice();
+          if (pts.length > 1) {
+            const f = pts[0], l = pts[pts.length - 1];
+            if (Math.hypot(f[0] - l[0], f[1] - l[1]) < 0.01) pts.pop();
+          }
+          return pts;
+        }
+        const outerPts = cleanRing(outerRing);
+        if (outerPts.length < 3) continue;
+        const outerObj = outerPts.map(p => ({
+          x: (p[0] - centerX) * SCALE,
+          y: (p[1] - centerY) * SCALE
+        }));
+        const holeObjArr = [];
+        for (const hRing of holeRings) {
+          const hPts = cleanRing(hRing);
+          if (hPts.length >= 3) {
+            holeObjArr.push(hPts.map(p => ({
+              x: (p[0] - centerX) * SCALE,
+              y: (p[1] - centerY) * SCALE
+            })));
+          }
+        }
+
+        const contour = outerObj.map(p => new geoThree.Vector2(p.x, p.y));
+        const holes = holeObjArr.map(h => h.map(p => new geoThree.Vector2(p.x, p.y)));
+        const tris = geoThree.ShapeUtils.triangulateShape(contour, holes);
+
+        // Combined vertex array: outer + all hole vertices
+        const allPts = [...outerObj];
+        for (const hole of holeObjArr) allPts.push(...hole);
+
+        const baseBot = vertexIndex;
+        for (const pt of allPts) {
+          addVertex(pt.x, 0, pt.y);
+        }
+        vertexIndex += allPts.length;
+        const baseTop = vertexIndex;
+        for (const pt of allPts) {
+          addVertex(pt.x, topAt(pt), pt.y);
+        }
+        vertexIndex += allPts.length;
+        for (const [a, b, c] of tris) {
+          addTriFace(baseBot + a, baseBot + c, baseBot + b);
+          addTriFace(baseTop + a, baseTop + b, baseTop + c);
+        }
+
+        // Side faces — outer ring
+        const nO = outerObj.length;
+        const sbO = vertexIndex;
+        for (const pt of outerObj) addVertex(pt.x, 0, pt.y);
+        vertexIndex += nO;
+        const stO = vertexIndex;
+        for (const pt of outerObj) addVertex(pt.x, topAt(pt), pt.y);
+        vertexIndex += nO;
+        for (let i = 0; i < nO; i++) {
+          const j = (i + 1) % nO;
+          addFace(sbO + i, sbO + j, stO + j, stO + i);
+        }
+
+        // Side faces — each hole ring (inner wall surfaces)
+        for (const holePts of holeObjArr) {
+          const nH = holePts.length;
+          const sbH = vertexIndex;
+          for (const pt of holePts) addVertex(pt.x, 0, pt.y);
+          vertexIndex += nH;
+          const stH = vertexIndex;
+          for (const pt of holePts) addVertex(pt.x, topAt(pt), pt.y);
+          vertexIndex += nH;
+          for (let i = 0; i < nH; i++) {
+            const j = (i + 1) % nH;
+            addFace(sbH + j, sbH + i, stH + i, stH + j); // reversed winding
+          }
+        }
+      } else {
+        // Simple polygon (no holes) — extrude as before
+        extrudeWallPoly(outerRing, 0, topAt);
+      }
+    }
+  }
+
+  // Render walls WITH openings as individual boxes (with L-junction extension)
+  for (const wall of openingWalls) {
+    // Compute L-junction extension for opening walls.
+    // Key fix: at perpendicular junctions with SOLID walls, use NEGATIVE
+    // extension to trim the opening wall flush with the solid wall's inner
+    // face. This prevents overlapping geometry that breaks slicers.
+    const _wdx = wall.b.x - wall.a.x, _wdy = wall.b.y - wall.a.y;
+    const _wlen = Math.hypot(_wdx, _wdy);
+    const _wIsDiag = _wlen > 0.1 && Math.min(Math.abs(_wdx / _wlen), Math.abs(_wdy / _wlen)) > 0.15;
+    let owExtA = 0, owExtB = 0;
+    if (!_wIsDiag && _wlen > 0.1) {
+      const _ux = _wdx / _wlen, _uy = _wdy / _wlen;
+      // Track perpendicular solid walls separately
+      let perpSolidA = 0, perpSolidB = 0;
+      let hasPerpSolidA = false, hasPerpSolidB = false;
+
+      for (const other of walls) {
+        if (other === wall) continue;
+        const odx = other.b.x - other.a.x, ody = other.b.y - other.a.y;
+        const olen = Math.hypot(odx, ody);
+        if (olen < 0.1) continue;
+        if (Math.min(Math.abs(odx / olen), Math.abs(ody / olen)) > 0.15) continue; // skip diag
+        const otherHt = (other.thickness ?? 20) / 2;
+        const otherIsSolid = !(other.openings && other.openings.length > 0);
+        // Dot product: 0 = perpendicular, 1 = collinear
+        const dot = Math.abs(_ux * (odx / olen) + _uy * (ody / olen));
+        const isPerp = dot < 0.3;
+
+        // Endpoint A
+        if (Math.hypot(wall.a.x - other.a.x, wall.a.y - other.a.y) < 3 ||
+            Math.hypot(wall.a.x - other.b.x, wall.a.y - other.b.y) < 3) {
+          if (otherIsSolid && isPerp) {
+            hasPerpSolidA = true;
+            perpSolidA = Math.max(perpSolidA, otherHt);
+          } else {
+            owExtA = Math.max(owExtA, otherHt);
+          }
+        }
+        // Endpoint B
+        if (Math.hypot(wall.b.x - other.a.x, wall.b.y - other.a.y) < 3 ||
+            Math.hypot(wall.b.x - other.b.x, wall.b.y - other.b.y) < 3) {
+          if (otherIsSolid && isPerp) {
+            hasPerpSolidB = true;
+            perpSolidB = Math.max(perpSolidB, otherHt);
+          } else {
+            owExtB = Math.max(owExtB, otherHt);
+          }
+        }
+      }
+      // Perpendicular solid walls: trim to inner face (negative extension)
+      if (hasPerpSolidA) owExtA = -perpSolidA;
+      if (hasPerpSolidB) owExtB = -perpSolidB;
+    }
+    const ax = (wall.a.x - centerX) * SCALE - (_wlen > 0.1 ? (_wdx / _wlen) * owExtA * SCALE : 0);
+    const ay = (wall.a.y - centerY) * SCALE - (_wlen > 0.1 ? (_wdy / _wlen) * owExtA * SCALE : 0);
+    const bx = (wall.b.x - centerX) * SCALE + (_wlen > 0.1 ? (_wdx / _wlen) * owExtB * SCALE : 0);
+    const by = (wall.b.y - centerY) * SCALE + (_wlen > 0.1 ? (_wdy / _wlen) * owExtB * SCALE : 0);
+    const wdx = bx - ax, wdy = by - ay;
+    const wlen = Math.hypot(wdx, wdy);
+    if (wlen < 0.001) continue;
+    const wnx = -wdy / wlen, wny = wdx / wlen;
+    const halfThick = (wall.thickness ?? 20) / 2 * SCALE;
+    const wallWorldLen = Math.hypot(wall.b.x - wall.a.x, wall.b.y - wall.a.y);
+    const hWallA = wallTopA(wall), hWallB = wallTopB(wall);
+    const topAtT = (t) => hWallA + (hWallB - hWallA) * t;
+
+    const sortedOpenings = (wall.openings ?? []).map(op => {
+      const t = op.t ?? 0.5;
+      const halfW = (op.width ?? 90) / 2 / wallWorldLen;
+      const height = (op.height ?? (op.type === "door" ? 210 : 120)) * SCALE;
+      const elevation = (op.elevation ?? (op.type === "door" ? 0 : 90)) * SCALE;
+      return {
+        startT: Math.max(0, t - halfW),
+        endT: Math.min(1, t + halfW),
+        bottomZ: elevation,
+        topZ: elevation + height,
+        type: op.type ?? "door"
+      };
+    }).sort((a, b) => a.startT - b.startT);
+
+    let currentT = 0;
+    for (const op of sortedOpenings) {
+      if (op.startT > currentT) {
+        const sAx = ax + wdx * currentT, sAy = ay + wdy * currentT;
+        const sBx = ax + wdx * op.startT, sBy = ay + wdy * op.startT;
+        createWallBox(sAx, sAy, sBx, sBy, 0, topAtT(currentT), halfThick, wnx, wny, topAtT(op.startT));
+      }
+      // Openings can't reach above a low (sloped) wall
+      op.topZ = Math.min(op.topZ, topAtT(op.startT), topAtT(op.endT));
+      const oAx = ax + wdx * op.startT, oAy = ay + wdy * op.startT;
+      const oBx = ax + wdx * op.endT, oBy = ay + wdy * op.endT;
+      if (op.bottomZ > 0.01) {
+        createWallBox(oAx, oAy, oBx, oBy, 0, op.bottomZ, halfThick, wnx, wny);
+      }
+      if (op.topZ < Math.min(topAtT(op.startT), topAtT(op.endT)) - 0.01) {
+        createWallBox(oAx, oAy, oBx, oBy, op.topZ, topAtT(op.startT), halfThick, wnx, wny, topAtT(op.endT));
+      }
+      const frameSize = 0.05;
+      const frameThick = halfThick * 0.8;
+      createOpeningFrame(oAx, oAy, oBx, oBy, op.bottomZ, op.topZ, frameSize, frameThick, wnx, wny);
+      currentT = Math.max(currentT, op.endT);
+    }
+    if (currentT < 1) {
+      const sAx = ax + wdx * currentT, sAy = ay + wdy * currentT;
+      createWallBox(sAx, sAy, bx, by, 0, topAtT(currentT), halfThick, wnx, wny, hWallB);
+    }
+  }
+
+  beginGroup('floor');
+
+  const FLOOR_THICKNESS = 0.30;
+  const LABEL_RELIEF_DEPTH = 0.08; // engraving depth / embossing height
+
+  function extrudePolygon(poly) {
+    if (poly.length < 3) return;
+    const n = poly.length;
+
+    let cx = 0, cy = 0;
+    for (const pt of poly) { cx += pt.x; cy += pt.y; }
+    cx /= n; cy /= n;
+
+    const baseBot = vertexIndex;
+    for (const pt of poly) {
+      addVertex(pt.x, -FLOOR_THICKNESS, pt.y);
+      vertexIndex++;
+    }
+    addVertex(cx, -FLOOR_THICKNESS, cy);
+    const botCenter = vertexIndex;
+    vertexIndex++;
+
+    const baseTop = vertexIndex;
+    for (const pt of poly) {
+      addVertex(pt.x, 0, pt.y);
+      vertexIndex++;
+    }
+    addVertex(cx, 0, cy);
+    const topCenter = vertexIndex;
+    vertexIndex++;
+
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      addTriFace(botCenter, baseBot + j, baseBot + i);
+    }
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      addTriFace(topCenter, baseTop + i, baseTop + j);
+    }
+    for (let i = 0; i < n; i++) {
+      const j = (i + 1) % n;
+      addFace(baseBot + i, baseBot + j, baseTop + j, baseTop + i);
+    }
+  }
+
+  const floorVoids = floor.voids ?? [];
+
+
+  {
+    const floorSources = [];
+
+    for (const area of design.areas ?? []) {
+      const tessellated = tessellateSurfacePoly(area.poly ?? []);
+      if (tessellated.length >= 3) floorSources.push(tessellated);
+    }
+
+    for (const surface of design.surfaces ?? []) {
+      if (floorSurfaceSkipReason(surface, wallBBox)) continue;
+      const tessellated = tessellateSurfacePoly(surface.poly ?? []);
+      if (tessellated.length >= 3) floorSources.push(tessellated);
+    }
+
+    // Use the same unioned wall polygons for floor sources
+    for (const polygon of wallUnion) {
+      for (const ring of polygon) {
+        const pts = ring.slice();
+        // Remove closing duplicate if present
+        if (pts.length > 1) {
+          const f = pts[0], l = pts[pts.length - 1];
+          if (Math.hypot(f[0] - l[0], f[1] - l[1]) < 0.01) pts.pop();
+        }
+        if (pts.length >= 3) {
+          floorSources.push(pts.map(p => ({ x: p[0], y: p[1] })));
+        }
+      }
+    }
+    // Also add individual wall rects as floor sources — with small expansion
+    // to ensure overlap with adjacent area polygons (prevents gap at boundaries)
+    for (const w of walls) {
+      if ((w.thickness ?? 20) < 0.1) continue; // skip zero-thickness (handled separately below)
+      const r = wallToRect(w, 1, 1);
+      if (r) {
+        floorSources.push(r.slice(0, 4).map(p => ({ x: p[0], y: p[1] })));
+      }
+    }
+    // Add zero-thickness walls as thin floor strips (they separate areas but have no 3D geometry)
+    for (const w of walls) {
+      if ((w.thickness ?? 20) > 0.1) continue; // only zero-thickness walls
+      const zLen = Math.hypot(w.b.x - w.a.x, w.b.y - w.a.y);
+      if (zLen < 0.1) continue;
+      const zw = { a: w.a, b: w.b, thickness: 6 }; // give a small floor-only thickness
+      const zr = wallToRect(zw, 0, 0);
+      if (zr) {
+        const pts = zr.slice(0, 4).map(p => ({ x: p[0], y: p[1] }));
+        floorSources.push(pts);
+      }
+    }
+    // Also add opening walls (not in the union) — with L-junction extension
+    for (const w of openingWalls) {
+      const _dx = w.b.x - w.a.x, _dy = w.b.y - w.a.y;
+      const _len = Math.hypot(_dx, _dy);
+      const _isDiag = _len > 0.1 && Math.min(Math.abs(_dx / _len), Math.abs(_dy / _len)) > 0.15;
+      let _extA = 0, _extB = 0;
+      if (!_isDiag && _len > 0.1) {
+        for (const other of walls) {
+          if (other === w) continue;
+          const odx = other.b.x - other.a.x, ody = other.b.y - other.a.y;
+          const olen = Math.hypot(odx, ody);
+          if (olen < 0.1) continue;
+          if (Math.min(Math.abs(odx / olen), Math.abs(ody / olen)) > 0.15) continue;
+          const oHt = (other.thickness ?? 20) / 2;
+          if (Math.hypot(w.a.x - other.a.x, w.a.y - other.a.y) < 3 ||
+              Math.hypot(w.a.x - other.b.x, w.a.y - other.b.y) < 3) _extA = Math.max(_extA, oHt);
+          if (Math.hypot(w.b.x - other.a.x, w.b.y - other.a.y) < 3 ||
+              Math.hypot(w.b.x - other.b.x, w.b.y - other.b.y) < 3) _extB = Math.max(_extB, oHt);
+        }
+      }
+      const r = wallToRect(w, _extA, _extB);
+      if (r) {
+        const pts = r.slice(0, 4).map(p => ({ x: p[0], y: p[1] }));
+        floorSources.push(pts);
+      }
+    }
+
+    const balStripsOBJ = mergeBalustradeStrips(design.balustrades ?? []);
+    for (const strip of balStripsOBJ) {
+      if (strip.length >= 3) floorSources.push(strip);
+    }
+    const balFillsOBJ = buildBalustradeFillPolygons(design.balustrades ?? []);
+    for (const fill of balFillsOBJ) {
+      if (fill.length >= 3) floorSources.push(fill);
+    }
+
+    // --- Polygon-based floor: union all sources, subtract voids, extrude ---
+
+    // Expand each floor source slightly so adjacent polygons overlap,
+    // guaranteeing the union merges them into one continuous shape.
+    const FLOOR_EXPAND = 4;
+    for (let si = 0; si < floorSources.length; si++) {
+      const poly = floorSources[si];
+      if (poly.length < 3) continue;
+      const n = poly.length;
+      const expanded = [];
+      // Compute centroid once
+      let cx = 0, cy = 0;
+      for (const p of poly) { cx += p.x; cy += p.y; }
+      cx /= n; cy /= n;
+      for (let i = 0; i < n; i++) {
+        const prev = poly[(i - 1 + n) % n];
+        const curr = poly[i];
+        const next = poly[(i + 1) % n];
+        const e1dx = curr.x - prev.x, e1dy = curr.y - prev.y;
+        const e1len = Math.hypot(e1dx, e1dy) || 1;
+        const n1x = -e1dy / e1len, n1y = e1dx / e1len;
+        const e2dx = next.x - curr.x, e2dy = next.y - curr.y;
+        const e2len = Math.hypot(e2dx, e2dy) || 1;
+        const n2x = -e2dy / e2len, n2y = e2dx / e2len;
+        let nx = n1x + n2x, ny = n1y + n2y;
+        const nlen = Math.hypot(nx, ny);
+        if (nlen < 0.01) {
+          // Near-collinear or anti-parallel edges — fallback to first edge normal
+          nx = n1x; ny = n1y;
+        } else {
+          nx /= nlen; ny /= nlen;
+        }
+        const toCx = cx - curr.x, toCy = cy - curr.y;
+        if (nx * toCx + ny * toCy > 0) { nx = -nx; ny = -ny; }
+        expanded.push({ x: curr.x + nx * FLOOR_EXPAND, y: curr.y + ny * FLOOR_EXPAND });
+      }
+      floorSources[si] = expanded;
+    }
+
+    // Convert floorSources {x,y}[] to polygonClipping format [[[x,y],...]]
+    const floorPolys = [];
+    for (const src of floorSources) {
+      if (src.length < 3) continue;
+      const ring = src.map(p => [p.x, p.y]);
+      const f = ring[0], l = ring[ring.length - 1];
+      if (Math.hypot(f[0] - l[0], f[1] - l[1]) > 0.01) ring.push([f[0], f[1]]);
+      floorPolys.push([ring]);
+    }
+
+    // Union all floor sources into combined polygons
+    let floorResult = [];
+    if (floorPolys.length > 0) {
+      try {
+        floorResult = geoClipping.union(...floorPolys);
+      } catch (e) {
+        console.warn('Floor union failed, using individual polygons', e);
+        floorResult = floorPolys;
+      }
+    }
+
+
+    // Second union pass: expand result polygons slightly and re-union to close
+    // micro-gaps between adjacent polygons that the first union missed.
+    if (floorResult.length > 1) {
+      const GAP_CLOSE = 2; // cm — small enough to not affect shape visibly
+      const reExpandedPolys = [];
+      for (const poly of floorResult) {
+        const outerRing = poly[0];
+        if (!outerRing || outerRing.length < 4) { reExpandedPolys.push(poly); continue; }
+        // Expand outer ring outward by GAP_CLOSE
+        const pts = outerRing.map(p => ({ x: p[0], y: p[1] }));
+        // Remove closing duplicate for expansion
+        const last = pts[pts.length - 1], first = pts[0];
+        if (Math.hypot(last.x - first.x, last.y - first.y) < 0.01) pts.pop();
+        if (pts.length < 3) { reExpandedPolys.push(poly); continue; }
+        const n = pts.length;
+        let cx = 0, cy = 0;
+        for (const p of pts) { cx += p.x; cy += p.y; }
+        cx /= n; cy /= n;
+        const expanded = [];
+        for (let i = 0; i < n; i++) {
+          const prev = pts[(i - 1 + n) % n], curr = pts[i], next = pts[(i + 1) % n];
+          const e1dx = curr.x - prev.x, e1dy = curr.y - prev.y;
+          const e1len = Math.hypot(e1dx, e1dy) || 1;
+          const n1x = -e1dy / e1len, n1y = e1dx / e1len;
+          const e2dx = next.x - curr.x, e2dy = next.y - curr.y;
+          const e2len = Math.hypot(e2dx, e2dy) || 1;
+          const n2x = -e2dy / e2len, n2y = e2dx / e2len;
+          let nx = n1x + n2x, ny = n1y + n2y;
+          const nlen = Math.hypot(nx, ny);
+          if (nlen < 0.01) { nx = n1x; ny = n1y; }
+          else { nx /= nlen; ny /= nlen; }
+          const toCx = cx - curr.x, toCy = cy - curr.y;
+          if (nx * toCx + ny * toCy > 0) { nx = -nx; ny = -ny; }
+          expanded.push([curr.x + nx * GAP_CLOSE, curr.y + ny * GAP_CLOSE]);
+        }
+        expanded.push([expanded[0][0], expanded[0][1]]); // close ring
+        reExpandedPolys.push([expanded]);
+      }
+      try {
+        const reUnion = geoClipping.union(...reExpandedPolys);
+        if (reUnion.length > 0) floorResult = reUnion;
+      } catch (e) { /* keep original if re-union fails */ }
+    }
+
+    // Subtract voids (stair openings) — per-polygon to avoid SweepLine crash
+    for (const v of floorVoids) {
+      if (v.length < 3) continue;
+      const vRing = v.map(p => [p.x, p.y]);
+      const vf = vRing[0], vl = vRing[vRing.length - 1];
+      if (Math.hypot(vf[0] - vl[0], vf[1] - vl[1]) > 0.01) vRing.push([vf[0], vf[1]]);
+      const newFloorResult = [];
+      for (const poly of floorResult) {
+        try {
+          const diff = geoClipping.difference([poly], [[vRing]]);
+          for (const d of diff) newFloorResult.push(d);
+        } catch (e) {
+          newFloorResult.push(poly);
+        }
+      }
+      floorResult = newFloorResult;
+    }
+
+    // === Polish: grid-scan to detect and fill micro-holes in the floor ===
+    // Scans a 2D grid, flood-fills from edges to find "outside", then any
+    // uncovered interior cell is a hole. Small hole clusters get filled.
+    (function polishFloorHoles() {
+      if (floorResult.length === 0) return;
+      var CELL = 2; // cm grid resolution — fine enough to catch thin slits
+      var MAX_HOLE_AREA = 1500; // cm² — safe: real voids already subtracted, this catches all artifacts
+      // Compute floor bbox with 1-cell margin for flood fill
+      var fb = { x0: Infinity, y0: Infinity, x1: -Infinity, y1: -Infinity };
+      for (var p = 0; p < floorResult.length; p++) {
+        var ring = floorResult[p][0];
+        for (var k = 0; k < ring.length; k++) {
+          if (ring[k][0] < fb.x0) fb.x0 = ring[k][0];
+          if (ring[k][1] < fb.y0) fb.y0 = ring[k][1];
+          if (ring[k][0] > fb.x1) fb.x1 = ring[k][0];
+          if (ring[k][1] > fb.y1) fb.y1 = ring[k][1];
+        }
+      }
+      fb.x0 -= CELL; fb.y0 -= CELL; fb.x1 += CELL; fb.y1 += CELL;
+      var cols = Math.ceil((fb.x1 - fb.x0) / CELL);
+      var rows = Math.ceil((fb.y1 - fb.y0) / CELL);
+      if (cols * rows > 500000) return; // safety: skip if grid too large
+
+      // Point-in-ring test for [x,y] ring format
+      function pipRing(px, py, ring) {
+        var inside = false;
+        for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+          if ((yi > py) !== (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi)
+            inside = !inside;
+        }
+        return inside;
+      }
+
+      // Build coverage grid: 1 = floor, 0 = uncovered
+      var grid = new Uint8Array(rows * cols);
+      for (var r = 0; r < rows; r++) {
+        var py = fb.y0 + (r + 0.5) * CELL;
+        for (var c = 0; c < cols; c++) {
+          var px = fb.x0 + (c + 0.5) * CELL;
+          for (var p = 0; p < floorResult.length; p++) {
+            if (pipRing(px, py, floorResult[p][0])) {
+              var inHole = false;
+              for (var h = 1; h < floorResult[p].length; h++) {
+                if (pipRing(px, py, floorResult[p][h])) { inHole = true; break; }
+              }
+              if (!inHole) { grid[r * cols + c] = 1; break; }
+            }
+          }
+        }
+      }
+
+      // Flood-fill from all edge cells to mark "outside" (value 2)
+      var queue = [];
+      for (var r = 0; r < rows; r++) {
+        if (!grid[r * cols]) { grid[r * cols] = 2; queue.push(r * cols); }
+        if (!grid[r * cols + cols - 1]) { grid[r * cols + cols - 1] = 2; queue.push(r * cols + cols - 1); }
+      }
+      for (var c = 0; c < cols; c++) {
+        if (!grid[c]) { grid[c] = 2; queue.push(c); }
+        if (!grid[(rows - 1) * cols + c]) { grid[(rows - 1) * cols + c] = 2; queue.push((rows - 1) * cols + c); }
+      }
+      while (queue.length > 0) {
+        var idx = queue.pop();
+        var gr = (idx / cols) | 0, gc = idx % cols;
+        if (gr > 0     && !grid[(gr - 1) * cols + gc]) { grid[(gr - 1) * cols + gc] = 2; queue.push((gr - 1) * cols + gc); }
+        if (gr < rows-1 && !grid[(gr + 1) * cols + gc]) { grid[(gr + 1) * cols + gc] = 2; queue.push((gr + 1) * cols + gc); }
+        if (gc > 0     && !grid[gr * cols + gc - 1])    { grid[gr * cols + gc - 1] = 2;    queue.push(gr * cols + gc - 1); }
+        if (gc < cols-1 && !grid[gr * cols + gc + 1])    { grid[gr * cols + gc + 1] = 2;    queue.push(gr * cols + gc + 1); }
+      }
+
+      // Remaining 0-cells are interior holes. Cluster them via flood-fill.
+      var visited = new Uint8Array(rows * cols);
+      var patches = [];
+      for (var r = 0; r < rows; r++) {
+        for (var c = 0; c < cols; c++) {
+          if (grid[r * cols + c] !== 0 || visited[r * cols + c]) continue;
+          // BFS to collect cluster
+          var cluster = [];
+          var q = [r * cols + c];
+          visited[r * cols + c] = 1;
+          while (q.length > 0) {
+            var ci = q.pop();
+            cluster.push(ci);
+            var cr = (ci / cols) | 0, cc = ci % cols;
+            var nbrs = [];
+            if (cr > 0)      nbrs.push((cr-1)*cols+cc);
+            if (cr < rows-1) nbrs.push((cr+1)*cols+cc);
+            if (cc > 0)      nbrs.push(cr*cols+cc-1);
+            if (cc < cols-1) nbrs.push(cr*cols+cc+1);
+            for (var ni = 0; ni < nbrs.length; ni++) {
+              if (grid[nbrs[ni]] === 0 && !visited[nbrs[ni]]) {
+                visited[nbrs[ni]] = 1;
+                q.push(nbrs[ni]);
+              }
+            }
+          }
+          var clusterArea = cluster.length * CELL * CELL;
+          if (clusterArea < MAX_HOLE_AREA) {
+            // Generate fill patches for each cell in cluster
+            for (var ci = 0; ci < cluster.length; ci++) {
+              var cr = (cluster[ci] / cols) | 0, cc = cluster[ci] % cols;
+              var x = fb.x0 + cc * CELL, y = fb.y0 + cr * CELL;
+              patches.push([[
+                [x, y], [x + CELL, y], [x + CELL, y + CELL], [x, y + CELL], [x, y]
+              ]]);
+            }
+          }
+        }
+      }
+
+      // Merge patches into floorResult
+      if (patches.length > 0) {
+        try {
+          floorResult = geoClipping.union(...floorResult, ...patches);
+        } catch (e) {
+          // Fallback: just append patches
+          for (var i = 0; i < patches.length; i++) floorResult.push(patches[i]);
+        }
+      }
+    })();
+
+    // === Bridge slabs: fill floor-thickness material under walls/balustrades floating over voids ===
+    // Without these, walls crossing stairwell openings float in mid-air (breaks 3D printing).
+    const bridgePolys = [];
+    for (const v of floorVoids) {
+      if (v.length < 3) continue;
+      const vRing = v.map(p => [p.x, p.y]);
+      const vf2 = vRing[0], vl2 = vRing[vRing.length - 1];
+      if (Math.hypot(vf2[0] - vl2[0], vf2[1] - vl2[1]) > 0.01) vRing.push([vf2[0], vf2[1]]);
+
+      // Intersect solid wall union footprints with this void
+      for (const wPoly of wallUnion) {
+        try {
+          const inter = geoClipping.intersection([wPoly], [[vRing]]);
+          for (const p of inter) bridgePolys.push(p);
+        } catch (e) { /* skip on error */ }
+      }
+
+      // Intersect opening wall footprints with this void
+      for (const ow of openingWalls) {
+        const owr = wallToRect(ow, 0, 0);
+        if (!owr || owr.length < 4) continue;
+        const owRing = owr.slice(0, 4).map(p => [p[0], p[1]]);
+        owRing.push([owRing[0][0], owRing[0][1]]);
+        try {
+          const inter = geoClipping.intersection([[owRing]], [[vRing]]);
+          for (const p of inter) bridgePolys.push(p);
+        } catch (e) { /* skip */ }
+      }
+
+      // Intersect balustrade strip/fill footprints with this void
+      const allBalPolys = [...balStripsOBJ, ...balFillsOBJ];
+      for (const bStrip of allBalPolys) {
+        if (bStrip.length < 3) continue;
+        const bRing = bStrip.map(p => [p.x, p.y]);
+        const bf = bRing[0], bl = bRing[bRing.length - 1];
+        if (Math.hypot(bf[0] - bl[0], bf[1] - bl[1]) > 0.01) bRing.push([bf[0], bf[1]]);
+        try {
+          const inter = geoClipping.intersection([[bRing]], [[vRing]]);
+          for (const p of inter) bridgePolys.push(p);
+        } catch (e) { /* skip */ }
+      }
+    }
+    // Add bridge slabs to floor result — they'll be extruded with the same floor thickness
+    for (const bp of bridgePolys) floorResult.push(bp);
+
+    // Extrude floor polygons (with holes) between two heights, in OBJ units
+    function extrudeFloorPolygons(polys, bottom, top) {
+      const botY = bottom;
+      const topY = top;
+
+      for (const polygon of polys) {
+        // Collect outer ring
+        const ring0 = polygon[0].slice();
+        if (ring0.length > 1) {
+          const ff = ring0[0], ll = ring0[ring0.length - 1];
+          if (Math.hypot(ff[0] - ll[0], ff[1] - ll[1]) < 0.01) ring0.pop();
+        }
+        if (ring0.length < 3) continue;
+
+        const outerObjPts = ring0.map(p => ({
+          x: (p[0] - centerX) * SCALE,
+          y: (p[1] - centerY) * SCALE
+        }));
+
+        // Collect hole rings
+        const holeObjPtsArr = [];
+        for (let hi = 1; hi < polygon.length; hi++) {
+          const hRing = polygon[hi].slice();
+          if (hRing.length > 1) {
+            const hf = hRing[0], hl = hRing[hRing.length - 1];
+            if (Math.hypot(hf[0] - hl[0], hf[1] - hl[1]) < 0.01) hRing.pop();
+          }
+          if (hRing.length >= 3) {
+            holeObjPtsArr.push(hRing.map(p => ({
+              x: (p[0] - centerX) * SCALE,
+              y: (p[1] - centerY) * SCALE
+            })));
+          }
+        }
+
+        if (holeObjPtsArr.length > 0 && geoThree && geoThree.ShapeUtils) {
+          // Polygon WITH holes — use Three.js ShapeUtils for robust triangulation
+          const contour = outerObjPts.map(p => new geoThree.Vector2(p.x, p.y));
+          const holes = holeObjPtsArr.map(h => h.map(p => new geoThree.Vector2(p.x, p.y)));
+          const tris = geoThree.ShapeUtils.triangulateShape(contour, holes);
+
+          // Combined vertex array: outer + all hole vertices
+          const allPts = [...outerObjPts];
+          for (const hole of holeObjPtsArr) allPts.push(...hole);
+
+          const baseBot = vertexIndex;
+          for (const pt of allPts) {
+            addVertex(pt.x, botY, pt.y);
+          }
+          vertexIndex += allPts.length;
+          const baseTop = vertexIndex;
+          for (const pt of allPts) {
+            addVertex(pt.x, topY, pt.y);
+          }
+          vertexIndex += allPts.length;
+          for (const [a, b, c] of tris) {
+            addTriFace(baseBot + a, baseBot + c, baseBot + b);
+            addTriFace(baseTop + a, baseTop + b, baseTop + c);
+          }
+
+          // Side faces — outer ring
+          const nOuter = outerObjPts.length;
+          const sideBaseBotO = vertexIndex;
+          for (const pt of outerObjPts) addVertex(pt.x, botY, pt.y);
+          vertexIndex += nOuter;
+          const sideBaseTopO = vertexIndex;
+          for (const pt of outerObjPts) addVertex(pt.x, topY, pt.y);
+          vertexIndex += nOuter;
+          for (let i = 0; i < nOuter; i++) {
+            const j = (i + 1) % nOuter;
+            addFace(sideBaseBotO + i, sideBaseBotO + j, sideBaseTopO + j, sideBaseTopO + i);
+          }
+
+          // Side faces — each hole ring (inner walls of void)
+          for (const holePts of holeObjPtsArr) {
+            const nH = holePts.length;
+            const sideBaseBotH = vertexIndex;
+            for (const pt of holePts) addVertex(pt.x, botY, pt.y);
+            vertexIndex += nH;
+            const sideBaseTopH = vertexIndex;
+            for (const pt of holePts) addVertex(pt.x, topY, pt.y);
+            vertexIndex += nH;
+            for (let i = 0; i < nH; i++) {
+              const j = (i + 1) % nH;
+              // Hole rings run clockwise, so the same order already faces into the void
+              addFace(sideBaseBotH + i, sideBaseBotH + j, sideBaseTopH + j, sideBaseTopH + i);
+            }
+          }
+        } else {
+          // Simple polygon without holes
+          // Prefer THREE.ShapeUtils (robust) over ear-clip for complex concave polygons
+          var tris;
+          if (geoThree && geoThree.ShapeUtils) {
+            var contour = outerObjPts.map(function(p) { return new geoThree.Vector2(p.x, p.y); });
+            tris = geoThree.ShapeUtils.triangulateShape(contour, []);
+          } else {
+            tris = earClipTriangulate(outerObjPts);
+          }
+          const baseBot = vertexIndex;
+          for (const pt of outerObjPts) {
+            addVertex(pt.x, botY, pt.y);
+          }
+          vertexIndex += outerObjPts.length;
+          const baseTop = vertexIndex;
+          for (const pt of outerObjPts) {
+            addVertex(pt.x, topY, pt.y);
+          }
+          vertexIndex += outerObjPts.length;
+          for (const [a, b, c] of tris) {
+            addTriFace(baseBot + a, baseBot + c, baseBot + b);
+            addTriFace(baseTop + a, baseTop + b, baseTop + c);
+          }
+
+          // Side faces
+          const nPts = outerObjPts.length;
+          const sideBaseBot = vertexIndex;
+          for (const pt of outerObjPts) addVertex(pt.x, botY, pt.y);
+          vertexIndex += nPts;
+          const sideBaseTop = vertexIndex;
+          for (const pt of outerObjPts) addVertex(pt.x, topY, pt.y);
+          vertexIndex += nPts;
+          for (let i = 0; i < nPts; i++) {
+            const j = (i + 1) % nPts;
+            addFace(sideBaseBot + i, sideBaseBot + j, sideBaseTop + j, sideBaseTop + i);
+          }
+        }
+      }
+    }
+
+    // Room names: engraved into (or embossed onto) the top of the slab.
+    // Only labels that lie entirely on the floor — clipped letters are unreadable.
+    const relief = geometryOptions.roomLabelRelief;
+    let labelPolys = [];
+    if (relief) {
+      const snappedFloor = snapMultiPolygon(floorResult);
+      for (const text of getRoomLabelPolygons(design)) {
+        try {
+          const snappedText = snapMultiPolygon(text);
+          if (geoClipping.difference(snappedText, snappedFloor).length === 0) {
+            labelPolys.push(...dropCollinearPoints(snappedText));
+          }
+        } catch (e) {
+          console.warn('Room label clipping failed:', e.message);
+        }
+      }
+    }
+
+    if (relief === 'engrave' && labelPolys.length) {
+      // Solid slab up to the engraving depth, letters cut out of the layer above it
+      let cutFloor = null;
+      try {
+        cutFloor = dropCollinearPoints(geoClipping.difference(snapMultiPolygon(floorResult), labelPolys));
+      } catch (e) {
+        console.warn('Room label engraving failed:', e.message);
+      }
+      if (cutFloor) {
+        extrudeFloorPolygons(floorResult, -FLOOR_THICKNESS, -LABEL_RELIEF_DEPTH);
+        extrudeFloorPolygons(cutFloor, -LABEL_RELIEF_DEPTH, 0);
+      } else {
+        extrudeFloorPolygons(floorResult, -FLOOR_THICKNESS, 0);
+      }
+    } else {
+      extrudeFloorPolygons(floorResult, -FLOOR_THICKNESS, 0);
+    }
+
+    if (relief === 'emboss' && labelPolys.length) {
+      beginGroup('room_labels');
+      extrudeFloorPolygons(labelPolys, 0, LABEL_RELIEF_DEPTH);
+    }
+  }
+
+  beginGroup('walls_balustrades');
+
+  const extBalsOBJ = extendBalustrades(design.balustrades ?? []);
+  for (const bal of extBalsOBJ) {
+    const bax = (bal.a.x - centerX) * SCALE;
+    const bay = (bal.a.y - centerY) * SCALE;
+    const bbx = (bal.b.x - centerX) * SCALE;
+    const bby = (bal.b.y - centerY) * SCALE;
+    const bthickness = (bal.thickness ?? 10) * SCALE;
+    const bheight = (bal.height ?? 100) * SCALE;
+    const bdx = bbx - bax, bdy = bby - bay;
+    const blen = Math.hypot(bdx, bdy);
+    if (blen < 0.001) continue;
+    const bnx = -bdy / blen;
+    const bny = bdx / blen;
+    const bhalfThick = bthickness / 2;
+
+    createWallBox(bax, bay, bbx, bby, 0, bheight, bhalfThick, bnx, bny);
+  }
+
+  // ── Furniture ("inrichting"), opt-in per floor via floor.furniture ──
+  if (floor.furniture) {
+    beginGroup('furniture');
+    for (const fp of getFurnitureFootprints(design, getFloorWallHeight(floor))) {
+      const ux = Math.cos(fp.angle), uy = Math.sin(fp.angle);
+      const fax = (fp.cx - ux * fp.w / 2 - centerX) * SCALE;
+      const fay = (fp.cy - uy * fp.w / 2 - centerY) * SCALE;
+      const fbx = (fp.cx + ux * fp.w / 2 - centerX) * SCALE;
+      const fby = (fp.cy + uy * fp.w / 2 - centerY) * SCALE;
+      createWallBox(fax, fay, fbx, fby, 0, fp.top * SCALE, fp.d / 2 * SCALE, -uy, ux);
+    }
+  }
+
+  for (let i = 0; i < groups.length; i++) {
+    groups[i].count = (i + 1 < groups.length ? groups[i + 1].start : indices.length) - groups[i].start;
+  }
+  return {
+    positions: new Float32Array(positions),
+    indices: new Uint32Array(indices),
+    groups: groups.filter(g => g.count > 0)
+  };
+}
+
+// OBJ text of a floor (metres, Y up) — for downloads and the headless batch
+function generateFloorOBJ(floor) {
+  return meshToOBJ(weldMesh(generateFloorMesh(floor)), floor.name);
+}
+
+
+function sanitizeFilename(name) {
+  return name.replace(/[^a-zA-Z0-9\-_ ]/g, '').replace(/\s+/g, '_').toLowerCase() || 'verdieping';
+}
+
+// ============================================================
+// STL / 3MF EXPORT — same floor mesh as the OBJ, Z-up in millimetres
+// ============================================================
+const MM_PER_UNIT = 1000; // floor meshes are in metres
+
+// Parse an OBJ (e.g. an older download) into a floor mesh. Polygons are
+// fan-split; faces before the first `g` line count as walls.
+function parseOBJMesh(objString) {
+  const positions = [];
+  const indices = [];
+  const groups = [];
+  for (const line of objString.split('\n')) {
+    if (line.startsWith('v ')) {
+      const p = line.split(/\s+/);
+      positions.push(parseFloat(p[1]), parseFloat(p[2]), parseFloat(p[3]));
+    } else if (line.startsWith('g ')) {
+      groups.push({ name: line.slice(2).trim(), start: indices.length, count: 0 });
+    } else if (line.startsWith('f ')) {
+      if (!groups.length) groups.push({ name: 'walls', start: 0, count: 0 });
+      const idx = line.split(/\s+/).slice(1).map(s => parseInt(s, 10) - 1);
+      for (let i = 1; i < idx.length - 1; i++) indices.push(idx[0], idx[i], idx[i + 1]);
+    }
+  }
+  for (let i = 0; i < groups.length; i++) {
+    groups[i].count = (i + 1 < groups.length ? groups[i + 1].start : indices.length) - groups[i].start;
+  }
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices), groups: groups.filter(g => g.count > 0) };
+}
+
+// Group name per triangle (groups are index ranges, see generateFloorMesh)
+function meshTriangleGroups(mesh) {
+  const names = new Array(mesh.indices.length / 3).fill('walls');
+  for (const g of mesh.groups) {
+    for (let t = g.start / 3; t < (g.start + g.count) / 3; t++) names[t] = g.name;
+  }
+  return names;
+}
+
+// Vertex i of a floor mesh → print space (x, -z, y-up) in mm. A rotation, so winding is kept.
+// mmPerUnit defaults to metres; composed meshes are already in mm (1).
+function toPrintSpace(positions, i, mmPerUnit) {
+  const k = mmPerUnit ?? MM_PER_UNIT;
+  return [positions[i * 3] * k, -positions[i * 3 + 2] * k, positions[i * 3 + 1] * k];
+}
+
+function meshToBinarySTL(mesh, name, mmPerUnit) {
+  const idx = mesh.indices;
+  const triCount = idx.length / 3;
+  const buffer = new ArrayBuffer(84 + triCount * 50);
+  const view = new DataView(buffer);
+  const header = ('Mattori ' + (name || '')).slice(0, 80);
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i) & 0x7f);
+  view.setUint32(80, triCount, true);
+
+  let off = 84;
+  for (let t = 0; t < idx.length; t += 3) {
+    const a = toPrintSpace(mesh.positions, idx[t], mmPerUnit);
+    const b = toPrintSpace(mesh.positions, idx[t + 1], mmPerUnit);
+    const c = toPrintSpace(mesh.positions, idx[t + 2], mmPerUnit);
+    const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+    const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+    let nx = uy * vz - uz * vy, ny = uz * vx - ux * vz, nz = ux * vy - uy * vx;
+    const nl = Math.hypot(nx, ny, nz) || 1;
+    view.setFloat32(off, nx / nl, true);
+    view.setFloat32(off + 4, ny / nl, true);
+    view.setFloat32(off + 8, nz / nl, true);
+    off += 12;
+    for (const p of [a, b, c]) {
+      view.setFloat32(off, p[0], true);
+      view.setFloat32(off + 4, p[1], true);
+      view.setFloat32(off + 8, p[2], true);
+      off += 12;
+    }
+    off += 2; // attribute byte count
+  }
+  return buffer;
+}
+
+function xmlEscape(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function hexColor(num) {
+  return '#' + ('000000' + num.toString(16)).slice(-6).toUpperCase() + 'FF';
+}
+
+// colors: { wall, floor } as 0xRRGGBB (an entry of colorOptions)
+function meshTo3MFModel(mesh, name, colors, mmPerUnit) {
+  const xml = [];
+  xml.push('<?xml version="1.0" encoding="UTF-8"?>');
+  xml.push('<model unit="millimeter" xml:lang="nl-NL" xmlns="http://schemas.microsoft.com/3dmanufacturing/core/2015/02">');
+  xml.push(` <metadata name="Title">${xmlEscape(name)}</metadata>`);
+  xml.push(' <metadata name="Application">Mattori configurator</metadata>');
+  xml.push(' <resources>');
+  xml.push('  <basematerials id="1">');
+  xml.push(`   <base name="Wanden" displaycolor="${hexColor(colors.wall)}" />`);
+  xml.push(`   <base name="Vloer" displaycolor="${hexColor(colors.floor)}" />`);
+  xml.push('  </basematerials>');
+  xml.push(`  <object id="2" type="model" name="${xmlEscape(name)}" pid="1" pindex="0">`);
+  xml.push('   <mesh>');
+  xml.push('    <vertices>');
+  for (let i = 0; i < mesh.positions.length / 3; i++) {
+    const p = toPrintSpace(mesh.positions, i, mmPerUnit);
+    xml.push(`     <vertex x="${p[0].toFixed(3)}" y="${p[1].toFixed(3)}" z="${p[2].toFixed(3)}" />`);
+  }
+  xml.push('    </vertices>');
+  xml.push('    <triangles>');
+  const triGroups = meshTriangleGroups(mesh);
+  const idx = mesh.indices;
+  for (let t = 0; t < idx.length; t += 3) {
+    const pindex = triGroups[t / 3] === 'floor' ? 1 : 0;
+    xml.push(`     <triangle v1="${idx[t]}" v2="${idx[t + 1]}" v3="${idx[t + 2]}" pid="1" p1="${pindex}" />`);
+  }
+  xml.push('    </triangles>');
+  xml.push('   </mesh>');
+  xml.push('  </object>');
+  xml.push(' </resources>');
+  xml.push(' <build>');
+  xml.push('  <item objectid="2" />');
+  xml.push(' </build>');
+  xml.push('</model>');
+  return xml.join('\n');
+}
+
+// Packs a 3MF (OPC zip). Resolves to a Uint8Array.
+function build3MF(mesh, name, colors, mmPerUnit) {
+  if (!geoJSZip) return Promise.reject(new Error('JSZip is not available'));
+  const zip = new geoJSZip();
+  zip.file('[Content_Types].xml',
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml" />' +
+    '<Default Extension="model" ContentType="application/vnd.ms-package.3dmanufacturing-3dmodel+xml" />' +
+    '</Types>');
+  zip.file('_rels/.rels',
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Target="/3D/3dmodel.model" Id="rel0" Type="http://schemas.microsoft.com/3dmanufacturing/2013/01/3dmodel" />' +
+    '</Relationships>');
+  zip.file('3D/3dmodel.model', meshTo3MFModel(mesh, name, colors, mmPerUnit));
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' });
+}
+
+// One print file for a floor entry. format: 'obj' | 'stl' | '3mf'.
+// Resolves to { ext, mime, data } where data is a string, ArrayBuffer or Uint8Array.
+async function buildFloorModelFile(floor, format, colors) {
+  return buildModelFile(generateFloorMesh(floor), floor.name, format, colors);
+}
+
+async function buildModelFile(mesh, name, format, colors, mmPerUnit) {
+  // Print files share vertices between faces: weld at 0.1 mm, whatever the mesh unit
+  mesh = weldMesh(mesh, WELD_EPS * MM_PER_UNIT / (mmPerUnit ?? MM_PER_UNIT));
+  if (format === 'stl') {
+    return { ext: 'stl', mime: 'model/stl', data: meshToBinarySTL(mesh, name, mmPerUnit) };
+  }
+  if (format === '3mf') {
+    const data = await build3MF(mesh, name, colors, mmPerUnit);
+    return { ext: '3mf', mime: 'model/3mf', data: data };
+  }
+  return { ext: 'obj', mime: 'text/plain', data: meshToOBJ(mesh, name, mmPerUnit) };
+}
+
+function meshToOBJ(mesh, name, mmPerUnit) {
+  const unit = (mmPerUnit ?? MM_PER_UNIT) === 1 ? 'millimeter' : 'meter';
+  const lines = [`# ${name}`, "# Generated by FML Plattegrond Viewer", `# Scale: 1 unit = 1 ${unit}`, ""];
+  const pos = mesh.positions;
+  for (let i = 0; i < pos.length; i += 3) {
+    lines.push(`v ${pos[i].toFixed(4)} ${pos[i + 1].toFixed(4)} ${pos[i + 2].toFixed(4)}`);
+  }
+  lines.push("");
+  const idx = mesh.indices;
+  for (const g of mesh.groups) {
+    lines.push(`g ${g.name}`);
+    for (let t = g.start; t < g.start + g.count; t += 3) {
+      lines.push(`f ${idx[t] + 1} ${idx[t + 1] + 1} ${idx[t + 2] + 1}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+// ============================================================
+// FRAME COMPOSITION — all floors placed as in the step 4 layout
+// ============================================================
+// parts: [{ mesh, rotation, alignX, alignY, box: { x, y, w, h } }], box in mm
+// inside the frame zone (x right, y down = OBJ +z). Each floor is rotated like
+// the preview (scene.rotateY), fitted uniformly into its box and pushed to the
+// aligned edges, exactly as renderStaticThumbnailSized frames it.
+// Returns one floor mesh in mm (OBJ axes), every floor standing on y = 0.
+function composeFloorMeshes(parts) {
+  const positions = [];
+  const indices = [];
+  const groups = [];
+  for (const part of parts) {
+    const rad = (part.rotation || 0) * Math.PI / 180;
+    const cos = Math.cos(rad), sin = Math.sin(rad);
+    const src = part.mesh.positions;
+    const rotated = [];
+    for (let i = 0; i < src.length; i += 3) {
+      rotated.push([src[i] * cos + src[i + 2] * sin, src[i + 1], -src[i] * sin + src[i + 2] * cos]);
+    }
+    if (!rotated.length) continue;
+
+    let minX = Infinity, minY = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+    for (const v of rotated) {
+      if (v[0] < minX) minX = v[0];
+      if (v[0] > maxX) maxX = v[0];
+      if (v[1] < minY) minY = v[1];
+      if (v[2] < minZ) minZ = v[2];
+      if (v[2] > maxZ) maxZ = v[2];
+    }
+    const box = part.box;
+    const s = Math.min(box.w / Math.max(maxX - minX, 1e-6), box.h / Math.max(maxZ - minZ, 1e-6));
+
+    let ox = box.x + box.w / 2 - (minX + maxX) / 2 * s;
+    if (part.alignX === 'left') ox = box.x - minX * s;
+    else if (part.alignX === 'right') ox = box.x + box.w - maxX * s;
+    let oz = box.y + box.h / 2 - (minZ + maxZ) / 2 * s;
+    if (part.alignY === 'top') oz = box.y - minZ * s;
+    else if (part.alignY === 'bottom') oz = box.y + box.h - maxZ * s;
+
+    const base = positions.length / 3;
+    const indexBase = indices.length;
+    for (const v of rotated) positions.push(v[0] * s + ox, (v[1] - minY) * s, v[2] * s + oz);
+    for (const i of part.mesh.indices) indices.push(i + base);
+    for (const g of part.mesh.groups) groups.push({ name: g.name, start: g.start + indexBase, count: g.count });
+  }
+  return { positions: new Float32Array(positions), indices: new Uint32Array(indices), groups: groups };
+}
+
+// ============================================================
+// MESH VALIDATION — manifold / winding / degenerate / intersecting
+// ============================================================
+const WELD_EPS = 1e-4;          // 0.1 mm at metre scale: vertices closer than this are one
+const MAX_ISSUE_EXAMPLES = 5;   // positions kept per issue type in the report
+
+// Generated meshes emit separate vertices per box/extrusion, so topology is
+// only meaningful after welding coincident positions. Welded vertices sit on
+// the eps grid, which also undoes the Float32 noise of the mesh positions.
+function weldVertices(positions, eps) {
+  const count = positions.length / 3;
+  const perUnit = Math.round(1 / eps);
+  const map = new Map();
+  const remap = new Array(count);
+  const welded = [];
+  for (let i = 0; i < count; i++) {
+    const g = [Math.round(positions[i * 3] / eps), Math.round(positions[i * 3 + 1] / eps), Math.round(positions[i * 3 + 2] / eps)];
+    const v = [g[0] / perUnit, g[1] / perUnit, g[2] / perUnit];
+    const key = g[0] + ',' + g[1] + ',' + g[2];
+    let id = map.get(key);
+    if (id === undefined) { id = welded.length; welded.push(v); map.set(key, id); }
+    remap[i] = id;
+  }
+  return { vertices: welded, remap };
+}
+
+// The mesh as written to print files: welded vertices, and the triangles that
+// collapse to a line or a point on the weld grid dropped. Groups keep their order.
+function weldMesh(mesh, eps) {
+  const { vertices, remap } = weldVertices(mesh.positions, eps ?? WELD_EPS);
+  const positions = new Float32Array(vertices.length * 3);
+  vertices.forEach((v, i) => positions.set(v, i * 3));
+  const src = mesh.indices;
+  const indices = [];
+  const groups = [];
+  for (const g of mesh.groups) {
+    const start = indices.length;
+    for (let t = g.start; t < g.start + g.count; t += 3) {
+      const a = remap[src[t]], b = remap[src[t + 1]], c = remap[src[t + 2]];
+      if (a === b || b === c || a === c) continue;
+      indices.push(a, b, c);
+    }
+    if (indices.length > start) groups.push({ name: g.name, start: start, count: indices.length - start });
+  }
+  return { positions: positions, indices: new Uint32Array(indices), groups: groups };
+}
+
+function triNormalArea(a, b, c) {
+  const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+  const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+  const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+  return { n, area: Math.hypot(n[0], n[1], n[2]) / 2 };
+}
+
+// Proper crossing of segment p→q through the interior of triangle (a, b, c).
+// Touching contacts (shared edges, faces lying against each other) don't count.
+function segmentCrossesTriangle(p, q, a, b, c) {
+  const EPS = 1e-9;
+  const dir = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+  const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+  const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+  const h = [dir[1] * e2[2] - dir[2] * e2[1], dir[2] * e2[0] - dir[0] * e2[2], dir[0] * e2[1] - dir[1] * e2[0]];
+  const det = e1[0] * h[0] + e1[1] * h[1] + e1[2] * h[2];
+  if (Math.abs(det) < EPS) return false; // parallel / coplanar
+  const inv = 1 / det;
+  const s = [p[0] - a[0], p[1] - a[1], p[2] - a[2]];
+  const u = inv * (s[0] * h[0] + s[1] * h[1] + s[2] * h[2]);
+  if (u <= 1e-6 || u >= 1 - 1e-6) return false;
+  const qv = [s[1] * e1[2] - s[2] * e1[1], s[2] * e1[0] - s[0] * e1[2], s[0] * e1[1] - s[1] * e1[0]];
+  const v = inv * (dir[0] * qv[0] + dir[1] * qv[1] + dir[2] * qv[2]);
+  if (v <= 1e-6 || u + v >= 1 - 1e-6) return false;
+  const t = inv * (e2[0] * qv[0] + e2[1] * qv[1] + e2[2] * qv[2]);
+  return t > 1e-6 && t < 1 - 1e-6;
+}
+
+// Report for a floor mesh. Counts are exact; `examples` holds up to
+// MAX_ISSUE_EXAMPLES positions (mesh units) per issue to locate problems.
+function validateMesh(mesh) {
+  const { vertices, remap } = weldVertices(mesh.positions, WELD_EPS);
+  const tris = [];
+  let zeroAreaFaces = 0;
+  const examples = { openEdges: [], nonManifoldEdges: [], inconsistentWinding: [], zeroAreaFaces: [], selfIntersections: [] };
+  function note(kind, pos) {
+    if (examples[kind].length < MAX_ISSUE_EXAMPLES) examples[kind].push(pos.map(c => +c.toFixed(4)));
+  }
+
+  const triCount = mesh.indices.length / 3;
+  for (let t = 0; t < mesh.indices.length; t += 3) {
+    const ids = [remap[mesh.indices[t]], remap[mesh.indices[t + 1]], remap[mesh.indices[t + 2]]];
+    const pa = vertices[ids[0]], pb = vertices[ids[1]], pc = vertices[ids[2]];
+    if (ids[0] === ids[1] || ids[1] === ids[2] || ids[0] === ids[2] || triNormalArea(pa, pb, pc).area < WELD_EPS * WELD_EPS) {
+      zeroAreaFaces++;
+      note('zeroAreaFaces', pa);
+      continue;
+    }
+    tris.push(ids);
+  }
+
+  // Edge use: key "lo,hi" → { count, forward } where forward counts lo→hi traversals
+  const edges = new Map();
+  for (const ids of tris) {
+    for (let k = 0; k < 3; k++) {
+      const i = ids[k], j = ids[(k + 1) % 3];
+      const key = i < j ? i + ',' + j : j + ',' + i;
+      let e = edges.get(key);
+      if (!e) { e = { count: 0, forward: 0, a: Math.min(i, j), b: Math.max(i, j) }; edges.set(key, e); }
+      e.count++;
+      if (i < j) e.forward++;
+    }
+  }
+  let openEdges = 0, nonManifoldEdges = 0, inconsistentWinding = 0;
+  for (const e of edges.values()) {
+    const mid = vertices[e.a].map((c, k) => (c + vertices[e.b][k]) / 2);
+    if (e.count === 1) { openEdges++; note('openEdges', mid); }
+    else if (e.count > 2) { nonManifoldEdges++; note('nonManifoldEdges', mid); }
+    else if (e.forward !== 1) { inconsistentWinding++; note('inconsistentWinding', mid); }
+  }
+
+  // Self-intersections: bucket triangles in a uniform grid, test edge-vs-triangle
+  // for pairs that share no vertex.
+  let selfIntersections = 0;
+  if (tris.length) {
+    const boxes = tris.map(ids => {
+      const p = ids.map(i => vertices[i]);
+      return [0, 1, 2].map(k => [Math.min(p[0][k], p[1][k], p[2][k]), Math.max(p[0][k], p[1][k], p[2][k])]);
+    });
+    let ext = 0;
+    for (const b of boxes) ext = Math.max(ext, b[0][1] - b[0][0], b[2][1] - b[2][0]);
+    const cell = Math.max(ext / 4, 0.05);
+    const grid = new Map();
+    boxes.forEach((b, ti) => {
+      for (let gx = Math.floor(b[0][0] / cell); gx <= Math.floor(b[0][1] / cell); gx++) {
+        for (let gz = Math.floor(b[2][0] / cell); gz <= Math.floor(b[2][1] / cell); gz++) {
+          const key = gx + ',' + gz;
+          if (!grid.has(key)) grid.set(key, []);
+          grid.get(key).push(ti);
+        }
+      }
+    });
+    const seen = new Set();
+    for (const bucket of grid.values()) {
+      for (let x = 0; x < bucket.length; x++) {
+        for (let y = x + 1; y < bucket.length; y++) {
+          const i = bucket[x], j = bucket[y];
+          const pairKey = i < j ? i * tris.length + j : j * tris.length + i;
+          if (seen.has(pairKey)) continue;
+          seen.add(pairKey);
+          const A = tris[i], B = tris[j];
+          if (A.some(v => B.indexOf(v) !== -1)) continue;
+          const ba = boxes[i], bb = boxes[j];
+          if (ba[0][1] < bb[0][0] || bb[0][1] < ba[0][0] || ba[1][1] < bb[1][0] ||
+              bb[1][1] < ba[1][0] || ba[2][1] < bb[2][0] || bb[2][1] < ba[2][0]) continue;
+          const pa = A.map(v => vertices[v]), pb = B.map(v => vertices[v]);
+          let hit = false;
+          for (let k = 0; k < 3 && !hit; k++) {
+            hit = segmentCrossesTriangle(pa[k], pa[(k + 1) % 3], pb[0], pb[1], pb[2]) ||
+                  segmentCrossesTriangle(pb[k], pb[(k + 1) % 3], pa[0], pa[1], pa[2]);
+          }
+          if (hit) { selfIntersections++; note('selfIntersections', pa[0]); }
+        }
+      }
+    }
+  }
+
+  return {
+    ok: !openEdges && !nonManifoldEdges && !inconsistentWinding && !zeroAreaFaces && !selfIntersections,
+    vertices: vertices.length,
+    triangles: triCount,
+    openEdges,
+    nonManifoldEdges,
+    inconsistentWinding,
+    zeroAreaFaces,
+    selfIntersections,
+    examples
+  };
+}
+
+// Checks the welded mesh, i.e. exactly what the export writes
+function validateFloorMesh(floor) {
+  const report = validateMesh(weldMesh(generateFloorMesh(floor)));
+  report.name = floor.name;
+  return report;
+}
+
+// ============================================================
+// 2D PLAN — the FML design drawn like the portal floor plan
+// ============================================================
+// renderPlanSVG(floor, opts) → SVG markup in FML cm (y down, as in the FML).
+// Draws what the customer saw on Funda: coloured areas with names and m²,
+// lines, dimensions, walls with door swings and windows. With opts.processing
+// it also draws what our model does differently, so mismatches stand out:
+//   surfaces left out of the floor slab (red hatch), stair voids (red outline),
+//   balustrades (orange; detected from items when the FML has none).
+// opts: { processing, formatLength(cm) → text, formatArea(m²) → text, reasons: { code: text } }
+const PLAN_WALL_COLOR = '#3a3a3a';
+const PLAN_PROCESSING_COLOR = '#d0342c';
+const PLAN_BALUSTRADE_COLOR = '#e08a00';
+// Pattern ids are document-wide: every render gets its own, so two plans on one page
+// (or a re-render while the old one is still in the DOM) never share a hatch
+let planSvgCount = 0;
+
+function renderPlanSVG(floor, opts) {
+  opts = opts || {};
+  const design = floor.design;
+  const formatLength = opts.formatLength || (cm => Math.round(cm) + '');
+  const formatArea = opts.formatArea || (m2 => m2.toFixed(1) + ' m²');
+  const reasons = opts.reasons || {};
+  const num = v => +v.toFixed(1);
+  const pts = poly => poly.map(p => num(p.x) + ',' + num(p.y)).join(' ');
+
+  // Extent: the floor plus dimension lines drawn outside it
+  const ext = { minX: floor.bbox.minX, minY: floor.bbox.minY, maxX: floor.bbox.maxX, maxY: floor.bbox.maxY };
+  for (const d of design.dimensions ?? []) {
+    for (const p of [d.a, d.b]) {
+      if (!p || !Number.isFinite(p.x) || !Number.isFinite(p.y)) continue;
+      ext.minX = Math.min(ext.minX, p.x); ext.maxX = Math.max(ext.maxX, p.x);
+      ext.minY = Math.min(ext.minY, p.y); ext.maxY = Math.max(ext.maxY, p.y);
+    }
+  }
+  const size = Math.max(ext.maxX - ext.minX, ext.maxY - ext.minY, 100);
+  const pad = size * 0.04;
+  const font = Math.min(40, Math.max(12, size / 45));
+  const out = [];
+  const hatchId = 'planHatch' + (++planSvgCount);
+
+  out.push('<defs><pattern id="' + hatchId + '" width="12" height="12" patternUnits="userSpaceOnUse" patternTransform="rotate(45)">' +
+    '<line x1="0" y1="0" x2="0" y2="12" stroke="' + PLAN_PROCESSING_COLOR + '" stroke-width="3" stroke-opacity="0.45"/></pattern></defs>');
+
+  // Surfaces below areas, as in Floorplanner
+  const wallBBox = computeWallBBox(design);
+  const skipped = [];
+  for (const surface of design.surfaces ?? []) {
+    const poly = tessellateSurfacePoly(surface.poly ?? []);
+    if (!poly || poly.length < 3) continue;
+    out.push('<polygon points="' + pts(poly) + '" fill="' + xmlEscape(surface.color || '#eeeeee') + '"/>');
+    const reason = floorSurfaceSkipReason(surface, wallBBox);
+    if (reason && reason !== 'cutout') skipped.push({ poly, reason });
+  }
+  for (const area of design.areas ?? []) {
+    const poly = tessellateSurfacePoly(area.poly ?? []);
+    if (!poly || poly.length < 3) continue;
+    out.push('<polygon points="' + pts(poly) + '" fill="' + xmlEscape(area.color || '#ffffff') + '"/>');
+  }
+
+  // Lines (solid / dashed / dotted)
+  for (const line of design.lines ?? []) {
+    if (!line.a || !line.b) continue;
+    const w = Math.max(1, line.thickness ?? 2);
+    const dash = line.type === 'dashed_line' ? ' stroke-dasharray="' + 4 * w + ' ' + 3 * w + '"'
+      : line.type === 'dotted_line' ? ' stroke-dasharray="' + w + ' ' + 2 * w + '"' : '';
+    const color = typeof line.color === 'string' ? line.color : '#000000';
+    out.push('<line x1="' + num(line.a.x) + '" y1="' + num(line.a.y) + '" x2="' + num(line.b.x) + '" y2="' + num(line.b.y) +
+      '" stroke="' + xmlEscape(color) + '" stroke-width="' + w + '"' + dash + '/>');
+  }
+
+  // Walls, then openings cut out of them
+  for (const wall of design.walls ?? []) {
+    const w = Math.max(1.5, wall.thickness ?? 20);
+    const d = 'M' + num(wall.a.x) + ' ' + num(wall.a.y) +
+      (wall.c ? ' Q' + num(wall.c.x) + ' ' + num(wall.c.y) + ' ' : ' L') + num(wall.b.x) + ' ' + num(wall.b.y);
+    out.push('<path d="' + d + '" fill="none" stroke="' + PLAN_WALL_COLOR + '" stroke-width="' + num(w) + '" stroke-linecap="square"/>');
+  }
+  for (const wall of design.walls ?? []) {
+    if (wall.c) continue; // openings in curved walls: not drawn
+    const len = Math.hypot(wall.b.x - wall.a.x, wall.b.y - wall.a.y);
+    if (len < 1) continue;
+    const ux = (wall.b.x - wall.a.x) / len, uy = (wall.b.y - wall.a.y) / len;
+    const th = Math.max(1.5, wall.thickness ?? 20);
+    for (const op of wall.openings ?? []) {
+      const width = Math.min(op.width ?? 90, len);
+      const mid = (op.t ?? 0.5) * len;
+      const s0 = Math.max(0, mid - width / 2), s1 = Math.min(len, mid + width / 2);
+      const p0 = { x: wall.a.x + ux * s0, y: wall.a.y + uy * s0 };
+      const p1 = { x: wall.a.x + ux * s1, y: wall.a.y + uy * s1 };
+      out.push('<line x1="' + num(p0.x) + '" y1="' + num(p0.y) + '" x2="' + num(p1.x) + '" y2="' + num(p1.y) +
+        '" stroke="#ffffff" stroke-width="' + num(th + 1) + '"/>');
+      if ((op.type ?? 'door') === 'door') {
+        // Leaf and swing: hinge at the start, opening to the left of a→b;
+        // mirrored [x, y] flips the hinge along the wall and the swing side
+        const m = Array.isArray(op.mirrored) ? op.mirrored : [0, 0];
+        const hinge = m[0] ? p1 : p0, free = m[0] ? p0 : p1;
+        const side = m[1] ? -1 : 1;
+        const leaf = { x: hinge.x - uy * side * (s1 - s0), y: hinge.y + ux * side * (s1 - s0) };
+        // Short arc from the open leaf back to the frame (sweep 1 = increasing angle)
+        let turn = Math.atan2(free.y - hinge.y, free.x - hinge.x) - Math.atan2(leaf.y - hinge.y, leaf.x - hinge.x);
+        if (turn > Math.PI) turn -= 2 * Math.PI;
+        if (turn <= -Math.PI) turn += 2 * Math.PI;
+        const sweep = turn > 0 ? 1 : 0;
+        out.push('<path d="M' + num(hinge.x) + ' ' + num(hinge.y) + ' L' + num(leaf.x) + ' ' + num(leaf.y) +
+          ' A' + num(s1 - s0) + ' ' + num(s1 - s0) + ' 0 0 ' + sweep + ' ' + num(free.x) + ' ' + num(free.y) +
+          '" fill="none" stroke="' + PLAN_WALL_COLOR + '" stroke-width="1.5"/>');
+      } else {
+        // Window: frame lines on both faces plus the glass in the middle
+        for (const f of [-th / 2, 0, th / 2]) {
+          out.push('<line x1="' + num(p0.x - uy * f) + '" y1="' + num(p0.y + ux * f) + '" x2="' + num(p1.x - uy * f) + '" y2="' + num(p1.y + ux * f) +
+            '" stroke="' + PLAN_WALL_COLOR + '" stroke-width="' + (f ? 1.5 : 1) + '"/>');
+        }
+      }
+    }
+  }
+
+  // Dimension lines with end ticks and their length
+  for (const dim of design.dimensions ?? []) {
+    if (!dim.a || !dim.b) continue;
+    const len = Math.hypot(dim.b.x - dim.a.x, dim.b.y - dim.a.y);
+    if (len < 1) continue;
+    const nx = -(dim.b.y - dim.a.y) / len * font * 0.4, ny = (dim.b.x - dim.a.x) / len * font * 0.4;
+    let angle = Math.atan2(dim.b.y - dim.a.y, dim.b.x - dim.a.x) * 180 / Math.PI;
+    if (angle > 90) angle -= 180;
+    if (angle <= -90) angle += 180;
+    const mx = (dim.a.x + dim.b.x) / 2, my = (dim.a.y + dim.b.y) / 2;
+    out.push('<g stroke="#666666" stroke-width="1">' +
+      '<line x1="' + num(dim.a.x) + '" y1="' + num(dim.a.y) + '" x2="' + num(dim.b.x) + '" y2="' + num(dim.b.y) + '"/>' +
+      [dim.a, dim.b].map(p => '<line x1="' + num(p.x - nx) + '" y1="' + num(p.y - ny) + '" x2="' + num(p.x + nx) + '" y2="' + num(p.y + ny) + '"/>').join('') +
+      '</g><text x="' + num(mx) + '" y="' + num(my) + '" transform="rotate(' + num(angle) + ' ' + num(mx) + ' ' + num(my) + ')" dy="-' + num(font * 0.3) +
+      '" font-size="' + num(font * 0.75) + '" text-anchor="middle" fill="#666666">' + xmlEscape(formatLength(len)) + '</text>');
+  }
+
+  // What our model does differently
+  if (opts.processing) {
+    for (const s of skipped) {
+      out.push('<polygon points="' + pts(s.poly) + '" fill="url(#' + hatchId + ')" stroke="' + PLAN_PROCESSING_COLOR +
+        '" stroke-width="2" stroke-dasharray="8 5"><title>' + xmlEscape(reasons[s.reason] || s.reason) + '</title></polygon>');
+    }
+    for (const v of floor.voids ?? []) {
+      out.push('<polygon points="' + pts(v) + '" fill="none" stroke="' + PLAN_PROCESSING_COLOR + '" stroke-width="3">' +
+        '<title>' + xmlEscape(reasons.void || 'void') + '</title></polygon>');
+    }
+    for (const bal of design.balustrades ?? []) {
+      const d = 'M' + num(bal.a.x) + ' ' + num(bal.a.y) +
+        (bal.c ? ' Q' + num(bal.c.x) + ' ' + num(bal.c.y) + ' ' : ' L') + num(bal.b.x) + ' ' + num(bal.b.y);
+      out.push('<path d="' + d + '" fill="none" stroke="' + PLAN_BALUSTRADE_COLOR + '" stroke-width="' + num(Math.max(4, bal.thickness ?? 5)) +
+        '" stroke-linecap="round"><title>' + xmlEscape(reasons.balustrade || 'balustrade') + '</title></path>');
+    }
+  }
+
+  // Room names and m² on top
+  for (const l of getRoomLabels(design)) {
+    out.push('<text x="' + num(l.x) + '" y="' + num(l.y) + '" font-size="' + num(font) + '" text-anchor="middle" fill="#1a1a1a">' +
+      '<tspan x="' + num(l.x) + '" font-weight="600">' + xmlEscape(l.name) + '</tspan>' +
+      '<tspan x="' + num(l.x) + '" dy="' + num(font * 1.1) + '" font-size="' + num(font * 0.8) + '" fill="#666666">' + xmlEscape(formatArea(l.areaM2)) + '</tspan></text>');
+  }
+
+  const vb = [ext.minX - pad, ext.minY - pad, ext.maxX - ext.minX + 2 * pad, ext.maxY - ext.minY + 2 * pad].map(num).join(' ');
+  return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="' + vb + '" font-family="-apple-system, BlinkMacSystemFont, \'Segoe UI\', Roboto, sans-serif">' +
+    out.join('') + '</svg>';
+}
+
+// ============================================================
+// HEADLESS BATCH
+// ============================================================
+// Headless entry point: FML object → one OBJ string per floor.
+// Note: the FML designs are mutated (balustrades get attached), same as in the browser.
+function generateFloorOBJs(data) {
+  if (!geoClipping) throw new Error('polygon-clipping is not available');
+  const usedNames = new Map();
+  return buildFloorEntries(data).floors.map(function(floor) {
+    let fileName = sanitizeFilename(floor.name);
+    const count = usedNames.get(fileName) || 0;
+    usedNames.set(fileName, count + 1);
+    if (count > 0) fileName = `${fileName}_${count}`;
+    return { name: floor.name, fileName: fileName, obj: generateFloorOBJ(floor) };
+  });
+}
+
+// Same as generateFloorOBJs, for any export format (see buildFloorModelFile).
+async function generateFloorModels(data, format, colors) {
+  if (!geoClipping) throw new Error('polygon-clipping is not available');
+  const usedNames = new Map();
+  const models = [];
+  for (const floor of buildFloorEntries(data).floors) {
+    let fileName = sanitizeFilename(floor.name);
+    const count = usedNames.get(fileName) || 0;
+    usedNames.set(fileName, count + 1);
+    if (count > 0) fileName = `${fileName}_${count}`;
+    const file = await buildFloorModelFile(floor, format, colors);
+    models.push({ name: floor.name, fileName: fileName, ext: file.ext, data: file.data });
+  }
+  return models;
+}
+
+// Validation report per floor, for automated runs over fml-cache.
+function validateFloorModels(data) {
+  if (!geoClipping) throw new Error('polygon-clipping is not available');
+  return buildFloorEntries(data).floors.map(validateFloorMesh);
+}
+
+// ============================================================
+// NODE / WORKER EXPORTS
+// ============================================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    buildFloorEntries,
+    buildPatchedFloorEntries,
+    validateFml,
+    applyFmlPatch,
+    cleanFmlPatch,
+    generateFloorMesh,
+    generateFloorOBJ,
+    generateFloorOBJs,
+    generateFloorModels,
+    validateFloorModels,
+    computeBoundingBox,
+    detectStairVoids,
+    isStairVoidSurface,
+    detectBalustrades,
+    listFmlBalustrades,
+    setRoomLabelRelief,
+    getRoomLabels,
+    getRoomLabelPolygons,
+    getFurnitureFootprints,
+    hasFurniture,
+    renderPlanSVG,
+    floorSurfaceSkipReason,
+    flattenWalls,
+    flattenBalustrades,
+    groupBalustradeStrips,
+    setUniformWallHeight,
+    getFloorWallHeight,
+    parseOBJMesh,
+    meshTriangleGroups,
+    meshToBinarySTL,
+    build3MF,
+    buildFloorModelFile,
+    buildModelFile,
+    meshToOBJ,
+    composeFloorMeshes,
+    weldMesh,
+    validateMesh,
+    validateFloorMesh,
+    sanitizeFilename
+  };
+}
@@ -0,0 +1,249 @@
+// Mattori portals — which listing links the configurator accepts, and what the
+// URL tells about the house (address, sale status).
+// DOM-free: loaded as a classic <script> before mattori-configurator.js (all
+// functions become globals), or require()'d from Node (see check-portals.js).
+
+// ============================================================
+// PORTAL PROVIDERS
+// ============================================================
+// A provider declares:
+//   id, label              — id goes to the backend, label is shown to the customer
+//   hosts                  — hostnames it recognises (subdomains included)
+//   matchText(text)        → true for input that is no URL but still theirs (optional)
+//   parseAddress(u)        → { street, city } from the URL (u = URL object), or null
+//   saleStatus(u)          → 'sold' | 'forSale' | 'forRent' | null (optional)
+//   available(backend)     → true when the backend can fetch this portal's plans
+//   fetchPlan(url, backend) → FML object, or { error } (see BACKEND in mattori-configurator.js)
+// Providers are tried in order; the first whose host matches wins.
+function titleCaseSlug(slug) {
+  return String(slug || '').split(/[-+_]+/).filter(Boolean)
+    .map(function(p) { return p.charAt(0).toUpperCase() + p.slice(1); }).join(' ');
+}
+
+function parseFundaAddress(url) {
+  try {
+    const u = new URL(url);
+    // /detail/koop/[verkocht/]<city>/<type>-<street>/<id>/
+    const segments = u.pathname.split('/').filter(s => s && s !== 'verkocht');
+    if (segments.length < 4) return null;
+
+    const city = segments[2];
+    const slug = segments[3];
+
+    const prefixes = [
+      '2-onder-1-kap', 'appartement', 'benedenwoning', 'bovenwoning', 'bungalow',
+      'geschakeld', 'grachtenpand', 'herenhuis', 'hoekwoning', 'huis', 'landhuis',
+      'maisonnette', 'penthouse', 'stacaravan', 'tussenwoning', 'villa',
+      'vrijstaand', 'woonboot', 'woonhuis'
+    ];
+
+    let streetSlug = slug;
+    for (const prefix of prefixes) {
+      if (streetSlug.startsWith(prefix + '-')) {
+        streetSlug = streetSlug.slice(prefix.length + 1);
+        break;
+      }
+    }
+
+    // Rejoin house number + suffix with hyphen (e.g. "275-1" stays "275-1")
+    const parts = streetSlug.split('-');
+    const merged = [];
+    for (let i = 0; i < parts.length; i++) {
+      if (i > 0 && /^\d+$/.test(parts[i - 1]) && /^(\d+[a-z]?|[a-z]{1,2})$/i.test(parts[i]) && parts[i].length <= 3) {
+        merged[merged.length - 1] += '-' + parts[i];
+      } else {
+        merged.push(parts[i]);
+      }
+    }
+    const titleCased = merged.map(p => p.charAt(0).toUpperCase() + p.slice(1)).join(' ')
+      .replace(/-([a-z])/g, (_, c) => '-' + c.toUpperCase());
+    const cityTitle = city.charAt(0).toUpperCase() + city.slice(1);
+
+    return {
+      street: titleCased,
+      city: cityTitle + ', Nederland'
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+// Floorplanner project ID from "project 182537902" (also "project-ID:", "floorplanner",
+// "fp") or a project link (/projects/182537902-woning/…, ?project_id=…). A bare number
+// is no project ID: it could as well be a Funda object id. Share links (/shared/<token>) have none.
+function parseFloorplannerProjectId(input) {
+  var text = String(input || '').trim();
+  var prefixed = text.match(/^(?:floorplanner|fp|project(?:[\s-]*id)?)[\s:#-]*(\d{5,12})$/i);
+  if (prefixed) return prefixed[1];
+  var u = toPortalUrl(text);
+  if (!u || !/(^|\.)floorplanner\.com$/i.test(u.hostname)) return null;
+  var m = u.pathname.match(/\/projects\/(\d{5,12})(?=[-\/]|$)/);
+  if (m) return m[1];
+  var q = u.searchParams.get('project_id');
+  return q && /^\d{5,12}$/.test(q) ? q : null;
+}
+
+// Backends list the portals their fetchPortalFml serves (adapter.portals)
+function backendServesPortal(be, portal) {
+  return typeof be.fetchPortalFml === 'function' && Array.isArray(be.portals) && be.portals.indexOf(portal) !== -1;
+}
+
+// Pararius, Jaap and Immoweb embed Floorplanner plans; the backend extracts them
+function fetchPortalPlan(portal, url, be) {
+  if (!backendServesPortal(be, portal)) {
+    return Promise.resolve({ error: 'Geen plattegrond (FML) gevonden: backend ondersteunt ' + portal + ' niet' });
+  }
+  return be.fetchPortalFml(portal, url);
+}
+
+var PORTAL_PROVIDERS = [
+  {
+    id: 'funda',
+    label: 'Funda',
+    hosts: ['funda.nl'],
+    parseAddress: parseFundaAddress,
+    saleStatus: function(u) {
+      if (u.pathname.indexOf('/verkocht/') !== -1) return 'sold';
+      if (u.pathname.indexOf('/koop/') !== -1) return 'forSale';
+      if (u.pathname.indexOf('/huur/') !== -1) return 'forRent';
+      return null;
+    },
+    available: function(be) { return typeof be.fetchFml === 'function'; },
+    fetchPlan: function(url, be) { return be.fetchFml(url); }
+  },
+  {
+    // Project links and "project <id>" load the FML by ID; /shared/<token> links
+    // go through the backend as a portal page. No address in either — it comes from the plan.
+    id: 'floorplanner',
+    label: 'Floorplanner',
+    hosts: ['floorplanner.com'],
+    matchText: function(text) { return parseFloorplannerProjectId(text) !== null; },
+    parseAddress: function() { return null; },
+    parseProjectId: parseFloorplannerProjectId,
+    available: function(be) { return typeof be.fetchProjectFml === 'function' || backendServesPortal(be, 'floorplanner'); },
+    fetchPlan: async function(url, be) {
+      var projectId = parseFloorplannerProjectId(url);
+      if (!projectId || typeof be.fetchProjectFml !== 'function') return fetchPortalPlan('floorplanner', url, be);
+      var data = await be.fetchProjectFml(projectId);
+      // The FML carries its own project id; a mismatch means the backend answered for another project
+      var gotId = data && (data.project_id != null ? data.project_id : data.id);
+      if (data && !data.error && gotId != null && String(gotId) !== projectId) {
+        console.warn('[Mattori] Floorplanner project', projectId, 'gaf FML van project', gotId);
+        return { error: 'Geen plattegrond (FML) gevonden voor project ' + projectId };
+      }
+      return data;
+    }
+  },
+  {
+    // /<type>-te-koop|te-huur/<city>/<id>/<street>
+    id: 'pararius',
+    label: 'Pararius',
+    hosts: ['pararius.nl', 'pararius.com'],
+    parseAddress: function(u) {
+      var seg = u.pathname.split('/').filter(Boolean);
+      if (seg.length < 4 || !/-te-(huur|koop)$|-for-(rent|sale)$/.test(seg[0])) return null;
+      return { street: titleCaseSlug(seg[3]), city: titleCaseSlug(seg[1]) + ', Nederland' };
+    },
+    saleStatus: function(u) {
+      var kind = u.pathname.split('/').filter(Boolean)[0] || '';
+      if (/-te-huur$|-for-rent$/.test(kind)) return 'forRent';
+      if (/-te-koop$|-for-sale$/.test(kind)) return 'forSale';
+      return null;
+    },
+    available: function(be) { return backendServesPortal(be, 'pararius'); },
+    fetchPlan: function(url, be) { return fetchPortalPlan('pararius', url, be); }
+  },
+  {
+    // …/<city>/<postcode>/<street+number>/<id>
+    id: 'jaap',
+    label: 'Jaap.nl',
+    hosts: ['jaap.nl'],
+    parseAddress: function(u) {
+      var seg = u.pathname.split('/').filter(Boolean).map(function(s) {
+        try { return decodeURIComponent(s); } catch (e) { return s; } // malformed escape: keep the raw slug
+      });
+      for (var i = 1; i < seg.length - 1; i++) {
+        if (/^\d{4}\s?[a-z]{2}$/i.test(seg[i])) {
+          return { street: titleCaseSlug(seg[i + 1]), city: titleCaseSlug(seg[i - 1]) + ', Nederland' };
+        }
+      }
+      return null;
+    },
+    saleStatus: function(u) {
+      if (/huur/.test(u.pathname)) return 'forRent';
+      return /koop/.test(u.pathname) ? 'forSale' : null;
+    },
+    available: function(be) { return backendServesPortal(be, 'jaap'); },
+    fetchPlan: function(url, be) { return fetchPortalPlan('jaap', url, be); }
+  },
+  {
+    // /<lang>/<zoekertje|annonce|classified>/<type>/<te-koop|a-vendre|…>/<city>/<postcode>/<id>; no street
+    id: 'immoweb',
+    label: 'Immoweb',
+    hosts: ['immoweb.be'],
+    parseAddress: function(u) {
+      var seg = u.pathname.split('/').filter(Boolean);
+      if (seg.length < 6 || !/^(zoekertje|annonce|classified)$/.test(seg[1])) return null;
+      return { street: '', city: titleCaseSlug(seg[4]) + ', België' };
+    },
+    saleStatus: function(u) {
+      if (/\/(te-huur|a-louer|for-rent)\//.test(u.pathname)) return 'forRent';
+      return /\/(te-koop|a-vendre|for-sale)\//.test(u.pathname) ? 'forSale' : null;
+    },
+    available: function(be) { return backendServesPortal(be, 'immoweb'); },
+    fetchPlan: function(url, be) { return fetchPortalPlan('immoweb', url, be); }
+  }
+];
+
+function toPortalUrl(url) {
+  try { return new URL(String(url || '').trim()); } catch (e) { return null; }
+}
+
+// Provider for a link (or bare text) among providers (default: all of them)
+function findPortalProvider(url, providers) {
+  providers = providers || PORTAL_PROVIDERS;
+  var u = toPortalUrl(url);
+  // "project-id: 123…" parses as a URL with a project-id: scheme and no host
+  if (!u || !u.hostname) {
+    for (var k = 0; k < providers.length; k++) {
+      if (providers[k].matchText && providers[k].matchText(url)) return providers[k];
+    }
+    return null;
+  }
+  var host = u.hostname.toLowerCase();
+  for (var i = 0; i < providers.length; i++) {
+    var p = providers[i];
+    for (var h = 0; h < p.hosts.length; h++) {
+      if (host === p.hosts[h] || host.slice(-(p.hosts[h].length + 1)) === '.' + p.hosts[h]) return p;
+    }
+  }
+  return null;
+}
+
+function parsePortalAddress(url) {
+  var p = findPortalProvider(url);
+  if (!p) return null;
+  var addr = p.parseAddress(toPortalUrl(url));
+  return addr && (addr.street || addr.city) ? addr : null;
+}
+
+function getPortalSaleStatus(url) {
+  var p = findPortalProvider(url);
+  var u = toPortalUrl(url);
+  return p && p.saleStatus && u ? p.saleStatus(u) : null;
+}
+
+// ============================================================
+// NODE EXPORTS
+// ============================================================
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PORTAL_PROVIDERS,
+    findPortalProvider,
+    parsePortalAddress,
+    getPortalSaleStatus,
+    parseFloorplannerProjectId,
+    parseFundaAddress,
+    backendServesPortal
+  };
+}